@@ -43,6 +43,8 @@ class AdvancedPOSApp {
    */
   loadConfig() {
     // In a real application, this would load from a config file or environment variables
+    const env = typeof process !== "undefined" && process.env ? process.env : {};
+
     this.config = {
       appName: "Advanced POS System",
       version: "1.0.0",
@@ -50,8 +52,13 @@ class AdvancedPOSApp {
       defaultCurrency: "USD",
       defaultTaxRate: 7.5,
       visionAIConfidenceThreshold: 0.7,
-      lowStockThreshold: 5,
+      lowStockThreshold: 5, // Products without a reorder point of their own
       apiBasePath: "/api",
+      storage: {
+        // auto uses localStorage in the browser and JSON files under Node
+        type: env.POS_STORAGE || "auto",
+        dataDir: env.POS_DATA_DIR || "data",
+      },
       // Add other configuration settings as needed
     };
   }
@@ -71,7 +78,7 @@ class AdvancedPOSApp {
     const VisionAIIntegration = require("./services/VisionAIIntegration");
 
     // Create service instances
-    this.services.database = new DatabaseService();
+    this.services.database = new DatabaseService(this.config.storage);
     this.services.auth = new AuthService(this.services.database);
     this.services.ui = new UIService(this.services.database);
     this.services.cart = new CartService(this.services.database);
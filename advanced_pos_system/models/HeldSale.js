@@ -0,0 +1,123 @@
+/**
+ * Held Sale Model for Advanced POS System
+ * Represents a parked cart that can be recalled later, possibly on another terminal
+ */
+
+class HeldSale {
+  /**
+   * Create a new HeldSale
+   * @param {Object} data - Held sale data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'hold_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.number = parseInt(data.number) || 0; // Ticket number shown to cashiers
+    this.name = data.name || '';
+    this.items = data.items || []; // Cart lines ({ productId, name, quantity, recognitionMethod, recognitionConfidence })
+    this.manualDiscount = parseFloat(data.manualDiscount) || 0;
+    this.couponCodes = data.couponCodes || [];
+    this.payments = data.payments || []; // Partial payments already taken
+    this.customerId = data.customerId || null;
+    this.notes = data.notes || '';
+    this.total = parseFloat(data.total) || 0; // Total when the sale was held, for listings
+    this.employeeId = data.employeeId || null;
+    this.storeId = data.storeId || null;
+    this.terminalId = data.terminalId || null;
+    this.status = data.status || 'held'; // held, expired (abandoned with payments taken)
+    this.heldAt = data.heldAt || new Date().toISOString();
+    this.expiresAt = data.expiresAt || null;
+    this.expiredAt = data.expiredAt || null;
+  }
+
+  /**
+   * Validate held sale data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!Array.isArray(this.items) || this.items.length === 0) {
+      errors.push('Cannot hold an empty cart');
+    }
+
+    if (!this.employeeId) {
+      errors.push('Employee ID is required');
+    }
+
+    if (!this.storeId) {
+      errors.push('Store ID is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check if the hold has been abandoned past its expiry
+   * @param {Date} date - Time to check
+   * @returns {boolean} Is expired
+   */
+  isExpired(date = new Date()) {
+    return !!this.expiresAt && date > new Date(this.expiresAt);
+  }
+
+  /**
+   * Check if payments were taken before the sale was held
+   * @returns {boolean} Has payments
+   */
+  hasPayments() {
+    return this.payments.length > 0;
+  }
+
+  /**
+   * Get the label shown in held sale listings
+   * @returns {string} Label
+   */
+  getLabel() {
+    return this.name ? `#${this.number} ${this.name}` : `#${this.number}`;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      number: this.number,
+      name: this.name,
+      items: this.items,
+      manualDiscount: this.manualDiscount,
+      couponCodes: this.couponCodes,
+      payments: this.payments,
+      customerId: this.customerId,
+      notes: this.notes,
+      total: this.total,
+      employeeId: this.employeeId,
+      storeId: this.storeId,
+      terminalId: this.terminalId,
+      status: this.status,
+      heldAt: this.heldAt,
+      expiresAt: this.expiresAt,
+      expiredAt: this.expiredAt
+    };
+  }
+
+  /**
+   * Create HeldSale from plain object
+   * @param {Object} obj - Plain object
+   * @returns {HeldSale} HeldSale instance
+   */
+  static fromObject(obj) {
+    return new HeldSale(obj);
+  }
+}
+
+// Held sale statuses
+HeldSale.STATUSES = ['held', 'expired'];
+
+// Export the HeldSale class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeldSale;
+}
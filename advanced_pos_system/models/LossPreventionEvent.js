@@ -0,0 +1,129 @@
+/**
+ * Loss Prevention Event Model for Advanced POS System
+ * Records a sale where what the camera saw does not match what was rung up, with the
+ * captured frame, for a manager to review
+ *
+ * ticket_switch: a product the camera saw was rung up as a cheaper, keyed or scanned product
+ * missed_item: a product the camera saw was not rung up at all
+ */
+
+class LossPreventionEvent {
+  /**
+   * Create a new LossPreventionEvent
+   * @param {Object} data - Event data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'lp_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.type = data.type || '';
+    this.transactionId = data.transactionId || null;
+    this.employeeId = data.employeeId || null;
+    this.storeId = data.storeId || null;
+    this.seenProductId = data.seenProductId || null; // Product the camera saw
+    this.seenName = data.seenName || '';
+    this.seenPrice = parseFloat(data.seenPrice) || 0;
+    this.rungProductId = data.rungProductId || null; // Product rung up in its place
+    this.rungName = data.rungName || '';
+    this.rungPrice = parseFloat(data.rungPrice) || 0;
+    this.rungMethod = data.rungMethod || null; // manual, barcode or scale
+    this.quantity = parseInt(data.quantity) || 1; // Units affected
+    this.priceDelta = parseFloat(data.priceDelta) || 0; // Revenue lost if the event is confirmed
+    this.confidence = parseFloat(data.confidence) || 0; // Confidence of the detection
+    this.captureId = data.captureId || null;
+    this.imageData = data.imageData || null; // Captured frame
+    this.boundingBox = data.boundingBox || null; // Region of the object in the frame
+    this.status = data.status || 'open'; // open, confirmed, dismissed
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.reviewNotes = data.reviewNotes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate event data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!LossPreventionEvent.TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${LossPreventionEvent.TYPES.join(', ')}`);
+    }
+
+    if (!this.transactionId) {
+      errors.push('Transaction ID is required');
+    }
+
+    if (!this.seenProductId) {
+      errors.push('Seen product ID is required');
+    }
+
+    if (this.type === 'ticket_switch' && !this.rungProductId) {
+      errors.push('Rung up product ID is required');
+    }
+
+    if (this.priceDelta < 0) {
+      errors.push('Price delta cannot be negative');
+    }
+
+    if (!LossPreventionEvent.STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${LossPreventionEvent.STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      transactionId: this.transactionId,
+      employeeId: this.employeeId,
+      storeId: this.storeId,
+      seenProductId: this.seenProductId,
+      seenName: this.seenName,
+      seenPrice: this.seenPrice,
+      rungProductId: this.rungProductId,
+      rungName: this.rungName,
+      rungPrice: this.rungPrice,
+      rungMethod: this.rungMethod,
+      quantity: this.quantity,
+      priceDelta: this.priceDelta,
+      confidence: this.confidence,
+      captureId: this.captureId,
+      imageData: this.imageData,
+      boundingBox: this.boundingBox,
+      status: this.status,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      reviewNotes: this.reviewNotes,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create LossPreventionEvent from plain object
+   * @param {Object} obj - Plain object
+   * @returns {LossPreventionEvent} LossPreventionEvent instance
+   */
+  static fromObject(obj) {
+    return new LossPreventionEvent(obj);
+  }
+}
+
+// Kinds of discrepancy between the camera and the rung up lines
+LossPreventionEvent.TYPES = ['ticket_switch', 'missed_item'];
+
+// Review states; open events wait for a manager
+LossPreventionEvent.STATUSES = ['open', 'confirmed', 'dismissed'];
+
+// Export the LossPreventionEvent class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LossPreventionEvent;
+}
@@ -0,0 +1,253 @@
+/**
+ * Money Model for Advanced POS System
+ * Immutable amount held as an integer number of minor units (e.g. cents) so that
+ * sums are exact and rounding only happens where a policy says it should
+ */
+
+class Money {
+  /**
+   * Create a new Money amount
+   * @param {number} minor - Amount in minor units (integer)
+   * @param {string} currency - ISO 4217 currency code
+   */
+  constructor(minor = 0, currency = 'USD') {
+    if (!Number.isInteger(minor)) {
+      throw new Error(`Money must be created from an integer number of minor units, got ${minor}`);
+    }
+
+    this.minor = minor;
+    this.currency = currency;
+    this.decimals = Money.getDecimals(currency);
+    Object.freeze(this);
+  }
+
+  /**
+   * Add another amount
+   * @param {Money} other - Amount to add
+   * @returns {Money} Sum
+   */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  /**
+   * Subtract another amount
+   * @param {Money} other - Amount to subtract
+   * @returns {Money} Difference
+   */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * Multiply by a factor (quantity, rate, ratio)
+   * @param {number} factor - Factor
+   * @param {string} roundingMode - Rounding mode (half_up or half_even)
+   * @returns {Money} Product rounded to minor units
+   */
+  multiply(factor, roundingMode = 'half_up') {
+    return new Money(Money.round(this.minor * factor, roundingMode), this.currency);
+  }
+
+  /**
+   * Get the negated amount
+   * @returns {Money} Negated amount
+   */
+  negate() {
+    return new Money(-this.minor || 0, this.currency);
+  }
+
+  /**
+   * Split the amount in proportion to weights without losing or creating minor units
+   * Remainders go to the parts with the largest fractional share (largest remainder method)
+   * @param {Array<number>} weights - Non-negative weights
+   * @returns {Array<Money>} Parts summing exactly to this amount
+   */
+  allocate(weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      return weights.map(() => Money.zero(this.currency));
+    }
+
+    const sign = this.minor < 0 ? -1 : 1;
+    const amount = Math.abs(this.minor);
+    const exact = weights.map(weight => amount * weight / totalWeight);
+    const parts = exact.map(value => Math.floor(value));
+
+    let remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+    exact
+      .map((value, index) => ({ index, fraction: value - parts[index] }))
+      .sort((a, b) => b.fraction - a.fraction)
+      .forEach(({ index }) => {
+        if (remainder > 0) {
+          parts[index] += 1;
+          remainder -= 1;
+        }
+      });
+
+    return parts.map(part => new Money(sign * part || 0, this.currency));
+  }
+
+  /**
+   * Compare with another amount
+   * @param {Money} other - Amount to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  /**
+   * Check if the amount is zero
+   * @returns {boolean} Is zero
+   */
+  isZero() {
+    return this.minor === 0;
+  }
+
+  /**
+   * Check if the amount is negative
+   * @returns {boolean} Is negative
+   */
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  /**
+   * Get the amount in major units (e.g. dollars)
+   * @returns {number} Amount in major units
+   */
+  toNumber() {
+    return Money.fromMinorUnits(this.minor, this.decimals);
+  }
+
+  /**
+   * Format the amount with the currency's decimal places
+   * @returns {string} Formatted amount (e.g. "12.50")
+   */
+  toString() {
+    return this.toNumber().toFixed(this.decimals);
+  }
+
+  /**
+   * Serialize as a number in major units
+   * @returns {number} Amount in major units
+   */
+  toJSON() {
+    return this.toNumber();
+  }
+
+  /**
+   * Throw if another amount is in a different currency
+   * @param {Money} other - Other amount
+   * @returns {void}
+   */
+  assertSameCurrency(other) {
+    if (!(other instanceof Money) || other.currency !== this.currency) {
+      throw new Error(`Cannot combine ${this.currency} with ${other && other.currency}`);
+    }
+  }
+
+  /**
+   * Create an amount from a value in major units (e.g. 12.5 dollars)
+   * @param {number|string} amount - Amount in major units
+   * @param {string} currency - ISO 4217 currency code
+   * @param {string} roundingMode - Rounding mode for digits beyond the currency's precision
+   * @returns {Money} Money amount
+   */
+  static fromMajor(amount, currency = 'USD', roundingMode = 'half_up') {
+    const decimals = Money.getDecimals(currency);
+    return new Money(Money.round((parseFloat(amount) || 0) * Math.pow(10, decimals), roundingMode), currency);
+  }
+
+  /**
+   * Create an amount from a value in minor units (e.g. 1250 cents)
+   * @param {number} minor - Amount in minor units
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Money} Money amount
+   */
+  static fromMinor(minor, currency = 'USD') {
+    return new Money(minor, currency);
+  }
+
+  /**
+   * Create a zero amount
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Money} Zero amount
+   */
+  static zero(currency = 'USD') {
+    return new Money(0, currency);
+  }
+
+  /**
+   * Sum a list of amounts
+   * @param {Array<Money>} amounts - Amounts
+   * @param {string} currency - Currency of the result when the list is empty
+   * @returns {Money} Sum
+   */
+  static sum(amounts, currency = 'USD') {
+    return amounts.reduce((sum, amount) => sum.add(amount), Money.zero(amounts.length > 0 ? amounts[0].currency : currency));
+  }
+
+  /**
+   * Round a value to an integer
+   * @param {number} value - Value in minor units, possibly fractional
+   * @param {string} roundingMode - half_up (ties away from zero) or half_even (bankers)
+   * @returns {number} Rounded integer
+   */
+  static round(value, roundingMode = 'half_up') {
+    // Strip binary floating point noise (e.g. 1.005 * 100 = 100.49999999999999)
+    const cleaned = parseFloat(value.toPrecision(12));
+    const sign = cleaned < 0 ? -1 : 1;
+    const absolute = Math.abs(cleaned);
+    const floor = Math.floor(absolute);
+    const fraction = absolute - floor;
+
+    let rounded;
+    if (Math.abs(fraction - 0.5) < 1e-9) {
+      rounded = roundingMode === 'half_even' ? (floor % 2 === 0 ? floor : floor + 1) : floor + 1;
+    } else {
+      rounded = Math.round(absolute);
+    }
+
+    return sign * rounded || 0;
+  }
+
+  /**
+   * Convert minor units to major units without floating point drift
+   * @param {number} minor - Amount in minor units
+   * @param {number} decimals - Decimal places of the currency
+   * @returns {number} Amount in major units
+   */
+  static fromMinorUnits(minor, decimals) {
+    return parseFloat((minor / Math.pow(10, decimals)).toFixed(decimals));
+  }
+
+  /**
+   * Get the number of decimal places used by a currency
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {number} Decimal places
+   */
+  static getDecimals(currency) {
+    const code = String(currency || '').toUpperCase();
+    return Money.CURRENCY_DECIMALS[code] !== undefined ? Money.CURRENCY_DECIMALS[code] : 2;
+  }
+}
+
+// Supported rounding modes
+Money.ROUNDING_MODES = ['half_up', 'half_even'];
+
+// Currencies whose minor unit is not 1/100 (everything else uses 2 decimal places)
+Money.CURRENCY_DECIMALS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+// Export the Money class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Money;
+}
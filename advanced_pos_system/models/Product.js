@@ -1,8 +1,20 @@
 /**
  * Product Model for Advanced POS System
  * Represents inventory items with properties like name, price, SKU, category, and stock level
+ *
+ * Products sold by weight or volume are priced per unit of measure (e.g. per kg) and
+ * their stock is kept in that unit, with fractional quantities.
+ *
+ * A parent product defines option dimensions (e.g. Size and Colour) and is sold through
+ * its variants, one product per combination of option values with its own SKU, barcode,
+ * stock and image signatures. A variant takes the parent's price unless it has a price override.
+ *
+ * A bundle (gift basket, kit or meal combo) is sold as one line at its own price but holds
+ * no stock; selling it consumes its components, and its revenue is allocated back to them.
  */
 
+const UnitOfMeasure = require('./UnitOfMeasure');
+
 class Product {
   /**
    * Create a new Product
@@ -11,13 +23,30 @@ class Product {
   constructor(data = {}) {
     this.id = data.id || 'prod_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
     this.name = data.name || '';
-    this.price = parseFloat(data.price) || 0;
+    this.price = parseFloat(data.price) || 0; // Per unit of measure for weighed and measured products
+    this.cost = Product.parsePrice(data.cost); // Unit cost for margin reporting, null when unknown
+    this.supplierId = data.supplierId || null; // Supplier the product is usually purchased from
+    this.reorderPoint = Product.parseLevel(data.reorderPoint); // Reorder at or below this stock, null to compute it from sales
+    this.reorderQuantity = Product.parseLevel(data.reorderQuantity); // Fixed order quantity, null to compute it from sales
+    this.type = data.type || 'standard'; // standard, bundle
+    this.components = data.components || []; // Products a bundle consumes ({ productId, quantity })
+    this.soldBy = data.soldBy || 'unit'; // unit, weight, volume
+    this.unitOfMeasure = data.unitOfMeasure || Product.DEFAULT_UNITS[this.soldBy] || 'ea';
+    this.plu = data.plu ? String(data.plu) : ''; // Item code keyed at the scale and printed in price-embedded labels
+    this.parentId = data.parentId || null; // Parent product of a variant
+    this.options = data.options || []; // Option dimensions of a parent ({ name, values })
+    this.optionValues = data.optionValues || {}; // Option value per dimension of a variant
+    this.priceOverride = Product.parsePrice(data.priceOverride); // Variant price instead of the parent's
     this.sku = data.sku || '';
+    this.barcode = data.barcode || ''; // EAN-13, UPC-A, Code 128 or QR text printed on the product
     this.category = data.category || '';
-    this.stock = parseInt(data.stock) || 0;
+    this.stock = this.parseQuantity(data.stock);
     this.imageSignatures = data.imageSignatures || [];
+    this.negativeSignatures = data.negativeSignatures || []; // Objects the product was mistaken for
+    this.visionThreshold = Product.parseThreshold(data.visionThreshold); // Overrides the category and global thresholds
     this.description = data.description || '';
     this.taxRate = parseFloat(data.taxRate) || 0;
+    this.taxClass = data.taxClass || ''; // Tax class ID (e.g. standard, reduced, zero)
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
   }
@@ -37,14 +66,64 @@ class Product {
       errors.push('Price cannot be negative');
     }
 
+    if (this.cost !== null && this.cost < 0) {
+      errors.push('Cost cannot be negative');
+    }
+
+    if (!Product.TYPES.includes(this.type)) {
+      errors.push(`Type must be one of: ${Product.TYPES.join(', ')}`);
+    }
+
+    errors.push(...this.getComponentErrors());
+
     if (this.stock < 0) {
       errors.push('Stock cannot be negative');
     }
 
+    if (!Product.SOLD_BY.includes(this.soldBy)) {
+      errors.push(`Sold by must be one of: ${Product.SOLD_BY.join(', ')}`);
+    } else if (UnitOfMeasure.getDimension(this.unitOfMeasure) !== this.soldBy) {
+      errors.push(`Unit of measure must be one of: ${UnitOfMeasure.getUnits(this.soldBy).join(', ')}`);
+    }
+
+    if (this.plu && !/^\d{1,6}$/.test(this.plu)) {
+      errors.push('PLU must be 1 to 6 digits');
+    }
+
+    errors.push(...this.getOptionErrors());
+
+    if (this.priceOverride !== null && this.priceOverride < 0) {
+      errors.push('Price override cannot be negative');
+    }
+
+    if (this.reorderPoint !== null && this.reorderPoint < 0) {
+      errors.push('Reorder point cannot be negative');
+    }
+
+    if (this.reorderQuantity !== null && this.reorderQuantity <= 0) {
+      errors.push('Reorder quantity must be greater than zero');
+    }
+
+    if (!this.isMeasured() && [this.reorderPoint, this.reorderQuantity].some(level => level !== null && !Number.isInteger(level))) {
+      errors.push('Reorder point and quantity must be whole numbers for products sold by unit');
+    }
+
     if (this.taxRate < 0) {
       errors.push('Tax rate cannot be negative');
     }
 
+    if (this.visionThreshold !== null && (this.visionThreshold < 0 || this.visionThreshold > 1)) {
+      errors.push('Vision threshold must be between 0 and 1');
+    }
+
+    // EAN-13 and UPC-A barcodes carry a check digit
+    if (/^\d{12,13}$/.test(this.barcode)) {
+      const BarcodeDecoder = require('../services/BarcodeDecoder');
+      if (!BarcodeDecoder.isValidEan13(this.barcode.padStart(13, '0'))) {
+        errors.push('Barcode check digit is invalid');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -57,7 +136,7 @@ class Product {
    * @returns {boolean} Success status
    */
   updateStock(quantity) {
-    const newStock = this.stock + quantity;
+    const newStock = UnitOfMeasure.round(this.stock + quantity);
     
     if (newStock < 0) {
       return false;
@@ -68,6 +147,160 @@ class Product {
     return true;
   }
 
+  /**
+   * Check the option dimensions of a parent and the option values of a variant
+   * @returns {Array} Error messages
+   */
+  getOptionErrors() {
+    const errors = [];
+
+    if (!Array.isArray(this.options)) {
+      return ['Options must be a list of option dimensions'];
+    }
+
+    const names = this.options.map(option => option && option.name);
+    if (names.some(name => !name)) {
+      errors.push('Every option needs a name');
+    } else if (new Set(names).size !== names.length) {
+      errors.push('Option names must be unique');
+    }
+
+    this.options.forEach(option => {
+      const values = option && Array.isArray(option.values) ? option.values : [];
+      if (values.length === 0 || values.some(value => !value)) {
+        errors.push(`Option ${option && option.name} needs at least one value`);
+      } else if (new Set(values).size !== values.length) {
+        errors.push(`Values of option ${option.name} must be unique`);
+      }
+    });
+
+    if (this.parentId) {
+      if (this.options.length > 0) {
+        errors.push('A variant cannot have options of its own');
+      }
+
+      if (!this.optionValues || typeof this.optionValues !== 'object' || Object.keys(this.optionValues).length === 0) {
+        errors.push('A variant needs a value for each option of its parent');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check the component lines of a bundle; whether the components exist is checked by BundleService
+   * @returns {Array} Error messages
+   */
+  getComponentErrors() {
+    if (!Array.isArray(this.components)) {
+      return ['Components must be a list of component lines'];
+    }
+
+    if (!this.isBundle()) {
+      return this.components.length > 0 ? ['Only bundles can have components'] : [];
+    }
+
+    const errors = [];
+
+    if (this.components.length === 0) {
+      errors.push('A bundle needs at least one component');
+    }
+
+    if (this.isMeasured()) {
+      errors.push('A bundle must be sold by unit');
+    }
+
+    if (this.parentId || this.options.length > 0) {
+      errors.push('A bundle cannot have variants or be one');
+    }
+
+    const productIds = this.components.map(component => component && component.productId);
+    if (productIds.some(productId => !productId)) {
+      errors.push('Every component needs a product');
+    } else if (new Set(productIds).size !== productIds.length) {
+      errors.push('Each product can only be one component of a bundle');
+    } else if (productIds.includes(this.id)) {
+      errors.push('A bundle cannot contain itself');
+    }
+
+    if (this.components.some(component => component && !(parseFloat(component.quantity) > 0))) {
+      errors.push('Component quantities must be greater than zero');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check if the product is a bundle of component products
+   * @returns {boolean} Is a bundle
+   */
+  isBundle() {
+    return this.type === 'bundle';
+  }
+
+  /**
+   * Check if the product is a parent that is sold through its variants
+   * @returns {boolean} Is a parent
+   */
+  isParent() {
+    return !this.parentId && this.options.length > 0;
+  }
+
+  /**
+   * Check if the product is a variant of a parent
+   * @returns {boolean} Is a variant
+   */
+  isVariant() {
+    return !!this.parentId;
+  }
+
+  /**
+   * Get the option values of a variant as a label
+   * @returns {string} Label (e.g. "M / Red")
+   */
+  getOptionLabel() {
+    return Object.values(this.optionValues || {}).join(' / ');
+  }
+
+  /**
+   * Check if the product is sold in fractional quantities of a unit of measure
+   * @returns {boolean} Is weighed or measured
+   */
+  isMeasured() {
+    return this.soldBy !== 'unit';
+  }
+
+  /**
+   * Parse a stock level or sale quantity in the product's unit
+   * @param {*} value - Quantity
+   * @returns {number} Whole units for products sold by unit, otherwise rounded to UnitOfMeasure.QUANTITY_DECIMALS
+   */
+  parseQuantity(value) {
+    return this.isMeasured() ? UnitOfMeasure.round(value) : parseInt(value) || 0;
+  }
+
+  /**
+   * Check a sale quantity against the way the product is sold
+   * @param {number} quantity - Quantity in the product's unit of measure
+   * @returns {string|null} Error message or null if the quantity can be sold
+   */
+  getQuantityError(quantity) {
+    if (typeof quantity !== 'number' || !(quantity > 0)) {
+      return 'Quantity must be greater than zero';
+    }
+
+    if (!this.isMeasured() && !Number.isInteger(quantity)) {
+      return 'Quantity must be a whole number for products sold by unit';
+    }
+
+    const smallest = Math.pow(10, -UnitOfMeasure.QUANTITY_DECIMALS);
+    if (UnitOfMeasure.round(quantity) < smallest) {
+      return `Quantity is below the smallest measurable amount of ${UnitOfMeasure.format(smallest, this.unitOfMeasure)}`;
+    }
+
+    return null;
+  }
+
   /**
    * Add Vision AI signature
    * @param {string} signature - Image signature
@@ -105,11 +338,11 @@ class Product {
 
   /**
    * Check if product is low on stock
-   * @param {number} threshold - Low stock threshold
+   * @param {number} threshold - Low stock threshold for products without a reorder point
    * @returns {boolean} Is low on stock
    */
   isLowStock(threshold = 5) {
-    return this.stock <= threshold;
+    return this.stock <= (this.reorderPoint !== null ? this.reorderPoint : threshold);
   }
 
   /**
@@ -120,11 +353,26 @@ class Product {
   update(data) {
     if (data.name !== undefined) this.name = data.name;
     if (data.price !== undefined) this.price = parseFloat(data.price);
+    if (data.cost !== undefined) this.cost = Product.parsePrice(data.cost);
+    if (data.supplierId !== undefined) this.supplierId = data.supplierId || null;
+    if (data.reorderPoint !== undefined) this.reorderPoint = Product.parseLevel(data.reorderPoint);
+    if (data.reorderQuantity !== undefined) this.reorderQuantity = Product.parseLevel(data.reorderQuantity);
+    if (data.components !== undefined) this.components = data.components;
     if (data.sku !== undefined) this.sku = data.sku;
+    if (data.barcode !== undefined) this.barcode = data.barcode;
     if (data.category !== undefined) this.category = data.category;
-    if (data.stock !== undefined) this.stock = parseInt(data.stock);
+    if (data.soldBy !== undefined) {
+      this.soldBy = data.soldBy;
+      this.unitOfMeasure = data.unitOfMeasure || Product.DEFAULT_UNITS[this.soldBy] || this.unitOfMeasure;
+    }
+    if (data.unitOfMeasure !== undefined) this.unitOfMeasure = data.unitOfMeasure;
+    if (data.plu !== undefined) this.plu = data.plu ? String(data.plu) : '';
+    if (data.priceOverride !== undefined) this.priceOverride = Product.parsePrice(data.priceOverride);
+    if (data.stock !== undefined) this.stock = this.parseQuantity(data.stock);
     if (data.description !== undefined) this.description = data.description;
     if (data.taxRate !== undefined) this.taxRate = parseFloat(data.taxRate);
+    if (data.taxClass !== undefined) this.taxClass = data.taxClass;
+    if (data.visionThreshold !== undefined) this.visionThreshold = Product.parseThreshold(data.visionThreshold);
     
     this.updatedAt = new Date().toISOString();
     return true;
@@ -139,12 +387,29 @@ class Product {
       id: this.id,
       name: this.name,
       price: this.price,
+      cost: this.cost,
+      supplierId: this.supplierId,
+      reorderPoint: this.reorderPoint,
+      reorderQuantity: this.reorderQuantity,
+      type: this.type,
+      components: this.components,
+      soldBy: this.soldBy,
+      unitOfMeasure: this.unitOfMeasure,
+      plu: this.plu,
+      parentId: this.parentId,
+      options: this.options,
+      optionValues: this.optionValues,
+      priceOverride: this.priceOverride,
       sku: this.sku,
+      barcode: this.barcode,
       category: this.category,
       stock: this.stock,
       imageSignatures: this.imageSignatures,
+      negativeSignatures: this.negativeSignatures,
+      visionThreshold: this.visionThreshold,
       description: this.description,
       taxRate: this.taxRate,
+      taxClass: this.taxClass,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -158,8 +423,63 @@ class Product {
   static fromObject(obj) {
     return new Product(obj);
   }
+
+  /**
+   * Parse an optional stock level, such as a reorder point
+   * @param {*} value - Quantity, or null/empty for none
+   * @returns {number|null} Quantity rounded to UnitOfMeasure.QUANTITY_DECIMALS
+   */
+  static parseLevel(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const level = parseFloat(value);
+    return isNaN(level) ? null : UnitOfMeasure.round(level);
+  }
+
+  /**
+   * Parse an optional price
+   * @param {*} value - Price, or null/empty for none
+   * @returns {number|null} Price
+   */
+  static parsePrice(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const price = parseFloat(value);
+    return isNaN(price) ? null : price;
+  }
+
+  /**
+   * Parse an optional vision threshold
+   * @param {*} value - Threshold, or null/empty to use the category or global threshold
+   * @returns {number|null} Threshold
+   */
+  static parseThreshold(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const threshold = parseFloat(value);
+    return isNaN(threshold) ? null : threshold;
+  }
 }
 
+// Product types; bundles consume the stock of their components
+Product.TYPES = ['standard', 'bundle'];
+
+// Ways a product is sold; weight and volume allow fractional quantities
+Product.SOLD_BY = ['unit', 'weight', 'volume'];
+
+// Unit of measure of new products by the way they are sold
+Product.DEFAULT_UNITS = {
+  unit: 'ea',
+  weight: 'kg',
+  volume: 'l'
+};
+
 // Export the Product class
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Product;
@@ -0,0 +1,228 @@
+/**
+ * Promotion Model for Advanced POS System
+ * Represents a discount rule evaluated against the cart (percentage, fixed, buy-X-get-Y,
+ * mix-and-match, quantity tiers and fixed pricing), optionally limited to a time window or coupon code
+ */
+
+class Promotion {
+  /**
+   * Create a new Promotion
+   * @param {Object} data - Promotion data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'promo_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.name = data.name || '';
+    this.type = data.type || 'percentage';
+    this.scope = data.scope || 'line'; // line, cart (percentage and fixed only)
+    this.value = parseFloat(data.value) || 0; // Percent off, amount off or fixed unit price depending on type
+    this.productIds = data.productIds || []; // Eligible products (empty means all)
+    this.categories = data.categories || []; // Eligible categories (empty means all)
+    this.buyQuantity = parseInt(data.buyQuantity) || 0; // buy_x_get_y: units to pay for
+    this.getQuantity = parseInt(data.getQuantity) || 0; // buy_x_get_y: units discounted
+    this.bundleQuantity = parseInt(data.bundleQuantity) || 0; // mix_and_match: units per bundle
+    this.tiers = data.tiers || []; // quantity_tier: [{ minQuantity, percent }]
+    this.minSubtotal = parseFloat(data.minSubtotal) || 0; // Cart promotions: minimum subtotal
+    this.couponCode = data.couponCode ? String(data.couponCode).toUpperCase() : null;
+    this.schedule = data.schedule || null; // { startDate, endDate, daysOfWeek, startTime, endTime }
+    this.priority = parseInt(data.priority) || 0; // Higher priority promotions are evaluated first
+    this.stackable = !!data.stackable; // Whether it combines with other promotions on the same line
+    this.active = data.active !== undefined ? !!data.active : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate promotion data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Promotion name is required');
+    }
+
+    if (!Promotion.TYPES.includes(this.type)) {
+      errors.push(`Promotion type must be one of: ${Promotion.TYPES.join(', ')}`);
+    }
+
+    if (!['line', 'cart'].includes(this.scope)) {
+      errors.push('Scope must be line or cart');
+    }
+
+    if (this.scope === 'cart' && !['percentage', 'fixed'].includes(this.type)) {
+      errors.push('Only percentage and fixed promotions can apply to the whole cart');
+    }
+
+    if (this.value < 0) {
+      errors.push('Value cannot be negative');
+    }
+
+    if (['percentage', 'buy_x_get_y'].includes(this.type) && this.value > 100) {
+      errors.push('Percentage cannot exceed 100');
+    }
+
+    if (this.type === 'buy_x_get_y' && (this.buyQuantity <= 0 || this.getQuantity <= 0)) {
+      errors.push('Buy and get quantities are required');
+    }
+
+    if (this.type === 'mix_and_match' && this.bundleQuantity < 2) {
+      errors.push('Bundle quantity must be at least 2');
+    }
+
+    if (this.type === 'quantity_tier' && (!Array.isArray(this.tiers) || this.tiers.length === 0)) {
+      errors.push('At least one quantity tier is required');
+    }
+
+    if (this.schedule && this.schedule.startTime && !/^\d{2}:\d{2}$/.test(this.schedule.startTime)) {
+      errors.push('Start time must be in HH:MM format');
+    }
+
+    if (this.schedule && this.schedule.endTime && !/^\d{2}:\d{2}$/.test(this.schedule.endTime)) {
+      errors.push('End time must be in HH:MM format');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check if the promotion is running at a given time
+   * @param {Date} date - Time to check
+   * @returns {boolean} Is active
+   */
+  isActiveAt(date = new Date()) {
+    if (!this.active) {
+      return false;
+    }
+
+    if (!this.schedule) {
+      return true;
+    }
+
+    const { startDate, endDate, daysOfWeek, startTime, endTime } = this.schedule;
+
+    if (startDate && date < new Date(startDate)) {
+      return false;
+    }
+
+    if (endDate && date > new Date(endDate)) {
+      return false;
+    }
+
+    if (Array.isArray(daysOfWeek) && daysOfWeek.length > 0 && !daysOfWeek.includes(date.getDay())) {
+      return false;
+    }
+
+    // Daily window in local time, e.g. happy hour 16:00-18:00
+    const time = String(date.getHours()).padStart(2, '0') + ':' + String(date.getMinutes()).padStart(2, '0');
+    if (startTime && endTime && startTime > endTime) {
+      // Window crosses midnight
+      return time >= startTime || time < endTime;
+    }
+
+    if (startTime && time < startTime) {
+      return false;
+    }
+
+    if (endTime && time >= endTime) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a cart item is eligible for the promotion
+   * @param {Object} item - Cart item
+   * @returns {boolean} Is eligible
+   */
+  appliesTo(item) {
+    if (this.productIds.length > 0 && !this.productIds.includes(item.productId)) {
+      return false;
+    }
+
+    if (this.categories.length > 0 && !this.categories.includes(item.category)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the tier matching a quantity
+   * @param {number} quantity - Quantity purchased
+   * @returns {Object|null} Highest tier reached or null
+   */
+  getTier(quantity) {
+    return this.tiers
+      .filter(tier => quantity >= tier.minQuantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+  }
+
+  /**
+   * Update promotion data
+   * @param {Object} data - Promotion data
+   * @returns {boolean} Success status
+   */
+  update(data) {
+    const updated = new Promotion({ ...this.toObject(), ...data, id: this.id, createdAt: this.createdAt });
+    Object.assign(this, updated);
+
+    this.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      scope: this.scope,
+      value: this.value,
+      productIds: this.productIds,
+      categories: this.categories,
+      buyQuantity: this.buyQuantity,
+      getQuantity: this.getQuantity,
+      bundleQuantity: this.bundleQuantity,
+      tiers: this.tiers,
+      minSubtotal: this.minSubtotal,
+      couponCode: this.couponCode,
+      schedule: this.schedule,
+      priority: this.priority,
+      stackable: this.stackable,
+      active: this.active,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create Promotion from plain object
+   * @param {Object} obj - Plain object
+   * @returns {Promotion} Promotion instance
+   */
+  static fromObject(obj) {
+    return new Promotion(obj);
+  }
+}
+
+// Supported promotion types
+// - percentage: percent off eligible lines (or the cart)
+// - fixed: amount off per eligible unit (or off the cart)
+// - fixed_price: eligible units sell at a set price (e.g. happy-hour pricing)
+// - buy_x_get_y: for every buyQuantity units, getQuantity more units are value percent off (free when 0)
+// - mix_and_match: any bundleQuantity eligible units across products sell for value
+// - quantity_tier: percent off a line once its quantity reaches a tier
+Promotion.TYPES = ['percentage', 'fixed', 'fixed_price', 'buy_x_get_y', 'mix_and_match', 'quantity_tier'];
+
+// Export the Promotion class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Promotion;
+}
@@ -0,0 +1,208 @@
+/**
+ * Purchase Order Model for Advanced POS System
+ * Represents an order placed with a supplier, its lines with expected costs and the goods
+ * receipts booked against it
+ *
+ * Status flow: draft (editable) -> sent -> partially_received -> closed. An order closes by
+ * itself once every line is fully received, or can be closed early, e.g. when the supplier
+ * cannot deliver the rest. Lines may be received beyond the quantity ordered.
+ */
+
+const UnitOfMeasure = require('./UnitOfMeasure');
+
+class PurchaseOrder {
+  /**
+   * Create a new PurchaseOrder
+   * @param {Object} data - Purchase order data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'po_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.number = data.number || ''; // Human-readable order number (e.g. PO-00012)
+    this.supplierId = data.supplierId || null;
+    this.storeId = data.storeId || null;
+    this.status = data.status || 'draft';
+    this.currency = data.currency || 'USD';
+    this.lines = (data.lines || []).map(line => PurchaseOrder.createLine(line));
+    this.receipts = data.receipts || []; // Goods receipts ({ id, lines, landedCosts, receivedBy, receivedAt })
+    this.expectedDate = data.expectedDate || null; // Delivery date agreed with the supplier
+    this.notes = data.notes || '';
+    this.expectedTotal = parseFloat(data.expectedTotal) || 0; // Ordered quantities at expected cost
+    this.receivedTotal = parseFloat(data.receivedTotal) || 0; // Received quantities at invoice cost
+    this.landedCostTotal = parseFloat(data.landedCostTotal) || 0; // Freight, duty and other costs of the receipts
+    this.createdBy = data.createdBy || null;
+    this.sentAt = data.sentAt || null;
+    this.closedAt = data.closedAt || null;
+    this.closeReason = data.closeReason || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate purchase order data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.supplierId) {
+      errors.push('Supplier is required');
+    }
+
+    if (!PurchaseOrder.STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${PurchaseOrder.STATUSES.join(', ')}`);
+    }
+
+    if (this.lines.length === 0) {
+      errors.push('Purchase order must have at least one line');
+    }
+
+    const productIds = this.lines.map(line => line.productId);
+    if (productIds.some(productId => !productId)) {
+      errors.push('Every line needs a product');
+    } else if (new Set(productIds).size !== productIds.length) {
+      errors.push('Each product can only be on one line');
+    }
+
+    if (this.lines.some(line => !(line.quantityOrdered > 0))) {
+      errors.push('Ordered quantities must be greater than zero');
+    }
+
+    if (this.lines.some(line => isNaN(line.expectedCost))) {
+      errors.push('Expected costs must be numbers');
+    } else if (this.lines.some(line => line.expectedCost < 0)) {
+      errors.push('Expected costs cannot be negative');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get a line by ID or product
+   * @param {string} lineId - Line ID
+   * @param {string} productId - Product ID, used when no line ID is given
+   * @returns {Object|null} Line or null if not on the order
+   */
+  getLine(lineId, productId = null) {
+    return this.lines.find(line => (lineId ? line.id === lineId : line.productId === productId)) || null;
+  }
+
+  /**
+   * Get the quantity of a line still to be delivered
+   * @param {Object} line - Purchase order line
+   * @returns {number} Outstanding quantity, zero once fully or over-received
+   */
+  getOutstandingQuantity(line) {
+    return Math.max(UnitOfMeasure.round(line.quantityOrdered - line.quantityReceived), 0);
+  }
+
+  /**
+   * Check if every line has been received in full
+   * @returns {boolean} Fully received
+   */
+  isFullyReceived() {
+    return this.lines.every(line => this.getOutstandingQuantity(line) === 0);
+  }
+
+  /**
+   * Derive the status from the quantities received; drafts and closed orders keep theirs
+   * @returns {string} Status
+   */
+  updateStatus() {
+    if (this.status === 'draft' || this.status === 'closed') {
+      return this.status;
+    }
+
+    if (this.isFullyReceived()) {
+      this.status = 'closed';
+      this.closedAt = new Date().toISOString();
+      this.closeReason = 'Fully received';
+    } else if (this.lines.some(line => line.quantityReceived > 0)) {
+      this.status = 'partially_received';
+    }
+
+    this.updatedAt = new Date().toISOString();
+    return this.status;
+  }
+
+  /**
+   * Calculate the expected, received and landed cost totals
+   * @returns {void}
+   */
+  calculateTotals() {
+    const Money = require('./Money');
+
+    this.expectedTotal = Money.sum(this.lines.map(line => Money.fromMajor(line.expectedCost * line.quantityOrdered, this.currency)), this.currency).toNumber();
+    this.receivedTotal = Money.sum(this.receipts.flatMap(receipt => receipt.lines).map(line => Money.fromMajor(line.unitCost * line.quantity, this.currency)), this.currency).toNumber();
+    this.landedCostTotal = Money.sum(this.receipts.map(receipt => Money.fromMajor(receipt.landedCostTotal || 0, this.currency)), this.currency).toNumber();
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      number: this.number,
+      supplierId: this.supplierId,
+      storeId: this.storeId,
+      status: this.status,
+      currency: this.currency,
+      lines: this.lines,
+      receipts: this.receipts,
+      expectedDate: this.expectedDate,
+      notes: this.notes,
+      expectedTotal: this.expectedTotal,
+      receivedTotal: this.receivedTotal,
+      landedCostTotal: this.landedCostTotal,
+      createdBy: this.createdBy,
+      sentAt: this.sentAt,
+      closedAt: this.closedAt,
+      closeReason: this.closeReason,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create a purchase order line
+   * @param {Object} line - Line data ({ productId, quantityOrdered, expectedCost })
+   * @returns {Object} Line
+   */
+  static createLine(line = {}) {
+    return {
+      id: line.id || 'pol_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9),
+      productId: line.productId || null,
+      name: line.name || '',
+      sku: line.sku || '',
+      unitOfMeasure: line.unitOfMeasure || 'ea',
+      quantityOrdered: UnitOfMeasure.round(line.quantityOrdered !== undefined ? line.quantityOrdered : line.quantity),
+      quantityReceived: UnitOfMeasure.round(line.quantityReceived || 0),
+      // Per unit of measure; a cost that is not a number stays NaN so validate() rejects it
+      expectedCost: line.expectedCost !== undefined && line.expectedCost !== null && line.expectedCost !== '' ? parseFloat(line.expectedCost) : 0
+    };
+  }
+
+  /**
+   * Create PurchaseOrder from plain object
+   * @param {Object} obj - Plain object
+   * @returns {PurchaseOrder} PurchaseOrder instance
+   */
+  static fromObject(obj) {
+    return new PurchaseOrder(obj);
+  }
+}
+
+// Purchase order statuses
+PurchaseOrder.STATUSES = ['draft', 'sent', 'partially_received', 'closed'];
+
+// Kinds of landed cost that can be added to a goods receipt
+PurchaseOrder.LANDED_COST_TYPES = ['freight', 'duty', 'insurance', 'handling', 'other'];
+
+// Export the PurchaseOrder class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PurchaseOrder;
+}
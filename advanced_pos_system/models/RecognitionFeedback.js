@@ -0,0 +1,147 @@
+/**
+ * Recognition Feedback Model for Advanced POS System
+ * Records how a cashier responded to a product suggestion from the camera, with the
+ * captured frame, so the suggestion can be learned from
+ *
+ * accept: the suggestion was right (positive example for the suggested product)
+ * reject: the suggestion was wrong (hard negative for the suggested product)
+ * correct: the object was another product (positive for the corrected product and,
+ *          if there was a suggestion, hard negative for the suggested one)
+ */
+
+class RecognitionFeedback {
+  /**
+   * Create a new RecognitionFeedback
+   * @param {Object} data - Feedback data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'fb_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.action = data.action || '';
+    this.suggestedProductId = data.suggestedProductId || null;
+    this.productId = data.productId || null; // Corrected product
+    this.confidence = parseFloat(data.confidence) || 0; // Confidence of the suggestion
+    this.imageData = data.imageData || null; // Captured frame
+    this.boundingBox = data.boundingBox || null; // Region of the object in the frame
+    this.captureId = data.captureId || null; // Capture the suggestion was made in
+    this.status = data.status || 'pending'; // pending, approved, rejected, applied
+    this.employeeId = data.employeeId || null;
+    this.storeId = data.storeId || null;
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.reviewNotes = data.reviewNotes || '';
+    this.appliedAt = data.appliedAt || null;
+    this.signatures = data.signatures || []; // Signature IDs created when applied
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate feedback data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!RecognitionFeedback.ACTIONS.includes(this.action)) {
+      errors.push(`Action must be one of: ${RecognitionFeedback.ACTIONS.join(', ')}`);
+    }
+
+    if (!this.imageData) {
+      errors.push('Captured image is required');
+    }
+
+    if ((this.action === 'accept' || this.action === 'reject') && !this.suggestedProductId) {
+      errors.push('Suggested product ID is required');
+    }
+
+    if (this.action === 'correct') {
+      if (!this.productId) {
+        errors.push('Corrected product ID is required');
+      } else if (this.productId === this.suggestedProductId) {
+        errors.push('Corrected product must differ from the suggestion');
+      }
+    }
+
+    if (!RecognitionFeedback.STATUSES.includes(this.status)) {
+      errors.push(`Status must be one of: ${RecognitionFeedback.STATUSES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get the product the captured object is an example of
+   * @returns {string|null} Product ID
+   */
+  getPositiveProductId() {
+    if (this.action === 'accept') {
+      return this.suggestedProductId;
+    }
+
+    return this.action === 'correct' ? this.productId : null;
+  }
+
+  /**
+   * Get the product the captured object was mistaken for
+   * @returns {string|null} Product ID
+   */
+  getNegativeProductId() {
+    return this.action === 'reject' || this.action === 'correct' ? this.suggestedProductId : null;
+  }
+
+  /**
+   * Check if the feedback changes what the model suggests and needs review
+   * @returns {boolean} Is a correction
+   */
+  isCorrection() {
+    return this.action !== 'accept';
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      action: this.action,
+      suggestedProductId: this.suggestedProductId,
+      productId: this.productId,
+      confidence: this.confidence,
+      imageData: this.imageData,
+      boundingBox: this.boundingBox,
+      captureId: this.captureId,
+      status: this.status,
+      employeeId: this.employeeId,
+      storeId: this.storeId,
+      reviewedBy: this.reviewedBy,
+      reviewedAt: this.reviewedAt,
+      reviewNotes: this.reviewNotes,
+      appliedAt: this.appliedAt,
+      signatures: this.signatures,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create RecognitionFeedback from plain object
+   * @param {Object} obj - Plain object
+   * @returns {RecognitionFeedback} RecognitionFeedback instance
+   */
+  static fromObject(obj) {
+    return new RecognitionFeedback(obj);
+  }
+}
+
+// Cashier responses to a suggestion
+RecognitionFeedback.ACTIONS = ['accept', 'reject', 'correct'];
+
+// Review states; approved feedback is folded into the model and becomes applied
+RecognitionFeedback.STATUSES = ['pending', 'approved', 'rejected', 'applied'];
+
+// Export the RecognitionFeedback class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecognitionFeedback;
+}
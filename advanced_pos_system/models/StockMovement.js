@@ -0,0 +1,107 @@
+/**
+ * Stock Movement Model for Advanced POS System
+ * Represents a single append-only change to a product's stock level
+ */
+
+class StockMovement {
+  /**
+   * Create a new StockMovement
+   * @param {Object} data - Stock movement data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'mov_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.productId = data.productId || '';
+    this.type = data.type || 'adjustment';
+    this.quantity = parseFloat(data.quantity) || 0; // Signed: positive adds stock, negative removes it
+    this.balanceAfter = data.balanceAfter !== undefined ? parseFloat(data.balanceAfter) : null;
+    this.userId = data.userId || null;
+    this.reason = data.reason || '';
+    this.referenceId = data.referenceId || null;
+    this.locationId = data.locationId || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate stock movement data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.productId) {
+      errors.push('Product ID is required');
+    }
+
+    if (!StockMovement.TYPES.includes(this.type)) {
+      errors.push(`Movement type must be one of: ${StockMovement.TYPES.join(', ')}`);
+    }
+
+    if (this.quantity === 0) {
+      errors.push('Quantity cannot be zero');
+    }
+
+    const direction = StockMovement.DIRECTIONS[this.type];
+    if (direction === 1 && this.quantity < 0) {
+      errors.push(`A ${this.type} movement must increase stock`);
+    } else if (direction === -1 && this.quantity > 0) {
+      errors.push(`A ${this.type} movement must decrease stock`);
+    }
+
+    if (['adjustment', 'shrinkage', 'transfer'].includes(this.type) && !this.reason) {
+      errors.push('Reason is required for manual stock movements');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      type: this.type,
+      quantity: this.quantity,
+      balanceAfter: this.balanceAfter,
+      userId: this.userId,
+      reason: this.reason,
+      referenceId: this.referenceId,
+      locationId: this.locationId,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create StockMovement from plain object
+   * @param {Object} obj - Plain object
+   * @returns {StockMovement} StockMovement instance
+   */
+  static fromObject(obj) {
+    return new StockMovement(obj);
+  }
+}
+
+// Supported movement types
+StockMovement.TYPES = ['opening', 'sale', 'void_restock', 'return_restock', 'receiving', 'adjustment', 'transfer', 'shrinkage'];
+
+// Expected sign of the quantity per type (0 means either direction)
+StockMovement.DIRECTIONS = {
+  opening: 1,
+  sale: -1,
+  void_restock: 1,
+  return_restock: 1,
+  receiving: 1,
+  adjustment: 0,
+  transfer: 0,
+  shrinkage: -1
+};
+
+// Export the StockMovement class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StockMovement;
+}
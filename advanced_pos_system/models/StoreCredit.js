@@ -0,0 +1,102 @@
+/**
+ * Store Credit Model for Advanced POS System
+ * Represents credit issued to a customer (e.g. for a refund) that can be spent on later sales
+ */
+
+class StoreCredit {
+  /**
+   * Create a new StoreCredit
+   * @param {Object} data - Store credit data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'credit_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.code = data.code || StoreCredit.generateCode();
+    this.customerId = data.customerId || null;
+    this.amount = parseFloat(data.amount) || 0;
+    this.balance = data.balance !== undefined ? parseFloat(data.balance) : this.amount;
+    this.sourceTransactionId = data.sourceTransactionId || null;
+    this.issuedBy = data.issuedBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate store credit data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (this.amount <= 0) {
+      errors.push('Amount must be greater than zero');
+    }
+
+    if (this.balance < 0) {
+      errors.push('Balance cannot be negative');
+    }
+
+    if (this.balance > this.amount) {
+      errors.push('Balance cannot exceed the issued amount');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Redeem part of the balance
+   * @param {number} amount - Amount to redeem
+   * @returns {boolean} Success status
+   */
+  redeem(amount) {
+    if (amount <= 0 || amount > this.balance) {
+      return false;
+    }
+
+    this.balance = parseFloat((this.balance - amount).toFixed(2));
+    this.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      code: this.code,
+      customerId: this.customerId,
+      amount: this.amount,
+      balance: this.balance,
+      sourceTransactionId: this.sourceTransactionId,
+      issuedBy: this.issuedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Generate a store credit code
+   * @returns {string} Store credit code
+   */
+  static generateCode() {
+    return 'SC-' + Math.random().toString(36).substring(2, 10).toUpperCase();
+  }
+
+  /**
+   * Create StoreCredit from plain object
+   * @param {Object} obj - Plain object
+   * @returns {StoreCredit} StoreCredit instance
+   */
+  static fromObject(obj) {
+    return new StoreCredit(obj);
+  }
+}
+
+// Export the StoreCredit class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StoreCredit;
+}
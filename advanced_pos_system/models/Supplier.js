@@ -0,0 +1,99 @@
+/**
+ * Supplier Model for Advanced POS System
+ * Represents a vendor that products are purchased from, with the contact details needed
+ * to send purchase orders and the lead time of its deliveries
+ */
+
+class Supplier {
+  /**
+   * Create a new Supplier
+   * @param {Object} data - Supplier data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'sup_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.name = data.name || '';
+    this.contactName = data.contactName || '';
+    this.email = data.email || '';
+    this.phone = data.phone || '';
+    this.address = data.address || '';
+    this.accountNumber = data.accountNumber || ''; // Our customer number with the supplier
+    this.leadTimeDays = data.leadTimeDays !== undefined && data.leadTimeDays !== null ? parseInt(data.leadTimeDays) : 7; // Days from order to delivery
+    this.notes = data.notes || '';
+    this.active = data.active !== undefined ? !!data.active : true;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate supplier data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.name) {
+      errors.push('Supplier name is required');
+    }
+
+    if (this.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(this.email)) {
+      errors.push('Email address is invalid');
+    }
+
+    if (!Number.isInteger(this.leadTimeDays) || this.leadTimeDays < 0) {
+      errors.push('Lead time must be a whole number of days, zero or more');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Update supplier data
+   * @param {Object} data - Supplier data
+   * @returns {boolean} Success status
+   */
+  update(data) {
+    const updated = new Supplier({ ...this.toObject(), ...data, id: this.id, createdAt: this.createdAt });
+    Object.assign(this, updated);
+
+    this.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      contactName: this.contactName,
+      email: this.email,
+      phone: this.phone,
+      address: this.address,
+      accountNumber: this.accountNumber,
+      leadTimeDays: this.leadTimeDays,
+      notes: this.notes,
+      active: this.active,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create Supplier from plain object
+   * @param {Object} obj - Plain object
+   * @returns {Supplier} Supplier instance
+   */
+  static fromObject(obj) {
+    return new Supplier(obj);
+  }
+}
+
+// Export the Supplier class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Supplier;
+}
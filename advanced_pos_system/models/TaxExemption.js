@@ -0,0 +1,109 @@
+/**
+ * Tax Exemption Model for Advanced POS System
+ * Represents a customer's tax exemption certificate
+ */
+
+class TaxExemption {
+  /**
+   * Create a new TaxExemption
+   * @param {Object} data - Tax exemption data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'exempt_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.customerId = data.customerId || '';
+    this.certificateNumber = data.certificateNumber || '';
+    this.reason = data.reason || '';
+    this.taxIds = data.taxIds || []; // Exempted tax components (empty means all)
+    this.validFrom = data.validFrom || null;
+    this.expiresAt = data.expiresAt || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate tax exemption data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.customerId) {
+      errors.push('Customer ID is required');
+    }
+
+    if (!this.certificateNumber) {
+      errors.push('Certificate number is required');
+    }
+
+    if (!Array.isArray(this.taxIds)) {
+      errors.push('Tax IDs must be an array');
+    }
+
+    if (this.validFrom && this.expiresAt && new Date(this.expiresAt) <= new Date(this.validFrom)) {
+      errors.push('Expiry must be after the start date');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check if the certificate is valid at a given time
+   * @param {Date} date - Time to check
+   * @returns {boolean} Is valid
+   */
+  isValidAt(date = new Date()) {
+    if (this.validFrom && date < new Date(this.validFrom)) {
+      return false;
+    }
+
+    if (this.expiresAt && date > new Date(this.expiresAt)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a tax component is exempted
+   * @param {string} taxId - Tax component ID
+   * @returns {boolean} Is exempted
+   */
+  exempts(taxId) {
+    return this.taxIds.length === 0 || this.taxIds.includes(taxId);
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      certificateNumber: this.certificateNumber,
+      reason: this.reason,
+      taxIds: this.taxIds,
+      validFrom: this.validFrom,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Create TaxExemption from plain object
+   * @param {Object} obj - Plain object
+   * @returns {TaxExemption} TaxExemption instance
+   */
+  static fromObject(obj) {
+    return new TaxExemption(obj);
+  }
+}
+
+// Export the TaxExemption class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaxExemption;
+}
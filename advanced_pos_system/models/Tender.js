@@ -0,0 +1,130 @@
+/**
+ * Tender Model for Advanced POS System
+ * Represents one payment towards a sale (cash, card or mobile)
+ *
+ * Only cash can be handed over in excess of the balance due, in which case the
+ * difference is given back as change. Card and mobile tenders are charged for an
+ * exact amount and therefore cannot exceed the remaining balance.
+ */
+
+const Money = require('./Money');
+
+class Tender {
+  /**
+   * Create a new Tender
+   * @param {Object} data - Tender data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'tender_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.type = data.type || '';
+    this.amount = parseFloat(data.amount) || 0; // Amount handed over, including any change
+    this.change = parseFloat(data.change) || 0; // Change given back (cash only)
+    this.reference = data.reference || null;
+    this.timestamp = data.timestamp || new Date().toISOString();
+  }
+
+  /**
+   * Validate tender data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!Tender.TYPES.includes(this.type)) {
+      errors.push(`Tender type must be one of: ${Tender.TYPES.join(', ')}`);
+    }
+
+    if (!(this.amount > 0)) {
+      errors.push('Tender amount must be greater than zero');
+    }
+
+    if (this.change && !this.allowsChange()) {
+      errors.push(`${this.type} tenders cannot give change`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Check if the tender type can be overpaid and give change
+   * @returns {boolean} Allows change
+   */
+  allowsChange() {
+    return Tender.CHANGE_TYPES.includes(this.type);
+  }
+
+  /**
+   * Check the tender against the balance still due
+   * @param {number} balanceDue - Remaining balance in major units
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {string|null} Error message or null if the tender can be accepted
+   */
+  checkAgainstBalance(balanceDue, currency = 'USD') {
+    const balance = Money.fromMajor(balanceDue, currency);
+    if (balance.minor <= 0) {
+      return 'The balance has already been paid';
+    }
+
+    if (!this.allowsChange() && Money.fromMajor(this.amount, currency).compare(balance) > 0) {
+      return `A ${this.type} tender cannot exceed the balance due of ${balance.toString()}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      amount: this.amount,
+      change: this.change,
+      reference: this.reference,
+      timestamp: this.timestamp
+    };
+  }
+
+  /**
+   * Get the balance left after a set of tenders
+   * @param {number} total - Amount due in major units
+   * @param {Array} tenders - Tenders already taken
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {Object} Amount paid, balance due and change due in major units
+   */
+  static getBalance(total, tenders = [], currency = 'USD') {
+    const paid = Money.sum(tenders.map(tender => Money.fromMajor(tender.amount, currency)), currency);
+    const remaining = Money.fromMajor(total, currency).subtract(paid);
+
+    return {
+      amountPaid: paid.toNumber(),
+      balanceDue: remaining.isNegative() ? 0 : remaining.toNumber(),
+      changeDue: remaining.isNegative() ? remaining.negate().toNumber() : 0
+    };
+  }
+
+  /**
+   * Create Tender from plain object
+   * @param {Object} obj - Plain object
+   * @returns {Tender} Tender instance
+   */
+  static fromObject(obj) {
+    return new Tender(obj);
+  }
+}
+
+// Tender types accepted at checkout
+Tender.TYPES = ['cash', 'card', 'mobile'];
+
+// Tender types that can be overpaid and give change
+Tender.CHANGE_TYPES = ['cash'];
+
+// Export the Tender class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tender;
+}
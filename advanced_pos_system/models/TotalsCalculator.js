@@ -0,0 +1,215 @@
+/**
+ * Totals Calculator for Advanced POS System
+ * Computes line and document totals in integer minor units so that the document
+ * totals are always exactly the sum of the lines
+ *
+ * Each line carries the tax components that apply to it ({ id, name, rate, compound }).
+ * Tax is charged on the line amount after discounts; compound components are charged
+ * on the amount plus the components before them. With tax-inclusive pricing the tax
+ * is extracted from the price instead of added on top.
+ */
+
+const Money = require('./Money');
+
+class TotalsCalculator {
+  /**
+   * Create a new TotalsCalculator
+   * @param {Object} options - Rounding and tax policy
+   * @param {string} options.currency - ISO 4217 currency code
+   * @param {string} options.roundingMode - half_up or half_even
+   * @param {string} options.taxRounding - line (round tax per line) or invoice (round tax per component over the whole document)
+   * @param {boolean} options.pricesIncludeTax - Prices already include tax (VAT style)
+   */
+  constructor(options = {}) {
+    this.currency = options.currency || 'USD';
+    this.roundingMode = Money.ROUNDING_MODES.includes(options.roundingMode) ? options.roundingMode : 'half_up';
+    this.taxRounding = TotalsCalculator.TAX_ROUNDING.includes(options.taxRounding) ? options.taxRounding : 'line';
+    this.pricesIncludeTax = !!options.pricesIncludeTax;
+  }
+
+  /**
+   * Calculate totals for a set of lines
+   * @param {Array} lines - Lines ({ price, quantity, amount, taxes, taxRate, discountAmount }); a
+   *   line with an amount (e.g. a scale label) is charged it instead of price x quantity
+   * @param {number|null} orderDiscount - Document level discount to spread over the lines
+   *   instead of using the lines' own discounts
+   * @returns {Object} Line totals, document totals and tax breakdown in major units
+   */
+  calculate(lines, orderDiscount = null) {
+    const amounts = lines.map(line => {
+      if (line.amount !== null && line.amount !== undefined) {
+        return this.toMoney(line.amount);
+      }
+
+      return this.toMoney(line.price).multiply(parseFloat(line.quantity) || 0, this.roundingMode);
+    });
+
+    const discounts = orderDiscount !== null
+      ? this.toMoney(orderDiscount).allocate(amounts.map(amount => Math.abs(amount.minor)))
+      : lines.map(line => this.toMoney(line.discountAmount));
+
+    const taxable = amounts.map((amount, index) => amount.subtract(discounts[index]));
+    const { taxes, breakdown } = this.calculateTaxes(lines, taxable);
+
+    // With inclusive pricing the subtotal is what remains of the price once tax is taken out
+    const subtotals = amounts.map((amount, index) => this.pricesIncludeTax ? amount.subtract(taxes[index]) : amount);
+
+    const lineTotals = lines.map((line, index) => {
+      const total = subtotals[index].add(taxes[index]).subtract(discounts[index]);
+      return {
+        subtotal: subtotals[index].toNumber(),
+        taxAmount: taxes[index].toNumber(),
+        discountAmount: discounts[index].toNumber(),
+        total: total.toNumber()
+      };
+    });
+
+    const subtotal = Money.sum(subtotals, this.currency);
+    const taxAmount = Money.sum(taxes, this.currency);
+    const discountAmount = Money.sum(discounts, this.currency);
+
+    return {
+      lines: lineTotals,
+      subtotal: subtotal.toNumber(),
+      taxAmount: taxAmount.toNumber(),
+      discountAmount: discountAmount.toNumber(),
+      total: subtotal.add(taxAmount).subtract(discountAmount).toNumber(),
+      taxBreakdown: breakdown
+    };
+  }
+
+  /**
+   * Calculate the tax of each line according to the tax rounding policy
+   * @param {Array} lines - Lines
+   * @param {Array<Money>} taxable - Line amounts after discounts
+   * @returns {Object} Tax per line and breakdown per tax component
+   */
+  calculateTaxes(lines, taxable) {
+    // Unrounded tax and taxable base per line and component, in minor units
+    const exact = lines.map((line, index) => this.calculateLineTaxes(this.getComponents(line), taxable[index].minor));
+
+    const groups = {};
+    exact.forEach((components, lineIndex) => {
+      components.forEach(component => {
+        const key = `${component.id}|${component.rate}|${component.compound}`;
+        groups[key] = groups[key] || { component, entries: [] };
+        groups[key].entries.push({ lineIndex, ...component });
+      });
+    });
+
+    const taxes = lines.map(() => Money.zero(this.currency));
+    const breakdown = Object.values(groups).map(({ component, entries }) => {
+      let shares;
+
+      if (this.taxRounding === 'invoice') {
+        // Round once per component over the whole document, then spread the
+        // rounded tax back over the lines so they still add up exactly
+        const exactTotal = entries.reduce((sum, entry) => sum + entry.tax, 0);
+        shares = new Money(Money.round(exactTotal, this.roundingMode), this.currency)
+          .allocate(entries.map(entry => Math.abs(entry.tax)));
+      } else {
+        shares = entries.map(entry => new Money(Money.round(entry.tax, this.roundingMode), this.currency));
+      }
+
+      entries.forEach((entry, index) => {
+        taxes[entry.lineIndex] = taxes[entry.lineIndex].add(shares[index]);
+      });
+
+      const base = entries.reduce((sum, entry) => sum + entry.base, 0);
+      return {
+        taxId: component.id,
+        name: component.name,
+        rate: component.rate,
+        compound: component.compound,
+        taxableAmount: new Money(Money.round(base, this.roundingMode), this.currency).toNumber(),
+        taxAmount: Money.sum(shares, this.currency).toNumber()
+      };
+    });
+
+    return {
+      taxes,
+      breakdown
+    };
+  }
+
+  /**
+   * Calculate unrounded component taxes for a single line
+   * @param {Array} components - Tax components in application order
+   * @param {number} amount - Line amount after discounts in minor units (tax inclusive when prices include tax)
+   * @returns {Array} Components with their taxable base and tax in minor units
+   */
+  calculateLineTaxes(components, amount) {
+    // Tax of each component as a fraction of the net amount
+    let multiplier = 1;
+    const factors = components.map(component => {
+      const factor = (component.rate / 100) * (component.compound ? multiplier : 1);
+      multiplier += factor;
+      return factor;
+    });
+
+    const net = this.pricesIncludeTax ? amount / multiplier : amount;
+
+    let compoundBase = 1;
+    return components.map((component, index) => {
+      const base = net * (component.compound ? compoundBase : 1);
+      compoundBase += factors[index];
+
+      return {
+        ...component,
+        base,
+        tax: net * factors[index]
+      };
+    });
+  }
+
+  /**
+   * Get the tax components of a line
+   * Lines without components fall back to their single tax rate
+   * @param {Object} line - Line
+   * @returns {Array} Tax components
+   */
+  getComponents(line) {
+    if (Array.isArray(line.taxes)) {
+      return line.taxes.map(tax => ({
+        id: tax.id,
+        name: tax.name || tax.id,
+        rate: parseFloat(tax.rate) || 0,
+        compound: !!tax.compound
+      }));
+    }
+
+    const rate = parseFloat(line.taxRate) || 0;
+    return rate ? [{ id: 'tax', name: 'Tax', rate, compound: false }] : [];
+  }
+
+  /**
+   * Convert an amount in major units to Money
+   * @param {number} amount - Amount in major units
+   * @returns {Money} Money amount
+   */
+  toMoney(amount) {
+    return Money.fromMajor(amount || 0, this.currency, this.roundingMode);
+  }
+
+  /**
+   * Create a calculator from the store settings
+   * @param {Object} databaseService - Database service instance
+   * @returns {TotalsCalculator} Calculator
+   */
+  static fromSettings(databaseService) {
+    return new TotalsCalculator({
+      currency: databaseService.getSetting('currency', 'USD'),
+      roundingMode: databaseService.getSetting('roundingMode', 'half_up'),
+      taxRounding: databaseService.getSetting('taxRounding', 'line'),
+      pricesIncludeTax: databaseService.getSetting('pricesIncludeTax', false)
+    });
+  }
+}
+
+// Supported tax rounding policies
+TotalsCalculator.TAX_ROUNDING = ['line', 'invoice'];
+
+// Export the TotalsCalculator class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TotalsCalculator;
+}
@@ -10,13 +10,23 @@ class Transaction {
    */
   constructor(data = {}) {
     this.id = data.id || 'txn_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.type = data.type || 'sale'; // sale, refund
+    this.originalTransactionId = data.originalTransactionId || null; // Sale a refund was issued against
+    this.refundTransactionIds = data.refundTransactionIds || []; // Refunds issued against a sale
     this.items = data.items || [];
     this.subtotal = parseFloat(data.subtotal) || 0;
     this.taxAmount = parseFloat(data.taxAmount) || 0;
     this.discountAmount = parseFloat(data.discountAmount) || 0;
     this.total = parseFloat(data.total) || 0;
+    this.currency = data.currency || 'USD';
+    this.roundingMode = data.roundingMode || 'half_up'; // half_up, half_even
+    this.taxRounding = data.taxRounding || 'line'; // line, invoice
+    this.pricesIncludeTax = !!data.pricesIncludeTax;
+    this.taxBreakdown = data.taxBreakdown || []; // Tax per component ({ taxId, name, rate, taxableAmount, taxAmount })
+    this.taxExemption = data.taxExemption || null; // Exemption certificate applied ({ id, certificateNumber })
     this.status = data.status || 'pending'; // pending, completed, voided
-    this.paymentMethods = data.paymentMethods || [];
+    this.paymentMethods = data.paymentMethods || []; // Tenders ({ id, type, amount, change, reference, timestamp })
+    this.changeAmount = parseFloat(data.changeAmount) || 0;
     this.customerId = data.customerId || null;
     this.employeeId = data.employeeId || null;
     this.storeId = data.storeId || null;
@@ -37,16 +47,35 @@ class Transaction {
       errors.push('Transaction must have at least one item');
     }
 
-    if (this.subtotal < 0) {
-      errors.push('Subtotal cannot be negative');
+    if (!['sale', 'refund'].includes(this.type)) {
+      errors.push('Transaction type must be sale or refund');
     }
 
-    if (this.taxAmount < 0) {
-      errors.push('Tax amount cannot be negative');
-    }
+    if (this.type === 'refund') {
+      // Refunds carry negative quantities and totals so they net against sales
+      if (!this.originalTransactionId) {
+        errors.push('Refund must reference the original transaction');
+      }
+
+      if (this.items.some(item => item.quantity >= 0)) {
+        errors.push('Refund item quantities must be negative');
+      }
+
+      if (this.subtotal > 0 || this.taxAmount > 0 || this.discountAmount > 0) {
+        errors.push('Refund totals cannot be positive');
+      }
+    } else {
+      if (this.subtotal < 0) {
+        errors.push('Subtotal cannot be negative');
+      }
 
-    if (this.discountAmount < 0) {
-      errors.push('Discount amount cannot be negative');
+      if (this.taxAmount < 0) {
+        errors.push('Tax amount cannot be negative');
+      }
+
+      if (this.discountAmount < 0) {
+        errors.push('Discount amount cannot be negative');
+      }
     }
 
     if (!this.employeeId) {
@@ -78,15 +107,20 @@ class Transaction {
 
     if (existingItemIndex >= 0) {
       // Update existing item
-      this.items[existingItemIndex].quantity += item.quantity;
+      const UnitOfMeasure = require('./UnitOfMeasure');
+      this.items[existingItemIndex].quantity = UnitOfMeasure.round(this.items[existingItemIndex].quantity + item.quantity);
     } else {
       // Add new item
       this.items.push({
         productId: item.productId,
+        parentId: item.parentId || null,
         name: item.name,
         priceAtSale: parseFloat(item.priceAtSale) || 0,
+        costAtSale: item.costAtSale !== undefined ? item.costAtSale : null,
         taxRateAtSale: parseFloat(item.taxRateAtSale) || 0,
-        quantity: parseInt(item.quantity) || 1,
+        quantity: parseFloat(item.quantity) || 1,
+        unitOfMeasure: item.unitOfMeasure || 'ea',
+        components: item.components, // Bundles only
         recognitionMethod: item.recognitionMethod || 'manual',
         recognitionConfidence: parseFloat(item.recognitionConfidence) || 1
       });
@@ -142,24 +176,35 @@ class Transaction {
    * @returns {void}
    */
   calculateTotals() {
-    // Calculate subtotal
-    this.subtotal = this.items.reduce((sum, item) => {
-      return sum + (item.priceAtSale * item.quantity);
-    }, 0);
-
-    // Calculate tax amount
-    this.taxAmount = this.items.reduce((sum, item) => {
-      const itemTax = item.taxRateAtSale ? item.priceAtSale * item.quantity * (item.taxRateAtSale / 100) : 0;
-      return sum + itemTax;
-    }, 0);
-
-    // Calculate total
-    this.total = this.subtotal + this.taxAmount - this.discountAmount;
-
-    // Round to 2 decimal places
-    this.subtotal = parseFloat(this.subtotal.toFixed(2));
-    this.taxAmount = parseFloat(this.taxAmount.toFixed(2));
-    this.total = parseFloat(this.total.toFixed(2));
+    const TotalsCalculator = require('./TotalsCalculator');
+    const calculator = new TotalsCalculator({
+      currency: this.currency,
+      roundingMode: this.roundingMode,
+      taxRounding: this.taxRounding,
+      pricesIncludeTax: this.pricesIncludeTax
+    });
+
+    // Lines carry their own discounts once promotions have been applied;
+    // otherwise the transaction discount is spread over the lines
+    const hasLineDiscounts = this.items.some(item => item.discountAmount !== undefined);
+    const totals = calculator.calculate(this.items.map(item => ({
+      price: item.priceAtSale,
+      quantity: item.quantity,
+      amount: item.labelPrice,
+      taxRate: item.taxRateAtSale,
+      taxes: item.taxes,
+      discountAmount: item.discountAmount
+    })), hasLineDiscounts ? null : this.discountAmount);
+
+    this.items.forEach((item, index) => {
+      item.taxAmount = totals.lines[index].taxAmount;
+    });
+
+    this.subtotal = totals.subtotal;
+    this.taxAmount = totals.taxAmount;
+    this.discountAmount = totals.discountAmount;
+    this.total = totals.total;
+    this.taxBreakdown = totals.taxBreakdown;
   }
 
   /**
@@ -183,20 +228,69 @@ class Transaction {
    * @returns {boolean} Success status
    */
   addPaymentMethod(paymentMethod) {
-    if (!paymentMethod || !paymentMethod.type || !paymentMethod.amount) {
+    if (this.getPaymentError(paymentMethod)) {
       return false;
     }
 
-    this.paymentMethods.push({
+    const Tender = require('./Tender');
+    this.paymentMethods.push(new Tender({
       type: paymentMethod.type,
-      amount: parseFloat(paymentMethod.amount),
-      reference: paymentMethod.reference || null,
-      timestamp: paymentMethod.timestamp || new Date().toISOString()
-    });
+      amount: paymentMethod.amount,
+      reference: paymentMethod.reference,
+      timestamp: paymentMethod.timestamp
+    }).toObject());
 
     return true;
   }
 
+  /**
+   * Check whether a payment method can be added
+   * @param {Object} paymentMethod - Payment method
+   * @returns {string|null} Error message or null if the payment can be added
+   */
+  getPaymentError(paymentMethod) {
+    if (this.status !== 'pending') {
+      return 'Payments can only be changed on pending transactions';
+    }
+
+    if (!paymentMethod) {
+      return 'Payment method is required';
+    }
+
+    const Tender = require('./Tender');
+    const tender = new Tender({ type: paymentMethod.type, amount: paymentMethod.amount });
+    const validation = tender.validate();
+    if (!validation.isValid) {
+      return validation.errors.join(', ');
+    }
+
+    return tender.checkAgainstBalance(this.getBalance().balanceDue, this.currency);
+  }
+
+  /**
+   * Remove a payment method before the transaction is completed
+   * @param {string} tenderId - Tender ID
+   * @returns {boolean} Success status
+   */
+  removePaymentMethod(tenderId) {
+    if (this.status !== 'pending') {
+      return false;
+    }
+
+    const initialLength = this.paymentMethods.length;
+    this.paymentMethods = this.paymentMethods.filter(method => method.id !== tenderId);
+    return this.paymentMethods.length !== initialLength;
+  }
+
+  /**
+   * Get the amount paid and the balance left
+   * @returns {Object} Amount paid, balance due and change due
+   */
+  getBalance() {
+    const Tender = require('./Tender');
+    return Tender.getBalance(this.total, this.paymentMethods, this.currency);
+  }
+
   /**
    * Complete transaction
    * @returns {boolean} Success status
@@ -206,17 +300,55 @@ class Transaction {
       return false;
     }
 
-    // Check if payment is sufficient
-    const totalPaid = this.paymentMethods.reduce((sum, method) => sum + method.amount, 0);
-    if (totalPaid < this.total) {
+    // Check if payment is sufficient (compared in minor units to avoid float drift)
+    const balance = this.getBalance();
+    if (balance.balanceDue > 0) {
+      return false;
+    }
+
+    // Only cash can give change; the total may have dropped since a card was taken
+    const Money = require('./Money');
+    const cashTenders = this.paymentMethods.filter(method => method.type === 'cash');
+    const cashPaid = Money.sum(cashTenders.map(method => Money.fromMajor(method.amount, this.currency)), this.currency);
+    let change = Money.fromMajor(balance.changeDue, this.currency);
+    if (change.compare(cashPaid) > 0) {
       return false;
     }
 
+    // Give change out of the most recent cash tenders first
+    this.changeAmount = change.toNumber();
+    cashTenders.slice().reverse().forEach(method => {
+      const amount = Money.fromMajor(method.amount, this.currency);
+      const given = change.compare(amount) > 0 ? amount : change;
+      method.change = given.toNumber();
+      change = change.subtract(given);
+    });
+
     this.status = 'completed';
     this.completedAt = new Date().toISOString();
     return true;
   }
 
+  /**
+   * Get quantities already refunded per product
+   * @param {Array} refunds - Refund transactions issued against this sale
+   * @returns {Object} Refunded quantity keyed by product ID
+   */
+  getRefundedQuantities(refunds = []) {
+    const UnitOfMeasure = require('./UnitOfMeasure');
+    const refunded = {};
+
+    refunds
+      .filter(refund => refund.type === 'refund' && refund.originalTransactionId === this.id && refund.status !== 'voided')
+      .forEach(refund => {
+        refund.items.forEach(item => {
+          refunded[item.productId] = UnitOfMeasure.round((refunded[item.productId] || 0) + Math.abs(item.quantity));
+        });
+      });
+
+    return refunded;
+  }
+
   /**
    * Void transaction
    * @param {string} reason - Void reason
@@ -227,6 +359,11 @@ class Transaction {
       return false;
     }
 
+    // Refunds and sales that already have refunds cannot be voided
+    if (this.type === 'refund' || this.refundTransactionIds.length > 0) {
+      return false;
+    }
+
     this.status = 'voided';
     this.voidedAt = new Date().toISOString();
     this.notes += reason ? `\nVoided: ${reason}` : '\nVoided';
@@ -240,13 +377,23 @@ class Transaction {
   toObject() {
     return {
       id: this.id,
+      type: this.type,
+      originalTransactionId: this.originalTransactionId,
+      refundTransactionIds: this.refundTransactionIds,
       items: this.items,
       subtotal: this.subtotal,
       taxAmount: this.taxAmount,
       discountAmount: this.discountAmount,
       total: this.total,
+      currency: this.currency,
+      roundingMode: this.roundingMode,
+      taxRounding: this.taxRounding,
+      pricesIncludeTax: this.pricesIncludeTax,
+      taxBreakdown: this.taxBreakdown,
+      taxExemption: this.taxExemption,
       status: this.status,
       paymentMethods: this.paymentMethods,
+      changeAmount: this.changeAmount,
       customerId: this.customerId,
       employeeId: this.employeeId,
       storeId: this.storeId,
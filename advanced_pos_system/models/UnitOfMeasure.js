@@ -0,0 +1,96 @@
+/**
+ * Unit of Measure for Advanced POS System
+ * Units that products are sold and stocked in, with conversions within a dimension
+ *
+ * Products sold by unit are counted in whole units (ea). Products sold by weight or
+ * volume are priced per unit of measure (e.g. per kg) and their quantities are kept
+ * to QUANTITY_DECIMALS decimals (grams or millilitres for metric units).
+ */
+
+class UnitOfMeasure {
+  /**
+   * Get the dimension a unit measures
+   * @param {string} unit - Unit code
+   * @returns {string|null} unit, weight or volume, or null for unknown units
+   */
+  static getDimension(unit) {
+    const definition = UnitOfMeasure.UNITS[unit];
+    return definition ? definition.dimension : null;
+  }
+
+  /**
+   * Get the units of a dimension
+   * @param {string} dimension - unit, weight or volume
+   * @returns {Array} Unit codes
+   */
+  static getUnits(dimension) {
+    return Object.keys(UnitOfMeasure.UNITS).filter(unit => UnitOfMeasure.UNITS[unit].dimension === dimension);
+  }
+
+  /**
+   * Convert a quantity between two units of the same dimension
+   * @param {number} quantity - Quantity in the source unit
+   * @param {string} from - Source unit
+   * @param {string} to - Target unit
+   * @returns {number} Quantity in the target unit, rounded to QUANTITY_DECIMALS
+   * @throws {Error} When the units are unknown or measure different things
+   */
+  static convert(quantity, from, to) {
+    const source = UnitOfMeasure.UNITS[from];
+    const target = UnitOfMeasure.UNITS[to];
+    if (!source || !target) {
+      throw new Error(`Unknown unit of measure: ${!source ? from : to}`);
+    }
+
+    if (source.dimension !== target.dimension) {
+      throw new Error(`Cannot convert ${from} to ${to}`);
+    }
+
+    return UnitOfMeasure.round(quantity * source.factor / target.factor);
+  }
+
+  /**
+   * Round a quantity to the precision quantities are kept in
+   * @param {number} quantity - Quantity
+   * @returns {number} Rounded quantity
+   */
+  static round(quantity) {
+    const scale = Math.pow(10, UnitOfMeasure.QUANTITY_DECIMALS);
+    return Math.round((parseFloat(quantity) || 0) * scale) / scale;
+  }
+
+  /**
+   * Format a quantity with its unit for receipts and the cart
+   * @param {number} quantity - Quantity
+   * @param {string} unit - Unit code
+   * @returns {string} Formatted quantity (e.g. "0.347 kg", or "2" for units)
+   */
+  static format(quantity, unit) {
+    if (!unit || UnitOfMeasure.getDimension(unit) === 'unit') {
+      return String(quantity);
+    }
+
+    return `${UnitOfMeasure.round(quantity).toFixed(UnitOfMeasure.QUANTITY_DECIMALS)} ${UnitOfMeasure.UNITS[unit].label}`;
+  }
+}
+
+// Units by code: what they measure, their size in the base unit of the dimension (ea, kg, l) and receipt label
+UnitOfMeasure.UNITS = {
+  ea: { dimension: 'unit', factor: 1, label: 'ea' },
+  kg: { dimension: 'weight', factor: 1, label: 'kg' },
+  g: { dimension: 'weight', factor: 0.001, label: 'g' },
+  lb: { dimension: 'weight', factor: 0.45359237, label: 'lb' },
+  oz: { dimension: 'weight', factor: 0.028349523125, label: 'oz' },
+  l: { dimension: 'volume', factor: 1, label: 'l' },
+  ml: { dimension: 'volume', factor: 0.001, label: 'ml' },
+  gal: { dimension: 'volume', factor: 3.785411784, label: 'gal' },
+  fl_oz: { dimension: 'volume', factor: 0.0295735295625, label: 'fl oz' }
+};
+
+// Decimals quantities of weighed and measured products are kept to
+UnitOfMeasure.QUANTITY_DECIMALS = 3;
+
+// Export the UnitOfMeasure class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnitOfMeasure;
+}
@@ -0,0 +1,114 @@
+/**
+ * Vision Model Version for Advanced POS System
+ * An immutable snapshot of everything product recognition depends on: the recognizer
+ * backend and the signatures of every product at the time the version was created
+ *
+ * Training only changes the draft signatures stored on products. A version freezes
+ * them so it can be promoted, rolled back to, or evaluated in shadow mode.
+ */
+
+class VisionModelVersion {
+  /**
+   * Create a new VisionModelVersion
+   * @param {Object} data - Version data
+   */
+  constructor(data = {}) {
+    this.id = data.id || 'vm_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+    this.number = parseInt(data.number) || 0;
+    this.notes = data.notes || '';
+    this.recognizer = data.recognizer || {}; // { backend, modelPath, options, modelId }
+    this.signatures = data.signatures || {}; // Product ID -> { positive: [...], negative: [...] }
+    this.metadata = data.metadata || {}; // Training metadata (counts, last training, parent version)
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Validate version data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (this.number <= 0) {
+      errors.push('Version number must be positive');
+    }
+
+    if (!this.recognizer.backend) {
+      errors.push('Recognizer backend is required');
+    }
+
+    if (this.getSignatureCount() === 0) {
+      errors.push('Cannot create a version without trained products');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get the number of positive signatures
+   * @returns {number} Signature count
+   */
+  getSignatureCount() {
+    return Object.values(this.signatures).reduce((count, entry) => count + (entry.positive || []).length, 0);
+  }
+
+  /**
+   * Get the label shown in version listings
+   * @returns {string} Label
+   */
+  getLabel() {
+    return `v${this.number}`;
+  }
+
+  /**
+   * Get the version without its signatures, for listings
+   * @returns {Object} Summary
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      number: this.number,
+      label: this.getLabel(),
+      notes: this.notes,
+      recognizer: this.recognizer,
+      metadata: this.metadata,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Convert to plain object
+   * @returns {Object} Plain object representation
+   */
+  toObject() {
+    return {
+      id: this.id,
+      number: this.number,
+      notes: this.notes,
+      recognizer: this.recognizer,
+      signatures: this.signatures,
+      metadata: this.metadata,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create VisionModelVersion from plain object
+   * @param {Object} obj - Plain object
+   * @returns {VisionModelVersion} VisionModelVersion instance
+   */
+  static fromObject(obj) {
+    return new VisionModelVersion(obj);
+  }
+}
+
+// Export the VisionModelVersion class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VisionModelVersion;
+}
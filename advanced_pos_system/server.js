@@ -1,6 +1,8 @@
 const express = require('express');
 const path = require('path');
 const twilio = require('twilio');
+const posApp = require('./app');
+const ExpressAPIAdapter = require('./services/ExpressAPIAdapter');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,6 +13,8 @@ const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN || 'YOUR_TWILIO_AUTH_TOK
 const TWILIO_WHATSAPP_NUMBER = process.env.TWILIO_WHATSAPP_NUMBER || 'whatsapp:+YOUR_TWILIO_WHATSAPP_NUMBER';
 const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 
+// Vision endpoints receive base64 camera frames, far above the default 100kb body limit
+app.use('/api/vision', express.json({ limit: process.env.VISION_BODY_LIMIT || '20mb' }));
 app.use(express.json()); // For parsing JSON bodies
 
 // Serve static files from the public directory
@@ -39,11 +43,25 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Advanced POS System backend is running.' });
 });
 
-// Fallback to index.html for SPA routing
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+// Mount the POS API endpoints registered on APIService
+posApp.initialize().then(initialized => {
+  if (!initialized) {
+    console.error('Failed to initialize the POS application; not starting the server');
+    process.exit(1);
+  }
+
+  const apiAdapter = new ExpressAPIAdapter(posApp.getService('api'), posApp.getService('auth'));
+  app.use(apiAdapter.createRouter());
+
+  // Fallback to index.html for SPA routing
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
+  app.listen(PORT, () => {
+    console.log(`Server is running on http://localhost:${PORT}`);
+  });
+}).catch(error => {
+  console.error('Failed to start the server:', error);
+  process.exit(1);
 });
@@ -45,14 +45,71 @@ class APIService {
     this.registerEndpoint('DELETE /api/products/:id', this.deleteProduct.bind(this), ['products:delete']);
     this.registerEndpoint('GET /api/products/category/:category', this.getProductsByCategory.bind(this), ['products:read']);
     this.registerEndpoint('GET /api/products/search/:query', this.searchProducts.bind(this), ['products:read']);
+    this.registerEndpoint('GET /api/products/scan/:code', this.scanProduct.bind(this), ['products:read']);
+    this.registerEndpoint('GET /api/products/:id/variants', this.getProductVariants.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/products/:id/variants', this.setProductOptions.bind(this), ['products:create']);
+    this.registerEndpoint('GET /api/products/:id/components', this.getBundleComponents.bind(this), ['products:read']);
+
+    // Inventory endpoints
+    this.registerEndpoint('GET /api/products/:id/movements', this.getStockMovements.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/products/:id/movements', this.createStockMovement.bind(this), ['products:update']);
+    this.registerEndpoint('GET /api/inventory/reconcile', this.getStockReconciliation.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/inventory/reconcile', this.reconcileStock.bind(this), ['products:update']);
+    this.registerEndpoint('GET /api/inventory/reorder-suggestions', this.getReorderSuggestions.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/inventory/reorder-suggestions/purchase-orders', this.createReorderPurchaseOrders.bind(this), ['products:update']);
+
+    // Promotion endpoints
+    this.registerEndpoint('GET /api/promotions', this.getPromotions.bind(this), ['products:read']);
+    this.registerEndpoint('GET /api/promotions/:id', this.getPromotionById.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/promotions', this.createPromotion.bind(this), ['products:update']);
+    this.registerEndpoint('PUT /api/promotions/:id', this.updatePromotion.bind(this), ['products:update']);
+    this.registerEndpoint('DELETE /api/promotions/:id', this.deletePromotion.bind(this), ['products:update']);
 
     // Transaction endpoints
     this.registerEndpoint('GET /api/transactions', this.getTransactions.bind(this), ['transactions:read']);
     this.registerEndpoint('GET /api/transactions/:id', this.getTransactionById.bind(this), ['transactions:read']);
     this.registerEndpoint('POST /api/transactions', this.createTransaction.bind(this), ['transactions:create']);
     this.registerEndpoint('PUT /api/transactions/:id', this.updateTransaction.bind(this), ['transactions:update']);
+    this.registerEndpoint('POST /api/transactions/:id/payments', this.addTransactionPayment.bind(this), ['transactions:update']);
+    this.registerEndpoint('DELETE /api/transactions/:id/payments/:paymentId', this.removeTransactionPayment.bind(this), ['transactions:update']);
     this.registerEndpoint('POST /api/transactions/:id/complete', this.completeTransaction.bind(this), ['transactions:update']);
     this.registerEndpoint('POST /api/transactions/:id/void', this.voidTransaction.bind(this), ['transactions:void']);
+    this.registerEndpoint('GET /api/transactions/:id/returnable', this.getReturnableItems.bind(this), ['transactions:read']);
+    this.registerEndpoint('POST /api/transactions/:id/returns', this.createReturn.bind(this), ['transactions:void']);
+    this.registerEndpoint('GET /api/transactions/:id/receipt', this.getReceipt.bind(this), ['transactions:read']);
+
+    // Held sale endpoints
+    this.registerEndpoint('GET /api/held-sales', this.getHeldSales.bind(this), ['transactions:read']);
+    this.registerEndpoint('GET /api/held-sales/:id', this.getHeldSaleById.bind(this), ['transactions:read']);
+    this.registerEndpoint('POST /api/held-sales', this.holdSale.bind(this), ['transactions:create']);
+    this.registerEndpoint('POST /api/held-sales/:id/recall', this.recallHeldSale.bind(this), ['transactions:create']);
+    this.registerEndpoint('DELETE /api/held-sales/:id', this.deleteHeldSale.bind(this), ['transactions:create']);
+
+    // Scale endpoints
+    this.registerEndpoint('GET /api/scale/weight', this.readScale.bind(this), ['transactions:create']);
+
+    // Report endpoints
+    this.registerEndpoint('GET /api/reports/sales', this.getSalesReport.bind(this), ['reports:read']);
+    this.registerEndpoint('GET /api/reports/loss-prevention', this.getLossPreventionReport.bind(this), ['reports:read']);
+
+    // Loss prevention endpoints
+    this.registerEndpoint('GET /api/loss-prevention/events', this.getLossPreventionEvents.bind(this), ['reports:read']);
+    this.registerEndpoint('POST /api/loss-prevention/events/:id/review', this.reviewLossPreventionEvent.bind(this), ['transactions:void']);
+
+    // Supplier endpoints
+    this.registerEndpoint('GET /api/suppliers', this.getSuppliers.bind(this), ['products:read']);
+    this.registerEndpoint('GET /api/suppliers/:id', this.getSupplierById.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/suppliers', this.createSupplier.bind(this), ['products:update']);
+    this.registerEndpoint('PUT /api/suppliers/:id', this.updateSupplier.bind(this), ['products:update']);
+
+    // Purchase order endpoints
+    this.registerEndpoint('GET /api/purchase-orders', this.getPurchaseOrders.bind(this), ['products:read']);
+    this.registerEndpoint('GET /api/purchase-orders/:id', this.getPurchaseOrderById.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/purchase-orders', this.createPurchaseOrder.bind(this), ['products:update']);
+    this.registerEndpoint('PUT /api/purchase-orders/:id', this.updatePurchaseOrder.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/purchase-orders/:id/send', this.sendPurchaseOrder.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/purchase-orders/:id/receive', this.receivePurchaseOrder.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/purchase-orders/:id/close', this.closePurchaseOrder.bind(this), ['products:update']);
 
     // User endpoints
     this.registerEndpoint('GET /api/users', this.getUsers.bind(this), ['users:read']);
@@ -74,11 +131,32 @@ class APIService {
     this.registerEndpoint('GET /api/settings/:key', this.getSetting.bind(this), ['settings:read']);
     this.registerEndpoint('PUT /api/settings/:key', this.updateSetting.bind(this), ['settings:update']);
 
+    // Tax exemption endpoints
+    this.registerEndpoint('GET /api/tax-exemptions', this.getTaxExemptions.bind(this), ['settings:read']);
+    this.registerEndpoint('POST /api/tax-exemptions', this.createTaxExemption.bind(this), ['settings:update']);
+    this.registerEndpoint('DELETE /api/tax-exemptions/:id', this.deleteTaxExemption.bind(this), ['settings:update']);
+
     // Vision AI endpoints
     this.registerEndpoint('POST /api/vision/process', this.processImage.bind(this), ['products:read']);
     this.registerEndpoint('POST /api/vision/train', this.trainModel.bind(this), ['products:update']);
     this.registerEndpoint('GET /api/vision/model-info', this.getModelInfo.bind(this), ['products:read']);
     this.registerEndpoint('PUT /api/vision/threshold', this.setConfidenceThreshold.bind(this), ['settings:update']);
+    this.registerEndpoint('GET /api/vision/calibration', this.getVisionCalibration.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/vision/calibration', this.fitVisionCalibration.bind(this), ['settings:update']);
+    this.registerEndpoint('DELETE /api/vision/calibration', this.clearVisionCalibration.bind(this), ['settings:update']);
+    this.registerEndpoint('PUT /api/vision/background', this.setVisionBackground.bind(this), ['settings:update']);
+    this.registerEndpoint('DELETE /api/vision/background', this.clearVisionBackground.bind(this), ['settings:update']);
+    this.registerEndpoint('POST /api/vision/feedback', this.recordRecognitionFeedback.bind(this), ['transactions:create']);
+    this.registerEndpoint('GET /api/vision/feedback', this.getRecognitionFeedback.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/vision/feedback/apply', this.applyRecognitionFeedback.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/vision/feedback/:id/review', this.reviewRecognitionFeedback.bind(this), ['products:update']);
+    this.registerEndpoint('GET /api/vision/models', this.getVisionModels.bind(this), ['products:read']);
+    this.registerEndpoint('POST /api/vision/models', this.createVisionModel.bind(this), ['products:update']);
+    this.registerEndpoint('POST /api/vision/models/rollback', this.rollbackVisionModel.bind(this), ['settings:update']);
+    this.registerEndpoint('POST /api/vision/models/:id/promote', this.promoteVisionModel.bind(this), ['settings:update']);
+    this.registerEndpoint('POST /api/vision/models/:id/shadow', this.startVisionShadow.bind(this), ['settings:update']);
+    this.registerEndpoint('DELETE /api/vision/shadow', this.stopVisionShadow.bind(this), ['settings:update']);
+    this.registerEndpoint('GET /api/vision/models/:id/shadow-report', this.getVisionShadowReport.bind(this), ['products:read']);
   }
 
   /**
@@ -100,9 +178,10 @@ class APIService {
    * @param {string} path - Request path
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
+   * @param {Object} context - Request context (e.g. the user resolved by the HTTP adapter)
    * @returns {Promise<Object>} Response
    */
-  async handleRequest(path, params = {}, data = {}) {
+  async handleRequest(path, params = {}, data = {}, context = {}) {
     try {
       // Extract endpoint pattern from path
       const pathParts = path.split(' ');
@@ -121,7 +200,8 @@ class APIService {
 
       // Check authentication for protected endpoints
       if (endpoint.permissions.length > 0) {
-        if (!this.auth.isAuthenticated()) {
+        const user = this.resolveUser(context);
+        if (!user) {
           return {
             success: false,
             status: 401,
@@ -130,7 +210,7 @@ class APIService {
         }
 
         // Check permissions
-        const hasPermission = endpoint.permissions.every(permission => this.auth.hasPermission(permission));
+        const hasPermission = endpoint.permissions.every(permission => this.auth.hasPermission(permission, user));
         if (!hasPermission) {
           return {
             success: false,
@@ -141,7 +221,7 @@ class APIService {
       }
 
       // Call endpoint handler
-      const result = await endpoint.handler(params, data);
+      const result = await endpoint.handler(params, data, context);
       return result;
     } catch (error) {
       console.error('Error handling API request:', error);
@@ -153,6 +233,39 @@ class APIService {
     }
   }
 
+  /**
+   * Resolve the user making a request
+   * @param {Object} context - Request context
+   * @returns {Object|null} User or null if not authenticated
+   */
+  resolveUser(context = {}) {
+    if (this.isRequestScoped(context)) {
+      return context.user;
+    }
+
+    return this.auth.getCurrentUser();
+  }
+
+  /**
+   * Resolve the ID of the user making a request
+   * @param {Object} context - Request context
+   * @returns {string|null} User ID or null if not authenticated
+   */
+  resolveUserId(context = {}) {
+    const user = this.resolveUser(context);
+    return user ? user.id : null;
+  }
+
+  /**
+   * Check whether a request carries its own caller instead of using the current user
+   * @param {Object} context - Request context
+   * @returns {boolean} Is request scoped
+   */
+  isRequestScoped(context = {}) {
+    // Requests dispatched over HTTP carry their own caller, even when anonymous
+    return !!context && context.user !== undefined;
+  }
+
   /**
    * Find matching endpoint
    * @param {string} method - HTTP method
@@ -215,7 +328,12 @@ class APIService {
       // Check if part is a parameter
       if (patternPart.startsWith(':')) {
         const paramName = patternPart.substring(1);
-        params[paramName] = pathPart;
+        try {
+          params[paramName] = decodeURIComponent(pathPart);
+        } catch (error) {
+          // Keep malformed escape sequences as-is
+          params[paramName] = pathPart;
+        }
       } else if (patternPart !== pathPart) {
         // Parts don't match
         return null;
@@ -287,9 +405,10 @@ class APIService {
    * Create product
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async createProduct(params, data) {
+  async createProduct(params, data, context = {}) {
     try {
       // Validate product data
       if (!data.name || data.price === undefined) {
@@ -300,6 +419,15 @@ class APIService {
         };
       }
 
+      // Variants are generated from the options of their parent
+      if (data.parentId) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Variants are created from the options of their parent'
+        };
+      }
+
       // Create product
       const Product = require('../models/Product');
       const product = new Product(data);
@@ -314,7 +442,39 @@ class APIService {
         };
       }
 
-      // Save product
+      // Stock of a parent is kept per variant
+      if (product.isParent() && product.stock > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Stock of a product with options is kept per variant'
+        };
+      }
+
+      if (product.supplierId && !this.db.getSupplierById(product.supplierId)) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Supplier not found'
+        };
+      }
+
+      // A bundle holds no stock; its components do
+      if (product.isBundle()) {
+        const bundleError = this.getBundleError(product);
+        if (bundleError) {
+          return {
+            success: false,
+            status: 400,
+            message: bundleError
+          };
+        }
+      }
+
+      // Save product with zero stock; the initial stock goes through the ledger
+      const openingStock = product.stock;
+      product.stock = 0;
+
       const saved = this.db.saveProduct(product.toObject());
       if (!saved) {
         return {
@@ -324,10 +484,36 @@ class APIService {
         };
       }
 
+      if (openingStock > 0) {
+        const InventoryService = require('./InventoryService');
+        const inventory = new InventoryService(this.db);
+        inventory.recordMovement({
+          productId: product.id,
+          type: 'opening',
+          quantity: openingStock,
+          userId: this.resolveUserId(context),
+          reason: 'Opening balance'
+        });
+      }
+
+      // Generate the variants of a parent
+      if (product.isParent()) {
+        const ProductVariantService = require('./ProductVariantService');
+        const result = new ProductVariantService(this.db).setOptions(product.id, product.options);
+        if (!result.success) {
+          this.db.deleteProduct(product.id);
+          return {
+            success: false,
+            status: 400,
+            message: result.message
+          };
+        }
+      }
+
       return {
         success: true,
         status: 201,
-        data: product.toObject()
+        data: this.db.getProductById(product.id)
       };
     } catch (error) {
       console.error('Error creating product:', error);
@@ -343,9 +529,10 @@ class APIService {
    * Update product
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async updateProduct(params, data) {
+  async updateProduct(params, data, context = {}) {
     try {
       // Get product
       const existingProduct = this.db.getProductById(params.id);
@@ -357,10 +544,62 @@ class APIService {
         };
       }
 
+      // Stock edits are recorded as ledger adjustments instead of being written directly
+      const { stock, stockReason, ...productData } = data;
+
       // Update product
       const Product = require('../models/Product');
       const product = Product.fromObject(existingProduct);
-      product.update(data);
+      product.update(productData);
+
+      // A variant without a price override sells at its parent's price
+      if (product.isVariant()) {
+        const parent = this.db.getProductById(product.parentId);
+        if (product.priceOverride !== null) {
+          product.price = product.priceOverride;
+        } else if (parent) {
+          product.price = parent.price;
+        }
+      }
+
+      if (data.supplierId && !this.db.getSupplierById(data.supplierId)) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Supplier not found'
+        };
+      }
+
+      if (stock !== undefined && product.isParent()) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Stock of a product with options is kept per variant'
+        };
+      }
+
+      if (product.isBundle()) {
+        const bundleError = this.getBundleError(product, stock);
+        if (bundleError) {
+          return {
+            success: false,
+            status: 400,
+            message: bundleError
+          };
+        }
+      }
+
+      // Stock is counted in the product's unit of measure
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const stockDelta = stock !== undefined ? UnitOfMeasure.round(product.parseQuantity(stock) - existingProduct.stock) : 0;
+
+      if (stock !== undefined && (isNaN(parseFloat(stock)) || parseFloat(stock) < 0)) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Stock cannot be negative'
+        };
+      }
 
       // Validate product
       const validation = product.validate();
@@ -382,10 +621,28 @@ class APIService {
         };
       }
 
+      if (stockDelta !== 0) {
+        const InventoryService = require('./InventoryService');
+        const inventory = new InventoryService(this.db);
+        inventory.recordMovement({
+          productId: product.id,
+          type: 'adjustment',
+          quantity: stockDelta,
+          userId: this.resolveUserId(context),
+          reason: stockReason || 'Manual stock edit'
+        });
+      }
+
+      // Carry name, price, category, tax and unit changes over to the variants
+      if (product.isParent()) {
+        const ProductVariantService = require('./ProductVariantService');
+        new ProductVariantService(this.db).syncVariants(product.id);
+      }
+
       return {
         success: true,
         status: 200,
-        data: product.toObject()
+        data: this.db.getProductById(product.id)
       };
     } catch (error) {
       console.error('Error updating product:', error);
@@ -415,6 +672,26 @@ class APIService {
         };
       }
 
+      // Variants would be left without a parent
+      const variantCount = this.db.getVariants(product.id).length;
+      if (variantCount > 0) {
+        return {
+          success: false,
+          status: 409,
+          message: `Product has ${variantCount} variants; delete them first`
+        };
+      }
+
+      // Bundles would be left with a missing component
+      const bundles = this.db.getBundlesContaining(product.id);
+      if (bundles.length > 0) {
+        return {
+          success: false,
+          status: 409,
+          message: `Product is a component of ${bundles.map(bundle => bundle.name).join(', ')}; remove it from them first`
+        };
+      }
+
       // Delete product
       const deleted = this.db.deleteProduct(params.id);
       if (!deleted) {
@@ -488,529 +765,558 @@ class APIService {
     }
   }
 
-  // Transaction endpoints
-
   /**
-   * Get all transactions
+   * Look up a scanned code: a product barcode or SKU, or a price-embedded scale label
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response
+   * @returns {Promise<Object>} Response with the product and the quantity to sell
    */
-  async getTransactions(params, data) {
+  async scanProduct(params, data) {
     try {
-      const transactions = this.db.getTransactions();
+      const product = this.db.getProductByBarcode(params.code);
+      if (product) {
+        return {
+          success: true,
+          status: 200,
+          data: { product, quantity: 1, scaleLabel: null }
+        };
+      }
+
+      const ScaleLabelService = require('./ScaleLabelService');
+      const result = new ScaleLabelService(this.db).resolve(params.code);
+      if (!result.success) {
+        return {
+          success: false,
+          status: result.label ? 400 : 404,
+          message: result.label ? result.message : 'Product not found'
+        };
+      }
+
       return {
         success: true,
         status: 200,
-        data: transactions
+        data: { product: result.product, quantity: result.quantity, scaleLabel: result.label }
       };
     } catch (error) {
-      console.error('Error getting transactions:', error);
+      console.error('Error scanning product:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get transactions'
+        message: 'Failed to look up scanned code'
       };
     }
   }
 
   /**
-   * Get transaction by ID
+   * Get the options and variants of a parent product
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response
+   * @returns {Promise<Object>} Response with the parent, options, variants and total stock
    */
-  async getTransactionById(params, data) {
+  async getProductVariants(params, data) {
     try {
-      const transaction = this.db.getTransactionById(params.id);
-      if (!transaction) {
+      const ProductVariantService = require('./ProductVariantService');
+      const matrix = new ProductVariantService(this.db).getMatrix(params.id);
+      if (!matrix) {
         return {
           success: false,
           status: 404,
-          message: 'Transaction not found'
+          message: 'Product not found'
         };
       }
 
       return {
         success: true,
         status: 200,
-        data: transaction
+        data: matrix
       };
     } catch (error) {
-      console.error('Error getting transaction:', error);
+      console.error('Error getting product variants:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get transaction'
+        message: 'Failed to get product variants'
       };
     }
   }
 
   /**
-   * Create transaction
+   * Set the option dimensions of a product and generate the missing variants
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response
+   * @param {Object} data - Request data ({ options: [{ name, values }] })
+   * @returns {Promise<Object>} Response with the parent, created variants and unmatched variant IDs
    */
-  async createTransaction(params, data) {
+  async setProductOptions(params, data) {
     try {
-      // Validate transaction data
-      if (!data.items || !Array.isArray(data.items) || data.items.length === 0) {
+      if (!this.db.getProductById(params.id)) {
         return {
           success: false,
-          status: 400,
-          message: 'Transaction must have at least one item'
+          status: 404,
+          message: 'Product not found'
         };
       }
 
-      // Create transaction
-      const Transaction = require('../models/Transaction');
-      const transaction = new Transaction(data);
-
-      // Validate transaction
-      const validation = transaction.validate();
-      if (!validation.isValid) {
+      const ProductVariantService = require('./ProductVariantService');
+      const result = new ProductVariantService(this.db).setOptions(params.id, data.options);
+      if (!result.success) {
         return {
           success: false,
           status: 400,
-          message: validation.errors.join(', ')
-        };
-      }
-
-      // Save transaction
-      const saved = this.db.saveTransaction(transaction.toObject());
-      if (!saved) {
-        return {
-          success: false,
-          status: 500,
-          message: 'Failed to save transaction'
+          message: result.message
         };
       }
 
       return {
         success: true,
-        status: 201,
-        data: transaction.toObject()
+        status: 200,
+        message: result.message,
+        data: {
+          parent: result.parent,
+          created: result.created,
+          unmatched: result.unmatched
+        }
       };
     } catch (error) {
-      console.error('Error creating transaction:', error);
+      console.error('Error setting product options:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to create transaction'
+        message: 'Failed to set product options'
       };
     }
   }
 
   /**
-   * Update transaction
+   * Get the components of a bundle with their stock and the number of bundles available
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
-   * @returns {Promise<Object>} Response
+   * @returns {Promise<Object>} Response with the bundle, components and availability
    */
-  async updateTransaction(params, data) {
+  async getBundleComponents(params, data) {
     try {
-      // Get transaction
-      const existingTransaction = this.db.getTransactionById(params.id);
-      if (!existingTransaction) {
+      const BundleService = require('./BundleService');
+      const availability = new BundleService(this.db).getAvailability(params.id);
+      if (!availability) {
         return {
           success: false,
           status: 404,
-          message: 'Transaction not found'
+          message: 'Bundle not found'
         };
       }
 
-      // Check if transaction is completed or voided
-      if (existingTransaction.status === 'completed' || existingTransaction.status === 'voided') {
-        return {
-          success: false,
-          status: 400,
-          message: 'Cannot update completed or voided transaction'
-        };
-      }
+      return {
+        success: true,
+        status: 200,
+        data: availability
+      };
+    } catch (error) {
+      console.error('Error getting bundle components:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get bundle components'
+      };
+    }
+  }
 
-      // Update transaction
-      const Transaction = require('../models/Transaction');
-      const transaction = Transaction.fromObject({
-        ...existingTransaction,
-        ...data,
-        id: existingTransaction.id // Ensure ID doesn't change
-      });
+  /**
+   * Check a bundle's components against the catalog; bundles take no stock of their own
+   * @param {Product} bundle - Bundle product
+   * @param {*} stock - Stock edit of the request, if any
+   * @returns {string|null} Error message or null if the bundle is valid
+   */
+  getBundleError(bundle, stock = undefined) {
+    if (bundle.stock > 0 || stock !== undefined) {
+      return 'A bundle holds no stock; its components do';
+    }
 
-      // Validate transaction
-      const validation = transaction.validate();
-      if (!validation.isValid) {
-        return {
-          success: false,
-          status: 400,
-          message: validation.errors.join(', ')
-        };
-      }
+    const BundleService = require('./BundleService');
+    const errors = new BundleService(this.db).validateComponents(bundle);
+    return errors.length > 0 ? errors.join(', ') : null;
+  }
 
-      // Save transaction
-      const saved = this.db.saveTransaction(transaction.toObject());
-      if (!saved) {
+  // Inventory endpoints
+
+  /**
+   * Get stock movement history for a product
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data (optional type, startDate and endDate filters)
+   * @returns {Promise<Object>} Response
+   */
+  async getStockMovements(params, data) {
+    try {
+      const product = this.db.getProductById(params.id);
+      if (!product) {
         return {
           success: false,
-          status: 500,
-          message: 'Failed to save transaction'
+          status: 404,
+          message: 'Product not found'
         };
       }
 
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      const movements = inventory.getMovementHistory(params.id, {
+        type: data.type,
+        startDate: data.startDate,
+        endDate: data.endDate
+      });
+
       return {
         success: true,
         status: 200,
-        data: transaction.toObject()
+        data: {
+          productId: product.id,
+          stock: product.stock,
+          ledgerBalance: inventory.getLedgerBalance(product.id),
+          movements
+        }
       };
     } catch (error) {
-      console.error('Error updating transaction:', error);
+      console.error('Error getting stock movements:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to update transaction'
+        message: 'Failed to get stock movements'
       };
     }
   }
 
   /**
-   * Complete transaction
+   * Record a manual stock movement (receiving, adjustment, transfer, shrinkage)
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async completeTransaction(params, data) {
+  async createStockMovement(params, data, context = {}) {
     try {
-      // Get transaction
-      const existingTransaction = this.db.getTransactionById(params.id);
-      if (!existingTransaction) {
+      const manualTypes = ['receiving', 'adjustment', 'transfer', 'shrinkage'];
+      if (!manualTypes.includes(data.type)) {
         return {
           success: false,
-          status: 404,
-          message: 'Transaction not found'
+          status: 400,
+          message: `Movement type must be one of: ${manualTypes.join(', ')}`
         };
       }
 
-      // Check if transaction is already completed or voided
-      if (existingTransaction.status === 'completed') {
+      if (data.quantity === undefined || isNaN(parseFloat(data.quantity))) {
         return {
           success: false,
           status: 400,
-          message: 'Transaction is already completed'
+          message: 'Quantity is required'
         };
       }
 
-      if (existingTransaction.status === 'voided') {
+      if (!this.db.getProductById(params.id)) {
         return {
           success: false,
-          status: 400,
-          message: 'Cannot complete voided transaction'
+          status: 404,
+          message: 'Product not found'
         };
       }
 
-      // Check if payment methods are provided
-      if (!data.paymentMethods || !Array.isArray(data.paymentMethods) || data.paymentMethods.length === 0) {
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      const result = inventory.recordMovement({
+        productId: params.id,
+        type: data.type,
+        quantity: parseFloat(data.quantity),
+        userId: this.resolveUserId(context),
+        reason: data.reason,
+        referenceId: data.referenceId,
+        locationId: data.locationId
+      });
+
+      if (!result.success) {
         return {
           success: false,
           status: 400,
-          message: 'Payment methods are required'
+          message: result.message
         };
       }
 
-      // Create transaction object
-      const Transaction = require('../models/Transaction');
-      const transaction = Transaction.fromObject(existingTransaction);
-
-      // Add payment methods
-      data.paymentMethods.forEach(method => {
-        transaction.addPaymentMethod(method);
-      });
-
-      // Complete transaction
-      const completed = transaction.complete();
-      if (!completed) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Failed to complete transaction'
-        };
-      }
-
-      // Update product stock
-      transaction.items.forEach(item => {
-        const product = this.db.getProductById(item.productId);
-        if (product) {
-          product.stock -= item.quantity;
-          this.db.saveProduct(product);
+      return {
+        success: true,
+        status: 201,
+        data: {
+          movement: result.movement,
+          stock: result.stock
         }
-      });
+      };
+    } catch (error) {
+      console.error('Error creating stock movement:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to create stock movement'
+      };
+    }
+  }
 
-      // Save transaction
-      const saved = this.db.saveTransaction(transaction.toObject());
-      if (!saved) {
-        return {
-          success: false,
-          status: 500,
-          message: 'Failed to save transaction'
-        };
-      }
+  /**
+   * Report products whose stock level differs from the ledger
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getStockReconciliation(params, data) {
+    try {
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
 
       return {
         success: true,
         status: 200,
-        data: transaction.toObject()
+        data: inventory.reconcile({ apply: false })
       };
     } catch (error) {
-      console.error('Error completing transaction:', error);
+      console.error('Error checking stock reconciliation:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to complete transaction'
+        message: 'Failed to check stock reconciliation'
       };
     }
   }
 
   /**
-   * Void transaction
+   * Reconcile product stock levels against the ledger
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async voidTransaction(params, data) {
+  async reconcileStock(params, data, context = {}) {
     try {
-      // Get transaction
-      const existingTransaction = this.db.getTransactionById(params.id);
-      if (!existingTransaction) {
-        return {
-          success: false,
-          status: 404,
-          message: 'Transaction not found'
-        };
-      }
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
 
-      // Check if transaction is already voided
-      if (existingTransaction.status === 'voided') {
-        return {
-          success: false,
-          status: 400,
-          message: 'Transaction is already voided'
-        };
-      }
+      return {
+        success: true,
+        status: 200,
+        data: inventory.reconcile({ apply: true, userId: this.resolveUserId(context) })
+      };
+    } catch (error) {
+      console.error('Error reconciling stock:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to reconcile stock'
+      };
+    }
+  }
 
-      // Create transaction object
-      const Transaction = require('../models/Transaction');
-      const transaction = Transaction.fromObject(existingTransaction);
+  /**
+   * Get reorder suggestions from sales velocity and supplier lead times
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ days, supplierId })
+   * @returns {Promise<Object>} Response
+   */
+  async getReorderSuggestions(params, data) {
+    try {
+      const ReorderService = require('./ReorderService');
 
-      // Void transaction
-      const voided = transaction.void(data.reason || '');
-      if (!voided) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Failed to void transaction'
-        };
-      }
+      return {
+        success: true,
+        status: 200,
+        data: new ReorderService(this.db).getSuggestions({
+          days: data.days,
+          supplierId: data.supplierId
+        })
+      };
+    } catch (error) {
+      console.error('Error getting reorder suggestions:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get reorder suggestions'
+      };
+    }
+  }
 
-      // If transaction was completed, restore product stock
-      if (existingTransaction.status === 'completed') {
-        transaction.items.forEach(item => {
-          const product = this.db.getProductById(item.productId);
-          if (product) {
-            product.stock += item.quantity;
-            this.db.saveProduct(product);
-          }
-        });
-      }
+  /**
+   * Create draft purchase orders, one per supplier, from the reorder suggestions
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ days, supplierId, productIds })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response with the purchase orders and the suggestions without a supplier
+   */
+  async createReorderPurchaseOrders(params, data, context = {}) {
+    try {
+      const ReorderService = require('./ReorderService');
+      const result = new ReorderService(this.db).createDraftOrders({
+        days: data.days,
+        supplierId: data.supplierId,
+        productIds: Array.isArray(data.productIds) ? data.productIds : undefined
+      }, this.resolveUserId(context));
 
-      // Save transaction
-      const saved = this.db.saveTransaction(transaction.toObject());
-      if (!saved) {
+      if (!result.success) {
         return {
           success: false,
-          status: 500,
-          message: 'Failed to save transaction'
+          status: result.status || 500,
+          message: result.message
         };
       }
 
       return {
         success: true,
-        status: 200,
-        data: transaction.toObject()
+        status: result.purchaseOrders.length > 0 ? 201 : 200,
+        message: result.message,
+        data: {
+          purchaseOrders: result.purchaseOrders,
+          unassigned: result.unassigned
+        }
       };
     } catch (error) {
-      console.error('Error voiding transaction:', error);
+      console.error('Error creating reorder purchase orders:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to void transaction'
+        message: 'Failed to create purchase orders'
       };
     }
   }
 
-  // User endpoints
+  // Promotion endpoints
 
   /**
-   * Get all users
+   * Get all promotions
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async getUsers(params, data) {
+  async getPromotions(params, data) {
     try {
-      const users = this.db.getUsers().map(user => {
-        // Remove password hash
-        const { passwordHash, ...userData } = user;
-        return userData;
-      });
-
+      const promotions = this.db.getPromotions();
       return {
         success: true,
         status: 200,
-        data: users
+        data: promotions
       };
     } catch (error) {
-      console.error('Error getting users:', error);
+      console.error('Error getting promotions:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get users'
+        message: 'Failed to get promotions'
       };
     }
   }
 
   /**
-   * Get user by ID
+   * Get promotion by ID
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async getUserById(params, data) {
+  async getPromotionById(params, data) {
     try {
-      const user = this.db.getUserById(params.id);
-      if (!user) {
+      const promotion = this.db.getPromotionById(params.id);
+      if (!promotion) {
         return {
           success: false,
           status: 404,
-          message: 'User not found'
+          message: 'Promotion not found'
         };
       }
 
-      // Remove password hash
-      const { passwordHash, ...userData } = user;
-
       return {
         success: true,
         status: 200,
-        data: userData
+        data: promotion
       };
     } catch (error) {
-      console.error('Error getting user:', error);
+      console.error('Error getting promotion:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get user'
+        message: 'Failed to get promotion'
       };
     }
   }
 
   /**
-   * Create user
+   * Create promotion
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async createUser(params, data) {
+  async createPromotion(params, data) {
     try {
-      // Check if username already exists
-      const existingUser = this.db.getUserByUsername(data.username);
-      if (existingUser) {
+      // Create promotion
+      const Promotion = require('../models/Promotion');
+      const promotion = new Promotion(data);
+
+      // Validate promotion
+      const validation = promotion.validate();
+      if (!validation.isValid) {
         return {
           success: false,
           status: 400,
-          message: 'Username already exists'
+          message: validation.errors.join(', ')
         };
       }
 
-      // Create user
-      const result = this.auth.registerUser(data, data.password);
-      if (!result.success) {
+      // Coupon codes must be unique
+      if (promotion.couponCode && this.db.getPromotionByCouponCode(promotion.couponCode)) {
         return {
           success: false,
           status: 400,
-          message: result.error
+          message: 'Coupon code already exists'
         };
       }
 
-      // Remove password hash
-      const { passwordHash, ...userData } = result.user;
+      // Save promotion
+      const saved = this.db.savePromotion(promotion.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save promotion'
+        };
+      }
 
       return {
         success: true,
         status: 201,
-        data: userData
+        data: promotion.toObject()
       };
     } catch (error) {
-      console.error('Error creating user:', error);
+      console.error('Error creating promotion:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to create user'
+        message: 'Failed to create promotion'
       };
     }
   }
 
   /**
-   * Update user
+   * Update promotion
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async updateUser(params, data) {
+  async updatePromotion(params, data) {
     try {
-      // Get user
-      const existingUser = this.db.getUserById(params.id);
-      if (!existingUser) {
+      // Get promotion
+      const existingPromotion = this.db.getPromotionById(params.id);
+      if (!existingPromotion) {
         return {
           success: false,
           status: 404,
-          message: 'User not found'
+          message: 'Promotion not found'
         };
       }
 
-      // Check if username is being changed and already exists
-      if (data.username && data.username !== existingUser.username) {
-        const userWithSameUsername = this.db.getUserByUsername(data.username);
-        if (userWithSameUsername) {
-          return {
-            success: false,
-            status: 400,
-            message: 'Username already exists'
-          };
-        }
-      }
-
-      // Update user
-      const User = require('../models/User');
-      const user = User.fromObject(existingUser);
-      user.update(data);
-
-      // Update role if provided
-      if (data.role) {
-        user.setRole(data.role, data.resetPermissions !== false);
-      }
-
-      // Update permissions if provided
-      if (data.permissions && Array.isArray(data.permissions)) {
-        // Clear existing permissions
-        user.permissions = [];
-        
-        // Add new permissions
-        data.permissions.forEach(permission => {
-          user.addPermission(permission);
-        });
-      }
+      // Update promotion
+      const Promotion = require('../models/Promotion');
+      const promotion = Promotion.fromObject(existingPromotion);
+      promotion.update(data);
 
-      // Validate user
-      const validation = user.validate();
+      // Validate promotion
+      const validation = promotion.validate();
       if (!validation.isValid) {
         return {
           success: false,
@@ -1019,504 +1325,3050 @@ class APIService {
         };
       }
 
-      // Save user
-      const saved = this.db.saveUser(user.toObject());
+      // Coupon codes must be unique
+      const couponOwner = promotion.couponCode ? this.db.getPromotionByCouponCode(promotion.couponCode) : null;
+      if (couponOwner && couponOwner.id !== promotion.id) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Coupon code already exists'
+        };
+      }
+
+      // Save promotion
+      const saved = this.db.savePromotion(promotion.toObject());
       if (!saved) {
         return {
           success: false,
           status: 500,
-          message: 'Failed to save user'
+          message: 'Failed to save promotion'
         };
       }
 
-      // Remove password hash
-      const { passwordHash, ...userData } = user.toObject();
-
       return {
         success: true,
         status: 200,
-        data: userData
+        data: promotion.toObject()
       };
     } catch (error) {
-      console.error('Error updating user:', error);
+      console.error('Error updating promotion:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to update user'
+        message: 'Failed to update promotion'
       };
     }
   }
 
   /**
-   * Delete user
+   * Delete promotion
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async deleteUser(params, data) {
+  async deletePromotion(params, data) {
     try {
-      // Check if user exists
-      const user = this.db.getUserById(params.id);
-      if (!user) {
-        return {
-          success: false,
-          status: 404,
-          message: 'User not found'
-        };
-      }
-
-      // Check if user is trying to delete themselves
-      const currentUser = this.auth.getCurrentUser();
-      if (currentUser && currentUser.id === params.id) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Cannot delete your own account'
-        };
-      }
-
-      // Delete user
-      const deleted = this.db.deleteUser(params.id);
+      // Delete promotion
+      const deleted = this.db.deletePromotion(params.id);
       if (!deleted) {
         return {
           success: false,
-          status: 500,
-          message: 'Failed to delete user'
+          status: 404,
+          message: 'Promotion not found'
         };
       }
 
       return {
         success: true,
         status: 200,
-        message: 'User deleted'
+        message: 'Promotion deleted'
       };
     } catch (error) {
-      console.error('Error deleting user:', error);
+      console.error('Error deleting promotion:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to delete user'
+        message: 'Failed to delete promotion'
+      };
+    }
+  }
+
+  // Transaction endpoints
+
+  /**
+   * Get all transactions
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getTransactions(params, data) {
+    try {
+      const transactions = this.db.getTransactions();
+      return {
+        success: true,
+        status: 200,
+        data: transactions
+      };
+    } catch (error) {
+      console.error('Error getting transactions:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get transactions'
+      };
+    }
+  }
+
+  /**
+   * Get transaction by ID
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getTransactionById(params, data) {
+    try {
+      const transaction = this.db.getTransactionById(params.id);
+      if (!transaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: transaction
+      };
+    } catch (error) {
+      console.error('Error getting transaction:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get transaction'
+      };
+    }
+  }
+
+  /**
+   * Create transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async createTransaction(params, data) {
+    try {
+      // Validate transaction data
+      if (!data.items || !Array.isArray(data.items) || data.items.length === 0) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Transaction must have at least one item'
+        };
+      }
+
+      // Check quantities against the way each product is sold
+      const Product = require('../models/Product');
+      for (const item of data.items) {
+        const product = this.db.getProductById(item.productId);
+        if (product && Product.fromObject(product).isParent()) {
+          return {
+            success: false,
+            status: 400,
+            message: `Choose a variant of ${product.name}`
+          };
+        }
+
+        const error = product ? Product.fromObject(product).getQuantityError(parseFloat(item.quantity)) : null;
+        if (error) {
+          return {
+            success: false,
+            status: 400,
+            message: `${product.name}: ${error}`
+          };
+        }
+      }
+
+      // Resolve taxes for lines that do not carry their own tax components
+      const TaxService = require('./TaxService');
+      const taxService = new TaxService(this.db);
+      const exemption = taxService.getCustomerExemption(data.customerId);
+      const items = data.items.map(item => {
+        const product = this.db.getProductById(item.productId);
+        if (product && !item.unitOfMeasure) {
+          item = { ...item, unitOfMeasure: product.unitOfMeasure || 'ea' };
+        }
+
+        if (product && product.parentId && !item.parentId) {
+          item = { ...item, parentId: product.parentId };
+        }
+
+        if (product && item.costAtSale === undefined) {
+          item = { ...item, costAtSale: product.cost !== undefined ? product.cost : null };
+        }
+
+        // Record what a bundle consumed, so voids restock the same components
+        if (product && product.type === 'bundle' && !item.components) {
+          const BundleService = require('./BundleService');
+          item = { ...item, components: new BundleService(this.db).createSaleComponents(product) };
+        }
+
+        if (item.taxes !== undefined) {
+          return item;
+        }
+
+        return { ...item, taxes: taxService.getProductTaxes(product || { taxRate: item.taxRateAtSale }, exemption) };
+      });
+
+      // Create transaction; totals are always derived from the lines
+      const Transaction = require('../models/Transaction');
+      const transaction = new Transaction({
+        currency: this.db.getSetting('currency', 'USD'),
+        roundingMode: this.db.getSetting('roundingMode', 'half_up'),
+        taxRounding: this.db.getSetting('taxRounding', 'line'),
+        pricesIncludeTax: this.db.getSetting('pricesIncludeTax', false),
+        taxExemption: exemption ? { id: exemption.id, certificateNumber: exemption.certificateNumber } : null,
+        ...data,
+        items
+      });
+      transaction.calculateTotals();
+
+      // Validate transaction
+      const validation = transaction.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save transaction
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: transaction.toObject()
+      };
+    } catch (error) {
+      console.error('Error creating transaction:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to create transaction'
+      };
+    }
+  }
+
+  /**
+   * Update transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async updateTransaction(params, data) {
+    try {
+      // Get transaction
+      const existingTransaction = this.db.getTransactionById(params.id);
+      if (!existingTransaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      // Check if transaction is completed or voided
+      if (existingTransaction.status === 'completed' || existingTransaction.status === 'voided') {
+        return {
+          success: false,
+          status: 400,
+          message: 'Cannot update completed or voided transaction'
+        };
+      }
+
+      // Update transaction
+      const Transaction = require('../models/Transaction');
+      const transaction = Transaction.fromObject({
+        ...existingTransaction,
+        ...data,
+        id: existingTransaction.id // Ensure ID doesn't change
+      });
+      transaction.calculateTotals();
+
+      // Validate transaction
+      const validation = transaction.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save transaction
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: transaction.toObject()
+      };
+    } catch (error) {
+      console.error('Error updating transaction:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to update transaction'
+      };
+    }
+  }
+
+  /**
+   * Add a partial payment to a pending transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Tender ({ type, amount, reference })
+   * @returns {Promise<Object>} Response
+   */
+  async addTransactionPayment(params, data) {
+    try {
+      const existingTransaction = this.db.getTransactionById(params.id);
+      if (!existingTransaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      const Transaction = require('../models/Transaction');
+      const transaction = Transaction.fromObject(existingTransaction);
+
+      const error = transaction.getPaymentError(data);
+      if (error) {
+        return {
+          success: false,
+          status: 400,
+          message: error
+        };
+      }
+
+      transaction.addPaymentMethod(data);
+
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: {
+          transaction: transaction.toObject(),
+          ...transaction.getBalance()
+        }
+      };
+    } catch (error) {
+      console.error('Error adding transaction payment:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to add payment'
+      };
+    }
+  }
+
+  /**
+   * Remove a partial payment from a pending transaction
+   * @param {Object} params - Path parameters
+   * @returns {Promise<Object>} Response
+   */
+  async removeTransactionPayment(params) {
+    try {
+      const existingTransaction = this.db.getTransactionById(params.id);
+      if (!existingTransaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      if (existingTransaction.status !== 'pending') {
+        return {
+          success: false,
+          status: 400,
+          message: 'Payments can only be changed on pending transactions'
+        };
+      }
+
+      const Transaction = require('../models/Transaction');
+      const transaction = Transaction.fromObject(existingTransaction);
+
+      if (!transaction.removePaymentMethod(params.paymentId)) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Payment not found'
+        };
+      }
+
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          transaction: transaction.toObject(),
+          ...transaction.getBalance()
+        }
+      };
+    } catch (error) {
+      console.error('Error removing transaction payment:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to remove payment'
+      };
+    }
+  }
+
+  /**
+   * Complete transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async completeTransaction(params, data, context = {}) {
+    try {
+      // Get transaction
+      const existingTransaction = this.db.getTransactionById(params.id);
+      if (!existingTransaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      // Check if transaction is already completed or voided
+      if (existingTransaction.status === 'completed') {
+        return {
+          success: false,
+          status: 400,
+          message: 'Transaction is already completed'
+        };
+      }
+
+      if (existingTransaction.status === 'voided') {
+        return {
+          success: false,
+          status: 400,
+          message: 'Cannot complete voided transaction'
+        };
+      }
+
+      // Payments may have been added one by one before completing
+      const paymentMethods = data.paymentMethods || [];
+      if (!Array.isArray(paymentMethods) || (paymentMethods.length === 0 && existingTransaction.paymentMethods.length === 0)) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Payment methods are required'
+        };
+      }
+
+      // Create transaction object
+      const Transaction = require('../models/Transaction');
+      const transaction = Transaction.fromObject(existingTransaction);
+
+      // Add payment methods
+      for (const method of paymentMethods) {
+        const error = transaction.getPaymentError(method);
+        if (error) {
+          return {
+            success: false,
+            status: 400,
+            message: error
+          };
+        }
+
+        transaction.addPaymentMethod(method);
+      }
+
+      const balance = transaction.getBalance();
+      if (balance.balanceDue > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: `Insufficient payment amount, ${balance.balanceDue} still due`
+        };
+      }
+
+      // Complete transaction
+      const completed = transaction.complete();
+      if (!completed) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Failed to complete transaction'
+        };
+      }
+
+      // Record sale movements in the stock ledger
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      inventory.recordTransactionMovements(transaction.toObject(), 'sale', this.resolveUserId(context) || transaction.employeeId);
+
+      // Save transaction
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      // Flag differences between what the camera saw and what was rung up
+      const LossPreventionService = require('./LossPreventionService');
+      new LossPreventionService(this.db).checkTransaction(transaction.toObject(), data.cameraObservations || []);
+
+      return {
+        success: true,
+        status: 200,
+        data: transaction.toObject()
+      };
+    } catch (error) {
+      console.error('Error completing transaction:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to complete transaction'
+      };
+    }
+  }
+
+  /**
+   * Void transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async voidTransaction(params, data, context = {}) {
+    try {
+      // Get transaction
+      const existingTransaction = this.db.getTransactionById(params.id);
+      if (!existingTransaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      // Check if transaction is already voided
+      if (existingTransaction.status === 'voided') {
+        return {
+          success: false,
+          status: 400,
+          message: 'Transaction is already voided'
+        };
+      }
+
+      // Refunds are settled through returns, not voids
+      if (existingTransaction.type === 'refund' || (existingTransaction.refundTransactionIds || []).length > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Cannot void a transaction with refunds; process a return instead'
+        };
+      }
+
+      // Create transaction object
+      const Transaction = require('../models/Transaction');
+      const transaction = Transaction.fromObject(existingTransaction);
+
+      // Void transaction
+      const voided = transaction.void(data.reason || '');
+      if (!voided) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Failed to void transaction'
+        };
+      }
+
+      // If transaction was completed, restock through the ledger
+      if (existingTransaction.status === 'completed') {
+        const InventoryService = require('./InventoryService');
+        const inventory = new InventoryService(this.db);
+        inventory.recordTransactionMovements(transaction.toObject(), 'void_restock', this.resolveUserId(context));
+      }
+
+      // Save transaction
+      const saved = this.db.saveTransaction(transaction.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save transaction'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: transaction.toObject()
+      };
+    } catch (error) {
+      console.error('Error voiding transaction:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to void transaction'
+      };
+    }
+  }
+
+  /**
+   * Get the items of a transaction that can still be returned
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getReturnableItems(params, data) {
+    try {
+      const ReturnService = require('./ReturnService');
+      const returns = new ReturnService(this.db);
+
+      const result = returns.getReturnableItems(params.id);
+      if (!result.success) {
+        return {
+          success: false,
+          status: result.status || 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          items: result.items,
+          refundableAmount: result.refundableAmount
+        }
+      };
+    } catch (error) {
+      console.error('Error getting returnable items:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get returnable items'
+      };
+    }
+  }
+
+  /**
+   * Process a return against a completed transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async createReturn(params, data, context = {}) {
+    try {
+      const ReturnService = require('./ReturnService');
+      const returns = new ReturnService(this.db);
+
+      const result = returns.processReturn(params.id, data, this.resolveUserId(context));
+      if (!result.success) {
+        return {
+          success: false,
+          status: result.status || 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: {
+          transaction: result.transaction,
+          storeCredit: result.storeCredit
+        }
+      };
+    } catch (error) {
+      console.error('Error processing return:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to process return'
+      };
+    }
+  }
+
+  /**
+   * Get the printable receipt of a transaction
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getReceipt(params, data) {
+    try {
+      const transaction = this.db.getTransactionById(params.id);
+      if (!transaction) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Transaction not found'
+        };
+      }
+
+      const ReceiptService = require('./ReceiptService');
+      const receipts = new ReceiptService(this.db);
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          transactionId: transaction.id,
+          taxBreakdown: transaction.taxBreakdown || [],
+          text: receipts.formatReceipt(transaction)
+        }
+      };
+    } catch (error) {
+      console.error('Error generating receipt:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to generate receipt'
+      };
+    }
+  }
+
+  // Held sale endpoints
+
+  /**
+   * Get held sales that have not expired, or with status=expired those that expired with payments taken
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Query parameters ({ storeId, status })
+   * @returns {Promise<Object>} Response
+   */
+  async getHeldSales(params, data) {
+    try {
+      const HeldSale = require('../models/HeldSale');
+      const status = data.status || 'held';
+      if (!HeldSale.STATUSES.includes(status)) {
+        return {
+          success: false,
+          status: 400,
+          message: `Status must be one of: ${HeldSale.STATUSES.join(', ')}`
+        };
+      }
+
+      const HeldSaleService = require('./HeldSaleService');
+      const heldSales = new HeldSaleService(this.db).getHeldSales(data.storeId || null, status);
+
+      return {
+        success: true,
+        status: 200,
+        data: heldSales
+      };
+    } catch (error) {
+      console.error('Error getting held sales:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get held sales'
+      };
+    }
+  }
+
+  /**
+   * Get held sale by ID
+   * @param {Object} params - Path parameters
+   * @returns {Promise<Object>} Response
+   */
+  async getHeldSaleById(params) {
+    try {
+      const HeldSaleService = require('./HeldSaleService');
+      new HeldSaleService(this.db).purgeExpired();
+
+      const heldSale = this.db.getHeldSaleById(params.id);
+      if (!heldSale) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Held sale not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: heldSale
+      };
+    } catch (error) {
+      console.error('Error getting held sale:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get held sale'
+      };
+    }
+  }
+
+  /**
+   * Hold a sale
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Cart to hold ({ items: [{ productId, quantity }], notes, name, storeId, terminalId })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async holdSale(params, data, context = {}) {
+    try {
+      if (!data.storeId) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Store ID is required'
+        };
+      }
+
+      // Rebuild the cart so the hold only contains products that exist. Only items and notes
+      // are taken from the request: payments are taken through the transaction payment API
+      // and discounts through the discount API, with their checks
+      const CartService = require('./CartService');
+      const cart = new CartService(this.db);
+      const restored = cart.restoreSnapshot({
+        items: (Array.isArray(data.items) ? data.items : []).map(item => ({
+          productId: item.productId,
+          name: item.name,
+          quantity: item.quantity
+        })),
+        notes: data.notes
+      });
+      if (!restored.success) {
+        return {
+          success: false,
+          status: 500,
+          message: restored.message
+        };
+      }
+
+      if (restored.unavailableItems.length > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: restored.unavailableItems.map(item => `${item.name || item.productId}: ${item.reason}`).join(', ')
+        };
+      }
+
+      const result = cart.holdCart(this.resolveUserId(context) || data.employeeId, data.storeId, {
+        name: data.name,
+        terminalId: data.terminalId
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: result.heldSale
+      };
+    } catch (error) {
+      console.error('Error holding sale:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to hold sale'
+      };
+    }
+  }
+
+  /**
+   * Recall a held sale
+   * The hold is removed and the cart is returned repriced at current prices. Users who
+   * can void transactions may recall expired holds with payments to refund or void them.
+   * If items can no longer be sold the hold is kept and 409 lists them, until the recall
+   * is repeated with dropUnavailable.
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ dropUnavailable })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async recallHeldSale(params, data, context = {}) {
+    try {
+      const CartService = require('./CartService');
+      const cart = new CartService(this.db);
+      const user = this.resolveUser(context);
+      const result = cart.recallCart(params.id, {
+        allowExpired: !!user && this.auth.hasPermission('transactions:void', user),
+        dropUnavailable: !!(data && data.dropUnavailable)
+      });
+
+      if (!result.success && result.unavailableItems) {
+        return {
+          success: false,
+          status: 409,
+          message: result.message,
+          data: {
+            unavailableItems: result.unavailableItems
+          }
+        };
+      }
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: result.message === 'Held sale not found' ? 404 : 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          heldSale: result.heldSale,
+          cart: cart.getCartSummary(),
+          unavailableItems: result.unavailableItems
+        }
+      };
+    } catch (error) {
+      console.error('Error recalling held sale:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to recall held sale'
+      };
+    }
+  }
+
+  /**
+   * Delete a held sale without recalling it
+   * @param {Object} params - Path parameters
+   * @returns {Promise<Object>} Response
+   */
+  async deleteHeldSale(params) {
+    try {
+      const heldSale = this.db.getHeldSaleById(params.id);
+      if (!heldSale) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Held sale not found'
+        };
+      }
+
+      // Deleting would lose the payments without a refund or void
+      if ((heldSale.payments || []).length > 0) {
+        return {
+          success: false,
+          status: 409,
+          message: 'Held sale has payments taken; recall it to refund or void them first'
+        };
+      }
+
+      this.db.deleteHeldSale(params.id);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Held sale deleted'
+      };
+    } catch (error) {
+      console.error('Error deleting held sale:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to delete held sale'
+      };
+    }
+  }
+
+  // Scale endpoints
+
+  /**
+   * Read a stable weight from the configured scale
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ productId } to convert the weight to the product's unit)
+   * @returns {Promise<Object>} Response with the reading and, for a product, the quantity to sell
+   */
+  async readScale(params, data) {
+    const ScaleDriver = require('./ScaleDriver');
+    let scale = null;
+
+    try {
+      let product = null;
+      if (data.productId) {
+        product = this.db.getProductById(data.productId);
+        if (!product) {
+          return {
+            success: false,
+            status: 404,
+            message: 'Product not found'
+          };
+        }
+
+        if (product.soldBy !== 'weight') {
+          return {
+            success: false,
+            status: 400,
+            message: `${product.name} is not sold by weight`
+          };
+        }
+      }
+
+      scale = ScaleDriver.fromSettings(this.db);
+      if (!scale) {
+        return {
+          success: false,
+          status: 404,
+          message: 'No scale is configured'
+        };
+      }
+
+      const reading = await scale.readStable();
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          reading,
+          quantity: product ? UnitOfMeasure.convert(reading.weight, reading.unit, product.unitOfMeasure) : null,
+          unitOfMeasure: product ? product.unitOfMeasure : null
+        }
+      };
+    } catch (error) {
+      console.error('Error reading scale:', error);
+      return {
+        success: false,
+        status: 503,
+        message: error.message || 'Failed to read scale'
+      };
+    } finally {
+      if (scale) {
+        await scale.disconnect().catch(() => {});
+      }
+    }
+  }
+
+  // Report endpoints
+
+  /**
+   * Get sales summary with refunds netted against sales
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getSalesReport(params, data) {
+    try {
+      const SalesReportService = require('./SalesReportService');
+      const reports = new SalesReportService(this.db);
+
+      return {
+        success: true,
+        status: 200,
+        data: reports.getSalesSummary({
+          startDate: data.startDate,
+          endDate: data.endDate,
+          storeId: data.storeId
+        })
+      };
+    } catch (error) {
+      console.error('Error generating sales report:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to generate sales report'
+      };
+    }
+  }
+
+  /**
+   * Get loss prevention events summarized by cashier and by product
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ startDate, endDate, storeId })
+   * @returns {Promise<Object>} Response
+   */
+  async getLossPreventionReport(params, data) {
+    try {
+      const LossPreventionService = require('./LossPreventionService');
+
+      return {
+        success: true,
+        status: 200,
+        data: new LossPreventionService(this.db).getReport({
+          startDate: data.startDate,
+          endDate: data.endDate,
+          storeId: data.storeId
+        })
+      };
+    } catch (error) {
+      console.error('Error generating loss prevention report:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to generate loss prevention report'
+      };
+    }
+  }
+
+  // Loss prevention endpoints
+
+  /**
+   * Get loss prevention events, e.g. the review queue with status=open
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ status, employeeId, storeId, startDate, endDate })
+   * @returns {Promise<Object>} Response
+   */
+  async getLossPreventionEvents(params, data) {
+    try {
+      const LossPreventionService = require('./LossPreventionService');
+
+      return {
+        success: true,
+        status: 200,
+        data: new LossPreventionService(this.db).getEvents({
+          status: data.status,
+          employeeId: data.employeeId,
+          storeId: data.storeId,
+          startDate: data.startDate,
+          endDate: data.endDate
+        })
+      };
+    } catch (error) {
+      console.error('Error getting loss prevention events:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get loss prevention events'
+      };
+    }
+  }
+
+  /**
+   * Confirm or dismiss an open loss prevention event
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Review ({ status, notes })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async reviewLossPreventionEvent(params, data, context = {}) {
+    try {
+      const LossPreventionService = require('./LossPreventionService');
+      const result = new LossPreventionService(this.db)
+        .reviewEvent(params.id, data.status, this.resolveUserId(context), data.notes);
+
+      if (!result.success) {
+        return {
+          success: false,
+          status: result.message === 'Event not found' ? 404 : 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: result.event
+      };
+    } catch (error) {
+      console.error('Error reviewing loss prevention event:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to review loss prevention event'
+      };
+    }
+  }
+
+  // Supplier endpoints
+
+  /**
+   * Get suppliers
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ active: true to leave out inactive suppliers })
+   * @returns {Promise<Object>} Response
+   */
+  async getSuppliers(params, data) {
+    try {
+      return {
+        success: true,
+        status: 200,
+        data: this.db.getSuppliers(data.active === true || data.active === 'true')
+      };
+    } catch (error) {
+      console.error('Error getting suppliers:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get suppliers'
+      };
+    }
+  }
+
+  /**
+   * Get supplier by ID
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getSupplierById(params, data) {
+    try {
+      const supplier = this.db.getSupplierById(params.id);
+      if (!supplier) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Supplier not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: supplier
+      };
+    } catch (error) {
+      console.error('Error getting supplier:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get supplier'
+      };
+    }
+  }
+
+  /**
+   * Create supplier
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async createSupplier(params, data) {
+    try {
+      // Create supplier
+      const Supplier = require('../models/Supplier');
+      const supplier = new Supplier(data);
+
+      // Validate supplier
+      const validation = supplier.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save supplier
+      const saved = this.db.saveSupplier(supplier.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save supplier'
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: supplier.toObject()
+      };
+    } catch (error) {
+      console.error('Error creating supplier:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to create supplier'
+      };
+    }
+  }
+
+  /**
+   * Update supplier; suppliers are deactivated rather than deleted, since orders refer to them
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async updateSupplier(params, data) {
+    try {
+      // Get supplier
+      const existingSupplier = this.db.getSupplierById(params.id);
+      if (!existingSupplier) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Supplier not found'
+        };
+      }
+
+      // Update supplier
+      const Supplier = require('../models/Supplier');
+      const supplier = Supplier.fromObject(existingSupplier);
+      supplier.update(data);
+
+      // Validate supplier
+      const validation = supplier.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save supplier
+      const saved = this.db.saveSupplier(supplier.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save supplier'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: supplier.toObject()
+      };
+    } catch (error) {
+      console.error('Error updating supplier:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to update supplier'
+      };
+    }
+  }
+
+  // Purchase order endpoints
+
+  /**
+   * Get purchase orders
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ status, supplierId, productId })
+   * @returns {Promise<Object>} Response
+   */
+  async getPurchaseOrders(params, data) {
+    try {
+      const PurchaseOrderService = require('./PurchaseOrderService');
+
+      return {
+        success: true,
+        status: 200,
+        data: new PurchaseOrderService(this.db).getOrders({
+          status: data.status,
+          supplierId: data.supplierId,
+          productId: data.productId
+        })
+      };
+    } catch (error) {
+      console.error('Error getting purchase orders:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get purchase orders'
+      };
+    }
+  }
+
+  /**
+   * Get purchase order by ID
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getPurchaseOrderById(params, data) {
+    try {
+      const order = this.db.getPurchaseOrderById(params.id);
+      if (!order) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Purchase order not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: order
+      };
+    } catch (error) {
+      console.error('Error getting purchase order:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get purchase order'
+      };
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ supplierId, lines: [{ productId, quantity, expectedCost }], expectedDate, notes })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async createPurchaseOrder(params, data, context = {}) {
+    const PurchaseOrderService = require('./PurchaseOrderService');
+    const result = new PurchaseOrderService(this.db).createOrder(data, this.resolveUserId(context));
+    return this.createPurchaseOrderResponse(result, 201);
+  }
+
+  /**
+   * Change a draft purchase order
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data (supplierId, lines, expectedDate, notes)
+   * @returns {Promise<Object>} Response
+   */
+  async updatePurchaseOrder(params, data) {
+    const PurchaseOrderService = require('./PurchaseOrderService');
+    return this.createPurchaseOrderResponse(new PurchaseOrderService(this.db).updateOrder(params.id, data));
+  }
+
+  /**
+   * Mark a draft purchase order as sent to the supplier
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async sendPurchaseOrder(params, data) {
+    const PurchaseOrderService = require('./PurchaseOrderService');
+    return this.createPurchaseOrderResponse(new PurchaseOrderService(this.db).sendOrder(params.id));
+  }
+
+  /**
+   * Receive a delivery against a purchase order into stock
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Receipt ({ lines: [{ lineId or productId, quantity, unitCost }], landedCosts, allowOverReceipt, notes })
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response with the purchase order and the receipt
+   */
+  async receivePurchaseOrder(params, data, context = {}) {
+    const PurchaseOrderService = require('./PurchaseOrderService');
+    const result = new PurchaseOrderService(this.db).receiveOrder(params.id, data, this.resolveUserId(context));
+    const response = this.createPurchaseOrderResponse(result);
+    if (result.success) {
+      response.data = { purchaseOrder: result.purchaseOrder, receipt: result.receipt };
+    }
+    return response;
+  }
+
+  /**
+   * Close a purchase order that will not be received in full, or cancel a draft
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data ({ reason })
+   * @returns {Promise<Object>} Response
+   */
+  async closePurchaseOrder(params, data) {
+    const PurchaseOrderService = require('./PurchaseOrderService');
+    return this.createPurchaseOrderResponse(new PurchaseOrderService(this.db).closeOrder(params.id, data.reason));
+  }
+
+  /**
+   * Turn a purchase order service result into a response
+   * @param {Object} result - Service result
+   * @param {number} successStatus - Status code on success
+   * @returns {Object} Response
+   */
+  createPurchaseOrderResponse(result, successStatus = 200) {
+    if (!result.success) {
+      return {
+        success: false,
+        status: result.status || 400,
+        message: result.message
+      };
+    }
+
+    return {
+      success: true,
+      status: successStatus,
+      message: result.message,
+      data: result.purchaseOrder
+    };
+  }
+
+  // User endpoints
+
+  /**
+   * Get all users
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getUsers(params, data) {
+    try {
+      const users = this.db.getUsers().map(user => {
+        // Remove password hash
+        const { passwordHash, ...userData } = user;
+        return userData;
+      });
+
+      return {
+        success: true,
+        status: 200,
+        data: users
+      };
+    } catch (error) {
+      console.error('Error getting users:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get users'
+      };
+    }
+  }
+
+  /**
+   * Get user by ID
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getUserById(params, data) {
+    try {
+      const user = this.db.getUserById(params.id);
+      if (!user) {
+        return {
+          success: false,
+          status: 404,
+          message: 'User not found'
+        };
+      }
+
+      // Remove password hash
+      const { passwordHash, ...userData } = user;
+
+      return {
+        success: true,
+        status: 200,
+        data: userData
+      };
+    } catch (error) {
+      console.error('Error getting user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get user'
+      };
+    }
+  }
+
+  /**
+   * Create user
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async createUser(params, data) {
+    try {
+      // Check if username already exists
+      const existingUser = this.db.getUserByUsername(data.username);
+      if (existingUser) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Username already exists'
+        };
+      }
+
+      // Create user
+      const result = this.auth.registerUser(data, data.password);
+      if (!result.success) {
+        return {
+          success: false,
+          status: 400,
+          message: result.error
+        };
+      }
+
+      // Remove password hash
+      const { passwordHash, ...userData } = result.user;
+
+      return {
+        success: true,
+        status: 201,
+        data: userData
+      };
+    } catch (error) {
+      console.error('Error creating user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to create user'
+      };
+    }
+  }
+
+  /**
+   * Update user
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async updateUser(params, data) {
+    try {
+      // Get user
+      const existingUser = this.db.getUserById(params.id);
+      if (!existingUser) {
+        return {
+          success: false,
+          status: 404,
+          message: 'User not found'
+        };
+      }
+
+      // Check if username is being changed and already exists
+      if (data.username && data.username !== existingUser.username) {
+        const userWithSameUsername = this.db.getUserByUsername(data.username);
+        if (userWithSameUsername) {
+          return {
+            success: false,
+            status: 400,
+            message: 'Username already exists'
+          };
+        }
+      }
+
+      // Update user
+      const User = require('../models/User');
+      const user = User.fromObject(existingUser);
+      user.update(data);
+
+      // Update role if provided
+      if (data.role) {
+        user.setRole(data.role, data.resetPermissions !== false);
+      }
+
+      // Update permissions if provided
+      if (data.permissions && Array.isArray(data.permissions)) {
+        // Clear existing permissions
+        user.permissions = [];
+        
+        // Add new permissions
+        data.permissions.forEach(permission => {
+          user.addPermission(permission);
+        });
+      }
+
+      // Validate user
+      const validation = user.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save user
+      const saved = this.db.saveUser(user.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save user'
+        };
+      }
+
+      // Remove password hash
+      const { passwordHash, ...userData } = user.toObject();
+
+      return {
+        success: true,
+        status: 200,
+        data: userData
+      };
+    } catch (error) {
+      console.error('Error updating user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to update user'
+      };
+    }
+  }
+
+  /**
+   * Delete user
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async deleteUser(params, data, context = {}) {
+    try {
+      // Check if user exists
+      const user = this.db.getUserById(params.id);
+      if (!user) {
+        return {
+          success: false,
+          status: 404,
+          message: 'User not found'
+        };
+      }
+
+      // Check if user is trying to delete themselves
+      const currentUser = this.resolveUser(context);
+      if (currentUser && currentUser.id === params.id) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Cannot delete your own account'
+        };
+      }
+
+      // Delete user
+      const deleted = this.db.deleteUser(params.id);
+      if (!deleted) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to delete user'
+        };
+      }
+
+      // End any sessions the deleted user still has open
+      this.auth.revokeUserSessions(params.id);
+
+      return {
+        success: true,
+        status: 200,
+        message: 'User deleted'
+      };
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to delete user'
+      };
+    }
+  }
+
+  /**
+   * Reset user password
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async resetUserPassword(params, data, context = {}) {
+    try {
+      // Check if new password is provided
+      if (!data.newPassword) {
+        return {
+          success: false,
+          status: 400,
+          message: 'New password is required'
+        };
+      }
+
+      // Reset password
+      const result = this.auth.resetPassword(params.id, data.newPassword, this.resolveUser(context));
+      if (!result.success) {
+        return {
+          success: false,
+          status: 400,
+          message: result.error
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Password reset successfully'
+      };
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to reset password'
+      };
+    }
+  }
+
+  // Authentication endpoints
+
+  /**
+   * Login
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async login(params, data, context = {}) {
+    try {
+      // Check if username and password are provided
+      if (!data.username || !data.password) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Username and password are required'
+        };
+      }
+
+      // Login (HTTP callers get their own session instead of becoming the current user)
+      const result = this.isRequestScoped(context)
+        ? this.auth.authenticate(data.username, data.password, { ip: context.ip || null })
+        : this.auth.login(data.username, data.password);
+      if (!result.success) {
+        return {
+          success: false,
+          status: 401,
+          message: result.error
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          user: result.user,
+          token: result.token,
+          expiry: result.expiry
+        }
+      };
+    } catch (error) {
+      console.error('Error logging in:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to log in'
+      };
+    }
+  }
+
+  /**
+   * Logout
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async logout(params, data, context = {}) {
+    try {
+      // HTTP callers only end their own session
+      if (this.isRequestScoped(context)) {
+        const revoked = this.auth.revokeSession(context.token);
+        if (!revoked) {
+          return {
+            success: false,
+            status: 401,
+            message: 'Not authenticated'
+          };
+        }
+      } else {
+        // Logout
+        const result = this.auth.logout();
+        if (!result) {
+          return {
+            success: false,
+            status: 500,
+            message: 'Failed to log out'
+          };
+        }
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Logged out successfully'
+      };
+    } catch (error) {
+      console.error('Error logging out:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to log out'
+      };
+    }
+  }
+
+  /**
+   * Get current user
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async getCurrentUser(params, data, context = {}) {
+    try {
+      // Get current user
+      const user = this.resolveUser(context);
+      if (!user) {
+        return {
+          success: false,
+          status: 401,
+          message: 'Not authenticated'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: user
+      };
+    } catch (error) {
+      console.error('Error getting current user:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get current user'
+      };
+    }
+  }
+
+  /**
+   * Change password
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response
+   */
+  async changePassword(params, data, context = {}) {
+    try {
+      // Check if current and new passwords are provided
+      if (!data.currentPassword || !data.newPassword) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Current and new passwords are required'
+        };
+      }
+
+      // Get current user
+      const user = this.resolveUser(context);
+      if (!user) {
+        return {
+          success: false,
+          status: 401,
+          message: 'Not authenticated'
+        };
+      }
+
+      // Change password
+      const result = this.auth.changePassword(user.id, data.currentPassword, data.newPassword);
+      if (!result.success) {
+        return {
+          success: false,
+          status: 400,
+          message: result.error
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Password changed successfully'
+      };
+    } catch (error) {
+      console.error('Error changing password:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to change password'
+      };
+    }
+  }
+
+  // Settings endpoints
+
+  /**
+   * Get all settings
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getSettings(params, data) {
+    try {
+      const settings = this.db.getSettings();
+      return {
+        success: true,
+        status: 200,
+        data: settings
+      };
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get settings'
+      };
+    }
+  }
+
+  /**
+   * Update settings
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async updateSettings(params, data) {
+    try {
+      // Validate settings
+      const errors = this.validateSettings(data);
+      if (errors.length > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: errors.join(', ')
+        };
+      }
+
+      // Update settings
+      const saved = this.db.saveSettings(data);
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save settings'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: this.db.getSettings()
+      };
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to update settings'
+      };
+    }
+  }
+
+  /**
+   * Get setting by key
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getSetting(params, data) {
+    try {
+      const value = this.db.getSetting(params.key);
+      if (value === null) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Setting not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          key: params.key,
+          value
+        }
+      };
+    } catch (error) {
+      console.error('Error getting setting:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get setting'
+      };
+    }
+  }
+
+  /**
+   * Update setting
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async updateSetting(params, data) {
+    try {
+      // Check if value is provided
+      if (data.value === undefined) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Value is required'
+        };
+      }
+
+      // Validate setting
+      const errors = this.validateSettings({ [params.key]: data.value });
+      if (errors.length > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: errors.join(', ')
+        };
+      }
+
+      // Update setting
+      const saved = this.db.saveSetting(params.key, data.value);
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save setting'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          key: params.key,
+          value: data.value
+        }
+      };
+    } catch (error) {
+      console.error('Error updating setting:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to update setting'
+      };
+    }
+  }
+
+  /**
+   * Validate settings that other services depend on
+   * @param {Object} settings - Settings to validate
+   * @returns {Array} Validation errors
+   */
+  validateSettings(settings) {
+    const errors = [];
+
+    if (settings.taxClasses !== undefined) {
+      const TaxService = require('./TaxService');
+      errors.push(...new TaxService(this.db).validateTaxClasses(settings.taxClasses).errors);
+    }
+
+    if (settings.taxRounding !== undefined && !['line', 'invoice'].includes(settings.taxRounding)) {
+      errors.push('Tax rounding must be line or invoice');
+    }
+
+    if (settings.roundingMode !== undefined && !['half_up', 'half_even'].includes(settings.roundingMode)) {
+      errors.push('Rounding mode must be half_up or half_even');
+    }
+
+    if (settings.visionBackend !== undefined) {
+      const Recognizer = require('./Recognizer');
+      if (!Recognizer.BACKENDS.includes(settings.visionBackend)) {
+        errors.push(`Vision backend must be one of: ${Recognizer.BACKENDS.join(', ')}`);
+      } else if (settings.visionBackend !== 'builtin' && !(settings.visionModelPath || this.db.getSetting('visionModelPath', null))) {
+        errors.push(`The ${settings.visionBackend} vision backend needs a model path`);
+      }
+    }
+
+    if (settings.visionIndexType !== undefined) {
+      const VectorIndex = require('./VectorIndex');
+      if (!VectorIndex.TYPES.includes(settings.visionIndexType)) {
+        errors.push(`Vision index type must be one of: ${VectorIndex.TYPES.join(', ')}`);
+      }
+    }
+
+    if (settings.visionOverlapThreshold !== undefined) {
+      const threshold = settings.visionOverlapThreshold;
+      if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+        errors.push('Vision overlap threshold must be a number above 0 and at most 1');
+      }
+    }
+
+    if (settings.visionCategoryThresholds !== undefined) {
+      const thresholds = settings.visionCategoryThresholds;
+      if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        errors.push('Vision category thresholds must map categories to thresholds');
+      } else {
+        Object.entries(thresholds)
+          .filter(([, threshold]) => typeof threshold !== 'number' || threshold < 0 || threshold > 1)
+          .forEach(([category]) => errors.push(`Vision threshold of category ${category} must be between 0 and 1`));
+      }
+    }
+
+    if (settings.visionAmbiguityMargin !== undefined) {
+      const margin = settings.visionAmbiguityMargin;
+      if (typeof margin !== 'number' || margin < 0 || margin > 1) {
+        errors.push('Vision ambiguity margin must be between 0 and 1');
+      }
+    }
+
+    if (settings.visionBarcodeFormats !== undefined) {
+      const BarcodeDecoder = require('./BarcodeDecoder');
+      const formats = settings.visionBarcodeFormats;
+      if (!Array.isArray(formats) || formats.some(format => !BarcodeDecoder.FORMATS.includes(format))) {
+        errors.push(`Vision barcode formats must be a list of: ${BarcodeDecoder.FORMATS.join(', ')}`);
+      }
+    }
+
+    if (settings.scaleLabelFormats !== undefined) {
+      const ScaleLabelService = require('./ScaleLabelService');
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const formats = settings.scaleLabelFormats;
+      const valid = Array.isArray(formats) && formats.every(format => format &&
+        /^2\d*$/.test(format.prefix || '') &&
+        Number.isInteger(format.itemDigits) && format.itemDigits > 0 &&
+        format.prefix.length + format.itemDigits < 12 &&
+        ScaleLabelService.VALUES.includes(format.value) &&
+        (format.unit === undefined || UnitOfMeasure.getDimension(format.unit) === 'weight'));
+
+      if (!valid) {
+        errors.push('Scale label formats need a prefix starting with 2, item digits leaving room for a value, and a value of price or weight');
+      }
+    }
+
+    if (settings.scaleDriver !== undefined && settings.scaleDriver !== null) {
+      const ScaleDriver = require('./ScaleDriver');
+      if (!ScaleDriver.DRIVERS.includes(settings.scaleDriver)) {
+        errors.push(`Scale driver must be one of: ${ScaleDriver.DRIVERS.join(', ')}`);
+      }
+    }
+
+    if (settings.lossPreventionPriceDelta !== undefined) {
+      const delta = settings.lossPreventionPriceDelta;
+      if (typeof delta !== 'number' || delta < 0) {
+        errors.push('Loss prevention price delta must be a non-negative number');
+      }
+    }
+
+    if (settings.lossPreventionMinConfidence !== undefined) {
+      const confidence = settings.lossPreventionMinConfidence;
+      if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+        errors.push('Loss prevention minimum confidence must be between 0 and 1');
+      }
+    }
+
+    if (settings.purchaseOverReceiptTolerance !== undefined) {
+      const tolerance = settings.purchaseOverReceiptTolerance;
+      if (typeof tolerance !== 'number' || tolerance < 0) {
+        errors.push('Purchase over-receipt tolerance must be a non-negative percentage');
+      }
+    }
+
+    if (settings.reorderVelocityDays !== undefined) {
+      const days = settings.reorderVelocityDays;
+      if (!Number.isInteger(days) || days < 1) {
+        errors.push('Reorder velocity days must be a whole number of at least 1');
+      }
+    }
+
+    const reorderDays = {
+      reorderSafetyDays: 'Reorder safety days',
+      reorderCoverDays: 'Reorder cover days',
+      reorderDefaultLeadTimeDays: 'Default lead time'
+    };
+    Object.entries(reorderDays).forEach(([key, label]) => {
+      if (settings[key] !== undefined && (typeof settings[key] !== 'number' || settings[key] < 0)) {
+        errors.push(`${label} must be a non-negative number of days`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Tax exemption endpoints
+
+  /**
+   * Get tax exemptions
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getTaxExemptions(params, data) {
+    try {
+      const exemptions = data.customerId
+        ? this.db.getTaxExemptionsByCustomer(data.customerId)
+        : this.db.getTaxExemptions();
+
+      return {
+        success: true,
+        status: 200,
+        data: exemptions
+      };
+    } catch (error) {
+      console.error('Error getting tax exemptions:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get tax exemptions'
+      };
+    }
+  }
+
+  /**
+   * Create tax exemption
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async createTaxExemption(params, data) {
+    try {
+      // Create tax exemption
+      const TaxExemption = require('../models/TaxExemption');
+      const exemption = new TaxExemption(data);
+
+      // Validate tax exemption
+      const validation = exemption.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          status: 400,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      // Save tax exemption
+      const saved = this.db.saveTaxExemption(exemption.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          status: 500,
+          message: 'Failed to save tax exemption'
+        };
+      }
+
+      return {
+        success: true,
+        status: 201,
+        data: exemption.toObject()
+      };
+    } catch (error) {
+      console.error('Error creating tax exemption:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to create tax exemption'
+      };
+    }
+  }
+
+  /**
+   * Delete tax exemption
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async deleteTaxExemption(params, data) {
+    try {
+      // Delete tax exemption
+      const deleted = this.db.deleteTaxExemption(params.id);
+      if (!deleted) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Tax exemption not found'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Tax exemption deleted'
+      };
+    } catch (error) {
+      console.error('Error deleting tax exemption:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to delete tax exemption'
+      };
+    }
+  }
+
+  // Vision AI endpoints
+
+  /**
+   * Process image
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async processImage(params, data) {
+    try {
+      // Check if image data is provided
+      if (!data.imageData) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Image data is required'
+        };
+      }
+
+      // An image that cannot be decoded is the client's error, not the server's
+      const ImageDecoder = require('./ImageDecoder');
+      let image;
+      try {
+        image = ImageDecoder.decode(data.imageData);
+      } catch (error) {
+        return {
+          success: false,
+          status: 400,
+          message: `Invalid image: ${error.message}`
+        };
+      }
+
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      // Process image
+      const detections = await visionAI.processImage(image);
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          detections,
+          items: visionAI.countDetections(detections.filter(detection => detection.status !== 'ambiguous')),
+          ambiguous: detections.filter(detection => detection.status === 'ambiguous')
+        }
+      };
+    } catch (error) {
+      console.error('Error processing image:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to process image'
+      };
+    }
+  }
+
+  /**
+   * Train model
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async trainModel(params, data) {
+    try {
+      // Check if product ID and images are provided
+      if (!data.productId || !data.images || !Array.isArray(data.images) || data.images.length === 0) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Product ID and images are required'
+        };
+      }
+
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      // Train model
+      const result = await visionAI.trainModel(data.productId, data.images);
+      if (!result.success) {
+        return {
+          success: false,
+          status: 400,
+          message: result.message
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: result
+      };
+    } catch (error) {
+      console.error('Error training model:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to train model'
+      };
+    }
+  }
+
+  /**
+   * Get model info
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getModelInfo(params, data) {
+    try {
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      // Get model info
+      const modelInfo = visionAI.getModelInfo();
+
+      return {
+        success: true,
+        status: 200,
+        data: modelInfo
+      };
+    } catch (error) {
+      console.error('Error getting model info:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get model info'
+      };
+    }
+  }
+
+  /**
+   * Set confidence threshold
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async setConfidenceThreshold(params, data) {
+    try {
+      // Check if threshold is provided
+      if (data.threshold === undefined) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Threshold is required'
+        };
+      }
+
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      // Set threshold
+      const result = visionAI.setConfidenceThreshold(data.threshold);
+      if (!result) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Invalid threshold value'
+        };
+      }
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          threshold: visionAI.getConfidenceThreshold()
+        }
+      };
+    } catch (error) {
+      console.error('Error setting confidence threshold:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to set confidence threshold'
+      };
+    }
+  }
+
+  /**
+   * Capture the background of the empty counter for object detection
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async setVisionBackground(params, data) {
+    try {
+      // Check if image data is provided
+      if (!data.imageData) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Image data is required'
+        };
+      }
+
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      return {
+        success: true,
+        status: 200,
+        data: visionAI.setBackground(data.imageData)
+      };
+    } catch (error) {
+      console.error('Error setting vision background:', error);
+      return {
+        success: false,
+        status: 400,
+        message: 'Failed to set vision background: ' + error.message
+      };
+    }
+  }
+
+  /**
+   * Forget the background of the empty counter
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async clearVisionBackground(params, data) {
+    try {
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+      visionAI.clearBackground();
+
+      return {
+        success: true,
+        status: 200,
+        message: 'Vision background cleared'
+      };
+    } catch (error) {
+      console.error('Error clearing vision background:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to clear vision background'
+      };
+    }
+  }
+
+  /**
+   * Get the calibration and thresholds that decide which products are recognized
+   * @param {Object} params - Path parameters
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Response
+   */
+  async getVisionCalibration(params, data) {
+    try {
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      return {
+        success: true,
+        status: 200,
+        data: {
+          calibration: this.db.getSetting('visionCalibration', null),
+          calibrated: visionAI.calibrator.calibration !== null,
+          model: visionAI.getModelInfo().version,
+          threshold: visionAI.getConfidenceThreshold(),
+          categoryThresholds: this.db.getSetting('visionCategoryThresholds', {}),
+          productThresholds: visionAI.productThresholds,
+          ambiguityMargin: visionAI.ambiguityMargin
+        }
+      };
+    } catch (error) {
+      console.error('Error getting vision calibration:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to get vision calibration'
       };
     }
   }
 
   /**
-   * Reset user password
+   * Fit the calibration of the current model on labelled recognition scores
+   * The samples are the calibrationSamples of an offline evaluation (see VisionEvaluator)
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
+   * @param {Object} data - Request data ({ samples: [{ score, correct }], method })
    * @returns {Promise<Object>} Response
    */
-  async resetUserPassword(params, data) {
+  async fitVisionCalibration(params, data) {
     try {
-      // Check if new password is provided
-      if (!data.newPassword) {
+      if (!Array.isArray(data.samples) || data.samples.length === 0) {
         return {
           success: false,
           status: 400,
-          message: 'New password is required'
+          message: 'Calibration samples are required'
         };
       }
 
-      // Reset password
-      const result = this.auth.resetPassword(params.id, data.newPassword);
-      if (!result.success) {
-        return {
-          success: false,
-          status: 400,
-          message: result.error
-        };
-      }
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
 
       return {
         success: true,
         status: 200,
-        message: 'Password reset successfully'
+        data: visionAI.setCalibration(ConfidenceCalibrator.fit(data.samples, data.method || 'platt'))
       };
     } catch (error) {
-      console.error('Error resetting password:', error);
+      console.error('Error fitting vision calibration:', error);
       return {
         success: false,
-        status: 500,
-        message: 'Failed to reset password'
+        status: 400,
+        message: 'Failed to fit vision calibration: ' + error.message
       };
     }
   }
 
-  // Authentication endpoints
-
   /**
-   * Login
+   * Go back to raw similarity scores
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async login(params, data) {
+  async clearVisionCalibration(params, data) {
     try {
-      // Check if username and password are provided
-      if (!data.username || !data.password) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Username and password are required'
-        };
-      }
-
-      // Login
-      const result = this.auth.login(data.username, data.password);
-      if (!result.success) {
-        return {
-          success: false,
-          status: 401,
-          message: result.error
-        };
-      }
+      // Get Vision AI service
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+      visionAI.clearCalibration();
 
       return {
         success: true,
         status: 200,
-        data: {
-          user: result.user,
-          token: result.token,
-          expiry: result.expiry
-        }
+        message: 'Vision calibration cleared'
       };
     } catch (error) {
-      console.error('Error logging in:', error);
+      console.error('Error clearing vision calibration:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to log in'
+        message: 'Failed to clear vision calibration'
       };
     }
   }
 
   /**
-   * Logout
+   * Record a cashier's response to a camera suggestion
+   * Approved feedback is folded into the model once a batch is due
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
+   * @param {Object} data - Feedback ({ action, suggestedProductId, productId, confidence, imageData, boundingBox, storeId })
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async logout(params, data) {
+  async recordRecognitionFeedback(params, data, context = {}) {
     try {
-      // Logout
-      const result = this.auth.logout();
-      if (!result) {
+      const RecognitionFeedbackService = require('./RecognitionFeedbackService');
+      const feedbackService = new RecognitionFeedbackService(this.db);
+
+      const result = feedbackService.recordFeedback({
+        ...data,
+        employeeId: this.resolveUserId(context) || data.employeeId
+      });
+      if (!result.success) {
         return {
           success: false,
-          status: 500,
-          message: 'Failed to log out'
+          status: 400,
+          message: result.message
         };
       }
 
+      let applied = null;
+      if (feedbackService.isApplyDue()) {
+        const VisionAIService = require('./VisionAIService');
+        const visionAI = new VisionAIService(this.db);
+        await visionAI.initialize();
+        applied = await feedbackService.applyApproved(visionAI);
+      }
+
       return {
         success: true,
-        status: 200,
-        message: 'Logged out successfully'
+        status: 201,
+        data: {
+          feedback: result.feedback,
+          applied
+        }
       };
     } catch (error) {
-      console.error('Error logging out:', error);
+      console.error('Error recording recognition feedback:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to log out'
+        message: 'Failed to record recognition feedback'
       };
     }
   }
 
   /**
-   * Get current user
+   * Get recognition feedback, e.g. the review queue with status=pending
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
+   * @param {Object} data - Request data ({ status })
    * @returns {Promise<Object>} Response
    */
-  async getCurrentUser(params, data) {
+  async getRecognitionFeedback(params, data) {
     try {
-      // Get current user
-      const user = this.auth.getCurrentUser();
-      if (!user) {
-        return {
-          success: false,
-          status: 401,
-          message: 'Not authenticated'
-        };
-      }
-
       return {
         success: true,
         status: 200,
-        data: user
+        data: this.db.getRecognitionFeedback(data.status || null)
       };
     } catch (error) {
-      console.error('Error getting current user:', error);
+      console.error('Error getting recognition feedback:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get current user'
+        message: 'Failed to get recognition feedback'
       };
     }
   }
 
   /**
-   * Change password
+   * Approve or reject pending recognition feedback
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
+   * @param {Object} data - Review ({ approved, notes })
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async changePassword(params, data) {
+  async reviewRecognitionFeedback(params, data, context = {}) {
     try {
-      // Check if current and new passwords are provided
-      if (!data.currentPassword || !data.newPassword) {
+      if (typeof data.approved !== 'boolean') {
         return {
           success: false,
           status: 400,
-          message: 'Current and new passwords are required'
+          message: 'Approved must be true or false'
         };
       }
 
-      // Get current user
-      const user = this.auth.getCurrentUser();
-      if (!user) {
-        return {
-          success: false,
-          status: 401,
-          message: 'Not authenticated'
-        };
-      }
+      const RecognitionFeedbackService = require('./RecognitionFeedbackService');
+      const result = new RecognitionFeedbackService(this.db)
+        .reviewFeedback(params.id, data.approved, this.resolveUserId(context), data.notes);
 
-      // Change password
-      const result = this.auth.changePassword(user.id, data.currentPassword, data.newPassword);
       if (!result.success) {
         return {
           success: false,
-          status: 400,
-          message: result.error
+          status: result.message === 'Feedback not found' ? 404 : 400,
+          message: result.message
         };
       }
 
       return {
         success: true,
         status: 200,
-        message: 'Password changed successfully'
+        data: result.feedback
       };
     } catch (error) {
-      console.error('Error changing password:', error);
+      console.error('Error reviewing recognition feedback:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to change password'
+        message: 'Failed to review recognition feedback'
       };
     }
   }
 
-  // Settings endpoints
-
   /**
-   * Get all settings
+   * Fold all approved recognition feedback into the model now
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async getSettings(params, data) {
+  async applyRecognitionFeedback(params, data) {
     try {
-      const settings = this.db.getSettings();
+      const VisionAIService = require('./VisionAIService');
+      const visionAI = new VisionAIService(this.db);
+      await visionAI.initialize();
+
+      const RecognitionFeedbackService = require('./RecognitionFeedbackService');
+      const result = await new RecognitionFeedbackService(this.db).applyApproved(visionAI);
+
       return {
         success: true,
         status: 200,
-        data: settings
+        data: result
       };
     } catch (error) {
-      console.error('Error getting settings:', error);
+      console.error('Error applying recognition feedback:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get settings'
+        message: 'Failed to apply recognition feedback'
       };
     }
   }
 
   /**
-   * Update settings
+   * Get vision model versions
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async updateSettings(params, data) {
+  async getVisionModels(params, data) {
     try {
-      // Update settings
-      const saved = this.db.saveSettings(data);
-      if (!saved) {
-        return {
-          success: false,
-          status: 500,
-          message: 'Failed to save settings'
-        };
-      }
+      const VisionModelService = require('./VisionModelService');
 
       return {
         success: true,
         status: 200,
-        data: this.db.getSettings()
+        data: new VisionModelService(this.db).getVersions()
       };
     } catch (error) {
-      console.error('Error updating settings:', error);
+      console.error('Error getting vision models:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to update settings'
+        message: 'Failed to get vision models'
       };
     }
   }
 
   /**
-   * Get setting by key
+   * Freeze the current training into a new vision model version
    * @param {Object} params - Path parameters
-   * @param {Object} data - Request data
+   * @param {Object} data - Version data ({ notes })
+   * @param {Object} context - Request context
    * @returns {Promise<Object>} Response
    */
-  async getSetting(params, data) {
+  async createVisionModel(params, data, context = {}) {
     try {
-      const value = this.db.getSetting(params.key);
-      if (value === null) {
+      const VisionModelService = require('./VisionModelService');
+      const result = new VisionModelService(this.db).createVersion({
+        notes: data.notes,
+        createdBy: this.resolveUserId(context)
+      });
+
+      if (!result.success) {
         return {
           success: false,
-          status: 404,
-          message: 'Setting not found'
+          status: 400,
+          message: result.message
         };
       }
 
       return {
         success: true,
-        status: 200,
-        data: {
-          key: params.key,
-          value
-        }
+        status: 201,
+        data: result.version
       };
     } catch (error) {
-      console.error('Error getting setting:', error);
+      console.error('Error creating vision model:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get setting'
+        message: 'Failed to create vision model'
       };
     }
   }
 
   /**
-   * Update setting
+   * Make a vision model version answer live captures
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async updateSetting(params, data) {
+  async promoteVisionModel(params, data) {
     try {
-      // Check if value is provided
-      if (data.value === undefined) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Value is required'
-        };
-      }
+      const VisionModelService = require('./VisionModelService');
+      const result = new VisionModelService(this.db).promoteVersion(params.id);
 
-      // Update setting
-      const saved = this.db.saveSetting(params.key, data.value);
-      if (!saved) {
+      if (!result.success) {
         return {
           success: false,
-          status: 500,
-          message: 'Failed to save setting'
+          status: result.message === 'Model version not found' ? 404 : 400,
+          message: result.message
         };
       }
 
       return {
         success: true,
         status: 200,
-        data: {
-          key: params.key,
-          value: data.value
-        }
+        data: result
       };
     } catch (error) {
-      console.error('Error updating setting:', error);
+      console.error('Error promoting vision model:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to update setting'
+        message: 'Failed to promote vision model'
       };
     }
   }
 
-  // Vision AI endpoints
-
   /**
-   * Process image
+   * Return to the vision model version that was active before the last promotion
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async processImage(params, data) {
+  async rollbackVisionModel(params, data) {
     try {
-      // Check if image data is provided
-      if (!data.imageData) {
+      const VisionModelService = require('./VisionModelService');
+      const result = new VisionModelService(this.db).rollback();
+
+      if (!result.success) {
         return {
           success: false,
           status: 400,
-          message: 'Image data is required'
+          message: result.message
         };
       }
 
-      // Get Vision AI service
-      const VisionAIService = require('./VisionAIService');
-      const visionAI = new VisionAIService(this.db);
-      await visionAI.initialize();
-
-      // Process image
-      const results = await visionAI.processImage(data.imageData);
-
       return {
         success: true,
         status: 200,
-        data: results
+        data: result
       };
     } catch (error) {
-      console.error('Error processing image:', error);
+      console.error('Error rolling back vision model:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to process image'
+        message: 'Failed to roll back vision model'
       };
     }
   }
 
   /**
-   * Train model
+   * Start evaluating a vision model version in shadow mode
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async trainModel(params, data) {
+  async startVisionShadow(params, data) {
     try {
-      // Check if product ID and images are provided
-      if (!data.productId || !data.images || !Array.isArray(data.images) || data.images.length === 0) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Product ID and images are required'
-        };
-      }
-
-      // Get Vision AI service
-      const VisionAIService = require('./VisionAIService');
-      const visionAI = new VisionAIService(this.db);
-      await visionAI.initialize();
+      const VisionModelService = require('./VisionModelService');
+      const result = new VisionModelService(this.db).startShadow(params.id);
 
-      // Train model
-      const result = await visionAI.trainModel(data.productId, data.images);
       if (!result.success) {
         return {
           success: false,
-          status: 400,
+          status: result.message === 'Model version not found' ? 404 : 400,
           message: result.message
         };
       }
@@ -1524,94 +4376,73 @@ class APIService {
       return {
         success: true,
         status: 200,
-        data: result
+        message: result.message
       };
     } catch (error) {
-      console.error('Error training model:', error);
+      console.error('Error starting shadow evaluation:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to train model'
+        message: 'Failed to start shadow evaluation'
       };
     }
   }
 
   /**
-   * Get model info
+   * Stop shadow evaluation
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async getModelInfo(params, data) {
+  async stopVisionShadow(params, data) {
     try {
-      // Get Vision AI service
-      const VisionAIService = require('./VisionAIService');
-      const visionAI = new VisionAIService(this.db);
-      await visionAI.initialize();
-
-      // Get model info
-      const modelInfo = visionAI.getModelInfo();
+      const VisionModelService = require('./VisionModelService');
+      const result = new VisionModelService(this.db).stopShadow();
 
       return {
         success: true,
         status: 200,
-        data: modelInfo
+        message: result.message
       };
     } catch (error) {
-      console.error('Error getting model info:', error);
+      console.error('Error stopping shadow evaluation:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to get model info'
+        message: 'Failed to stop shadow evaluation'
       };
     }
   }
 
   /**
-   * Set confidence threshold
+   * Report how a shadow version compares with the live vision model
    * @param {Object} params - Path parameters
    * @param {Object} data - Request data
    * @returns {Promise<Object>} Response
    */
-  async setConfidenceThreshold(params, data) {
+  async getVisionShadowReport(params, data) {
     try {
-      // Check if threshold is provided
-      if (data.threshold === undefined) {
+      if (!this.db.getVisionModelById(params.id)) {
         return {
           success: false,
-          status: 400,
-          message: 'Threshold is required'
+          status: 404,
+          message: 'Model version not found'
         };
       }
 
-      // Get Vision AI service
-      const VisionAIService = require('./VisionAIService');
-      const visionAI = new VisionAIService(this.db);
-      await visionAI.initialize();
-
-      // Set threshold
-      const result = visionAI.setConfidenceThreshold(data.threshold);
-      if (!result) {
-        return {
-          success: false,
-          status: 400,
-          message: 'Invalid threshold value'
-        };
-      }
+      const VisionModelService = require('./VisionModelService');
 
       return {
         success: true,
         status: 200,
-        data: {
-          threshold: visionAI.getConfidenceThreshold()
-        }
+        data: new VisionModelService(this.db).getShadowReport(params.id)
       };
     } catch (error) {
-      console.error('Error setting confidence threshold:', error);
+      console.error('Error getting shadow report:', error);
       return {
         success: false,
         status: 500,
-        message: 'Failed to set confidence threshold'
+        message: 'Failed to get shadow report'
       };
     }
   }
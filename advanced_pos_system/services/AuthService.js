@@ -9,10 +9,13 @@ class AuthService {
    * @param {Object} databaseService - Database service instance
    */
   constructor(databaseService) {
+    const SessionStore = require('./SessionStore');
+
     this.db = databaseService;
     this.currentUser = null;
     this.token = null;
     this.tokenExpiry = null;
+    this.sessions = new SessionStore();
     this.initialized = false;
   }
 
@@ -22,6 +25,9 @@ class AuthService {
    */
   initialize() {
     try {
+      // Load session lifetime from settings
+      this.sessions.ttlHours = this.db.getSetting('sessionTimeoutHours', 24);
+
       // Check for stored token
       if (typeof localStorage !== 'undefined') {
         const storedToken = localStorage.getItem('pos_auth_token');
@@ -107,12 +113,15 @@ class AuthService {
   }
 
   /**
-   * Login user
+   * Authenticate user credentials and issue a session token
+   * Unlike login(), this does not change the process-wide current user,
+   * so it is safe to call for requests coming from several terminals
    * @param {string} username - Username
    * @param {string} password - Password
-   * @returns {Object} Login result
+   * @param {Object} metadata - Additional session data (e.g. ip)
+   * @returns {Object} Authentication result
    */
-  login(username, password) {
+  authenticate(username, password, metadata = {}) {
     try {
       // Get user by username
       const user = this.db.getUserByUsername(username);
@@ -133,10 +142,10 @@ class AuthService {
         };
       }
 
-      // Create token
+      // Create token and session
       const token = this.generateToken();
-      const expiry = new Date();
-      expiry.setHours(expiry.getHours() + 24); // Token valid for 24 hours
+      const session = this.sessions.create(token, user.id, metadata);
+      const expiry = new Date(session.expiry);
 
       // Update user's last login
       const User = require('../models/User');
@@ -144,24 +153,47 @@ class AuthService {
       userObj.updateLastLogin();
       this.db.saveUser(userObj.toObject());
 
-      // Set current user and token
-      this.currentUser = user;
-      this.token = token;
-      this.tokenExpiry = expiry;
-
-      // Store token in localStorage
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('pos_auth_token', token);
-        localStorage.setItem('pos_auth_user_id', user.id);
-        localStorage.setItem('pos_auth_expiry', expiry.toISOString());
-      }
-
       return {
         success: true,
         user: { ...user, passwordHash: undefined },
         token,
         expiry
       };
+    } catch (error) {
+      console.error('Error authenticating user:', error);
+      return {
+        success: false,
+        error: 'Login failed'
+      };
+    }
+  }
+
+  /**
+   * Login user
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Object} Login result
+   */
+  login(username, password) {
+    try {
+      const result = this.authenticate(username, password);
+      if (!result.success) {
+        return result;
+      }
+
+      // Set current user and token
+      this.currentUser = this.db.getUserById(result.user.id);
+      this.token = result.token;
+      this.tokenExpiry = result.expiry;
+
+      // Store token in localStorage
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem('pos_auth_token', result.token);
+        localStorage.setItem('pos_auth_user_id', result.user.id);
+        localStorage.setItem('pos_auth_expiry', result.expiry.toISOString());
+      }
+
+      return result;
     } catch (error) {
       console.error('Error logging in:', error);
       return {
@@ -177,6 +209,10 @@ class AuthService {
    */
   logout() {
     try {
+      if (this.token) {
+        this.sessions.revoke(this.token);
+      }
+
       this.currentUser = null;
       this.token = null;
       this.tokenExpiry = null;
@@ -207,6 +243,57 @@ class AuthService {
     return { ...this.currentUser, passwordHash: undefined };
   }
 
+  /**
+   * Get user for an authentication token
+   * @param {string} token - Authentication token
+   * @returns {Object|null} User or null if token is invalid, revoked or expired
+   */
+  getUserByToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const session = this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+
+    // Load the user fresh so role and permission changes apply immediately
+    const user = this.db.getUserById(session.userId);
+    if (!user) {
+      this.sessions.revoke(token);
+      return null;
+    }
+
+    return { ...user, passwordHash: undefined };
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} token - Authentication token
+   * @returns {boolean} Success status
+   */
+  revokeSession(token) {
+    if (token && token === this.token) {
+      return this.logout();
+    }
+
+    return this.sessions.revoke(token);
+  }
+
+  /**
+   * Revoke all sessions of a user
+   * @param {string} userId - User ID
+   * @returns {number} Number of revoked sessions
+   */
+  revokeUserSessions(userId) {
+    if (this.currentUser && this.currentUser.id === userId) {
+      this.logout();
+    }
+
+    return this.sessions.revokeUser(userId);
+  }
+
   /**
    * Check if user is authenticated
    * @returns {boolean} Is authenticated
@@ -216,13 +303,14 @@ class AuthService {
   }
 
   /**
-   * Check if current user has permission
+   * Check if a user has permission
    * @param {string} permission - Permission to check
+   * @param {Object} user - User to check (defaults to the current user)
    * @returns {boolean} Has permission
    */
-  hasPermission(permission) {
-    const user = this.getCurrentUser();
-    if (!user) {
+  hasPermission(permission, user = null) {
+    user = user || this.getCurrentUser();
+    if (!user || !Array.isArray(user.permissions)) {
       return false;
     }
     
@@ -292,12 +380,13 @@ class AuthService {
    * Reset user password (admin only)
    * @param {string} userId - User ID
    * @param {string} newPassword - New password
+   * @param {Object} actingUser - User performing the reset (defaults to the current user)
    * @returns {Object} Reset result
    */
-  resetPassword(userId, newPassword) {
+  resetPassword(userId, newPassword, actingUser = null) {
     try {
-      // Check if current user is admin
-      if (!this.hasPermission('users:update')) {
+      // Check if acting user is admin
+      if (!this.hasPermission('users:update', actingUser)) {
         return {
           success: false,
           error: 'Permission denied'
@@ -328,6 +417,9 @@ class AuthService {
         };
       }
 
+      // Force the user to log in again everywhere
+      this.sessions.revokeUser(userId);
+
       return {
         success: true
       };
@@ -345,7 +437,13 @@ class AuthService {
    * @returns {string} Authentication token
    */
   generateToken() {
-    return 'token_' + Date.now() + '_' + Math.random().toString(36).substring(2, 15);
+    try {
+      // Use a cryptographically secure token when running under Node
+      const crypto = require('crypto');
+      return 'token_' + crypto.randomBytes(32).toString('hex');
+    } catch (error) {
+      return 'token_' + Date.now() + '_' + Math.random().toString(36).substring(2, 15);
+    }
   }
 }
 
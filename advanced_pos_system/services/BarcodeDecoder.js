@@ -0,0 +1,582 @@
+/**
+ * Barcode Decoder for Advanced POS System
+ * Reads EAN-13, UPC-A, Code 128 and QR codes from camera frames
+ *
+ * Linear codes are read along evenly spaced rows and columns, in both directions, so
+ * products held sideways or upside down still scan. Each scan line is thresholded
+ * against its local minimum and maximum, and the bar and space widths are matched
+ * against the symbology's patterns after normalizing them to the symbol width, which
+ * tolerates the blur and ink spread of a webcam picture. QR codes are left to QRDecoder.
+ */
+
+class BarcodeDecoder {
+  /**
+   * Create a new BarcodeDecoder
+   * @param {Object} options - Decoder options
+   * @param {Array} options.formats - Formats to read (default: all of BarcodeDecoder.FORMATS)
+   * @param {number} options.scanLines - Rows and columns scanned for linear codes
+   */
+  constructor(options = {}) {
+    this.formats = options.formats || BarcodeDecoder.FORMATS;
+    this.scanLines = options.scanLines || BarcodeDecoder.SCAN_LINES;
+  }
+
+  /**
+   * Decode the barcodes in an image
+   * @param {Object} image - Decoded image ({ width, height, data } with RGBA pixels)
+   * @returns {Array} Codes ({ format, text, boundingBox })
+   */
+  decode(image) {
+    const luminance = this.getLuminance(image);
+    const codes = [];
+
+    if (this.formats.some(format => BarcodeDecoder.LINEAR_FORMATS.includes(format))) {
+      codes.push(...this.decodeLinear(luminance, image.width, image.height));
+    }
+
+    if (this.formats.includes('qr')) {
+      const QRDecoder = require('./QRDecoder');
+      const qr = new QRDecoder().decode(this.binarize(luminance, image.width, image.height));
+      if (qr && qr.text) {
+        codes.push({ format: 'qr', text: qr.text, boundingBox: qr.boundingBox });
+      }
+    }
+
+    return codes;
+  }
+
+  /**
+   * Convert RGBA pixels to luminance
+   * @param {Object} image - Decoded image
+   * @returns {Uint8Array} Luminance per pixel
+   */
+  getLuminance(image) {
+    const luminance = new Uint8Array(image.width * image.height);
+    for (let i = 0; i < luminance.length; i++) {
+      const offset = i * 4;
+      luminance[i] = (image.data[offset] * 299 + image.data[offset + 1] * 587 + image.data[offset + 2] * 114) / 1000;
+    }
+    return luminance;
+  }
+
+  /**
+   * Binarize against the mean of each pixel's neighbourhood, so uneven lighting across
+   * the frame does not wash out part of a code
+   * @param {Uint8Array} luminance - Luminance per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} Binarized image ({ width, height, bits }, 1 for dark pixels)
+   */
+  binarize(luminance, width, height) {
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += luminance[y * width + x];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+      }
+    }
+
+    const radius = Math.max(7, Math.round(Math.min(width, height) / 16));
+    const bits = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - radius);
+      const y1 = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - radius);
+        const x1 = Math.min(width, x + radius + 1);
+        const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+        const mean = sum / ((x1 - x0) * (y1 - y0));
+        bits[y * width + x] = luminance[y * width + x] < mean - BarcodeDecoder.THRESHOLD_OFFSET ? 1 : 0;
+      }
+    }
+
+    return { width, height, bits };
+  }
+
+  /**
+   * Read linear codes along rows and columns
+   * @param {Uint8Array} luminance - Luminance per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array} Codes ({ format, text, boundingBox })
+   */
+  decodeLinear(luminance, width, height) {
+    const found = new Map();
+
+    [false, true].forEach(vertical => {
+      const lineCount = vertical ? width : height;
+      const length = vertical ? height : width;
+
+      for (let i = 0; i < this.scanLines; i++) {
+        const position = Math.floor((i + 0.5) * lineCount / this.scanLines);
+        const values = new Uint8Array(length);
+        for (let j = 0; j < length; j++) {
+          values[j] = vertical ? luminance[j * width + position] : luminance[position * width + j];
+        }
+
+        const runs = this.getRuns(values);
+        const reversed = this.reverseRuns(runs, length);
+
+        [runs, reversed].forEach(lineRuns => {
+          this.decodeRuns(lineRuns).forEach(hit => {
+            const key = `${hit.format}:${hit.text}`;
+            if (!found.has(key)) {
+              found.set(key, { format: hit.format, text: hit.text, lines: [] });
+            }
+            found.get(key).lines.push({ vertical, position, start: hit.start, end: hit.end });
+          });
+        });
+      }
+    });
+
+    return Array.from(found.values()).map(code => ({
+      format: code.format,
+      text: code.text,
+      boundingBox: this.getBoundingBox(code.lines, width, height)
+    }));
+  }
+
+  /**
+   * Threshold a scan line against its local range and measure the bar and space widths
+   * @param {Uint8Array} values - Luminance along the line
+   * @returns {Object} Runs ({ widths, offsets }), starting with a (possibly empty) light run
+   */
+  getRuns(values) {
+    const length = values.length;
+    const radius = Math.max(8, Math.round(length / 24));
+    const widths = [0];
+    const offsets = [0];
+
+    for (let i = 0; i < length; i++) {
+      let min = 255;
+      let max = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(length - 1, i + radius); j++) {
+        min = Math.min(min, values[j]);
+        max = Math.max(max, values[j]);
+      }
+
+      // Flat stretches (quiet zones, packaging) count as light
+      const dark = max - min >= BarcodeDecoder.MIN_CONTRAST && values[i] < (min + max) / 2;
+      if (dark === (widths.length % 2 === 0)) {
+        widths[widths.length - 1]++;
+      } else {
+        widths.push(1);
+        offsets.push(i);
+      }
+    }
+
+    return { widths, offsets };
+  }
+
+  /**
+   * Reverse the runs of a scan line, to read codes upside down
+   * @param {Object} runs - Runs of the line
+   * @param {number} length - Line length
+   * @returns {Object} Runs of the reversed line, starting with a light run
+   */
+  reverseRuns(runs, length) {
+    const widths = [...runs.widths].reverse();
+    const offsets = runs.offsets.map((offset, i) => length - offset - runs.widths[i]).reverse();
+    if (widths.length % 2 === 0) {
+      widths.unshift(0);
+      offsets.unshift(0);
+    }
+    return { widths, offsets };
+  }
+
+  /**
+   * Find the requested linear codes in the runs of a scan line
+   * @param {Object} runs - Runs of the line
+   * @returns {Array} Hits ({ format, text, start, end })
+   */
+  decodeRuns(runs) {
+    const hits = [];
+
+    // Dark runs are at odd indices
+    for (let s = 1; s < runs.widths.length; s += 2) {
+      const hit = this.decodeEan13(runs, s) || this.decodeCode128(runs, s);
+      if (hit) {
+        hits.push(hit);
+        s = hit.last;
+      }
+    }
+
+    return hits;
+  }
+
+  /**
+   * Decode an EAN-13 or UPC-A code starting at a dark run
+   * @param {Object} runs - Runs of the line
+   * @param {number} s - Index of the first bar of the start guard
+   * @returns {Object|null} Hit ({ format, text, start, end, last })
+   */
+  decodeEan13(runs, s) {
+    if (!this.formats.includes('ean_13') && !this.formats.includes('upc_a')) {
+      return null;
+    }
+
+    const { widths, offsets } = runs;
+    if (s + 58 >= widths.length) {
+      return null;
+    }
+
+    // Start guard: bar, space, bar of one module after a quiet zone
+    const moduleSize = (widths[s] + widths[s + 1] + widths[s + 2]) / 3;
+    if (!this.isGuard(widths, s, 3, moduleSize) || widths[s - 1] < 3 * moduleSize) {
+      return null;
+    }
+
+    // Left half: six digits in L or G code, starting with a space; the parities give the first digit
+    const digits = [];
+    let parity = 0;
+    for (let i = 0; i < 6; i++) {
+      const match = this.matchDigit(widths.slice(s + 3 + i * 4, s + 7 + i * 4), true);
+      if (!match) {
+        return null;
+      }
+      digits.push(match.digit);
+      parity = (parity << 1) | (match.even ? 1 : 0);
+    }
+
+    // Middle guard: space, bar, space, bar, space
+    if (!this.isGuard(widths, s + 27, 5, moduleSize)) {
+      return null;
+    }
+
+    // Right half: six digits in R code, starting with a bar
+    for (let i = 0; i < 6; i++) {
+      const match = this.matchDigit(widths.slice(s + 32 + i * 4, s + 36 + i * 4), false);
+      if (!match) {
+        return null;
+      }
+      digits.push(match.digit);
+    }
+
+    const firstDigit = BarcodeDecoder.EAN_PARITIES.indexOf(parity);
+    const endQuiet = widths[s + 59];
+    if (firstDigit < 0 || !this.isGuard(widths, s + 56, 3, moduleSize) || (endQuiet !== undefined && endQuiet < 3 * moduleSize)) {
+      return null;
+    }
+
+    const text = `${firstDigit}${digits.join('')}`;
+    if (!BarcodeDecoder.isValidEan13(text)) {
+      return null;
+    }
+
+    const hit = {
+      start: offsets[s],
+      end: offsets[s + 58] + widths[s + 58],
+      last: s + 58
+    };
+
+    if (text[0] === '0' && this.formats.includes('upc_a')) {
+      return { ...hit, format: 'upc_a', text: text.slice(1) };
+    }
+    return this.formats.includes('ean_13') ? { ...hit, format: 'ean_13', text } : null;
+  }
+
+  /**
+   * Check that guard runs are each about one module wide
+   * @param {Array} widths - Run widths
+   * @param {number} index - First run of the guard
+   * @param {number} count - Number of runs
+   * @param {number} moduleSize - Module width in pixels
+   * @returns {boolean} Matches
+   */
+  isGuard(widths, index, count, moduleSize) {
+    for (let i = index; i < index + count; i++) {
+      if (!(widths[i] >= moduleSize * 0.5 && widths[i] <= moduleSize * 1.5 + 1)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Match the four runs of an EAN digit
+   * @param {Array} widths - Run widths
+   * @param {boolean} left - Left half (L and G codes) or right half (R code)
+   * @returns {Object|null} Digit and whether it used the G code
+   */
+  matchDigit(widths, left) {
+    let best = null;
+
+    BarcodeDecoder.EAN_DIGITS.forEach((pattern, digit) => {
+      const codes = left ? [[pattern, false], [[...pattern].reverse(), true]] : [[pattern, false]];
+      codes.forEach(([code, even]) => {
+        const error = this.getPatternError(widths, code);
+        if (!best || error < best.error) {
+          best = { digit, even, error };
+        }
+      });
+    });
+
+    return best && best.error <= BarcodeDecoder.MAX_PATTERN_ERROR ? best : null;
+  }
+
+  /**
+   * Decode a Code 128 code starting at a dark run
+   * @param {Object} runs - Runs of the line
+   * @param {number} s - Index of the first bar of the start symbol
+   * @returns {Object|null} Hit ({ format, text, start, end, last })
+   */
+  decodeCode128(runs, s) {
+    if (!this.formats.includes('code_128')) {
+      return null;
+    }
+
+    const { widths, offsets } = runs;
+    const start = this.matchSymbol(widths.slice(s, s + 6));
+    if (!start || start.value < BarcodeDecoder.CODE128_START_A || start.value > BarcodeDecoder.CODE128_START_C) {
+      return null;
+    }
+
+    const moduleSize = widths.slice(s, s + 6).reduce((sum, width) => sum + width, 0) / 11;
+    if (widths[s - 1] < 5 * moduleSize) {
+      return null;
+    }
+
+    // Symbols of three bars and three spaces up to the stop pattern and its quiet zone
+    const values = [];
+    let i = s + 6;
+    let stopped = false;
+    while (i + 6 < widths.length) {
+      const quiet = widths[i + 7];
+      if (this.getPatternError(widths.slice(i, i + 7), BarcodeDecoder.CODE128_STOP) <= BarcodeDecoder.MAX_PATTERN_ERROR &&
+        (quiet === undefined || quiet >= 5 * moduleSize)) {
+        stopped = true;
+        break;
+      }
+
+      const symbol = this.matchSymbol(widths.slice(i, i + 6));
+      if (!symbol) {
+        return null;
+      }
+      values.push(symbol.value);
+      i += 6;
+    }
+
+    if (!stopped || values.length < 2) {
+      return null;
+    }
+
+    // Checksum: start value plus each symbol value weighted by its position, modulo 103
+    const check = values.pop();
+    const sum = values.reduce((total, value, index) => total + value * (index + 1), start.value);
+    if (sum % 103 !== check) {
+      return null;
+    }
+
+    const text = this.decodeCode128Text(start.value, values);
+    if (!text) {
+      return null;
+    }
+
+    return {
+      format: 'code_128',
+      text,
+      start: offsets[s],
+      end: offsets[i + 6] + widths[i + 6],
+      last: i + 6
+    };
+  }
+
+  /**
+   * Match the six runs of a Code 128 symbol
+   * @param {Array} widths - Run widths
+   * @returns {Object|null} Symbol value
+   */
+  matchSymbol(widths) {
+    if (widths.length < 6) {
+      return null;
+    }
+
+    let best = null;
+    BarcodeDecoder.CODE128_PATTERNS.forEach((pattern, value) => {
+      const error = this.getPatternError(widths, pattern);
+      if (!best || error < best.error) {
+        best = { value, error };
+      }
+    });
+
+    return best.error <= BarcodeDecoder.MAX_PATTERN_ERROR ? best : null;
+  }
+
+  /**
+   * Turn Code 128 symbol values into text, following the code set switches
+   * @param {number} startValue - Start symbol (selects code set A, B or C)
+   * @param {Array} values - Data symbol values
+   * @returns {string} Text (FNC1 separators as ASCII GS)
+   */
+  decodeCode128Text(startValue, values) {
+    let codeSet = ['A', 'B', 'C'][startValue - BarcodeDecoder.CODE128_START_A];
+    let shifted = false;
+    let text = '';
+
+    values.forEach((value, index) => {
+      const current = shifted ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+      shifted = false;
+
+      if (value === 102) {
+        // FNC1: GS1 flag when first, field separator otherwise
+        if (index > 0) {
+          text += '\x1d';
+        }
+      } else if (current === 'C') {
+        if (value < 100) {
+          text += value.toString().padStart(2, '0');
+        } else {
+          codeSet = value === 100 ? 'B' : 'A';
+        }
+      } else if (value < 96) {
+        if (current === 'A') {
+          text += String.fromCharCode(value < 64 ? value + 32 : value - 64);
+        } else {
+          text += String.fromCharCode(value + 32);
+        }
+      } else if (value === 98) {
+        shifted = true;
+      } else if (value === 99) {
+        codeSet = 'C';
+      } else if ((current === 'A' && value === 100) || (current === 'B' && value === 101)) {
+        codeSet = current === 'A' ? 'B' : 'A';
+      }
+      // FNC2, FNC3 and FNC4 carry no text
+    });
+
+    return text;
+  }
+
+  /**
+   * Compare run widths with a pattern after scaling them to its total width
+   * @param {Array} widths - Run widths
+   * @param {Array} pattern - Pattern widths in modules
+   * @returns {number} Sum of absolute differences in modules
+   */
+  getPatternError(widths, pattern) {
+    if (widths.length < pattern.length) {
+      return Infinity;
+    }
+
+    const total = widths.slice(0, pattern.length).reduce((sum, width) => sum + width, 0);
+    const modules = pattern.reduce((sum, width) => sum + width, 0);
+    if (total === 0) {
+      return Infinity;
+    }
+
+    return pattern.reduce((error, width, i) => error + Math.abs(widths[i] * modules / total - width), 0);
+  }
+
+  /**
+   * Get the region of a linear code from the scan lines that read it
+   * @param {Array} lines - Hits ({ vertical, position, start, end })
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Object} Bounding box ({ x1, y1, x2, y2 }, 0-1)
+   */
+  getBoundingBox(lines, width, height) {
+    const box = { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+
+    lines.forEach(line => {
+      // A code read on one line extends about half the line spacing either side
+      const spread = (line.vertical ? width : height) / this.scanLines / 2;
+      const across = [line.position - spread, line.position + spread];
+      const [xs, ys] = line.vertical ? [across, [line.start, line.end]] : [[line.start, line.end], across];
+
+      box.x1 = Math.min(box.x1, xs[0]);
+      box.x2 = Math.max(box.x2, xs[1]);
+      box.y1 = Math.min(box.y1, ys[0]);
+      box.y2 = Math.max(box.y2, ys[1]);
+    });
+
+    const clamp = value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+    return {
+      x1: clamp(box.x1 / width),
+      y1: clamp(box.y1 / height),
+      x2: clamp(box.x2 / width),
+      y2: clamp(box.y2 / height)
+    };
+  }
+
+  /**
+   * Check the EAN-13 check digit
+   * @param {string} code - 13 digits
+   * @returns {boolean} Valid
+   */
+  static isValidEan13(code) {
+    if (!/^\d{13}$/.test(code)) {
+      return false;
+    }
+
+    const sum = code.slice(0, 12).split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+    return (10 - sum % 10) % 10 === Number(code[12]);
+  }
+}
+
+// Supported formats
+BarcodeDecoder.FORMATS = ['ean_13', 'upc_a', 'code_128', 'qr'];
+
+// Formats read along scan lines
+BarcodeDecoder.LINEAR_FORMATS = ['ean_13', 'upc_a', 'code_128'];
+
+// Rows (and columns) scanned for linear codes
+BarcodeDecoder.SCAN_LINES = 24;
+
+// Luminance range below which a stretch of a scan line is taken as blank
+BarcodeDecoder.MIN_CONTRAST = 24;
+
+// How much darker than its neighbourhood a pixel must be to count as dark (QR)
+BarcodeDecoder.THRESHOLD_OFFSET = 7;
+
+// Largest summed width difference, in modules, for a run pattern to match
+BarcodeDecoder.MAX_PATTERN_ERROR = 1.6;
+
+// EAN digit widths in L code (space, bar, space, bar); G code is reversed, R code uses
+// the L widths starting with a bar
+BarcodeDecoder.EAN_DIGITS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+
+// G code positions of the left half (first of six digits as the high bit) by first digit
+BarcodeDecoder.EAN_PARITIES = [0b000000, 0b001011, 0b001101, 0b001110, 0b010011, 0b011001, 0b011100, 0b010101, 0b010110, 0b011010];
+
+// Code 128 symbol widths (bar, space, bar, space, bar, space) by value
+BarcodeDecoder.CODE128_PATTERNS = [
+  [2, 1, 2, 2, 2, 2], [2, 2, 2, 1, 2, 2], [2, 2, 2, 2, 2, 1], [1, 2, 1, 2, 2, 3], [1, 2, 1, 3, 2, 2],
+  [1, 3, 1, 2, 2, 2], [1, 2, 2, 2, 1, 3], [1, 2, 2, 3, 1, 2], [1, 3, 2, 2, 1, 2], [2, 2, 1, 2, 1, 3],
+  [2, 2, 1, 3, 1, 2], [2, 3, 1, 2, 1, 2], [1, 1, 2, 2, 3, 2], [1, 2, 2, 1, 3, 2], [1, 2, 2, 2, 3, 1],
+  [1, 1, 3, 2, 2, 2], [1, 2, 3, 1, 2, 2], [1, 2, 3, 2, 2, 1], [2, 2, 3, 2, 1, 1], [2, 2, 1, 1, 3, 2],
+  [2, 2, 1, 2, 3, 1], [2, 1, 3, 2, 1, 2], [2, 2, 3, 1, 1, 2], [3, 1, 2, 1, 3, 1], [3, 1, 1, 2, 2, 2],
+  [3, 2, 1, 1, 2, 2], [3, 2, 1, 2, 2, 1], [3, 1, 2, 2, 1, 2], [3, 2, 2, 1, 1, 2], [3, 2, 2, 2, 1, 1],
+  [2, 1, 2, 1, 2, 3], [2, 1, 2, 3, 2, 1], [2, 3, 2, 1, 2, 1], [1, 1, 1, 3, 2, 3], [1, 3, 1, 1, 2, 3],
+  [1, 3, 1, 3, 2, 1], [1, 1, 2, 3, 1, 3], [1, 3, 2, 1, 1, 3], [1, 3, 2, 3, 1, 1], [2, 1, 1, 3, 1, 3],
+  [2, 3, 1, 1, 1, 3], [2, 3, 1, 3, 1, 1], [1, 1, 2, 1, 3, 3], [1, 1, 2, 3, 3, 1], [1, 3, 2, 1, 3, 1],
+  [1, 1, 3, 1, 2, 3], [1, 1, 3, 3, 2, 1], [1, 3, 3, 1, 2, 1], [3, 1, 3, 1, 2, 1], [2, 1, 1, 3, 3, 1],
+  [2, 3, 1, 1, 3, 1], [2, 1, 3, 1, 1, 3], [2, 1, 3, 3, 1, 1], [2, 1, 3, 1, 3, 1], [3, 1, 1, 1, 2, 3],
+  [3, 1, 1, 3, 2, 1], [3, 3, 1, 1, 2, 1], [3, 1, 2, 1, 1, 3], [3, 1, 2, 3, 1, 1], [3, 3, 2, 1, 1, 1],
+  [3, 1, 4, 1, 1, 1], [2, 2, 1, 4, 1, 1], [4, 3, 1, 1, 1, 1], [1, 1, 1, 2, 2, 4], [1, 1, 1, 4, 2, 2],
+  [1, 2, 1, 1, 2, 4], [1, 2, 1, 4, 2, 1], [1, 4, 1, 1, 2, 2], [1, 4, 1, 2, 2, 1], [1, 1, 2, 2, 1, 4],
+  [1, 1, 2, 4, 1, 2], [1, 2, 2, 1, 1, 4], [1, 2, 2, 4, 1, 1], [1, 4, 2, 1, 1, 2], [1, 4, 2, 2, 1, 1],
+  [2, 4, 1, 2, 1, 1], [2, 2, 1, 1, 1, 4], [4, 1, 3, 1, 1, 1], [2, 4, 1, 1, 1, 2], [1, 3, 4, 1, 1, 1],
+  [1, 1, 1, 2, 4, 2], [1, 2, 1, 1, 4, 2], [1, 2, 1, 2, 4, 1], [1, 1, 4, 2, 1, 2], [1, 2, 4, 1, 1, 2],
+  [1, 2, 4, 2, 1, 1], [4, 1, 1, 2, 1, 2], [4, 2, 1, 1, 1, 2], [4, 2, 1, 2, 1, 1], [2, 1, 2, 1, 4, 1],
+  [2, 1, 4, 1, 2, 1], [4, 1, 2, 1, 2, 1], [1, 1, 1, 1, 4, 3], [1, 1, 1, 3, 4, 1], [1, 3, 1, 1, 4, 1],
+  [1, 1, 4, 1, 1, 3], [1, 1, 4, 3, 1, 1], [4, 1, 1, 1, 1, 3], [4, 1, 1, 3, 1, 1], [1, 1, 3, 1, 4, 1],
+  [1, 1, 4, 1, 3, 1], [3, 1, 1, 1, 4, 1], [4, 1, 1, 1, 3, 1], [2, 1, 1, 4, 1, 2], [2, 1, 1, 2, 1, 4],
+  [2, 1, 1, 2, 3, 2]
+];
+
+// Code 128 start symbol values (code sets A, B and C)
+BarcodeDecoder.CODE128_START_A = 103;
+BarcodeDecoder.CODE128_START_C = 105;
+
+// Code 128 stop pattern (four bars, three spaces)
+BarcodeDecoder.CODE128_STOP = [2, 3, 3, 1, 1, 1, 2];
+
+// Export the BarcodeDecoder class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BarcodeDecoder;
+}
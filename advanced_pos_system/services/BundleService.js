@@ -0,0 +1,211 @@
+/**
+ * Bundle Service for Advanced POS System
+ * Checks, stocks and reports bundles: gift baskets, kits and meal combos that are sold as
+ * one line but consume several component products
+ *
+ * A bundle holds no stock of its own; how many can be sold is limited by its scarcest
+ * component. Sale lines of a bundle carry a snapshot of its components with their price
+ * and cost at the time of sale, so voids and returns move the stock that was actually
+ * consumed and reports can allocate the bundle revenue to the components in proportion
+ * to their own prices.
+ */
+
+class BundleService {
+  /**
+   * Create a new BundleService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Check the components of a bundle against the products they refer to
+   * @param {Object} bundle - Bundle product
+   * @returns {Array} Error messages
+   */
+  validateComponents(bundle) {
+    const Product = require('../models/Product');
+    const errors = [];
+
+    (bundle.components || []).forEach(component => {
+      const existing = this.db.getProductById(component.productId);
+      if (!existing) {
+        errors.push(`Component ${component.productId} not found`);
+        return;
+      }
+
+      const product = Product.fromObject(existing);
+      if (product.isBundle()) {
+        errors.push(`${product.name} is a bundle and cannot be a component`);
+      } else if (product.isParent()) {
+        errors.push(`${product.name} is sold through its variants; add a variant as the component`);
+      } else {
+        const quantityError = product.getQuantityError(parseFloat(component.quantity));
+        if (quantityError) {
+          errors.push(`${product.name}: ${quantityError}`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Get the component quantities consumed by selling a number of bundles
+   * @param {Object} bundle - Bundle product or sale line with a components snapshot
+   * @param {number} quantity - Number of bundles
+   * @returns {Array} Component lines ({ productId, name, quantity, unitOfMeasure })
+   */
+  getComponentLines(bundle, quantity = 1) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+
+    return (bundle.components || []).map(component => {
+      const product = this.db.getProductById(component.productId);
+      return {
+        productId: component.productId,
+        name: component.name || (product ? product.name : ''),
+        quantity: UnitOfMeasure.round(parseFloat(component.quantity) * quantity),
+        unitOfMeasure: component.unitOfMeasure || (product ? product.unitOfMeasure : 'ea')
+      };
+    });
+  }
+
+  /**
+   * Get how many of a bundle can be sold from the stock of its components
+   * @param {Object} bundle - Bundle product
+   * @param {Object} demand - Quantities per product already committed elsewhere (e.g. in the cart)
+   * @returns {number} Whole bundles available
+   */
+  getAvailableQuantity(bundle, demand = {}) {
+    const components = bundle.components || [];
+    if (components.length === 0) {
+      return 0;
+    }
+
+    return Math.max(Math.min(...components.map(component => {
+      const product = this.db.getProductById(component.productId);
+      const stock = product ? (parseFloat(product.stock) || 0) - (demand[component.productId] || 0) : 0;
+      return Math.floor(stock / parseFloat(component.quantity) + 1e-9);
+    })), 0);
+  }
+
+  /**
+   * Check that every component of a bundle has stock for a number of bundles
+   * @param {Object} bundle - Bundle product
+   * @param {number} quantity - Number of bundles
+   * @param {Object} demand - Quantities per product already committed elsewhere (e.g. in the cart)
+   * @returns {Object} Result with success status, message and shortages
+   */
+  checkStock(bundle, quantity, demand = {}) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const shortages = this.getComponentLines(bundle, quantity)
+      .map(line => {
+        const product = this.db.getProductById(line.productId);
+        const available = product ? UnitOfMeasure.round((parseFloat(product.stock) || 0) - (demand[line.productId] || 0)) : 0;
+        return { ...line, required: line.quantity, available };
+      })
+      .filter(line => line.available < line.required);
+
+    if (shortages.length > 0) {
+      return {
+        success: false,
+        message: `Insufficient stock of ${shortages.map(line => line.name).join(', ')}`,
+        shortages
+      };
+    }
+
+    return {
+      success: true,
+      message: 'All components in stock',
+      shortages: []
+    };
+  }
+
+  /**
+   * Snapshot the components of a bundle for a sale line
+   * @param {Object} bundle - Bundle product
+   * @returns {Array} Components ({ productId, name, quantity, unitOfMeasure, priceAtSale, costAtSale }) per bundle
+   */
+  createSaleComponents(bundle) {
+    return (bundle.components || []).map(component => {
+      const product = this.db.getProductById(component.productId) || {};
+      return {
+        productId: component.productId,
+        name: product.name || '',
+        quantity: parseFloat(component.quantity),
+        unitOfMeasure: product.unitOfMeasure || 'ea',
+        priceAtSale: product.price || 0,
+        costAtSale: product.cost !== undefined ? product.cost : null
+      };
+    });
+  }
+
+  /**
+   * Allocate the revenue of a bundle line to its components in proportion to their own
+   * prices; components without a price share by quantity when none has one
+   * @param {Object} item - Sale or refund line with a components snapshot
+   * @param {number} revenue - Line revenue to allocate
+   * @param {string} currency - Currency code
+   * @returns {Array} Component lines with quantity, revenue and cost (null when unknown)
+   */
+  allocateRevenue(item, revenue, currency = 'USD') {
+    const Money = require('../models/Money');
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const components = item.components || [];
+
+    let weights = components.map(component => (component.priceAtSale || 0) * component.quantity);
+    if (weights.every(weight => weight <= 0)) {
+      weights = components.map(component => component.quantity);
+    }
+
+    const shares = Money.fromMajor(revenue, currency).allocate(weights);
+
+    return components.map((component, index) => {
+      const quantity = UnitOfMeasure.round(component.quantity * item.quantity);
+      return {
+        productId: component.productId,
+        name: component.name,
+        unitOfMeasure: component.unitOfMeasure || 'ea',
+        quantity,
+        revenue: shares[index].toNumber(),
+        cost: component.costAtSale !== null && component.costAtSale !== undefined
+          ? parseFloat((component.costAtSale * quantity).toFixed(2))
+          : null
+      };
+    });
+  }
+
+  /**
+   * Get a bundle with the stock of each component and the number of bundles available
+   * @param {string} bundleId - Bundle product ID
+   * @returns {Object|null} Availability ({ bundle, components, available }) or null if not a bundle
+   */
+  getAvailability(bundleId) {
+    const bundle = this.db.getProductById(bundleId);
+    if (!bundle || bundle.type !== 'bundle') {
+      return null;
+    }
+
+    const components = this.getComponentLines(bundle).map(line => {
+      const product = this.db.getProductById(line.productId);
+      const stock = product ? parseFloat(product.stock) || 0 : 0;
+      return {
+        ...line,
+        stock,
+        available: Math.floor(stock / line.quantity + 1e-9)
+      };
+    });
+
+    return {
+      bundle,
+      components,
+      available: this.getAvailableQuantity(bundle)
+    };
+  }
+}
+
+// Export the BundleService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BundleService;
+}
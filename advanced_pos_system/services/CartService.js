@@ -1,6 +1,9 @@
 /**
  * Cart Service for Advanced POS System
  * Handles shopping cart functionality and checkout process
+ *
+ * Quantities are in the product's unit of measure: whole units, or fractions of a kg,
+ * lb, l, etc. for weighed and measured products.
  */
 
 class CartService {
@@ -14,9 +17,16 @@ class CartService {
     this.subtotal = 0;
     this.taxAmount = 0;
     this.discountAmount = 0;
+    this.manualDiscount = 0;
+    this.couponCodes = [];
+    this.appliedPromotions = [];
+    this.taxBreakdown = [];
+    this.taxExemption = null;
     this.total = 0;
+    this.payments = [];
     this.customerId = null;
     this.notes = '';
+    this.cameraObservations = []; // Captures taken while the sale is rung up
     this.initialized = false;
   }
 
@@ -38,12 +48,13 @@ class CartService {
   /**
    * Add item to cart
    * @param {string} productId - Product ID
-   * @param {number} quantity - Quantity to add
-   * @param {string} recognitionMethod - How the product was recognized (manual, vision, barcode)
+   * @param {number} quantity - Quantity to add, in the product's unit of measure
+   * @param {string} recognitionMethod - How the product was recognized (manual, vision, barcode, scale)
    * @param {number} recognitionConfidence - Confidence level for recognition (0-1)
+   * @param {number|null} labelPrice - Price decoded from the scale label of a product sold by weight; the quantity added is charged this amount instead of quantity x price
    * @returns {Object} Result with success status and message
    */
-  addItem(productId, quantity = 1, recognitionMethod = 'manual', recognitionConfidence = 1) {
+  addItem(productId, quantity = 1, recognitionMethod = 'manual', recognitionConfidence = 1, labelPrice = null) {
     try {
       // Get product from database
       const product = this.db.getProductById(productId);
@@ -54,39 +65,94 @@ class CartService {
         };
       }
 
-      // Check if quantity is valid
-      if (quantity <= 0) {
+      // A parent is sold through its variants; return them for a variant picker
+      const Product = require('../models/Product');
+      if (Product.fromObject(product).isParent()) {
         return {
           success: false,
-          message: 'Quantity must be greater than zero'
+          message: `Choose a variant of ${product.name}`,
+          variants: this.db.getVariants(product.id)
         };
       }
 
-      // Check if product is in stock
-      if (product.stock < quantity) {
+      // Only the scale label of a product sold by weight fixes what its line is charged
+      if (labelPrice !== null && (product.soldBy !== 'weight' || typeof labelPrice !== 'number' || !isFinite(labelPrice) || labelPrice <= 0)) {
         return {
           success: false,
-          message: 'Insufficient stock'
+          message: 'Label price is only accepted from the scale label of a product sold by weight'
         };
       }
 
+      // Check if quantity is valid for the way the product is sold
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const quantityError = Product.fromObject(product).getQuantityError(quantity);
+      if (quantityError) {
+        return {
+          success: false,
+          message: quantityError
+        };
+      }
+      quantity = UnitOfMeasure.round(quantity);
+
       // Check if item already exists in cart
       const existingItemIndex = this.items.findIndex(item => item.productId === productId);
 
+      // Check if product is in stock for all of its units in the cart; a bundle needs every component
+      const stockCheck = this.checkStock(product, existingItemIndex >= 0 ? UnitOfMeasure.round(this.items[existingItemIndex].quantity + quantity) : quantity);
+      if (!stockCheck.success) {
+        return stockCheck;
+      }
+
+      // A line with a scale label is charged a fixed amount: what it was charged so far plus what is added
+      const existingItem = existingItemIndex >= 0 ? this.items[existingItemIndex] : null;
+      let lineLabelPrice = null;
+      if (labelPrice !== null || (existingItem && existingItem.labelPrice !== null)) {
+        const Money = require('../models/Money');
+        const currency = this.db.getSetting('currency', 'USD');
+        const charged = existingItem
+          ? (existingItem.labelPrice !== null ? existingItem.labelPrice : Money.fromMajor(existingItem.price, currency).multiply(existingItem.quantity).toNumber())
+          : 0;
+        const added = labelPrice !== null ? labelPrice : Money.fromMajor(product.price, currency).multiply(quantity).toNumber();
+        lineLabelPrice = Money.fromMajor(charged + added, currency).toNumber();
+      }
+
       if (existingItemIndex >= 0) {
         // Update existing item
-        this.items[existingItemIndex].quantity += quantity;
+        this.items[existingItemIndex].quantity = UnitOfMeasure.round(this.items[existingItemIndex].quantity + quantity);
       } else {
         // Add new item
         this.items.push({
           productId: product.id,
+          parentId: product.parentId || null,
           name: product.name,
+          category: product.category || '',
           price: product.price,
+          cost: product.cost !== undefined ? product.cost : null,
           taxRate: product.taxRate || 0,
+          taxClass: product.taxClass || '',
+          taxes: [],
           quantity: quantity,
+          unitOfMeasure: product.unitOfMeasure || 'ea',
+          labelPrice: null, // Fixed line amount of scale-labelled packages
+          labelCodes: [], // Scale labels scanned for the line
+          labelQuantity: 0, // Quantity of the line that came from its scale labels
+          discountAmount: 0,
+          promotions: [],
           recognitionMethod: recognitionMethod,
           recognitionConfidence: recognitionConfidence
         });
+
+        if (product.type === 'bundle') {
+          const BundleService = require('./BundleService');
+          this.items[this.items.length - 1].components = new BundleService(this.db).createSaleComponents(product);
+        }
+      }
+
+      if (lineLabelPrice !== null) {
+        // The unit price becomes what was actually paid per unit, so reports add up to the label amounts
+        const item = this.items.find(item => item.productId === productId);
+        item.labelPrice = lineLabelPrice;
+        item.price = lineLabelPrice / item.quantity;
       }
 
       // Recalculate totals
@@ -106,6 +172,122 @@ class CartService {
     }
   }
 
+  /**
+   * Add the variant of a parent with the chosen option values
+   * @param {string} parentId - Parent product ID
+   * @param {Object} optionValues - Value per option name (e.g. { Size: 'M', Colour: 'Red' })
+   * @param {number} quantity - Quantity to add
+   * @param {string} recognitionMethod - How the product was recognized
+   * @param {number} recognitionConfidence - Confidence level for recognition (0-1)
+   * @returns {Object} Result with success status, message and item
+   */
+  addVariant(parentId, optionValues, quantity = 1, recognitionMethod = 'manual', recognitionConfidence = 1) {
+    const ProductVariantService = require('./ProductVariantService');
+    const variant = new ProductVariantService(this.db).findVariant(parentId, optionValues);
+    if (!variant) {
+      return {
+        success: false,
+        message: 'No variant with these options'
+      };
+    }
+
+    return this.addItem(variant.id, quantity, recognitionMethod, recognitionConfidence);
+  }
+
+  /**
+   * Add the product of a scanned barcode, or of a price-embedded scale label with the
+   * quantity it was weighed or priced at
+   * @param {string} code - Scanned code
+   * @param {string} recognitionMethod - How the code was read (barcode or vision)
+   * @returns {Object} Result with success status, message and item
+   */
+  addScannedItem(code, recognitionMethod = 'barcode') {
+    const product = this.db.getProductByBarcode(code);
+    if (product) {
+      return this.addItem(product.id, 1, recognitionMethod);
+    }
+
+    const ScaleLabelService = require('./ScaleLabelService');
+    const label = new ScaleLabelService(this.db).resolve(code);
+    if (!label.success) {
+      return {
+        success: false,
+        message: label.label ? label.message : 'Product not found'
+      };
+    }
+
+    // Labels of products sold by unit or volume only tell the quantity
+    const labelPrice = label.product.soldBy === 'weight' ? label.price : null;
+    const result = this.addItem(label.product.id, label.quantity, recognitionMethod, 1, labelPrice);
+    if (result.success && labelPrice !== null) {
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      result.item.labelCodes.push(code);
+      result.item.labelQuantity = UnitOfMeasure.round(result.item.labelQuantity + label.quantity);
+    }
+
+    return result;
+  }
+
+  /**
+   * Weigh a product sold by weight on the scale and add it
+   * @param {string} productId - Product ID
+   * @param {ScaleDriver} scale - Scale driver
+   * @param {Object} options - Options
+   * @param {number} options.tare - Container weight to deduct, in the product's unit of measure
+   * @param {number} options.timeout - Milliseconds to wait for the scale to settle
+   * @returns {Promise<Object>} Result with success status, message, item and scale reading
+   */
+  async addWeighedItem(productId, scale, options = {}) {
+    try {
+      const product = this.db.getProductById(productId);
+      if (!product) {
+        return {
+          success: false,
+          message: 'Product not found'
+        };
+      }
+
+      if (product.soldBy !== 'weight') {
+        return {
+          success: false,
+          message: `${product.name} is not sold by weight`
+        };
+      }
+
+      if (!scale) {
+        return {
+          success: false,
+          message: 'No scale is configured'
+        };
+      }
+
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const reading = await scale.readStable({ timeout: options.timeout });
+      const quantity = UnitOfMeasure.round(
+        UnitOfMeasure.convert(reading.weight, reading.unit, product.unitOfMeasure) - (parseFloat(options.tare) || 0)
+      );
+
+      if (quantity <= 0) {
+        return {
+          success: false,
+          message: 'Place the product on the scale',
+          reading
+        };
+      }
+
+      return {
+        ...this.addItem(productId, quantity, 'scale'),
+        reading
+      };
+    } catch (error) {
+      console.error('Error weighing item:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to weigh item'
+      };
+    }
+  }
+
   /**
    * Remove item from cart
    * @param {string} productId - Product ID
@@ -161,6 +343,13 @@ class CartService {
         };
       }
 
+      if (item.labelPrice !== null && item.labelPrice !== undefined) {
+        return {
+          success: false,
+          message: 'The quantity of a scale-labelled item is set by its labels; remove it and scan the labels again'
+        };
+      }
+
       // Check if product is in stock
       const product = this.db.getProductById(productId);
       if (!product) {
@@ -170,15 +359,23 @@ class CartService {
         };
       }
 
-      if (product.stock < quantity) {
+      const Product = require('../models/Product');
+      const quantityError = Product.fromObject(product).getQuantityError(quantity);
+      if (quantityError) {
         return {
           success: false,
-          message: 'Insufficient stock'
+          message: quantityError
         };
       }
 
+      const stockCheck = this.checkStock(product, quantity);
+      if (!stockCheck.success) {
+        return stockCheck;
+      }
+
       // Update quantity
-      item.quantity = quantity;
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      item.quantity = UnitOfMeasure.round(quantity);
 
       // Recalculate totals
       this.calculateTotals();
@@ -197,30 +394,86 @@ class CartService {
     }
   }
 
+  /**
+   * Check if a product has stock for a cart line
+   * @param {Object} product - Product
+   * @param {number} lineQuantity - Quantity of the line after the change
+   * @returns {Object} Result with success status, message and component shortages of bundles
+   */
+  checkStock(product, lineQuantity) {
+    // The product may also be in the cart as a component of bundles, and a bundle's
+    // components on their own or in other bundles
+    const InventoryService = require('./InventoryService');
+    const inventory = new InventoryService(this.db);
+    const demand = {};
+    this.items
+      .filter(item => item.productId !== product.id)
+      .flatMap(item => inventory.getStockLines(item))
+      .forEach(line => {
+        demand[line.productId] = (demand[line.productId] || 0) + line.quantity;
+      });
+
+    if (product.type !== 'bundle') {
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      return UnitOfMeasure.round(product.stock - (demand[product.id] || 0)) < lineQuantity
+        ? { success: false, message: 'Insufficient stock' }
+        : { success: true, message: 'In stock' };
+    }
+
+    const BundleService = require('./BundleService');
+    return new BundleService(this.db).checkStock(product, lineQuantity, demand);
+  }
+
   /**
    * Calculate cart totals
    * @returns {Object} Cart totals
    */
   calculateTotals() {
     try {
-      // Calculate subtotal
-      this.subtotal = this.items.reduce((sum, item) => {
-        return sum + (item.price * item.quantity);
-      }, 0);
+      // Evaluate promotions and record them on each line
+      const PromotionService = require('./PromotionService');
+      const promotions = new PromotionService(this.db).evaluate(this.items, {
+        couponCodes: this.couponCodes,
+        manualDiscount: this.manualDiscount
+      });
+
+      this.items.forEach((item, index) => {
+        item.discountAmount = promotions.items[index].discountAmount;
+        item.promotions = promotions.items[index].promotions;
+      });
+
+      this.appliedPromotions = promotions.appliedPromotions;
+
+      // Resolve tax components, honouring the customer's exemption certificate
+      const TaxService = require('./TaxService');
+      const taxService = new TaxService(this.db);
+      const exemption = taxService.getCustomerExemption(this.customerId);
+
+      this.items.forEach(item => {
+        item.taxes = taxService.getProductTaxes(item, exemption);
+      });
 
-      // Calculate tax amount
-      this.taxAmount = this.items.reduce((sum, item) => {
-        const itemTax = item.taxRate ? item.price * item.quantity * (item.taxRate / 100) : 0;
-        return sum + itemTax;
-      }, 0);
+      this.taxExemption = exemption ? { id: exemption.id, certificateNumber: exemption.certificateNumber } : null;
 
-      // Calculate total
-      this.total = this.subtotal + this.taxAmount - this.discountAmount;
+      // Calculate totals in minor units using the store's rounding policy
+      const TotalsCalculator = require('../models/TotalsCalculator');
+      const totals = TotalsCalculator.fromSettings(this.db).calculate(this.items.map(item => ({
+        price: item.price,
+        quantity: item.quantity,
+        amount: item.labelPrice,
+        taxes: item.taxes,
+        discountAmount: item.discountAmount
+      })));
 
-      // Round to 2 decimal places
-      this.subtotal = parseFloat(this.subtotal.toFixed(2));
-      this.taxAmount = parseFloat(this.taxAmount.toFixed(2));
-      this.total = parseFloat(this.total.toFixed(2));
+      this.items.forEach((item, index) => {
+        item.taxAmount = totals.lines[index].taxAmount;
+      });
+
+      this.subtotal = totals.subtotal;
+      this.taxAmount = totals.taxAmount;
+      this.discountAmount = totals.discountAmount;
+      this.total = totals.total;
+      this.taxBreakdown = totals.taxBreakdown;
 
       return {
         subtotal: this.subtotal,
@@ -260,7 +513,7 @@ class CartService {
         };
       }
 
-      this.discountAmount = amount;
+      this.manualDiscount = amount;
       this.calculateTotals();
 
       return {
@@ -278,6 +531,82 @@ class CartService {
     }
   }
 
+  /**
+   * Apply a coupon code to the cart
+   * @param {string} code - Coupon code
+   * @returns {Object} Result with success status and message
+   */
+  applyCoupon(code) {
+    try {
+      const Promotion = require('../models/Promotion');
+      const promotion = this.db.getPromotionByCouponCode(code);
+
+      if (!promotion || !Promotion.fromObject(promotion).isActiveAt(new Date())) {
+        return {
+          success: false,
+          message: 'Invalid or expired coupon code'
+        };
+      }
+
+      if (this.couponCodes.includes(promotion.couponCode)) {
+        return {
+          success: false,
+          message: 'Coupon code already applied'
+        };
+      }
+
+      this.couponCodes.push(promotion.couponCode);
+      this.calculateTotals();
+
+      return {
+        success: true,
+        message: 'Coupon applied',
+        couponCode: promotion.couponCode,
+        discountAmount: this.discountAmount,
+        total: this.total
+      };
+    } catch (error) {
+      console.error('Error applying coupon:', error);
+      return {
+        success: false,
+        message: 'Failed to apply coupon'
+      };
+    }
+  }
+
+  /**
+   * Remove a coupon code from the cart
+   * @param {string} code - Coupon code
+   * @returns {Object} Result with success status and message
+   */
+  removeCoupon(code) {
+    try {
+      const upperCode = String(code || '').toUpperCase();
+      if (!this.couponCodes.includes(upperCode)) {
+        return {
+          success: false,
+          message: 'Coupon code not applied'
+        };
+      }
+
+      this.couponCodes = this.couponCodes.filter(couponCode => couponCode !== upperCode);
+      this.calculateTotals();
+
+      return {
+        success: true,
+        message: 'Coupon removed',
+        discountAmount: this.discountAmount,
+        total: this.total
+      };
+    } catch (error) {
+      console.error('Error removing coupon:', error);
+      return {
+        success: false,
+        message: 'Failed to remove coupon'
+      };
+    }
+  }
+
   /**
    * Set customer for the cart
    * @param {string} customerId - Customer ID
@@ -286,6 +615,9 @@ class CartService {
   setCustomer(customerId) {
     try {
       this.customerId = customerId;
+
+      // The customer may hold a tax exemption certificate
+      this.calculateTotals();
       return {
         success: true,
         message: 'Customer set',
@@ -332,9 +664,16 @@ class CartService {
       this.subtotal = 0;
       this.taxAmount = 0;
       this.discountAmount = 0;
+      this.manualDiscount = 0;
+      this.couponCodes = [];
+      this.appliedPromotions = [];
+      this.taxBreakdown = [];
+      this.taxExemption = null;
       this.total = 0;
+      this.payments = [];
       this.customerId = null;
       this.notes = '';
+      this.cameraObservations = [];
 
       return {
         success: true,
@@ -349,6 +688,226 @@ class CartService {
     }
   }
 
+  /**
+   * Keep what the camera recognized during the sale, to check against the rung up lines at checkout
+   * @param {Array} results - Recognition results of a capture
+   * @param {string} imageData - Captured frame
+   * @returns {void}
+   */
+  recordCameraObservation(results, imageData = null) {
+    if (!Array.isArray(results) || results.length === 0) {
+      return;
+    }
+
+    this.cameraObservations.push({
+      captureId: results[0].captureId || null,
+      imageData,
+      detections: results,
+      capturedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Add a partial payment towards the cart total
+   * @param {string} type - Tender type (cash, card, mobile)
+   * @param {number} amount - Amount tendered
+   * @param {string} reference - Card authorization or mobile payment reference
+   * @returns {Object} Result with success status, message, payment and remaining balance
+   */
+  addPayment(type, amount, reference = null) {
+    try {
+      const Tender = require('../models/Tender');
+      const tender = new Tender({ type, amount, reference });
+
+      const validation = tender.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      const currency = this.db.getSetting('currency', 'USD');
+      const error = tender.checkAgainstBalance(this.getPaymentSummary().balanceDue, currency);
+      if (error) {
+        return {
+          success: false,
+          message: error
+        };
+      }
+
+      this.payments.push(tender.toObject());
+
+      return {
+        success: true,
+        message: 'Payment added',
+        payment: tender.toObject(),
+        ...this.getPaymentSummary()
+      };
+    } catch (error) {
+      console.error('Error adding payment:', error);
+      return {
+        success: false,
+        message: 'Failed to add payment'
+      };
+    }
+  }
+
+  /**
+   * Remove a partial payment before checkout
+   * @param {string} paymentId - Tender ID
+   * @returns {Object} Result with success status, message and remaining balance
+   */
+  removePayment(paymentId) {
+    try {
+      const initialLength = this.payments.length;
+      this.payments = this.payments.filter(payment => payment.id !== paymentId);
+
+      if (this.payments.length === initialLength) {
+        return {
+          success: false,
+          message: 'Payment not found'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Payment removed',
+        ...this.getPaymentSummary()
+      };
+    } catch (error) {
+      console.error('Error removing payment:', error);
+      return {
+        success: false,
+        message: 'Failed to remove payment'
+      };
+    }
+  }
+
+  /**
+   * Get the payments taken so far and the balance left
+   * @returns {Object} Payments, amount paid, balance due and change due
+   */
+  getPaymentSummary() {
+    const Tender = require('../models/Tender');
+    return {
+      payments: this.payments,
+      ...Tender.getBalance(this.total, this.payments, this.db.getSetting('currency', 'USD'))
+    };
+  }
+
+  /**
+   * Park the cart so the next customer can be served
+   * @param {string} employeeId - Employee ID
+   * @param {string} storeId - Store ID
+   * @param {Object} options - Hold options ({ name, terminalId })
+   * @returns {Object} Result with success status, message and held sale
+   */
+  holdCart(employeeId, storeId, options = {}) {
+    const HeldSaleService = require('./HeldSaleService');
+    const result = new HeldSaleService(this.db).holdSale(this, { ...options, employeeId, storeId });
+
+    if (result.success) {
+      this.clearCart();
+    }
+
+    return result;
+  }
+
+  /**
+   * Resume a held sale in this cart
+   * @param {string} heldSaleId - Held sale ID
+   * @param {Object} options - Recall options ({ allowExpired } for managers settling expired holds with payments, { dropUnavailable } to continue without items that can no longer be sold)
+   * @returns {Object} Result with success status, message and items that could not be restored
+   */
+  recallCart(heldSaleId, options = {}) {
+    const HeldSaleService = require('./HeldSaleService');
+    return new HeldSaleService(this.db).recallSale(heldSaleId, this, options);
+  }
+
+  /**
+   * Get the state needed to rebuild the cart later
+   * Prices, promotions and taxes are not kept; they are recalculated on restore. Scale
+   * labels are kept as scanned and decoded again on restore.
+   * @returns {Object} Cart snapshot
+   */
+  getSnapshot() {
+    return {
+      items: this.items.map(item => ({
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        labelCodes: [...(item.labelCodes || [])],
+        labelQuantity: item.labelQuantity || 0,
+        recognitionMethod: item.recognitionMethod,
+        recognitionConfidence: item.recognitionConfidence
+      })),
+      manualDiscount: this.manualDiscount,
+      couponCodes: [...this.couponCodes],
+      payments: [...this.payments],
+      customerId: this.customerId,
+      notes: this.notes
+    };
+  }
+
+  /**
+   * Rebuild the cart from a snapshot at current prices
+   * @param {Object} snapshot - Cart snapshot
+   * @returns {Object} Result with success status, message and items that could not be restored
+   */
+  restoreSnapshot(snapshot) {
+    try {
+      this.clearCart();
+      const unavailableItems = [];
+
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      (snapshot.items || []).forEach(item => {
+        // Scale labels are decoded again so that their price never comes from the snapshot;
+        // the rest of the line is added at the current price
+        const labelCodes = Array.isArray(item.labelCodes) ? item.labelCodes : [];
+        let result = null;
+        labelCodes.forEach(code => {
+          result = this.addScannedItem(code, item.recognitionMethod);
+        });
+
+        const quantity = labelCodes.length > 0
+          ? UnitOfMeasure.round((parseFloat(item.quantity) || 0) - (parseFloat(item.labelQuantity) || 0))
+          : item.quantity;
+        if (quantity > 0 || !result) {
+          result = this.addItem(item.productId, quantity, item.recognitionMethod, item.recognitionConfidence);
+        }
+
+        if (!result.success) {
+          unavailableItems.push({
+            productId: item.productId,
+            name: item.name,
+            quantity: item.quantity,
+            reason: result.message
+          });
+        }
+      });
+
+      this.manualDiscount = parseFloat(snapshot.manualDiscount) || 0;
+      this.couponCodes = snapshot.couponCodes || [];
+      this.payments = snapshot.payments || [];
+      this.customerId = snapshot.customerId || null;
+      this.notes = snapshot.notes || '';
+      this.calculateTotals();
+
+      return {
+        success: true,
+        message: 'Cart restored',
+        unavailableItems
+      };
+    } catch (error) {
+      console.error('Error restoring cart:', error);
+      return {
+        success: false,
+        message: 'Failed to restore cart'
+      };
+    }
+  }
+
   /**
    * Create transaction from cart
    * @param {string} employeeId - Employee ID
@@ -385,10 +944,19 @@ class CartService {
       const transactionItems = this.items.map(item => {
         return {
           productId: item.productId,
+          parentId: item.parentId || null,
           name: item.name,
           priceAtSale: item.price,
+          costAtSale: item.cost !== undefined ? item.cost : null,
           taxRateAtSale: item.taxRate,
+          taxes: item.taxes || [],
           quantity: item.quantity,
+          unitOfMeasure: item.unitOfMeasure || 'ea',
+          labelPrice: item.labelPrice !== undefined ? item.labelPrice : null,
+          taxAmount: item.taxAmount || 0,
+          discountAmount: item.discountAmount || 0,
+          promotions: item.promotions || [],
+          components: item.components, // Bundles only
           recognitionMethod: item.recognitionMethod,
           recognitionConfidence: item.recognitionConfidence
         };
@@ -402,6 +970,12 @@ class CartService {
         taxAmount: this.taxAmount,
         discountAmount: this.discountAmount,
         total: this.total,
+        currency: this.db.getSetting('currency', 'USD'),
+        roundingMode: this.db.getSetting('roundingMode', 'half_up'),
+        taxRounding: this.db.getSetting('taxRounding', 'line'),
+        pricesIncludeTax: this.db.getSetting('pricesIncludeTax', false),
+        taxBreakdown: this.taxBreakdown,
+        taxExemption: this.taxExemption,
         status: 'pending',
         customerId: this.customerId,
         employeeId: employeeId,
@@ -428,10 +1002,10 @@ class CartService {
    * Complete checkout process
    * @param {string} employeeId - Employee ID
    * @param {string} storeId - Store ID
-   * @param {Array} paymentMethods - Payment methods
+   * @param {Array} paymentMethods - Payment methods (defaults to the payments added to the cart)
    * @returns {Object} Result with success status, message, and transaction
    */
-  checkout(employeeId, storeId, paymentMethods) {
+  checkout(employeeId, storeId, paymentMethods = null) {
     try {
       // Create transaction
       const transactionResult = this.createTransaction(employeeId, storeId);
@@ -440,9 +1014,10 @@ class CartService {
       }
 
       const transaction = transactionResult.transaction;
+      paymentMethods = paymentMethods || this.payments;
 
       // Check if payment methods are provided
-      if (!paymentMethods || !Array.isArray(paymentMethods) || paymentMethods.length === 0) {
+      if (!Array.isArray(paymentMethods) || paymentMethods.length === 0) {
         return {
           success: false,
           message: 'Payment methods are required',
@@ -450,49 +1025,60 @@ class CartService {
         };
       }
 
-      // Calculate total payment amount
-      const totalPayment = paymentMethods.reduce((sum, method) => {
-        return sum + (parseFloat(method.amount) || 0);
-      }, 0);
+      // Add payment methods to transaction, applying the tender rules in order
+      const Transaction = require('../models/Transaction');
+      const transactionObj = Transaction.fromObject(transaction);
+
+      for (const method of paymentMethods) {
+        const error = transactionObj.getPaymentError(method);
+        if (error) {
+          return {
+            success: false,
+            message: error,
+            transaction
+          };
+        }
+
+        transactionObj.addPaymentMethod({
+          type: method.type,
+          amount: parseFloat(method.amount),
+          reference: method.reference || null,
+          timestamp: method.timestamp || new Date().toISOString()
+        });
+      }
 
       // Check if payment is sufficient
-      if (totalPayment < this.total) {
+      const balance = transactionObj.getBalance();
+      if (balance.balanceDue > 0) {
         return {
           success: false,
           message: 'Insufficient payment amount',
           transaction,
-          amountDue: this.total - totalPayment
+          amountDue: balance.balanceDue
         };
       }
 
-      // Add payment methods to transaction
-      const Transaction = require('../models/Transaction');
-      const transactionObj = Transaction.fromObject(transaction);
-      
-      paymentMethods.forEach(method => {
-        transactionObj.addPaymentMethod({
-          type: method.type,
-          amount: parseFloat(method.amount),
-          reference: method.reference || null,
-          timestamp: new Date().toISOString()
-        });
-      });
-
       // Complete transaction
-      transactionObj.complete();
+      if (!transactionObj.complete()) {
+        return {
+          success: false,
+          message: 'Change can only be given from cash',
+          transaction
+        };
+      }
 
-      // Update product stock
-      this.items.forEach(item => {
-        const product = this.db.getProductById(item.productId);
-        if (product) {
-          product.stock -= item.quantity;
-          this.db.saveProduct(product);
-        }
-      });
+      // Record sale movements in the stock ledger
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      inventory.recordTransactionMovements(transactionObj.toObject(), 'sale', employeeId);
 
       // Save transaction to database
       this.db.saveTransaction(transactionObj.toObject());
 
+      // Flag differences between what the camera saw and what was rung up
+      const LossPreventionService = require('./LossPreventionService');
+      new LossPreventionService(this.db).checkTransaction(transactionObj.toObject(), this.cameraObservations);
+
       // Clear cart
       this.clearCart();
 
@@ -500,7 +1086,7 @@ class CartService {
         success: true,
         message: 'Checkout completed',
         transaction: transactionObj.toObject(),
-        change: totalPayment - this.total
+        change: transactionObj.changeAmount
       };
     } catch (error) {
       console.error('Error during checkout:', error);
@@ -522,7 +1108,12 @@ class CartService {
       subtotal: this.subtotal,
       taxAmount: this.taxAmount,
       discountAmount: this.discountAmount,
+      taxBreakdown: this.taxBreakdown,
+      taxExemption: this.taxExemption,
+      appliedPromotions: this.appliedPromotions,
+      couponCodes: this.couponCodes,
       total: this.total,
+      ...this.getPaymentSummary(),
       customerId: this.customerId,
       notes: this.notes
     };
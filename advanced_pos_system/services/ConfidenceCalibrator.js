@@ -0,0 +1,187 @@
+/**
+ * Confidence Calibrator for Advanced POS System
+ * Maps raw similarity scores to the probability that a recognition is right
+ *
+ * Similarity scores of different recognizer backends and models are not comparable, and
+ * 0.8 rarely means "right 80% of the time". A calibration is fitted on labelled
+ * evaluation results (see VisionEvaluator) with one of two methods:
+ *   platt:    a sigmoid 1 / (1 + exp(a * score + b)), smooth and robust on small datasets
+ *   isotonic: a non-decreasing step function (pool adjacent violators), needs more data
+ */
+
+class ConfidenceCalibrator {
+  /**
+   * Create a new ConfidenceCalibrator
+   * @param {Object} calibration - Fitted calibration, null to pass scores through
+   */
+  constructor(calibration = null) {
+    this.calibration = calibration;
+  }
+
+  /**
+   * Fit a calibration
+   * @param {Array} samples - Raw scores and outcomes ({ score, correct })
+   * @param {string} method - platt or isotonic
+   * @returns {Object} Calibration
+   */
+  static fit(samples, method = 'platt') {
+    if (!ConfidenceCalibrator.METHODS.includes(method)) {
+      throw new Error(`Calibration method must be one of: ${ConfidenceCalibrator.METHODS.join(', ')}`);
+    }
+
+    const positives = samples.filter(sample => sample.correct).length;
+    if (positives === 0 || positives === samples.length) {
+      throw new Error('Calibration needs both correct and incorrect recognitions');
+    }
+
+    const calibrator = new ConfidenceCalibrator();
+    const params = method === 'platt' ? calibrator.fitPlatt(samples) : calibrator.fitIsotonic(samples);
+
+    return {
+      method,
+      ...params,
+      samples: samples.length,
+      positives,
+      fittedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fit a sigmoid by Newton's method on the log loss, with Platt's smoothed targets
+   * @param {Array} samples - Raw scores and outcomes
+   * @returns {Object} Parameters ({ a, b })
+   */
+  fitPlatt(samples) {
+    const positives = samples.filter(sample => sample.correct).length;
+    const negatives = samples.length - positives;
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+
+    let a = 0;
+    let b = Math.log((negatives + 1) / (positives + 1));
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+      // Gradient and Hessian of the log loss in (a, b)
+      let gradientA = 0;
+      let gradientB = 0;
+      let hessianAA = 1e-12;
+      let hessianAB = 0;
+      let hessianBB = 1e-12;
+
+      samples.forEach(sample => {
+        const target = sample.correct ? high : low;
+        const probability = 1 / (1 + Math.exp(a * sample.score + b));
+        const weight = probability * (1 - probability);
+        const error = target - probability;
+
+        gradientA += sample.score * error;
+        gradientB += error;
+        hessianAA += sample.score * sample.score * weight;
+        hessianAB += sample.score * weight;
+        hessianBB += weight;
+      });
+
+      const determinant = hessianAA * hessianBB - hessianAB * hessianAB;
+      if (Math.abs(determinant) < 1e-12) {
+        break;
+      }
+
+      const stepA = (hessianBB * gradientA - hessianAB * gradientB) / determinant;
+      const stepB = (hessianAA * gradientB - hessianAB * gradientA) / determinant;
+      a -= stepA;
+      b -= stepB;
+
+      if (Math.abs(stepA) < 1e-7 && Math.abs(stepB) < 1e-7) {
+        break;
+      }
+    }
+
+    return { a, b };
+  }
+
+  /**
+   * Fit a non-decreasing step function by pooling adjacent violators
+   * @param {Array} samples - Raw scores and outcomes
+   * @returns {Object} Parameters ({ points: [[score, probability], ...] })
+   */
+  fitIsotonic(samples) {
+    const blocks = [];
+
+    [...samples]
+      .sort((a, b) => a.score - b.score)
+      .forEach(sample => {
+        blocks.push({ scoreSum: sample.score, correct: sample.correct ? 1 : 0, count: 1 });
+
+        // Merge with the previous block while the probabilities decrease
+        while (blocks.length > 1) {
+          const last = blocks[blocks.length - 1];
+          const previous = blocks[blocks.length - 2];
+          if (previous.correct / previous.count < last.correct / last.count) {
+            break;
+          }
+
+          blocks.pop();
+          previous.scoreSum += last.scoreSum;
+          previous.correct += last.correct;
+          previous.count += last.count;
+        }
+      });
+
+    return {
+      points: blocks.map(block => [
+        Math.round(block.scoreSum / block.count * 10000) / 10000,
+        Math.round(block.correct / block.count * 10000) / 10000
+      ])
+    };
+  }
+
+  /**
+   * Convert a raw score to a calibrated probability
+   * @param {number} score - Raw similarity score (0-1)
+   * @returns {number} Probability (0-1)
+   */
+  calibrate(score) {
+    if (!this.calibration) {
+      return score;
+    }
+
+    let probability = score;
+    if (this.calibration.method === 'platt') {
+      probability = 1 / (1 + Math.exp(this.calibration.a * score + this.calibration.b));
+    } else if (this.calibration.method === 'isotonic') {
+      probability = this.interpolate(this.calibration.points, score);
+    }
+
+    return Math.round(probability * 10000) / 10000;
+  }
+
+  /**
+   * Interpolate linearly between the points of a step function
+   * @param {Array} points - [score, probability] pairs, by score
+   * @param {number} score - Raw score
+   * @returns {number} Probability
+   */
+  interpolate(points, score) {
+    if (score <= points[0][0]) {
+      return points[0][1];
+    }
+
+    for (let i = 1; i < points.length; i++) {
+      if (score <= points[i][0]) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        return y0 + (y1 - y0) * (score - x0) / (x1 - x0);
+      }
+    }
+
+    return points[points.length - 1][1];
+  }
+}
+
+// Supported calibration methods
+ConfidenceCalibrator.METHODS = ['platt', 'isotonic'];
+
+// Export the ConfidenceCalibrator class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfidenceCalibrator;
+}
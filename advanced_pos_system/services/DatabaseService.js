@@ -6,10 +6,26 @@
 class DatabaseService {
   /**
    * Create a new DatabaseService
+   * @param {Object} storageConfig - Storage configuration (see StorageAdapter.create)
+   * @param {Object} storageAdapter - Storage adapter instance (overrides storageConfig)
    */
-  constructor() {
+  constructor(storageConfig = {}, storageAdapter = null) {
+    this.storageConfig = storageConfig;
+    this.storage = storageAdapter;
+    this.collections = ['products', 'transactions', 'users', 'settings', 'stockMovements', 'storeCredits', 'promotions', 'taxExemptions', 'heldSales', 'recognitionFeedback', 'visionModels', 'visionShadowResults', 'lossPreventionEvents', 'suppliers', 'purchaseOrders'];
     this.products = {};
     this.transactions = {};
+    this.stockMovements = {};
+    this.storeCredits = {};
+    this.promotions = {};
+    this.taxExemptions = {};
+    this.heldSales = {};
+    this.recognitionFeedback = {};
+    this.visionModels = {};
+    this.visionShadowResults = {};
+    this.lossPreventionEvents = {};
+    this.suppliers = {};
+    this.purchaseOrders = {};
     this.users = {};
     this.settings = {};
     this.initialized = false;
@@ -21,11 +37,15 @@ class DatabaseService {
    */
   initialize() {
     try {
-      // Load data from localStorage if available
-      if (typeof localStorage !== 'undefined') {
-        this.loadFromLocalStorage();
+      // Open the configured storage backend and load persisted data
+      if (!this.storage) {
+        const StorageAdapter = require('./StorageAdapter');
+        this.storage = StorageAdapter.create(this.storageConfig);
       }
 
+      this.storage.open();
+      this.load();
+
       // Create default admin user if no users exist
       if (Object.keys(this.users).length === 0) {
         const User = require('../models/User');
@@ -41,6 +61,7 @@ class DatabaseService {
         });
         
         this.users[adminUser.id] = adminUser.toObject();
+        this.save('users');
       }
 
       // Create default settings if they don't exist
@@ -50,12 +71,42 @@ class DatabaseService {
           storeId: 'store_' + Date.now(),
           taxRate: 7.5,
           currency: 'USD',
+          roundingMode: 'half_up',
+          taxRounding: 'line',
+          pricesIncludeTax: false,
           theme: 'light',
           visionAIConfidenceThreshold: 0.7,
+          visionCategoryThresholds: {},
+          visionAmbiguityMargin: 0.1,
+          visionCalibration: null,
+          visionBarcodeEnabled: true,
+          visionBarcodeFormats: ['ean_13', 'upc_a', 'code_128', 'qr'],
+          visionBackend: 'builtin',
+          visionModelPath: null,
+          visionIndexType: 'flat',
+          visionOverlapThreshold: 0.5,
+          visionBackground: null,
+          visionFeedbackReview: true,
+          visionFeedbackBatchSize: 20,
+          visionFeedbackIntervalHours: 24,
+          scaleLabelFormats: [{ prefix: '2', itemDigits: 6, value: 'price' }],
+          scaleDriver: null,
+          scaleOptions: {},
+          lossPreventionEnabled: true,
+          lossPreventionPriceDelta: 5,
+          lossPreventionMinConfidence: 0.8,
+          purchaseOverReceiptTolerance: 10,
+          reorderVelocityDays: 28,
+          reorderSafetyDays: 7,
+          reorderCoverDays: 14,
+          reorderDefaultLeadTimeDays: 7,
+          sessionTimeoutHours: 24,
+          heldSaleExpiryHours: 24,
           receiptHeader: 'Advanced POS Store\n123 Main Street\nAnytown, USA',
           receiptFooter: 'Thank you for shopping with us!',
           lastBackup: null
         };
+        this.save('settings');
       }
 
       this.initialized = true;
@@ -67,44 +118,42 @@ class DatabaseService {
   }
 
   /**
-   * Load data from localStorage
+   * Load all collections from storage
    * @returns {boolean} Success status
    */
-  loadFromLocalStorage() {
+  load() {
     try {
-      if (typeof localStorage !== 'undefined') {
-        const products = localStorage.getItem('pos_products');
-        const transactions = localStorage.getItem('pos_transactions');
-        const users = localStorage.getItem('pos_users');
-        const settings = localStorage.getItem('pos_settings');
-
-        if (products) this.products = JSON.parse(products);
-        if (transactions) this.transactions = JSON.parse(transactions);
-        if (users) this.users = JSON.parse(users);
-        if (settings) this.settings = JSON.parse(settings);
-      }
+      this.collections.forEach(name => {
+        const data = this.storage.read(name);
+        if (data) {
+          this[name] = data;
+        }
+      });
       return true;
     } catch (error) {
-      console.error('Error loading from localStorage:', error);
+      console.error('Error loading from storage:', error);
       return false;
     }
   }
 
   /**
-   * Save data to localStorage
+   * Save collections to storage
+   * @param {...string} names - Collections to save (defaults to all)
    * @returns {boolean} Success status
    */
-  saveToLocalStorage() {
+  save(...names) {
     try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('pos_products', JSON.stringify(this.products));
-        localStorage.setItem('pos_transactions', JSON.stringify(this.transactions));
-        localStorage.setItem('pos_users', JSON.stringify(this.users));
-        localStorage.setItem('pos_settings', JSON.stringify(this.settings));
+      if (!this.storage) {
+        return false;
       }
+
+      const collections = names.length > 0 ? names : this.collections;
+      collections.forEach(name => {
+        this.storage.write(name, this[name]);
+      });
       return true;
     } catch (error) {
-      console.error('Error saving to localStorage:', error);
+      console.error('Error saving to storage:', error);
       return false;
     }
   }
@@ -126,6 +175,59 @@ class DatabaseService {
     return this.products[id] || null;
   }
 
+  /**
+   * Get product by barcode
+   * Matches the barcode field first, then the SKU. A UPC-A code also matches the same
+   * code stored as EAN-13 (with a leading zero), and the other way round.
+   * @param {string} code - Scanned code
+   * @returns {Object|null} Product or null if not found
+   */
+  getProductByBarcode(code) {
+    if (!code) return null;
+
+    const codes = [code];
+    if (/^\d{12}$/.test(code)) codes.push('0' + code);
+    if (/^0\d{12}$/.test(code)) codes.push(code.slice(1));
+
+    const products = Object.values(this.products);
+    return products.find(product => product.barcode && codes.includes(product.barcode)) ||
+      products.find(product => product.sku && codes.includes(product.sku)) ||
+      null;
+  }
+
+  /**
+   * Get the variants of a parent product
+   * @param {string} parentId - Parent product ID
+   * @returns {Array} Array of variants
+   */
+  getVariants(parentId) {
+    return Object.values(this.products).filter(product => product.parentId === parentId);
+  }
+
+  /**
+   * Get the bundles that have a product as a component
+   * @param {string} productId - Component product ID
+   * @returns {Array} Array of bundles
+   */
+  getBundlesContaining(productId) {
+    return Object.values(this.products).filter(product => {
+      return product.type === 'bundle' && (product.components || []).some(component => component.productId === productId);
+    });
+  }
+
+  /**
+   * Get product by the PLU keyed at the scale or printed in a price-embedded label
+   * Leading zeros are ignored, so a label item code of 00412 matches PLU 412
+   * @param {string} plu - PLU or item code
+   * @returns {Object|null} Product or null if not found
+   */
+  getProductByPlu(plu) {
+    const code = String(plu || '').replace(/^0+/, '');
+    if (!code) return null;
+
+    return Object.values(this.products).find(product => product.plu && String(product.plu).replace(/^0+/, '') === code) || null;
+  }
+
   /**
    * Get products by category
    * @param {string} category - Category
@@ -147,6 +249,7 @@ class DatabaseService {
     return Object.values(this.products).filter(product => {
       return product.name.toLowerCase().includes(lowerQuery) || 
              product.sku.toLowerCase().includes(lowerQuery) ||
+             (product.barcode || '').toLowerCase().includes(lowerQuery) ||
              product.category.toLowerCase().includes(lowerQuery) ||
              product.description.toLowerCase().includes(lowerQuery);
     });
@@ -163,7 +266,7 @@ class DatabaseService {
     }
 
     this.products[product.id] = product;
-    this.saveToLocalStorage();
+    this.save('products');
     return true;
   }
 
@@ -178,7 +281,7 @@ class DatabaseService {
     }
 
     delete this.products[id];
-    this.saveToLocalStorage();
+    this.save('products');
     return true;
   }
 
@@ -232,7 +335,7 @@ class DatabaseService {
     }
 
     this.transactions[transaction.id] = transaction;
-    this.saveToLocalStorage();
+    this.save('transactions');
     return true;
   }
 
@@ -247,7 +350,433 @@ class DatabaseService {
     }
 
     delete this.transactions[id];
-    this.saveToLocalStorage();
+    this.save('transactions');
+    return true;
+  }
+
+  /**
+   * Get all stock movements
+   * @returns {Array} Array of stock movements (oldest first)
+   */
+  getStockMovements() {
+    return Object.values(this.stockMovements).sort((a, b) => {
+      return new Date(a.createdAt) - new Date(b.createdAt);
+    });
+  }
+
+  /**
+   * Get stock movements for a product
+   * @param {string} productId - Product ID
+   * @returns {Array} Array of stock movements (oldest first)
+   */
+  getStockMovementsByProduct(productId) {
+    return this.getStockMovements().filter(movement => movement.productId === productId);
+  }
+
+  /**
+   * Append stock movement
+   * Movements are never updated or deleted once recorded
+   * @param {Object} movement - Stock movement data
+   * @returns {boolean} Success status
+   */
+  saveStockMovement(movement) {
+    if (!movement || !movement.id || this.stockMovements[movement.id]) {
+      return false;
+    }
+
+    this.stockMovements[movement.id] = movement;
+    this.save('stockMovements');
+    return true;
+  }
+
+  /**
+   * Get refund transactions issued against a transaction
+   * @param {string} transactionId - Original transaction ID
+   * @returns {Array} Array of refund transactions
+   */
+  getRefundsForTransaction(transactionId) {
+    return Object.values(this.transactions).filter(transaction => {
+      return transaction.type === 'refund' && transaction.originalTransactionId === transactionId;
+    });
+  }
+
+  /**
+   * Get store credit by ID or code
+   * @param {string} idOrCode - Store credit ID or code
+   * @returns {Object|null} Store credit or null if not found
+   */
+  getStoreCredit(idOrCode) {
+    return this.storeCredits[idOrCode] ||
+      Object.values(this.storeCredits).find(credit => credit.code === idOrCode) ||
+      null;
+  }
+
+  /**
+   * Save store credit
+   * @param {Object} credit - Store credit data
+   * @returns {boolean} Success status
+   */
+  saveStoreCredit(credit) {
+    if (!credit || !credit.id) {
+      return false;
+    }
+
+    this.storeCredits[credit.id] = credit;
+    this.save('storeCredits');
+    return true;
+  }
+
+  /**
+   * Get all promotions
+   * @returns {Array} Array of promotions
+   */
+  getPromotions() {
+    return Object.values(this.promotions);
+  }
+
+  /**
+   * Get promotion by ID
+   * @param {string} id - Promotion ID
+   * @returns {Object|null} Promotion or null if not found
+   */
+  getPromotionById(id) {
+    return this.promotions[id] || null;
+  }
+
+  /**
+   * Get promotion by coupon code
+   * @param {string} code - Coupon code
+   * @returns {Object|null} Promotion or null if not found
+   */
+  getPromotionByCouponCode(code) {
+    if (!code) return null;
+
+    const upperCode = String(code).toUpperCase();
+    return Object.values(this.promotions).find(promotion => promotion.couponCode === upperCode) || null;
+  }
+
+  /**
+   * Save promotion
+   * @param {Object} promotion - Promotion data
+   * @returns {boolean} Success status
+   */
+  savePromotion(promotion) {
+    if (!promotion || !promotion.id) {
+      return false;
+    }
+
+    this.promotions[promotion.id] = promotion;
+    this.save('promotions');
+    return true;
+  }
+
+  /**
+   * Delete promotion
+   * @param {string} id - Promotion ID
+   * @returns {boolean} Success status
+   */
+  deletePromotion(id) {
+    if (!this.promotions[id]) {
+      return false;
+    }
+
+    delete this.promotions[id];
+    this.save('promotions');
+    return true;
+  }
+
+  /**
+   * Get all tax exemptions
+   * @returns {Array} Array of tax exemptions
+   */
+  getTaxExemptions() {
+    return Object.values(this.taxExemptions);
+  }
+
+  /**
+   * Get tax exemptions of a customer
+   * @param {string} customerId - Customer ID
+   * @returns {Array} Array of tax exemptions
+   */
+  getTaxExemptionsByCustomer(customerId) {
+    return Object.values(this.taxExemptions).filter(exemption => exemption.customerId === customerId);
+  }
+
+  /**
+   * Save tax exemption
+   * @param {Object} exemption - Tax exemption data
+   * @returns {boolean} Success status
+   */
+  saveTaxExemption(exemption) {
+    if (!exemption || !exemption.id) {
+      return false;
+    }
+
+    this.taxExemptions[exemption.id] = exemption;
+    this.save('taxExemptions');
+    return true;
+  }
+
+  /**
+   * Delete tax exemption
+   * @param {string} id - Tax exemption ID
+   * @returns {boolean} Success status
+   */
+  deleteTaxExemption(id) {
+    if (!this.taxExemptions[id]) {
+      return false;
+    }
+
+    delete this.taxExemptions[id];
+    this.save('taxExemptions');
+    return true;
+  }
+
+  /**
+   * Get held sales, oldest first
+   * @param {string} storeId - Only return holds of this store (optional)
+   * @returns {Array} Array of held sales
+   */
+  getHeldSales(storeId = null) {
+    return Object.values(this.heldSales)
+      .filter(heldSale => !storeId || heldSale.storeId === storeId)
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Get held sale by ID
+   * @param {string} id - Held sale ID
+   * @returns {Object|null} Held sale or null if not found
+   */
+  getHeldSaleById(id) {
+    return this.heldSales[id] || null;
+  }
+
+  /**
+   * Save held sale
+   * @param {Object} heldSale - Held sale data
+   * @returns {boolean} Success status
+   */
+  saveHeldSale(heldSale) {
+    if (!heldSale || !heldSale.id) {
+      return false;
+    }
+
+    this.heldSales[heldSale.id] = heldSale;
+    this.save('heldSales');
+    return true;
+  }
+
+  /**
+   * Delete held sale
+   * @param {string} id - Held sale ID
+   * @returns {boolean} Success status
+   */
+  deleteHeldSale(id) {
+    if (!this.heldSales[id]) {
+      return false;
+    }
+
+    delete this.heldSales[id];
+    this.save('heldSales');
+    return true;
+  }
+
+  /**
+   * Get recognition feedback, newest first
+   * @param {string} status - Only return feedback with this status (optional)
+   * @returns {Array} Array of feedback records
+   */
+  getRecognitionFeedback(status = null) {
+    return Object.values(this.recognitionFeedback)
+      .filter(feedback => !status || feedback.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get recognition feedback by ID
+   * @param {string} id - Feedback ID
+   * @returns {Object|null} Feedback or null if not found
+   */
+  getRecognitionFeedbackById(id) {
+    return this.recognitionFeedback[id] || null;
+  }
+
+  /**
+   * Save recognition feedback
+   * @param {Object} feedback - Feedback data
+   * @returns {boolean} Success status
+   */
+  saveRecognitionFeedback(feedback) {
+    if (!feedback || !feedback.id) {
+      return false;
+    }
+
+    this.recognitionFeedback[feedback.id] = feedback;
+    this.save('recognitionFeedback');
+    return true;
+  }
+
+  /**
+   * Get vision model versions, oldest first
+   * @returns {Array} Array of model versions
+   */
+  getVisionModels() {
+    return Object.values(this.visionModels).sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Get vision model version by ID
+   * @param {string} id - Model version ID
+   * @returns {Object|null} Model version or null if not found
+   */
+  getVisionModelById(id) {
+    return this.visionModels[id] || null;
+  }
+
+  /**
+   * Save vision model version
+   * @param {Object} model - Model version data
+   * @returns {boolean} Success status
+   */
+  saveVisionModel(model) {
+    if (!model || !model.id) {
+      return false;
+    }
+
+    this.visionModels[model.id] = model;
+    this.save('visionModels');
+    return true;
+  }
+
+  /**
+   * Get shadow evaluation results, oldest first
+   * @param {string} shadowVersionId - Only return results of this candidate version (optional)
+   * @returns {Array} Array of shadow results
+   */
+  getVisionShadowResults(shadowVersionId = null) {
+    return Object.values(this.visionShadowResults)
+      .filter(result => !shadowVersionId || result.shadowVersionId === shadowVersionId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  /**
+   * Save shadow evaluation result
+   * @param {Object} result - Shadow result data
+   * @returns {boolean} Success status
+   */
+  saveVisionShadowResult(result) {
+    if (!result || !result.id) {
+      return false;
+    }
+
+    this.visionShadowResults[result.id] = result;
+    this.save('visionShadowResults');
+    return true;
+  }
+
+  /**
+   * Get loss prevention events
+   * @param {string} status - Filter by status (optional)
+   * @returns {Array} Array of events, newest first
+   */
+  getLossPreventionEvents(status = null) {
+    return Object.values(this.lossPreventionEvents)
+      .filter(event => !status || event.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get loss prevention event by ID
+   * @param {string} id - Event ID
+   * @returns {Object|null} Event or null if not found
+   */
+  getLossPreventionEventById(id) {
+    return this.lossPreventionEvents[id] || null;
+  }
+
+  /**
+   * Save loss prevention event
+   * @param {Object} event - Event data
+   * @returns {boolean} Success status
+   */
+  saveLossPreventionEvent(event) {
+    if (!event || !event.id) {
+      return false;
+    }
+
+    this.lossPreventionEvents[event.id] = event;
+    this.save('lossPreventionEvents');
+    return true;
+  }
+
+  /**
+   * Get suppliers
+   * @param {boolean} activeOnly - Only return active suppliers
+   * @returns {Array} Array of suppliers, by name
+   */
+  getSuppliers(activeOnly = false) {
+    return Object.values(this.suppliers)
+      .filter(supplier => !activeOnly || supplier.active)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get supplier by ID
+   * @param {string} id - Supplier ID
+   * @returns {Object|null} Supplier or null if not found
+   */
+  getSupplierById(id) {
+    return this.suppliers[id] || null;
+  }
+
+  /**
+   * Save supplier
+   * @param {Object} supplier - Supplier data
+   * @returns {boolean} Success status
+   */
+  saveSupplier(supplier) {
+    if (!supplier || !supplier.id) {
+      return false;
+    }
+
+    this.suppliers[supplier.id] = supplier;
+    this.save('suppliers');
+    return true;
+  }
+
+  /**
+   * Get purchase orders
+   * @param {string} status - Filter by status (optional)
+   * @returns {Array} Array of purchase orders, newest first
+   */
+  getPurchaseOrders(status = null) {
+    return Object.values(this.purchaseOrders)
+      .filter(order => !status || order.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get purchase order by ID
+   * @param {string} id - Purchase order ID
+   * @returns {Object|null} Purchase order or null if not found
+   */
+  getPurchaseOrderById(id) {
+    return this.purchaseOrders[id] || null;
+  }
+
+  /**
+   * Save purchase order
+   * @param {Object} order - Purchase order data
+   * @returns {boolean} Success status
+   */
+  savePurchaseOrder(order) {
+    if (!order || !order.id) {
+      return false;
+    }
+
+    this.purchaseOrders[order.id] = order;
+    this.save('purchaseOrders');
     return true;
   }
 
@@ -288,7 +817,7 @@ class DatabaseService {
     }
 
     this.users[user.id] = user;
-    this.saveToLocalStorage();
+    this.save('users');
     return true;
   }
 
@@ -303,7 +832,7 @@ class DatabaseService {
     }
 
     delete this.users[id];
-    this.saveToLocalStorage();
+    this.save('users');
     return true;
   }
 
@@ -329,7 +858,7 @@ class DatabaseService {
     }
 
     this.settings[key] = value;
-    this.saveToLocalStorage();
+    this.save('settings');
     return true;
   }
 
@@ -352,7 +881,7 @@ class DatabaseService {
     }
 
     this.settings = { ...settings };
-    this.saveToLocalStorage();
+    this.save('settings');
     return true;
   }
 
@@ -362,15 +891,15 @@ class DatabaseService {
    */
   createBackup() {
     const backup = {
-      products: this.products,
-      transactions: this.transactions,
-      users: this.users,
-      settings: this.settings,
       timestamp: new Date().toISOString()
     };
 
+    this.collections.forEach(name => {
+      backup[name] = this[name];
+    });
+
     this.settings.lastBackup = backup.timestamp;
-    this.saveToLocalStorage();
+    this.save('settings');
 
     return backup;
   }
@@ -386,11 +915,10 @@ class DatabaseService {
     }
 
     try {
-      this.products = backup.products || {};
-      this.transactions = backup.transactions || {};
-      this.users = backup.users || {};
-      this.settings = backup.settings || {};
-      this.saveToLocalStorage();
+      this.collections.forEach(name => {
+        this[name] = backup[name] || {};
+      });
+      this.save();
       return true;
     } catch (error) {
       console.error('Error restoring from backup:', error);
@@ -0,0 +1,139 @@
+/**
+ * Express API Adapter for Advanced POS System
+ * Exposes the endpoints registered on APIService as real HTTP routes
+ */
+
+const express = require('express');
+
+class ExpressAPIAdapter {
+  /**
+   * Create a new ExpressAPIAdapter
+   * @param {Object} apiService - API service instance
+   * @param {Object} authService - Authentication service instance
+   */
+  constructor(apiService, authService) {
+    this.api = apiService;
+    this.auth = authService;
+  }
+
+  /**
+   * Create an Express router for all registered API endpoints
+   * @returns {express.Router} Router instance
+   */
+  createRouter() {
+    const router = express.Router();
+
+    // Register a route for every "METHOD /path" pattern known to the API service
+    Object.keys(this.api.endpoints).forEach(pattern => {
+      const [method, routePath] = pattern.split(' ');
+      const routerMethod = method.toLowerCase();
+
+      if (typeof router[routerMethod] !== 'function') {
+        console.warn(`Skipping endpoint with unsupported method: ${pattern}`);
+        return;
+      }
+
+      router[routerMethod](routePath, this.handle.bind(this));
+    });
+
+    // Unknown API paths return JSON instead of falling through to the SPA
+    router.all('/api/*', (req, res) => {
+      res.status(404).json({
+        success: false,
+        status: 404,
+        message: 'Endpoint not found'
+      });
+    });
+
+    return router;
+  }
+
+  /**
+   * Dispatch an Express request through APIService.handleRequest
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    try {
+      const params = { ...req.params };
+      const data = this.getRequestData(req);
+      const context = this.createContext(req);
+
+      const result = await this.api.handleRequest(`${req.method} ${req.path}`, params, data, context);
+      const status = this.getHttpStatus(result);
+
+      res.status(status).json(result);
+    } catch (error) {
+      console.error('Error dispatching API request:', error);
+      res.status(500).json({
+        success: false,
+        status: 500,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Build request data from the query string and JSON body
+   * @param {Object} req - Express request
+   * @returns {Object} Request data
+   */
+  getRequestData(req) {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+    return {
+      ...req.query,
+      ...body
+    };
+  }
+
+  /**
+   * Create the per-request context passed to endpoint handlers
+   * @param {Object} req - Express request
+   * @returns {Object} Request context with the resolved caller
+   */
+  createContext(req) {
+    const token = this.getBearerToken(req);
+
+    return {
+      token,
+      user: token ? this.auth.getUserByToken(token) : null,
+      ip: req.ip
+    };
+  }
+
+  /**
+   * Extract bearer token from the Authorization header
+   * @param {Object} req - Express request
+   * @returns {string|null} Token or null if not provided
+   */
+  getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Map an API service result to an HTTP status code
+   * @param {Object} result - API service result
+   * @returns {number} HTTP status code
+   */
+  getHttpStatus(result) {
+    if (!result) {
+      return 500;
+    }
+
+    const status = parseInt(result.status);
+    if (status >= 100 && status <= 599) {
+      return status;
+    }
+
+    return result.success ? 200 : 500;
+  }
+}
+
+// Export the ExpressAPIAdapter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExpressAPIAdapter;
+}
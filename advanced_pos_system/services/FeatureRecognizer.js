@@ -0,0 +1,100 @@
+/**
+ * Feature Recognizer for Advanced POS System
+ * Built-in pure JavaScript backend using hand-crafted image features (see ImageFeatureExtractor)
+ */
+
+const Recognizer = require('./Recognizer');
+
+class FeatureRecognizer extends Recognizer {
+  /**
+   * Create a new FeatureRecognizer
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'builtin';
+
+    const ImageFeatureExtractor = require('./ImageFeatureExtractor');
+    this.extractor = new ImageFeatureExtractor();
+  }
+
+  /**
+   * Compute the feature descriptor of an image
+   * @param {Object} image - Decoded image
+   * @returns {Promise<Object>} Descriptor ({ model, version, hash, histogram, gradients })
+   */
+  async embed(image) {
+    return {
+      model: this.getModelId(),
+      ...this.extractor.extract(image)
+    };
+  }
+
+  /**
+   * Compare two feature descriptors
+   * @param {Object} a - Descriptor
+   * @param {Object} b - Descriptor
+   * @returns {number} Similarity (0-1)
+   */
+  compare(a, b) {
+    return this.extractor.compare(a, b);
+  }
+
+  /**
+   * Get a unit vector whose dot product with another descriptor's vector approximates compare()
+   * Hash bits become +-1/8 (dot = 1 - 2 * distance / 64), the histogram its square root
+   * (dot = Bhattacharyya coefficient) and the gradients are centred (dot = correlation),
+   * each scaled by the square root of its weight
+   * @param {Object} descriptor - Descriptor
+   * @returns {Array<number>} Vector with 256 values
+   */
+  toVector(descriptor) {
+    const ImageFeatureExtractor = require('./ImageFeatureExtractor');
+    const weights = ImageFeatureExtractor.WEIGHTS;
+    const vector = [];
+
+    const hashScale = Math.sqrt(weights.hash) / 8;
+    for (let i = 0; i < 64; i++) {
+      const nibble = parseInt(descriptor.hash[i >> 2], 16);
+      vector.push((nibble >> (3 - (i & 3))) & 1 ? hashScale : -hashScale);
+    }
+
+    const histogramScale = Math.sqrt(weights.histogram);
+    descriptor.histogram.forEach(value => vector.push(Math.sqrt(Math.max(value, 0)) * histogramScale));
+
+    const mean = descriptor.gradients.reduce((sum, value) => sum + value, 0) / descriptor.gradients.length;
+    const centred = descriptor.gradients.map(value => value - mean);
+    const length = Math.sqrt(centred.reduce((sum, value) => sum + value * value, 0));
+    const gradientScale = Math.sqrt(weights.gradients);
+    centred.forEach(value => vector.push(length > 0 ? value / length * gradientScale : 0));
+
+    return vector;
+  }
+
+  /**
+   * Check if a stored signature is a descriptor of the current version
+   * Descriptors stored before backends were pluggable carry no model ID
+   * @param {Object} signature - Stored signature
+   * @returns {boolean} Is comparable
+   */
+  accepts(signature) {
+    const ImageFeatureExtractor = require('./ImageFeatureExtractor');
+    return ImageFeatureExtractor.isDescriptor(signature) &&
+      signature.version === ImageFeatureExtractor.VERSION &&
+      (!signature.model || signature.model === this.getModelId());
+  }
+
+  /**
+   * Get the identifier stored with every signature of this model
+   * @returns {string} Model ID
+   */
+  getModelId() {
+    const ImageFeatureExtractor = require('./ImageFeatureExtractor');
+    return `builtin-features-v${ImageFeatureExtractor.VERSION}`;
+  }
+}
+
+// Export the FeatureRecognizer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeatureRecognizer;
+}
@@ -0,0 +1,159 @@
+/**
+ * File Storage Adapter for Advanced POS System
+ * Persists each collection as a JSON file on disk with atomic, crash-safe writes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+class FileStorageAdapter extends StorageAdapter {
+  /**
+   * Create a new FileStorageAdapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.dataDir - Directory holding the collection files, relative to the app directory unless absolute
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'file';
+    // Not relative to the working directory, so the data is found wherever node is started from
+    this.dataDir = path.resolve(__dirname, '..', options.dataDir || 'data');
+  }
+
+  /**
+   * Open the storage backend
+   * @returns {boolean} Success status
+   */
+  open() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    // Remove temporary files left behind by writes interrupted by a crash; those of
+    // processes still running may be writes in progress
+    fs.readdirSync(this.dataDir)
+      .filter(file => {
+        const match = /\.(\d+)\.tmp$/.exec(file);
+        return match && !this.isProcessRunning(parseInt(match[1], 10));
+      })
+      .forEach(file => fs.unlinkSync(path.join(this.dataDir, file)));
+
+    return true;
+  }
+
+  /**
+   * Check if another process with a PID is running
+   * @param {number} pid - Process ID
+   * @returns {boolean} Running (false for this process, whose temporary files are all stale on open)
+   */
+  isProcessRunning(pid) {
+    if (pid === process.pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Read a collection
+   * @param {string} name - Collection name
+   * @returns {Object|null} Collection data or null if not stored yet
+   */
+  read(name) {
+    const filePath = this.getFilePath(name);
+
+    try {
+      return this.readFile(filePath);
+    } catch (error) {
+      // Fall back to the previous good copy if the main file is unreadable
+      console.error(`Error reading ${filePath}, trying backup:`, error.message);
+      return this.readFile(`${filePath}.bak`);
+    }
+  }
+
+  /**
+   * Write a collection atomically
+   * The data is written to a temporary file, flushed to disk and then renamed
+   * over the previous file, so a crash mid-write never leaves a truncated file
+   * @param {string} name - Collection name
+   * @param {Object} data - Collection data
+   * @returns {boolean} Success status
+   */
+  write(name, data) {
+    const filePath = this.getFilePath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const contents = JSON.stringify(data, null, 2);
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Keep the previous version as a backup
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+
+    fs.renameSync(tempPath, filePath);
+    this.syncDirectory();
+    return true;
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File path
+   * @returns {Object|null} Parsed data or null if the file does not exist
+   */
+  readFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Get the file path for a collection
+   * @param {string} name - Collection name
+   * @returns {string} File path
+   */
+  getFilePath(name) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  /**
+   * Flush the directory entry so the rename survives a power loss
+   * @returns {void}
+   */
+  syncDirectory() {
+    let fd = null;
+    try {
+      fd = fs.openSync(this.dataDir, 'r');
+      fs.fsyncSync(fd);
+    } catch (error) {
+      // Not supported on every platform (e.g. Windows)
+    } finally {
+      if (fd !== null) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+}
+
+// Export the FileStorageAdapter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FileStorageAdapter;
+}
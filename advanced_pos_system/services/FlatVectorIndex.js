@@ -0,0 +1,116 @@
+/**
+ * Flat Vector Index for Advanced POS System
+ * Exact nearest-neighbour search by scanning every vector
+ *
+ * The scan is a tight loop over one contiguous Float32Array, which engines can
+ * vectorize; for tens of thousands of signatures it takes a few milliseconds.
+ */
+
+const VectorIndex = require('./VectorIndex');
+
+class FlatVectorIndex extends VectorIndex {
+  /**
+   * Create a new FlatVectorIndex
+   * @param {Object} options - Index options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'flat';
+  }
+
+  /**
+   * Add a vector
+   * @param {string} id - Signature ID
+   * @param {string} productId - Product ID
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {boolean} False if the ID is already indexed
+   */
+  add(id, productId, vector) {
+    if (this.rows.has(id)) {
+      return false;
+    }
+
+    this.appendRow(id, productId, vector);
+    return true;
+  }
+
+  /**
+   * Remove a vector
+   * The last row is moved into the gap so the rows stay contiguous
+   * @param {string} id - Signature ID
+   * @returns {boolean} False if the ID is not indexed
+   */
+  remove(id) {
+    if (!this.rows.has(id)) {
+      return false;
+    }
+
+    const row = this.rows.get(id);
+    const last = this.ids.length - 1;
+
+    if (row !== last) {
+      this.vectors.copyWithin(row * this.dimensions, last * this.dimensions, (last + 1) * this.dimensions);
+      this.ids[row] = this.ids[last];
+      this.productIds[row] = this.productIds[last];
+      this.rows.set(this.ids[row], row);
+    }
+
+    this.ids.pop();
+    this.productIds.pop();
+    this.rows.delete(id);
+    return true;
+  }
+
+  /**
+   * Find the vectors most similar to a query
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @returns {Array} Matches ({ id, productId, score }), most similar first
+   */
+  search(query, k = 10) {
+    if (this.ids.length === 0 || k <= 0) {
+      return [];
+    }
+
+    const unit = VectorIndex.normalize(query);
+    const dimensions = this.dimensions;
+    const vectors = this.vectors;
+    const rows = this.ids.length;
+
+    // Keep the best k rows sorted by score, lowest last
+    const bestRows = [];
+    const bestScores = [];
+
+    for (let row = 0; row < rows; row++) {
+      const offset = row * dimensions;
+      let score = 0;
+      for (let i = 0; i < dimensions; i++) {
+        score += vectors[offset + i] * unit[i];
+      }
+
+      if (bestRows.length === k && score <= bestScores[k - 1]) {
+        continue;
+      }
+
+      let position = bestRows.length === k ? k - 1 : bestRows.length;
+      while (position > 0 && bestScores[position - 1] < score) {
+        bestRows[position] = bestRows[position - 1];
+        bestScores[position] = bestScores[position - 1];
+        position--;
+      }
+      bestRows[position] = row;
+      bestScores[position] = score;
+    }
+
+    return bestRows.map((row, index) => ({
+      id: this.ids[row],
+      productId: this.productIds[row],
+      score: bestScores[index]
+    }));
+  }
+}
+
+// Export the FlatVectorIndex class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FlatVectorIndex;
+}
@@ -0,0 +1,218 @@
+/**
+ * Held Sale Service for Advanced POS System
+ * Parks carts so the terminal can serve the next customer, and recalls them later
+ * on any terminal. Holds that are not recalled expire after heldSaleExpiryHours.
+ *
+ * Expired holds are deleted, except those with payments already taken: deleting them
+ * would lose the money without a refund or void. They are kept as expired until a
+ * manager recalls them to refund or void the payments, or to complete the sale.
+ */
+
+class HeldSaleService {
+  /**
+   * Create a new HeldSaleService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Park the contents of a cart
+   * @param {Object} cart - CartService instance to hold
+   * @param {Object} options - Hold options
+   * @param {string} options.employeeId - Employee holding the sale
+   * @param {string} options.storeId - Store ID
+   * @param {string} options.terminalId - Terminal the sale was held on (optional)
+   * @param {string} options.name - Name to find the sale by, e.g. the customer's name (optional)
+   * @returns {Object} Result with success status, message and held sale
+   */
+  holdSale(cart, options = {}) {
+    try {
+      const HeldSale = require('../models/HeldSale');
+      const expiryHours = parseFloat(this.db.getSetting('heldSaleExpiryHours', 24)) || 0;
+      const heldAt = new Date();
+
+      const heldSale = new HeldSale({
+        ...cart.getSnapshot(),
+        number: this.getNextNumber(options.storeId),
+        name: options.name || '',
+        total: cart.total,
+        employeeId: options.employeeId,
+        storeId: options.storeId,
+        terminalId: options.terminalId || null,
+        heldAt: heldAt.toISOString(),
+        expiresAt: expiryHours > 0 ? new Date(heldAt.getTime() + expiryHours * 60 * 60 * 1000).toISOString() : null
+      });
+
+      const validation = heldSale.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      if (!this.db.saveHeldSale(heldSale.toObject())) {
+        return {
+          success: false,
+          message: 'Failed to save held sale'
+        };
+      }
+
+      return {
+        success: true,
+        message: `Sale held as ${heldSale.getLabel()}`,
+        heldSale: heldSale.toObject()
+      };
+    } catch (error) {
+      console.error('Error holding sale:', error);
+      return {
+        success: false,
+        message: 'Failed to hold sale'
+      };
+    }
+  }
+
+  /**
+   * Recall a held sale into a cart and remove the hold
+   * @param {string} heldSaleId - Held sale ID
+   * @param {Object} cart - Empty CartService instance to restore into
+   * @param {Object} options - Recall options
+   * @param {boolean} options.allowExpired - Allow recalling an expired hold with payments (managers)
+   * @param {boolean} options.dropUnavailable - Recall even if some items can no longer be sold, dropping them
+   * @returns {Object} Result with success status, message, held sale and items that could not be restored
+   */
+  recallSale(heldSaleId, cart, options = {}) {
+    try {
+      const HeldSale = require('../models/HeldSale');
+      const data = this.db.getHeldSaleById(heldSaleId);
+      if (!data) {
+        return {
+          success: false,
+          message: 'Held sale not found'
+        };
+      }
+
+      const heldSale = HeldSale.fromObject(data);
+      if (heldSale.isExpired() && !heldSale.hasPayments()) {
+        this.db.deleteHeldSale(heldSale.id);
+        return {
+          success: false,
+          message: 'Held sale has expired'
+        };
+      }
+
+      if (heldSale.isExpired() && !options.allowExpired) {
+        this.expireSale(heldSale);
+        return {
+          success: false,
+          message: 'Held sale has expired with payments taken; a manager must recall it to refund or void them'
+        };
+      }
+
+      if (cart.items.length > 0) {
+        return {
+          success: false,
+          message: 'Hold or clear the current sale before recalling another'
+        };
+      }
+
+      const restored = cart.restoreSnapshot(heldSale.toObject());
+      if (!restored.success) {
+        return restored;
+      }
+
+      // Keep the hold until the cashier confirms that the missing items can be dropped
+      if (restored.unavailableItems.length > 0 && !options.dropUnavailable) {
+        cart.clearCart();
+        return {
+          success: false,
+          message: `${restored.unavailableItems.map(item => item.name || item.productId).join(', ')} can no longer be sold; recall again to continue without them`,
+          heldSale: heldSale.toObject(),
+          unavailableItems: restored.unavailableItems
+        };
+      }
+
+      // Deleting on recall stops two terminals from resuming the same sale
+      this.db.deleteHeldSale(heldSale.id);
+
+      return {
+        success: true,
+        message: `Recalled sale ${heldSale.getLabel()}`,
+        heldSale: heldSale.toObject(),
+        unavailableItems: restored.unavailableItems
+      };
+    } catch (error) {
+      console.error('Error recalling held sale:', error);
+      return {
+        success: false,
+        message: 'Failed to recall held sale'
+      };
+    }
+  }
+
+  /**
+   * Get the held sales with a status
+   * @param {string} storeId - Only return holds of this store (optional)
+   * @param {string} status - held (not expired) or expired (abandoned with payments taken)
+   * @returns {Array} Held sales, lowest number first
+   */
+  getHeldSales(storeId = null, status = 'held') {
+    this.purgeExpired();
+    return this.db.getHeldSales(storeId).filter(heldSale => (heldSale.status || 'held') === status);
+  }
+
+  /**
+   * Delete holds that were abandoned past their expiry; holds with payments are kept as expired
+   * @param {Date} date - Current time
+   * @returns {number} Number of holds that expired
+   */
+  purgeExpired(date = new Date()) {
+    const HeldSale = require('../models/HeldSale');
+    const expired = this.db.getHeldSales()
+      .map(data => HeldSale.fromObject(data))
+      .filter(heldSale => heldSale.status === 'held' && heldSale.isExpired(date));
+
+    expired.forEach(heldSale => {
+      if (heldSale.hasPayments()) {
+        this.expireSale(heldSale, date);
+      } else {
+        this.db.deleteHeldSale(heldSale.id);
+      }
+    });
+
+    return expired.length;
+  }
+
+  /**
+   * Set aside an abandoned hold with payments for a manager to refund or void
+   * @param {HeldSale} heldSale - Held sale
+   * @param {Date} date - Time it expired
+   * @returns {boolean} Success status
+   */
+  expireSale(heldSale, date = new Date()) {
+    if (heldSale.status === 'expired') {
+      return true;
+    }
+
+    heldSale.status = 'expired';
+    heldSale.expiredAt = date.toISOString();
+    return this.db.saveHeldSale(heldSale.toObject());
+  }
+
+  /**
+   * Get the next ticket number for a store
+   * Numbers restart once every hold of the store has been recalled
+   * @param {string} storeId - Store ID
+   * @returns {number} Ticket number
+   */
+  getNextNumber(storeId) {
+    return this.db.getHeldSales(storeId).reduce((max, heldSale) => Math.max(max, heldSale.number), 0) + 1;
+  }
+}
+
+// Export the HeldSaleService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeldSaleService;
+}
@@ -0,0 +1,152 @@
+/**
+ * HID Scale Driver for Advanced POS System
+ * Reads USB scales that implement the HID Point of Sale scale usage page (0x8D) with the
+ * node-hid package
+ *
+ * Such scales report continuously in 6-byte data reports:
+ * [report ID 3, status, unit, exponent (signed), weight low byte, weight high byte]
+ *
+ * Options (scaleOptions setting):
+ * - vendorId, productId: USB IDs of the scale (default the first HID scale found)
+ * - path: HID device path, instead of the IDs
+ * - responseTimeout: milliseconds to wait for a report (default 1000)
+ */
+
+const ScaleDriver = require('./ScaleDriver');
+
+class HidScaleDriver extends ScaleDriver {
+  /**
+   * Create a new HidScaleDriver
+   * @param {Object} options - Driver options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'hid';
+    this.responseTimeout = parseInt(options.responseTimeout) || 1000;
+    this.device = null;
+  }
+
+  /**
+   * Open the scale's HID device
+   * @returns {Promise<boolean>} Success status
+   */
+  async connect() {
+    let HID;
+    try {
+      HID = require('node-hid');
+    } catch (error) {
+      throw new Error('The hid scale driver needs the node-hid package (npm install node-hid)');
+    }
+
+    const vendorId = this.options.vendorId !== undefined ? Number(this.options.vendorId) : null;
+    const productId = this.options.productId !== undefined ? Number(this.options.productId) : null;
+    const info = this.options.path
+      ? { path: this.options.path }
+      : HID.devices().find(device => {
+        if (vendorId !== null || productId !== null) {
+          return (vendorId === null || device.vendorId === vendorId) && (productId === null || device.productId === productId);
+        }
+        return device.usagePage === HidScaleDriver.USAGE_PAGE;
+      });
+
+    if (!info) {
+      throw new Error('No HID scale found');
+    }
+
+    this.device = new HID.HID(info.path);
+    this.connected = true;
+    return true;
+  }
+
+  /**
+   * Close the HID device
+   * @returns {Promise<boolean>} Success status
+   */
+  async disconnect() {
+    if (this.device) {
+      this.device.close();
+    }
+
+    this.device = null;
+    this.connected = false;
+    return true;
+  }
+
+  /**
+   * Read the latest weight report
+   * @returns {Promise<Object>} Reading
+   */
+  async read() {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    // Skip reports other than weight data, e.g. status reports some scales interleave
+    const deadline = Date.now() + this.responseTimeout;
+    while (Date.now() < deadline) {
+      const report = this.device.readTimeout(Math.max(deadline - Date.now(), 1));
+      if (report && report.length >= 6 && report[0] === HidScaleDriver.DATA_REPORT_ID) {
+        return HidScaleDriver.parseReport(report);
+      }
+    }
+
+    throw new Error('Scale did not respond');
+  }
+
+  /**
+   * Parse a weight data report
+   * @param {Array|Buffer} report - Report bytes
+   * @returns {Object} Reading
+   */
+  static parseReport(report) {
+    const status = HidScaleDriver.REPORT_STATUSES[report[1]] || 'fault';
+    const unitCode = report[2];
+    const exponent = report[3] > 127 ? report[3] - 256 : report[3];
+    let weight = (report[4] + report[5] * 256) * Math.pow(10, exponent);
+    let unit = HidScaleDriver.REPORT_UNITS[unitCode];
+
+    // Milligrams are reported in grams
+    if (unitCode === 1) {
+      weight /= 1000;
+      unit = 'g';
+    }
+
+    if (!unit) {
+      return ScaleDriver.createReading(0, 'kg', 'fault');
+    }
+
+    return ScaleDriver.createReading(status === 'under_zero' ? -weight : weight, unit, status);
+  }
+}
+
+// HID usage page of point of sale scales
+HidScaleDriver.USAGE_PAGE = 0x8d;
+
+// Report ID of weight data reports
+HidScaleDriver.DATA_REPORT_ID = 3;
+
+// Scale status codes of data reports (1 fault, 7 needs calibration and 8 needs rezeroing are faults)
+HidScaleDriver.REPORT_STATUSES = {
+  1: 'fault',
+  2: 'zero',
+  3: 'in_motion',
+  4: 'stable',
+  5: 'under_zero',
+  6: 'over_capacity',
+  7: 'fault',
+  8: 'fault'
+};
+
+// Weight unit codes of data reports
+HidScaleDriver.REPORT_UNITS = {
+  1: 'g',
+  2: 'g',
+  3: 'kg',
+  11: 'oz',
+  12: 'lb'
+};
+
+// Export the HidScaleDriver class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HidScaleDriver;
+}
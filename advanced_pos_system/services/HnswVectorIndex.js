@@ -0,0 +1,419 @@
+/**
+ * HNSW Vector Index for Advanced POS System
+ * Approximate nearest-neighbour search with a Hierarchical Navigable Small World graph
+ * (Malkov & Yashunin, 2016)
+ *
+ * Every vector is a node on layer 0 and, with exponentially falling probability, on
+ * higher layers. A search walks greedily down from the sparse top layer and then
+ * explores the neighbourhood of the closest nodes on layer 0, visiting a small
+ * fraction of the catalogue. Levels are drawn from a seeded generator so the same
+ * training sequence always builds the same graph.
+ *
+ * Options: m (links per node, default 16), efConstruction (default 64),
+ * efSearch (default 64), seed.
+ */
+
+const VectorIndex = require('./VectorIndex');
+
+/**
+ * Binary heap ordered by score
+ */
+class ScoreHeap {
+  /**
+   * Create a new ScoreHeap
+   * @param {boolean} max - Keep the highest score on top (otherwise the lowest)
+   */
+  constructor(max) {
+    this.max = max;
+    this.items = [];
+  }
+
+  /**
+   * Get the number of items
+   * @returns {number} Size
+   */
+  size() {
+    return this.items.length;
+  }
+
+  /**
+   * Get the top item without removing it
+   * @returns {Object} Item ({ row, score })
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * Add an item
+   * @param {Object} item - Item ({ row, score })
+   * @returns {void}
+   */
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(items[index], items[parent])) {
+        break;
+      }
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Remove and return the top item
+   * @returns {Object} Item ({ row, score })
+   */
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let next = index;
+        if (left < items.length && this.before(items[left], items[next])) next = left;
+        if (right < items.length && this.before(items[right], items[next])) next = right;
+        if (next === index) break;
+        [items[index], items[next]] = [items[next], items[index]];
+        index = next;
+      }
+    }
+
+    return top;
+  }
+
+  /**
+   * Check if an item belongs above another
+   * @param {Object} a - Item
+   * @param {Object} b - Item
+   * @returns {boolean} a comes first
+   */
+  before(a, b) {
+    return this.max ? a.score > b.score : a.score < b.score;
+  }
+}
+
+class HnswVectorIndex extends VectorIndex {
+  /**
+   * Create a new HnswVectorIndex
+   * @param {Object} options - Index options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'hnsw';
+    this.m = parseInt(options.m) || 16;
+    this.efConstruction = parseInt(options.efConstruction) || 64;
+    this.efSearch = parseInt(options.efSearch) || 64;
+    this.levels = []; // Top layer of each row
+    this.links = []; // links[row][layer] = neighbouring rows
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.randomState = (parseInt(options.seed) || 0x9e3779b9) >>> 0;
+  }
+
+  /**
+   * Add a vector
+   * @param {string} id - Signature ID
+   * @param {string} productId - Product ID
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {boolean} False if the ID is already indexed
+   */
+  add(id, productId, vector) {
+    if (this.rows.has(id)) {
+      return false;
+    }
+
+    const row = this.appendRow(id, productId, vector);
+    const level = this.randomLevel();
+    this.levels[row] = level;
+    this.links[row] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint < 0) {
+      this.entryPoint = row;
+      this.maxLevel = level;
+      return true;
+    }
+
+    const query = this.vectors.subarray(row * this.dimensions, (row + 1) * this.dimensions);
+    let entry = this.entryPoint;
+
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.searchLayer(query, entry, 1, layer)[0].row;
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(query, entry, this.efConstruction, layer);
+      const maxLinks = this.getMaxLinks(layer);
+      const neighbours = this.selectNeighbours(candidates, maxLinks);
+
+      this.links[row][layer] = neighbours.map(neighbour => neighbour.row);
+
+      // Link back; neighbours with too many links keep their closest ones
+      neighbours.forEach(neighbour => {
+        const links = this.links[neighbour.row][layer];
+        links.push(row);
+
+        if (links.length > maxLinks) {
+          this.links[neighbour.row][layer] = links
+            .map(link => ({ row: link, score: this.similarity(neighbour.row, link) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxLinks)
+            .map(link => link.row);
+        }
+      });
+
+      entry = candidates[0].row;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = row;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a vector
+   * The node stays in the graph for routing but is no longer returned; the graph
+   * is rebuilt once more than half of the nodes are removed
+   * @param {string} id - Signature ID
+   * @returns {boolean} False if the ID is not indexed
+   */
+  remove(id) {
+    if (!this.rows.has(id)) {
+      return false;
+    }
+
+    const row = this.rows.get(id);
+    this.ids[row] = null;
+    this.productIds[row] = null;
+    this.rows.delete(id);
+
+    if (this.rows.size === 0) {
+      this.clear();
+    } else if (this.rows.size < this.ids.length / 2) {
+      this.compact();
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the vectors most similar to a query
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @returns {Array} Matches ({ id, productId, score }), most similar first
+   */
+  search(query, k = 10) {
+    if (this.rows.size === 0 || k <= 0) {
+      return [];
+    }
+
+    const unit = VectorIndex.normalize(query);
+    let entry = this.entryPoint;
+
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.searchLayer(unit, entry, 1, layer)[0].row;
+    }
+
+    return this.searchLayer(unit, entry, Math.max(this.efSearch, k), 0)
+      .filter(candidate => this.ids[candidate.row] !== null)
+      .slice(0, k)
+      .map(candidate => ({
+        id: this.ids[candidate.row],
+        productId: this.productIds[candidate.row],
+        score: candidate.score
+      }));
+  }
+
+  /**
+   * Best-first search of one layer
+   * @param {Float32Array} query - Unit query vector
+   * @param {number} entry - Row to start from
+   * @param {number} ef - Number of closest rows to keep
+   * @param {number} layer - Layer
+   * @returns {Array} Closest rows ({ row, score }), most similar first
+   */
+  searchLayer(query, entry, ef, layer) {
+    const visited = new Set([entry]);
+    const first = { row: entry, score: this.dot(entry, query) };
+    const candidates = new ScoreHeap(true);
+    const results = new ScoreHeap(false);
+    candidates.push(first);
+    results.push(first);
+
+    while (candidates.size() > 0) {
+      const current = candidates.pop();
+      if (results.size() >= ef && current.score < results.peek().score) {
+        break;
+      }
+
+      const links = this.links[current.row][layer] || [];
+      for (const neighbour of links) {
+        if (visited.has(neighbour)) {
+          continue;
+        }
+        visited.add(neighbour);
+
+        const score = this.dot(neighbour, query);
+        if (results.size() < ef || score > results.peek().score) {
+          const candidate = { row: neighbour, score };
+          candidates.push(candidate);
+          results.push(candidate);
+          if (results.size() > ef) {
+            results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Choose neighbours that point in different directions
+   * A candidate is skipped when it is closer to an already chosen neighbour than to
+   * the base, which keeps clusters (several photos of one product) from taking every link
+   * @param {Array} candidates - Candidates ({ row, score }), most similar first
+   * @param {number} maxLinks - Number of neighbours
+   * @returns {Array} Chosen candidates
+   */
+  selectNeighbours(candidates, maxLinks) {
+    const chosen = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (chosen.length >= maxLinks) {
+        break;
+      }
+
+      const diverse = chosen.every(selected => this.similarity(candidate.row, selected.row) < candidate.score);
+      (diverse ? chosen : skipped).push(candidate);
+    }
+
+    // Fill up with the closest skipped candidates so nodes stay well connected
+    for (const candidate of skipped) {
+      if (chosen.length >= maxLinks) {
+        break;
+      }
+      chosen.push(candidate);
+    }
+
+    return chosen;
+  }
+
+  /**
+   * Similarity of two stored rows
+   * @param {number} a - Row
+   * @param {number} b - Row
+   * @returns {number} Similarity (-1 to 1)
+   */
+  similarity(a, b) {
+    const vectors = this.vectors;
+    const offsetA = a * this.dimensions;
+    const offsetB = b * this.dimensions;
+    let sum = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      sum += vectors[offsetA + i] * vectors[offsetB + i];
+    }
+    return sum;
+  }
+
+  /**
+   * Get the maximum number of links per node on a layer
+   * @param {number} layer - Layer
+   * @returns {number} Maximum links
+   */
+  getMaxLinks(layer) {
+    return layer === 0 ? this.m * 2 : this.m;
+  }
+
+  /**
+   * Draw the top layer of a new node
+   * @returns {number} Level
+   */
+  randomLevel() {
+    // mulberry32
+    this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+
+    return Math.floor(-Math.log(1 - random) / Math.log(this.m));
+  }
+
+  /**
+   * Rebuild the graph from the vectors that have not been removed
+   * @returns {void}
+   */
+  compact() {
+    const live = this.ids
+      .map((id, row) => ({ id, productId: this.productIds[row], row }))
+      .filter(entry => entry.id !== null)
+      .map(entry => ({
+        ...entry,
+        vector: this.vectors.slice(entry.row * this.dimensions, (entry.row + 1) * this.dimensions)
+      }));
+
+    this.clear();
+    live.forEach(entry => this.add(entry.id, entry.productId, entry.vector));
+  }
+
+  /**
+   * Remove every vector and link
+   * @returns {void}
+   */
+  clear() {
+    this.ids = [];
+    this.productIds = [];
+    this.rows = new Map();
+    this.vectors = new Float32Array(0);
+    this.levels = [];
+    this.links = [];
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Get the graph for saving
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return {
+      levels: this.levels,
+      links: this.links,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      randomState: this.randomState
+    };
+  }
+
+  /**
+   * Restore a saved graph
+   * @param {Object} state - Saved state
+   * @returns {void}
+   */
+  setState(state) {
+    this.levels = state.levels || [];
+    this.links = state.links || [];
+    this.entryPoint = state.entryPoint !== undefined ? state.entryPoint : -1;
+    this.maxLevel = state.maxLevel !== undefined ? state.maxLevel : -1;
+    this.randomState = state.randomState !== undefined ? state.randomState : this.randomState;
+  }
+}
+
+// Export the HnswVectorIndex class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HnswVectorIndex;
+}
@@ -0,0 +1,144 @@
+/**
+ * Image Decoder for Advanced POS System
+ * Decodes camera frames (JPEG or PNG, as data URLs, base64 strings or buffers)
+ * into raw RGBA pixels and resamples them for feature extraction
+ */
+
+class ImageDecoder {
+  /**
+   * Decode an image
+   * @param {string|Buffer} imageData - Data URL, base64 string or raw bytes
+   * @returns {Object} Decoded image ({ width, height, data }) with RGBA bytes in data
+   */
+  static decode(imageData) {
+    const buffer = ImageDecoder.toBuffer(imageData);
+
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      const jpeg = require('jpeg-js');
+      const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+      return { width: image.width, height: image.height, data: image.data };
+    }
+
+    if (buffer.length >= 8 && buffer.slice(0, 8).equals(ImageDecoder.PNG_SIGNATURE)) {
+      const { PNG } = require('pngjs');
+      const image = PNG.sync.read(buffer);
+      return { width: image.width, height: image.height, data: image.data };
+    }
+
+    throw new Error('Unsupported image format (expected JPEG or PNG)');
+  }
+
+  /**
+   * Get the raw bytes of an image
+   * @param {string|Buffer} imageData - Data URL, base64 string or raw bytes
+   * @returns {Buffer} Image bytes
+   */
+  static toBuffer(imageData) {
+    if (Buffer.isBuffer(imageData)) {
+      return imageData;
+    }
+
+    if (imageData instanceof Uint8Array) {
+      return Buffer.from(imageData);
+    }
+
+    if (typeof imageData !== 'string' || imageData.length === 0) {
+      throw new Error('Image data must be a data URL, base64 string or buffer');
+    }
+
+    const commaIndex = imageData.startsWith('data:') ? imageData.indexOf(',') : -1;
+    return Buffer.from(commaIndex >= 0 ? imageData.substring(commaIndex + 1) : imageData, 'base64');
+  }
+
+  /**
+   * Resample an image to a fixed size by averaging the source pixels under each target pixel
+   * Transparent pixels are composited onto white
+   * @param {Object} image - Decoded image
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @returns {Float32Array} RGB values (0-255), three per pixel, row by row
+   */
+  static resize(image, width, height) {
+    const output = new Float32Array(width * height * 3);
+
+    for (let ty = 0; ty < height; ty++) {
+      const y0 = Math.floor(ty * image.height / height);
+      const y1 = Math.max(Math.floor((ty + 1) * image.height / height), y0 + 1);
+
+      for (let tx = 0; tx < width; tx++) {
+        const x0 = Math.floor(tx * image.width / width);
+        const x1 = Math.max(Math.floor((tx + 1) * image.width / width), x0 + 1);
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let count = 0;
+
+        for (let y = y0; y < y1 && y < image.height; y++) {
+          for (let x = x0; x < x1 && x < image.width; x++) {
+            const offset = (y * image.width + x) * 4;
+            const alpha = image.data[offset + 3] / 255;
+            r += image.data[offset] * alpha + 255 * (1 - alpha);
+            g += image.data[offset + 1] * alpha + 255 * (1 - alpha);
+            b += image.data[offset + 2] * alpha + 255 * (1 - alpha);
+            count++;
+          }
+        }
+
+        const target = (ty * width + tx) * 3;
+        output[target] = count ? r / count : 255;
+        output[target + 1] = count ? g / count : 255;
+        output[target + 2] = count ? b / count : 255;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Cut a region out of an image
+   * @param {Object} image - Decoded image
+   * @param {Object} box - Region in relative coordinates ({ x1, y1, x2, y2 }, 0-1)
+   * @returns {Object} Decoded image of the region
+   */
+  static crop(image, box) {
+    const x0 = Math.max(Math.floor(box.x1 * image.width), 0);
+    const y0 = Math.max(Math.floor(box.y1 * image.height), 0);
+    const x1 = Math.min(Math.max(Math.ceil(box.x2 * image.width), x0 + 1), image.width);
+    const y1 = Math.min(Math.max(Math.ceil(box.y2 * image.height), y0 + 1), image.height);
+
+    if (x0 === 0 && y0 === 0 && x1 === image.width && y1 === image.height) {
+      return image;
+    }
+
+    const width = x1 - x0;
+    const height = y1 - y0;
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const start = ((y0 + y) * image.width + x0) * 4;
+      data.set(image.data.subarray(start, start + width * 4), y * width * 4);
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Convert RGB values to luma
+   * @param {Float32Array} rgb - RGB values, three per pixel
+   * @returns {Float32Array} Luma (0-255), one per pixel
+   */
+  static toGrayscale(rgb) {
+    const gray = new Float32Array(rgb.length / 3);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    }
+    return gray;
+  }
+}
+
+// First eight bytes of every PNG file
+ImageDecoder.PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Export the ImageDecoder class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageDecoder;
+}
@@ -0,0 +1,238 @@
+/**
+ * Image Feature Extractor for Advanced POS System
+ * Computes deterministic, CPU-only descriptors of an image and compares them
+ *
+ * A descriptor combines three complementary features of the whole frame:
+ * - hash: 64-bit difference hash of the grayscale image (overall layout)
+ * - histogram: 64-bin RGB colour histogram (packaging colours)
+ * - gradients: 4x4 grid of 8-bin gradient orientation histograms (edges, print, shape)
+ */
+
+const ImageDecoder = require('./ImageDecoder');
+
+class ImageFeatureExtractor {
+  /**
+   * Extract a descriptor from an image
+   * @param {string|Buffer|Object} imageData - Encoded image or an already decoded image ({ width, height, data })
+   * @returns {Object} Descriptor ({ version, hash, histogram, gradients })
+   */
+  extract(imageData) {
+    const image = imageData && imageData.data && imageData.width ? imageData : ImageDecoder.decode(imageData);
+
+    if (!image.width || !image.height) {
+      throw new Error('Image has no pixels');
+    }
+
+    const rgb = ImageDecoder.resize(image, ImageFeatureExtractor.SAMPLE_SIZE, ImageFeatureExtractor.SAMPLE_SIZE);
+
+    return {
+      version: ImageFeatureExtractor.VERSION,
+      hash: this.differenceHash(image),
+      histogram: this.colourHistogram(rgb).map(ImageFeatureExtractor.roundValue),
+      gradients: this.gradientHistogram(ImageDecoder.toGrayscale(rgb)).map(ImageFeatureExtractor.roundValue)
+    };
+  }
+
+  /**
+   * Compare two descriptors
+   * @param {Object} a - Descriptor
+   * @param {Object} b - Descriptor
+   * @returns {number} Similarity from 0 (unrelated) to 1 (identical)
+   */
+  compare(a, b) {
+    if (!ImageFeatureExtractor.isDescriptor(a) || !ImageFeatureExtractor.isDescriptor(b) || a.version !== b.version) {
+      return 0;
+    }
+
+    const weights = ImageFeatureExtractor.WEIGHTS;
+    const score = weights.hash * this.compareHashes(a.hash, b.hash) +
+      weights.histogram * this.histogramIntersection(a.histogram, b.histogram) +
+      weights.gradients * this.correlation(a.gradients, b.gradients);
+
+    return Math.round(Math.min(Math.max(score, 0), 1) * 10000) / 10000;
+  }
+
+  /**
+   * Compute a 64-bit difference hash
+   * Each bit says whether a pixel is brighter than its right neighbour on a 9x8 thumbnail
+   * @param {Object} image - Decoded image
+   * @returns {string} Hash as 16 hex digits
+   */
+  differenceHash(image) {
+    const gray = ImageDecoder.toGrayscale(ImageDecoder.resize(image, 9, 8));
+    let hex = '';
+
+    for (let nibble = 0; nibble < 16; nibble++) {
+      let value = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        const index = nibble * 4 + bit;
+        const y = Math.floor(index / 8);
+        const x = index % 8;
+        value = (value << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+      }
+      hex += value.toString(16);
+    }
+
+    return hex;
+  }
+
+  /**
+   * Compute a normalized colour histogram with four levels per channel
+   * @param {Float32Array} rgb - RGB values of the sampled image
+   * @returns {Array<number>} 64 bins summing to 1
+   */
+  colourHistogram(rgb) {
+    const bins = new Float64Array(64);
+    const pixels = rgb.length / 3;
+
+    for (let i = 0; i < pixels; i++) {
+      const r = Math.min(Math.floor(rgb[i * 3] / 64), 3);
+      const g = Math.min(Math.floor(rgb[i * 3 + 1] / 64), 3);
+      const b = Math.min(Math.floor(rgb[i * 3 + 2] / 64), 3);
+      bins[r * 16 + g * 4 + b] += 1 / pixels;
+    }
+
+    return Array.from(bins);
+  }
+
+  /**
+   * Compute gradient orientation histograms over a 4x4 grid of cells
+   * @param {Float32Array} gray - Luma of the sampled image
+   * @returns {Array<number>} 128 values with unit length (all zero for a flat image)
+   */
+  gradientHistogram(gray) {
+    const size = ImageFeatureExtractor.SAMPLE_SIZE;
+    const cells = 4;
+    const orientations = 8;
+    const cellSize = size / cells;
+    const bins = new Float64Array(cells * cells * orientations);
+
+    for (let y = 1; y < size - 1; y++) {
+      for (let x = 1; x < size - 1; x++) {
+        const gx = gray[y * size + x + 1] - gray[y * size + x - 1];
+        const gy = gray[(y + 1) * size + x] - gray[(y - 1) * size + x];
+        const magnitude = Math.sqrt(gx * gx + gy * gy);
+        if (magnitude === 0) {
+          continue;
+        }
+
+        const angle = Math.atan2(gy, gx) + Math.PI;
+        const orientation = Math.min(Math.floor(angle / (2 * Math.PI) * orientations), orientations - 1);
+        const cell = Math.floor(y / cellSize) * cells + Math.floor(x / cellSize);
+        bins[cell * orientations + orientation] += magnitude;
+      }
+    }
+
+    const length = Math.sqrt(bins.reduce((sum, value) => sum + value * value, 0));
+    return Array.from(bins, value => length > 0 ? value / length : 0);
+  }
+
+  /**
+   * Compare two difference hashes
+   * Unrelated images differ in about half of the bits, so that maps to 0
+   * @param {string} a - Hash
+   * @param {string} b - Hash
+   * @returns {number} Similarity (0-1)
+   */
+  compareHashes(a, b) {
+    let distance = 0;
+    for (let i = 0; i < 16; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+
+    return Math.max(0, 1 - 2 * distance / 64);
+  }
+
+  /**
+   * Intersection of two normalized histograms
+   * @param {Array<number>} a - Histogram
+   * @param {Array<number>} b - Histogram
+   * @returns {number} Overlap (0-1)
+   */
+  histogramIntersection(a, b) {
+    let overlap = 0;
+    let totalA = 0;
+    let totalB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      overlap += Math.min(a[i], b[i]);
+      totalA += a[i];
+      totalB += b[i];
+    }
+
+    const total = Math.max(totalA, totalB);
+    return total > 0 ? overlap / total : 1;
+  }
+
+  /**
+   * Pearson correlation of two vectors, negative correlation counted as 0
+   * @param {Array<number>} a - Vector
+   * @param {Array<number>} b - Vector
+   * @returns {number} Correlation (0-1)
+   */
+  correlation(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+    const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+
+    for (let i = 0; i < n; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) * (a[i] - meanA);
+      varianceB += (b[i] - meanB) * (b[i] - meanB);
+    }
+
+    // Flat images have no gradients; they only match other flat images
+    if (varianceA === 0 || varianceB === 0) {
+      return varianceA === varianceB ? 1 : 0;
+    }
+
+    return Math.max(0, covariance / Math.sqrt(varianceA * varianceB));
+  }
+
+  /**
+   * Check if a stored signature is a feature descriptor
+   * Older products carry opaque signature IDs that cannot be compared
+   * @param {*} signature - Stored signature
+   * @returns {boolean} Is a descriptor
+   */
+  static isDescriptor(signature) {
+    return !!signature && typeof signature === 'object' &&
+      typeof signature.hash === 'string' && signature.hash.length === 16 &&
+      Array.isArray(signature.histogram) && signature.histogram.length === 64 &&
+      Array.isArray(signature.gradients) && signature.gradients.length === 128;
+  }
+
+  /**
+   * Round a feature value for storage
+   * @param {number} value - Value
+   * @returns {number} Value rounded to 5 decimal places
+   */
+  static roundValue(value) {
+    return Math.round(value * 100000) / 100000;
+  }
+}
+
+// Descriptor format version; descriptors of different versions are never compared
+ImageFeatureExtractor.VERSION = 1;
+
+// Side of the square the image is resampled to before computing histograms
+ImageFeatureExtractor.SAMPLE_SIZE = 32;
+
+// Contribution of each feature to the similarity score
+ImageFeatureExtractor.WEIGHTS = {
+  hash: 0.25,
+  histogram: 0.35,
+  gradients: 0.4
+};
+
+// Export the ImageFeatureExtractor class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageFeatureExtractor;
+}
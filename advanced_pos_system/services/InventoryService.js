@@ -0,0 +1,262 @@
+/**
+ * Inventory Service for Advanced POS System
+ * Records every stock change as a movement in an append-only ledger
+ * and keeps Product.stock reconciled against it
+ *
+ * Quantities are in the product's unit of measure; weighed and measured products move in
+ * fractions, rounded to UnitOfMeasure.QUANTITY_DECIMALS so the ledger sums exactly.
+ */
+
+class InventoryService {
+  /**
+   * Create a new InventoryService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Record a stock movement and apply it to the product's stock level
+   * @param {Object} data - Movement data
+   * @param {string} data.productId - Product ID
+   * @param {string} data.type - Movement type (sale, void_restock, receiving, adjustment, transfer, shrinkage)
+   * @param {number} data.quantity - Signed quantity (positive adds stock, negative removes it)
+   * @param {string} data.userId - User responsible for the movement
+   * @param {string} data.reason - Reason for the movement
+   * @param {string} data.referenceId - Related document (e.g. transaction ID)
+   * @param {Object} options - Options
+   * @param {boolean} options.allowNegative - Allow the stock level to drop below zero
+   * @returns {Object} Result with success status, message, and movement
+   */
+  recordMovement(data, options = {}) {
+    try {
+      const product = this.db.getProductById(data.productId);
+      if (!product) {
+        return {
+          success: false,
+          message: 'Product not found'
+        };
+      }
+
+      const StockMovement = require('../models/StockMovement');
+      const movement = new StockMovement(data);
+
+      const validation = movement.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      const Product = require('../models/Product');
+      if (!Product.fromObject(product).isMeasured() && !Number.isInteger(movement.quantity)) {
+        return {
+          success: false,
+          message: 'Quantity must be a whole number for products sold by unit'
+        };
+      }
+
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const currentStock = parseFloat(product.stock) || 0;
+      const newStock = UnitOfMeasure.round(currentStock + movement.quantity);
+      if (newStock < 0 && !options.allowNegative) {
+        return {
+          success: false,
+          message: 'Insufficient stock'
+        };
+      }
+
+      movement.balanceAfter = newStock;
+
+      // Append to the ledger first, then update the cached stock level
+      const saved = this.db.saveStockMovement(movement.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          message: 'Failed to save stock movement'
+        };
+      }
+
+      product.stock = newStock;
+      product.updatedAt = new Date().toISOString();
+      this.db.saveProduct(product);
+
+      return {
+        success: true,
+        message: 'Stock movement recorded',
+        movement: movement.toObject(),
+        stock: newStock
+      };
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      return {
+        success: false,
+        message: 'Failed to record stock movement'
+      };
+    }
+  }
+
+  /**
+   * Record movements for every line of a transaction
+   * @param {Object} transaction - Transaction data
+   * @param {string} type - Movement type (sale or void_restock)
+   * @param {string} userId - User responsible for the movements
+   * @returns {Array} Movement results
+   */
+  recordTransactionMovements(transaction, type, userId) {
+    const direction = type === 'sale' ? -1 : 1;
+
+    return transaction.items.flatMap(item => this.getStockLines(item)).map(line => {
+      return this.recordMovement({
+        productId: line.productId,
+        type,
+        quantity: direction * line.quantity,
+        userId,
+        reason: type === 'sale' ? 'Sale' : 'Transaction voided',
+        referenceId: transaction.id
+      }, { allowNegative: type === 'sale' });
+    });
+  }
+
+  /**
+   * Get the products and quantities a transaction line moves in stock
+   * A bundle line moves its components instead of the bundle itself
+   * @param {Object} item - Transaction line
+   * @returns {Array} Stock lines ({ productId, quantity })
+   */
+  getStockLines(item) {
+    if (!Array.isArray(item.components) || item.components.length === 0) {
+      return [{ productId: item.productId, quantity: item.quantity }];
+    }
+
+    const BundleService = require('./BundleService');
+    return new BundleService(this.db).getComponentLines(item, item.quantity);
+  }
+
+  /**
+   * Get movement history for a product
+   * @param {string} productId - Product ID
+   * @param {Object} filters - Filters
+   * @param {string} filters.type - Movement type
+   * @param {string} filters.startDate - Start date (ISO string)
+   * @param {string} filters.endDate - End date (ISO string)
+   * @returns {Array} Array of movements (oldest first)
+   */
+  getMovementHistory(productId, filters = {}) {
+    return this.db.getStockMovementsByProduct(productId).filter(movement => {
+      if (filters.type && movement.type !== filters.type) {
+        return false;
+      }
+
+      const createdAt = new Date(movement.createdAt);
+      if (filters.startDate && createdAt < new Date(filters.startDate)) {
+        return false;
+      }
+
+      if (filters.endDate && createdAt > new Date(filters.endDate)) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Get the stock level derived from the ledger
+   * @param {string} productId - Product ID
+   * @returns {number} Ledger balance
+   */
+  getLedgerBalance(productId) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    return UnitOfMeasure.round(this.db.getStockMovementsByProduct(productId).reduce((sum, movement) => {
+      return sum + movement.quantity;
+    }, 0));
+  }
+
+  /**
+   * Compare a product's stock level with its ledger balance
+   * @param {string} productId - Product ID
+   * @returns {Object|null} Reconciliation status or null if product not found
+   */
+  checkProduct(productId) {
+    const product = this.db.getProductById(productId);
+    if (!product) {
+      return null;
+    }
+
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const movementCount = this.db.getStockMovementsByProduct(productId).length;
+    const ledgerBalance = this.getLedgerBalance(productId);
+    const stock = parseFloat(product.stock) || 0;
+
+    return {
+      productId,
+      name: product.name,
+      stock,
+      ledgerBalance,
+      difference: UnitOfMeasure.round(stock - ledgerBalance),
+      movementCount,
+      inSync: stock === ledgerBalance
+    };
+  }
+
+  /**
+   * Reconcile product stock levels against the ledger
+   * Products that predate the ledger get an opening movement for their current stock;
+   * for all others the ledger is authoritative and Product.stock is corrected
+   * @param {Object} options - Options
+   * @param {boolean} options.apply - Apply corrections (otherwise only report)
+   * @param {string} options.userId - User performing the reconciliation
+   * @returns {Array} Reconciliation results for products that were out of sync
+   */
+  reconcile(options = {}) {
+    const results = [];
+
+    this.db.getProducts().forEach(product => {
+      const status = this.checkProduct(product.id);
+      if (!status || status.inSync) {
+        return;
+      }
+
+      let action = status.movementCount === 0 ? 'opening' : 'corrected';
+
+      if (options.apply) {
+        if (status.movementCount === 0) {
+          // Bring the existing stock level into the ledger without changing it
+          product.stock = 0;
+          const result = this.recordMovement({
+            productId: product.id,
+            type: status.stock > 0 ? 'opening' : 'adjustment',
+            quantity: status.stock,
+            userId: options.userId || null,
+            reason: 'Opening balance'
+          }, { allowNegative: true });
+
+          if (!result.success) {
+            product.stock = status.stock;
+            action = 'failed';
+          }
+        } else {
+          product.stock = status.ledgerBalance;
+          product.updatedAt = new Date().toISOString();
+          this.db.saveProduct(product);
+        }
+      }
+
+      results.push({
+        ...status,
+        action,
+        applied: !!options.apply && action !== 'failed'
+      });
+    });
+
+    return results;
+  }
+}
+
+// Export the InventoryService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InventoryService;
+}
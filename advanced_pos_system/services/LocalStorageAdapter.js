@@ -0,0 +1,61 @@
+/**
+ * Local Storage Adapter for Advanced POS System
+ * Persists collections to the browser's localStorage
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * Create a new LocalStorageAdapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.keyPrefix - Key prefix (defaults to pos_)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'localStorage';
+    this.keyPrefix = options.keyPrefix || 'pos_';
+  }
+
+  /**
+   * Open the storage backend
+   * @returns {boolean} Success status
+   */
+  open() {
+    return typeof localStorage !== 'undefined';
+  }
+
+  /**
+   * Read a collection
+   * @param {string} name - Collection name
+   * @returns {Object|null} Collection data or null if not stored yet
+   */
+  read(name) {
+    if (typeof localStorage === 'undefined') {
+      return null;
+    }
+
+    const value = localStorage.getItem(this.keyPrefix + name);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Write a collection
+   * @param {string} name - Collection name
+   * @param {Object} data - Collection data
+   * @returns {boolean} Success status
+   */
+  write(name, data) {
+    if (typeof localStorage === 'undefined') {
+      return false;
+    }
+
+    localStorage.setItem(this.keyPrefix + name, JSON.stringify(data));
+    return true;
+  }
+}
+
+// Export the LocalStorageAdapter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalStorageAdapter;
+}
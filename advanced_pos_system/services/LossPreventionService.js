@@ -0,0 +1,417 @@
+/**
+ * Loss Prevention Service for Advanced POS System
+ * Compares what the camera saw during a sale with what was rung up, to catch ticket switching
+ *
+ * A product counts as seen when a capture of the sale confidently recognized it; the
+ * most copies seen in a single capture is taken as the number on the counter. Seen
+ * units that were not rung up are paired, most expensive first, with the cheapest
+ * keyed or scanned units the camera did not see. A pair becomes a ticket_switch event
+ * and an unpaired unit a missed_item event when the price difference reaches the
+ * lossPreventionPriceDelta setting.
+ *
+ * A weighed or measured line counts as one package at its line amount, however many
+ * of the product the camera saw; a seen product that was not rung up at all is
+ * valued at its price per unit of measure. A bundle line counts as its components.
+ */
+
+class LossPreventionService {
+  /**
+   * Create a new LossPreventionService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Check a completed sale against the camera captures taken while it was rung up
+   * @param {Object} transaction - Completed transaction
+   * @param {Array} observations - Captures ({ captureId, imageData, detections })
+   * @returns {Object} Result with success status, message and recorded events
+   */
+  checkTransaction(transaction, observations = []) {
+    try {
+      if (!this.db.getSetting('lossPreventionEnabled', true) || !Array.isArray(observations) || observations.length === 0) {
+        return {
+          success: true,
+          message: 'No camera captures to check',
+          events: []
+        };
+      }
+
+      const LossPreventionEvent = require('../models/LossPreventionEvent');
+      const events = [];
+
+      this.detectDiscrepancies(transaction.items || [], observations).forEach(discrepancy => {
+        const event = new LossPreventionEvent({
+          ...discrepancy,
+          transactionId: transaction.id,
+          employeeId: transaction.employeeId,
+          storeId: transaction.storeId
+        });
+
+        const validation = event.validate();
+        if (!validation.isValid) {
+          console.warn(`Skipping loss prevention event: ${validation.errors.join(', ')}`);
+          return;
+        }
+
+        this.db.saveLossPreventionEvent(event.toObject());
+        events.push(event.toObject());
+      });
+
+      return {
+        success: true,
+        message: events.length > 0 ? `${events.length} discrepancies flagged for review` : 'No discrepancies found',
+        events
+      };
+    } catch (error) {
+      console.error('Error checking transaction for loss prevention:', error);
+      return {
+        success: false,
+        message: 'Failed to check transaction',
+        events: []
+      };
+    }
+  }
+
+  /**
+   * Find the differences between the products seen and the lines rung up
+   * @param {Array} items - Transaction items
+   * @param {Array} observations - Camera captures
+   * @returns {Array} Discrepancies, as loss prevention event data
+   */
+  detectDiscrepancies(items, observations) {
+    const minDelta = parseFloat(this.db.getSetting('lossPreventionPriceDelta', 5)) || 0;
+    const seen = this.getSeenProducts(observations);
+
+    // A bundle line rings up its components, which is what the camera sees
+    const lines = items.flatMap(item => {
+      if (!Array.isArray(item.components) || item.components.length === 0) {
+        return [item];
+      }
+
+      return item.components.map(component => ({
+        ...item,
+        productId: component.productId,
+        name: component.name,
+        priceAtSale: component.priceAtSale,
+        quantity: component.quantity * item.quantity,
+        unitOfMeasure: component.unitOfMeasure
+      }));
+    });
+
+    // Quantities and prices rung up per product
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const rung = {};
+    lines.forEach(item => {
+      if (!item.productId || item.quantity <= 0) {
+        return;
+      }
+
+      const measured = UnitOfMeasure.getDimension(item.unitOfMeasure || 'ea') !== 'unit';
+      const line = rung[item.productId] || {
+        productId: item.productId,
+        name: item.name,
+        price: 0,
+        method: item.recognitionMethod || 'manual',
+        measured,
+        quantity: 0
+      };
+
+      if (measured) {
+        const amount = parseFloat((item.priceAtSale * item.quantity).toFixed(2));
+        line.price = parseFloat(((line.price * line.quantity + amount) / (line.quantity + 1)).toFixed(2));
+        line.quantity += 1;
+      } else {
+        line.price = item.priceAtSale;
+        line.quantity += item.quantity;
+      }
+      rung[item.productId] = line;
+    });
+
+    // Seen units that were not rung up, most expensive first
+    const missing = [];
+    Object.values(seen).forEach(product => {
+      const line = rung[product.productId];
+      const shortfall = line && line.measured ? 0 : product.count - (line ? line.quantity : 0);
+      if (shortfall <= 0) {
+        return;
+      }
+
+      const current = this.db.getProductById(product.productId);
+      const price = line ? line.price : (current ? current.price : 0);
+      for (let i = 0; i < shortfall; i++) {
+        missing.push({ ...product, price });
+      }
+    });
+    missing.sort((a, b) => b.price - a.price);
+
+    // Keyed or scanned units the camera did not see, cheapest first
+    const unseen = [];
+    Object.values(rung).forEach(line => {
+      if (!LossPreventionService.KEYED_METHODS.includes(line.method)) {
+        return;
+      }
+
+      const surplus = Math.floor(line.quantity - (seen[line.productId] ? seen[line.productId].count : 0));
+      for (let i = 0; i < surplus; i++) {
+        unseen.push(line);
+      }
+    });
+    unseen.sort((a, b) => a.price - b.price);
+
+    // Pair the units and merge identical pairs into one discrepancy
+    const discrepancies = {};
+    missing.forEach(product => {
+      const line = unseen.shift() || null;
+      const delta = product.price - (line ? line.price : 0);
+      if (delta < minDelta || delta <= 0) {
+        return;
+      }
+
+      const key = `${product.productId}:${line ? line.productId : ''}`;
+      const discrepancy = discrepancies[key] || {
+        type: line ? 'ticket_switch' : 'missed_item',
+        seenProductId: product.productId,
+        seenName: product.name,
+        seenPrice: product.price,
+        rungProductId: line ? line.productId : null,
+        rungName: line ? line.name : '',
+        rungPrice: line ? line.price : 0,
+        rungMethod: line ? line.method : null,
+        quantity: 0,
+        priceDelta: 0,
+        confidence: product.confidence,
+        captureId: product.captureId,
+        imageData: product.imageData,
+        boundingBox: product.boundingBox
+      };
+
+      discrepancy.quantity += 1;
+      discrepancy.priceDelta = parseFloat((discrepancy.priceDelta + delta).toFixed(2));
+      discrepancies[key] = discrepancy;
+    });
+
+    return Object.values(discrepancies);
+  }
+
+  /**
+   * Count the products confidently recognized in the captures of a sale
+   * @param {Array} observations - Camera captures
+   * @returns {Object} Seen products by ID, with the capture that saw the most copies
+   */
+  getSeenProducts(observations) {
+    const minConfidence = parseFloat(this.db.getSetting('lossPreventionMinConfidence', 0.8)) || 0;
+    const seen = {};
+
+    observations.forEach(observation => {
+      const counts = {};
+      (observation.detections || []).forEach(detection => {
+        if (!detection.productId || detection.status === 'ambiguous' || detection.confidence < minConfidence) {
+          return;
+        }
+
+        const count = counts[detection.productId] || { count: 0, best: detection };
+        count.count += 1;
+        if (detection.confidence > count.best.confidence) {
+          count.best = detection;
+        }
+        counts[detection.productId] = count;
+      });
+
+      Object.entries(counts).forEach(([productId, { count, best }]) => {
+        if (seen[productId] && seen[productId].count >= count) {
+          return;
+        }
+
+        seen[productId] = {
+          productId,
+          name: best.name,
+          count,
+          confidence: best.confidence,
+          captureId: observation.captureId || best.captureId || null,
+          imageData: observation.imageData || null,
+          boundingBox: best.boundingBox || null
+        };
+      });
+    });
+
+    return seen;
+  }
+
+  /**
+   * Get loss prevention events matching the filters
+   * @param {Object} filters - Filters
+   * @param {string} filters.status - Event status
+   * @param {string} filters.employeeId - Cashier
+   * @param {string} filters.storeId - Store ID
+   * @param {string} filters.startDate - Start date (ISO string)
+   * @param {string} filters.endDate - End date (ISO string)
+   * @returns {Array} Events, newest first
+   */
+  getEvents(filters = {}) {
+    return this.db.getLossPreventionEvents(filters.status || null).filter(event => {
+      const createdAt = new Date(event.createdAt);
+
+      if (filters.startDate && createdAt < new Date(filters.startDate)) {
+        return false;
+      }
+
+      if (filters.endDate && createdAt > new Date(filters.endDate)) {
+        return false;
+      }
+
+      if (filters.employeeId && event.employeeId !== filters.employeeId) {
+        return false;
+      }
+
+      if (filters.storeId && event.storeId !== filters.storeId) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Confirm or dismiss an open event
+   * @param {string} id - Event ID
+   * @param {string} status - confirmed or dismissed
+   * @param {string} reviewerId - Manager reviewing the event
+   * @param {string} notes - Review notes (optional)
+   * @returns {Object} Result with success status, message and event
+   */
+  reviewEvent(id, status, reviewerId, notes = '') {
+    const event = this.db.getLossPreventionEventById(id);
+    if (!event) {
+      return {
+        success: false,
+        message: 'Event not found'
+      };
+    }
+
+    if (status !== 'confirmed' && status !== 'dismissed') {
+      return {
+        success: false,
+        message: 'Status must be one of: confirmed, dismissed'
+      };
+    }
+
+    if (event.status !== 'open') {
+      return {
+        success: false,
+        message: `Event has already been ${event.status}`
+      };
+    }
+
+    const reviewed = {
+      ...event,
+      status,
+      reviewedBy: reviewerId || null,
+      reviewedAt: new Date().toISOString(),
+      reviewNotes: notes || ''
+    };
+    this.db.saveLossPreventionEvent(reviewed);
+
+    return {
+      success: true,
+      message: status === 'confirmed' ? 'Event confirmed' : 'Event dismissed',
+      event: reviewed
+    };
+  }
+
+  /**
+   * Summarize the events of a period by cashier and by product
+   * @param {Object} filters - Filters
+   * @param {string} filters.startDate - Start date (ISO string)
+   * @param {string} filters.endDate - End date (ISO string)
+   * @param {string} filters.storeId - Store ID
+   * @returns {Object} Totals, per cashier and per seen product
+   */
+  getReport(filters = {}) {
+    const SalesReportService = require('./SalesReportService');
+    const report = {
+      startDate: filters.startDate || null,
+      endDate: filters.endDate || null,
+      totals: this.createTotals(),
+      byCashier: {},
+      byProduct: {}
+    };
+
+    // Sales per cashier, to put the event counts in proportion
+    const sales = {};
+    new SalesReportService(this.db).getCompletedTransactions(filters)
+      .filter(transaction => transaction.type !== 'refund')
+      .forEach(transaction => {
+        sales[transaction.employeeId] = (sales[transaction.employeeId] || 0) + 1;
+      });
+
+    this.getEvents(filters).forEach(event => {
+      const employeeId = event.employeeId || 'unknown';
+      if (!report.byCashier[employeeId]) {
+        const user = this.db.getUserById(event.employeeId);
+        report.byCashier[employeeId] = {
+          employeeId: event.employeeId,
+          username: user ? user.username : '',
+          ...this.createTotals()
+        };
+      }
+
+      if (!report.byProduct[event.seenProductId]) {
+        report.byProduct[event.seenProductId] = {
+          productId: event.seenProductId,
+          name: event.seenName,
+          ...this.createTotals()
+        };
+      }
+
+      [report.totals, report.byCashier[employeeId], report.byProduct[event.seenProductId]].forEach(totals => {
+        totals.eventCount += 1;
+        totals[event.status] += 1;
+        totals[event.type === 'ticket_switch' ? 'ticketSwitches' : 'missedItems'] += 1;
+        totals.priceDelta = parseFloat((totals.priceDelta + event.priceDelta).toFixed(2));
+        if (event.status === 'confirmed') {
+          totals.confirmedDelta = parseFloat((totals.confirmedDelta + event.priceDelta).toFixed(2));
+        }
+      });
+    });
+
+    report.byCashier = Object.values(report.byCashier).map(cashier => {
+      const transactionCount = sales[cashier.employeeId] || 0;
+      return {
+        ...cashier,
+        transactionCount,
+        eventRate: transactionCount > 0 ? parseFloat((cashier.eventCount / transactionCount).toFixed(4)) : null
+      };
+    }).sort((a, b) => b.priceDelta - a.priceDelta);
+    report.byProduct = Object.values(report.byProduct).sort((a, b) => b.priceDelta - a.priceDelta);
+
+    return report;
+  }
+
+  /**
+   * Create an empty totals object
+   * @returns {Object} Totals
+   */
+  createTotals() {
+    return {
+      eventCount: 0,
+      ticketSwitches: 0,
+      missedItems: 0,
+      open: 0,
+      confirmed: 0,
+      dismissed: 0,
+      priceDelta: 0,
+      confirmedDelta: 0
+    };
+  }
+}
+
+// Recognition methods of lines rung up without the camera
+LossPreventionService.KEYED_METHODS = ['manual', 'barcode', 'scale'];
+
+// Export the LossPreventionService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LossPreventionService;
+}
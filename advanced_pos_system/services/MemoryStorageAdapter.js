@@ -0,0 +1,48 @@
+/**
+ * Memory Storage Adapter for Advanced POS System
+ * Keeps collections in memory only (useful for validation runs and tests)
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+
+class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * Create a new MemoryStorageAdapter
+   * @param {Object} options - Adapter options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'memory';
+    this.collections = {};
+  }
+
+  /**
+   * Read a collection
+   * @param {string} name - Collection name
+   * @returns {Object|null} Collection data or null if not stored yet
+   */
+  read(name) {
+    if (this.collections[name] === undefined) {
+      return null;
+    }
+
+    // Return a copy so callers cannot mutate the stored state
+    return JSON.parse(this.collections[name]);
+  }
+
+  /**
+   * Write a collection
+   * @param {string} name - Collection name
+   * @param {Object} data - Collection data
+   * @returns {boolean} Success status
+   */
+  write(name, data) {
+    this.collections[name] = JSON.stringify(data);
+    return true;
+  }
+}
+
+// Export the MemoryStorageAdapter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoryStorageAdapter;
+}
@@ -0,0 +1,108 @@
+/**
+ * ONNX Recognizer for Advanced POS System
+ * Runs a locally stored ONNX image embedding model (e.g. a MobileNet or CLIP image
+ * encoder exported to ONNX) with onnxruntime-node
+ *
+ * Options (visionModelOptions setting):
+ * - inputSize: square input size (default 224)
+ * - mean, std: per channel normalization on the 0-1 scale (default ImageNet)
+ * - layout: nchw (default) or nhwc
+ * - outputName: output to use as the embedding (default the first output)
+ * - modelId: identifier stored with signatures (default onnx:<file name>)
+ */
+
+const Recognizer = require('./Recognizer');
+
+class OnnxRecognizer extends Recognizer {
+  /**
+   * Create a new OnnxRecognizer
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'onnx';
+    this.modelPath = options.modelPath || null;
+    this.session = null;
+    this.runtime = null;
+  }
+
+  /**
+   * Load the model into an inference session
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadModel() {
+    if (!this.modelPath) {
+      throw new Error('The onnx vision backend needs a visionModelPath setting');
+    }
+
+    try {
+      this.runtime = require('onnxruntime-node');
+    } catch (error) {
+      throw new Error('The onnx vision backend needs the onnxruntime-node package (npm install onnxruntime-node)');
+    }
+
+    this.session = await this.runtime.InferenceSession.create(this.modelPath);
+    this.inputName = this.session.inputNames[0];
+    this.outputName = this.options.outputName || this.session.outputNames[0];
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Compute the embedding of an image
+   * @param {Object} image - Decoded image
+   * @returns {Promise<Object>} Embedding ({ model, vector })
+   */
+  async embed(image) {
+    if (!this.loaded) {
+      await this.loadModel();
+    }
+
+    const input = this.getInputOptions();
+    const data = Recognizer.toInputTensor(image, input);
+    const dims = input.layout === 'nchw' ? [1, 3, input.size, input.size] : [1, input.size, input.size, 3];
+    const outputs = await this.session.run({ [this.inputName]: new this.runtime.Tensor('float32', data, dims) });
+
+    return {
+      model: this.getModelId(),
+      vector: Recognizer.normalize(outputs[this.outputName].data).map(value => Math.round(value * 100000) / 100000)
+    };
+  }
+
+  /**
+   * Compare two embeddings by cosine similarity
+   * @param {Object} a - Embedding
+   * @param {Object} b - Embedding
+   * @returns {number} Similarity (0-1)
+   */
+  compare(a, b) {
+    return Recognizer.cosine(a.vector, b.vector);
+  }
+
+  /**
+   * Get the preprocessing options of the model
+   * @returns {Object} Input size, layout and normalization
+   */
+  getInputOptions() {
+    return {
+      size: parseInt(this.options.inputSize) || Recognizer.DEFAULT_INPUT.size,
+      layout: this.options.layout || 'nchw',
+      mean: this.options.mean || Recognizer.DEFAULT_INPUT.mean,
+      std: this.options.std || Recognizer.DEFAULT_INPUT.std
+    };
+  }
+
+  /**
+   * Get the identifier stored with every signature of this model
+   * @returns {string} Model ID
+   */
+  getModelId() {
+    const path = require('path');
+    return this.options.modelId || `onnx:${path.basename(this.modelPath || '')}`;
+  }
+}
+
+// Export the OnnxRecognizer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OnnxRecognizer;
+}
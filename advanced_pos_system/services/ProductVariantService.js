@@ -0,0 +1,258 @@
+/**
+ * Product Variant Service for Advanced POS System
+ * Manages matrix items: parent products with option dimensions and one variant per
+ * combination of option values
+ *
+ * Variants are products of their own, so the cart, stock ledger, barcodes and vision
+ * signatures work on them unchanged. Name, category, tax and unit of measure follow the
+ * parent, and so does the price unless the variant has a price override. Variants of
+ * combinations that are dropped from the options are kept, with their stock and history,
+ * and reported as unmatched.
+ */
+
+class ProductVariantService {
+  /**
+   * Create a new ProductVariantService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Set the option dimensions of a parent and create the variants that are missing
+   * @param {string} parentId - Parent product ID
+   * @param {Array} options - Option dimensions ({ name, values })
+   * @returns {Object} Result with success status, message, parent, created and unmatched variants
+   */
+  setOptions(parentId, options) {
+    try {
+      const existing = this.db.getProductById(parentId);
+      if (!existing) {
+        return {
+          success: false,
+          message: 'Product not found'
+        };
+      }
+
+      const Product = require('../models/Product');
+      const parent = Product.fromObject(existing);
+
+      if (parent.isVariant()) {
+        return {
+          success: false,
+          message: 'A variant cannot have options of its own'
+        };
+      }
+
+      if (!Array.isArray(options) || options.length === 0) {
+        return {
+          success: false,
+          message: 'At least one option is required'
+        };
+      }
+
+      if (!parent.isParent() && parent.stock > 0) {
+        return {
+          success: false,
+          message: `${parent.name} has stock; stock is kept per variant, so adjust it to zero first`
+        };
+      }
+
+      parent.options = options.map(option => ({
+        name: String(option.name || '').trim(),
+        values: (option.values || []).map(value => String(value).trim())
+      }));
+
+      const validation = parent.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      const combinations = this.getCombinations(parent.options);
+      if (combinations.length > ProductVariantService.MAX_VARIANTS) {
+        return {
+          success: false,
+          message: `Options would create ${combinations.length} variants, at most ${ProductVariantService.MAX_VARIANTS} are allowed`
+        };
+      }
+
+      parent.updatedAt = new Date().toISOString();
+      this.db.saveProduct(parent.toObject());
+
+      // Create the variants of new combinations
+      const variants = this.db.getVariants(parent.id);
+      const created = [];
+      combinations.forEach(optionValues => {
+        if (variants.some(variant => this.matchesOptions(variant, optionValues))) {
+          return;
+        }
+
+        const variant = new Product({
+          parentId: parent.id,
+          optionValues,
+          name: parent.name,
+          price: parent.price,
+          sku: this.getVariantSku(parent, optionValues),
+          stock: 0
+        });
+        this.db.saveProduct(variant.toObject());
+        created.push(variant.id);
+      });
+
+      this.syncVariants(parent.id);
+
+      const unmatched = this.db.getVariants(parent.id)
+        .filter(variant => !combinations.some(optionValues => this.matchesOptions(variant, optionValues)))
+        .map(variant => variant.id);
+
+      return {
+        success: true,
+        message: `${created.length} variants created`,
+        parent: this.db.getProductById(parent.id),
+        created: created.map(id => this.db.getProductById(id)),
+        unmatched
+      };
+    } catch (error) {
+      console.error('Error setting product options:', error);
+      return {
+        success: false,
+        message: 'Failed to set product options'
+      };
+    }
+  }
+
+  /**
+   * Copy the fields variants share with their parent onto every variant
+   * @param {string} parentId - Parent product ID
+   * @returns {number} Number of variants updated
+   */
+  syncVariants(parentId) {
+    const parent = this.db.getProductById(parentId);
+    if (!parent) {
+      return 0;
+    }
+
+    const Product = require('../models/Product');
+    let updated = 0;
+
+    this.db.getVariants(parentId).forEach(existing => {
+      const variant = Product.fromObject(existing);
+      const values = {
+        name: `${parent.name} (${variant.getOptionLabel()})`,
+        price: variant.priceOverride !== null ? variant.priceOverride : parent.price
+      };
+      ProductVariantService.INHERITED_FIELDS.forEach(field => {
+        values[field] = parent[field];
+      });
+
+      if (Object.keys(values).some(field => existing[field] !== values[field])) {
+        Object.assign(variant, values);
+        variant.updatedAt = new Date().toISOString();
+        this.db.saveProduct(variant.toObject());
+        updated++;
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Find the variant of a parent with the given option values
+   * @param {string} parentId - Parent product ID
+   * @param {Object} optionValues - Value per option name
+   * @returns {Object|null} Variant or null if not found
+   */
+  findVariant(parentId, optionValues = {}) {
+    return this.db.getVariants(parentId).find(variant => this.matchesOptions(variant, optionValues)) || null;
+  }
+
+  /**
+   * Get a parent with its options and variants, for variant pickers and stock views
+   * @param {string} parentId - Parent product ID
+   * @returns {Object|null} Matrix ({ parent, options, variants, stock }) or null if not found
+   */
+  getMatrix(parentId) {
+    const parent = this.db.getProductById(parentId);
+    if (!parent) {
+      return null;
+    }
+
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const variants = this.db.getVariants(parentId).map(variant => ({
+      id: variant.id,
+      name: variant.name,
+      optionValues: variant.optionValues,
+      sku: variant.sku,
+      barcode: variant.barcode,
+      price: variant.price,
+      priceOverride: variant.priceOverride,
+      stock: variant.stock
+    }));
+
+    return {
+      parent,
+      options: parent.options || [],
+      variants,
+      stock: UnitOfMeasure.round(variants.reduce((sum, variant) => sum + (parseFloat(variant.stock) || 0), 0))
+    };
+  }
+
+  /**
+   * Check if a variant has exactly the given option values
+   * @param {Object} variant - Variant
+   * @param {Object} optionValues - Value per option name
+   * @returns {boolean} Matches
+   */
+  matchesOptions(variant, optionValues) {
+    const names = Object.keys(optionValues);
+    const variantValues = variant.optionValues || {};
+
+    return names.length === Object.keys(variantValues).length &&
+      names.every(name => variantValues[name] === optionValues[name]);
+  }
+
+  /**
+   * Get every combination of option values
+   * @param {Array} options - Option dimensions
+   * @returns {Array} Option values per combination, in option order
+   */
+  getCombinations(options) {
+    return options.reduce((combinations, option) => {
+      const next = [];
+      combinations.forEach(combination => {
+        option.values.forEach(value => next.push({ ...combination, [option.name]: value }));
+      });
+      return next;
+    }, [{}]);
+  }
+
+  /**
+   * Derive a variant SKU from the parent SKU and the option values
+   * @param {Object} parent - Parent product
+   * @param {Object} optionValues - Value per option name
+   * @returns {string} SKU (e.g. TSHIRT-M-RED), or empty when the parent has none
+   */
+  getVariantSku(parent, optionValues) {
+    if (!parent.sku) {
+      return '';
+    }
+
+    const codes = Object.values(optionValues).map(value => String(value).toUpperCase().replace(/[^A-Z0-9]+/g, ''));
+    return [parent.sku, ...codes].join('-');
+  }
+}
+
+// Fields variants always take from their parent
+ProductVariantService.INHERITED_FIELDS = ['category', 'taxRate', 'taxClass', 'soldBy', 'unitOfMeasure'];
+
+// Largest number of combinations the options of one parent may create
+ProductVariantService.MAX_VARIANTS = 500;
+
+// Export the ProductVariantService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductVariantService;
+}
@@ -0,0 +1,279 @@
+/**
+ * Promotion Service for Advanced POS System
+ * Evaluates promotion rules against cart lines and attributes every discount to the line it applies to
+ *
+ * Promotions run in priority order, line promotions before cart promotions. A promotion that is not
+ * stackable only applies to lines that no other promotion has discounted yet.
+ */
+
+class PromotionService {
+  /**
+   * Create a new PromotionService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.currency = databaseService.getSetting('currency', 'USD');
+    this.roundingMode = databaseService.getSetting('roundingMode', 'half_up');
+  }
+
+  /**
+   * Evaluate promotions for a set of cart items
+   * @param {Array} items - Cart items ({ productId, category, price, quantity })
+   * @param {Object} options - Options
+   * @param {Array} options.couponCodes - Coupon codes entered for the cart
+   * @param {Date} options.date - Time of evaluation (defaults to now)
+   * @param {number} options.manualDiscount - Flat discount entered by the cashier
+   * @returns {Object} Per-line discounts, total discount and applied promotions
+   */
+  evaluate(items, options = {}) {
+    // Line values and discounts are tracked in integer minor units
+    const Money = require('../models/Money');
+    const lines = items.map(item => ({
+      item,
+      gross: Money.fromMajor(item.price, this.currency, this.roundingMode).multiply(item.quantity, this.roundingMode).minor,
+      discount: 0,
+      promotions: []
+    }));
+
+    const promotions = this.getApplicablePromotions(options.date || new Date(), options.couponCodes || []);
+
+    // Line promotions
+    promotions.filter(promotion => promotion.scope === 'line').forEach(promotion => {
+      const eligible = this.getEligibleLines(promotion, lines);
+      const discounts = this.calculateLineDiscounts(promotion, eligible);
+      eligible.forEach((line, index) => this.recordDiscount(line, promotion, discounts[index]));
+    });
+
+    // Cart promotions are spread over the eligible lines by their remaining value
+    promotions.filter(promotion => promotion.scope === 'cart').forEach(promotion => {
+      const remaining = lines.reduce((sum, line) => sum + this.getRemaining(line), 0);
+      if (remaining <= 0 || remaining < promotion.minSubtotal) {
+        return;
+      }
+
+      const eligible = this.getEligibleLines(promotion, lines);
+      const base = eligible.reduce((sum, line) => sum + this.getRemaining(line), 0);
+      const amount = promotion.type === 'percentage' ? base * (promotion.value / 100) : Math.min(promotion.value, base);
+
+      this.allocate(eligible, amount).forEach((share, index) => this.recordDiscount(eligible[index], promotion, share));
+    });
+
+    // A manual discount applies on top of everything else
+    const manualDiscount = parseFloat(options.manualDiscount) || 0;
+    if (manualDiscount > 0) {
+      const manual = { id: null, name: 'Manual discount', type: 'manual' };
+      this.allocate(lines, manualDiscount).forEach((share, index) => this.recordDiscount(lines[index], manual, share));
+    }
+
+    const appliedPromotions = {};
+    lines.forEach(line => {
+      line.promotions.forEach(applied => {
+        const key = applied.promotionId || applied.type;
+        const summary = appliedPromotions[key] || { ...applied, amount: 0, lineCount: 0 };
+        summary.amount = this.toMajor(this.toMinor(summary.amount) + this.toMinor(applied.amount));
+        summary.lineCount += 1;
+        appliedPromotions[key] = summary;
+      });
+    });
+
+    const discountAmount = lines.reduce((sum, line) => sum + line.discount, 0);
+
+    return {
+      items: lines.map(line => ({
+        productId: line.item.productId,
+        discountAmount: this.toMajor(line.discount),
+        promotions: line.promotions
+      })),
+      discountAmount: this.toMajor(discountAmount),
+      appliedPromotions: Object.values(appliedPromotions)
+    };
+  }
+
+  /**
+   * Get promotions running at a given time, limited to the entered coupon codes
+   * @param {Date} date - Time of evaluation
+   * @param {Array} couponCodes - Coupon codes entered for the cart
+   * @returns {Array} Promotion instances sorted by priority
+   */
+  getApplicablePromotions(date, couponCodes = []) {
+    const Promotion = require('../models/Promotion');
+    const codes = couponCodes.map(code => String(code).toUpperCase());
+
+    return this.db.getPromotions()
+      .map(promotion => Promotion.fromObject(promotion))
+      .filter(promotion => promotion.isActiveAt(date))
+      .filter(promotion => !promotion.couponCode || codes.includes(promotion.couponCode))
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Get the lines a promotion may apply to
+   * @param {Promotion} promotion - Promotion
+   * @param {Array} lines - Evaluation lines
+   * @returns {Array} Eligible lines
+   */
+  getEligibleLines(promotion, lines) {
+    return lines.filter(line => {
+      if (this.getRemaining(line) <= 0) {
+        return false;
+      }
+
+      if (!promotion.stackable && line.promotions.length > 0) {
+        return false;
+      }
+
+      return promotion.appliesTo(line.item);
+    });
+  }
+
+  /**
+   * Calculate the discount of a line promotion for each eligible line
+   * @param {Promotion} promotion - Promotion
+   * @param {Array} lines - Eligible lines
+   * @returns {Array} Discount per line
+   */
+  calculateLineDiscounts(promotion, lines) {
+    switch (promotion.type) {
+      case 'percentage':
+        return lines.map(line => this.getRemaining(line) * (promotion.value / 100));
+
+      case 'fixed':
+        return lines.map(line => promotion.value * line.item.quantity);
+
+      case 'fixed_price':
+        return lines.map(line => Math.max(line.item.price - promotion.value, 0) * line.item.quantity);
+
+      case 'quantity_tier':
+        return lines.map(line => {
+          const tier = promotion.getTier(line.item.quantity);
+          return tier ? this.getRemaining(line) * (parseFloat(tier.percent) / 100) : 0;
+        });
+
+      case 'buy_x_get_y':
+        return lines.map(line => {
+          const groups = Math.floor(line.item.quantity / (promotion.buyQuantity + promotion.getQuantity));
+          const percent = promotion.value || 100;
+          return groups * promotion.getQuantity * line.item.price * (percent / 100);
+        });
+
+      case 'mix_and_match':
+        return this.calculateMixAndMatch(promotion, lines);
+
+      default:
+        return lines.map(() => 0);
+    }
+  }
+
+  /**
+   * Calculate a mix-and-match bundle discount across lines
+   * The most expensive eligible units are bundled first; only whole units are bundled,
+   * so weighed and measured lines do not count towards a bundle
+   * @param {Promotion} promotion - Promotion
+   * @param {Array} lines - Eligible lines
+   * @returns {Array} Discount per line
+   */
+  calculateMixAndMatch(promotion, lines) {
+    const units = [];
+    lines.forEach((line, index) => {
+      const wholeUnits = line.item.unitOfMeasure && line.item.unitOfMeasure !== 'ea' ? 0 : Math.floor(line.item.quantity);
+      for (let i = 0; i < wholeUnits; i++) {
+        units.push({ index, price: line.item.price });
+      }
+    });
+
+    const bundles = Math.floor(units.length / promotion.bundleQuantity);
+    if (bundles === 0) {
+      return lines.map(() => 0);
+    }
+
+    const bundled = units
+      .sort((a, b) => b.price - a.price)
+      .slice(0, bundles * promotion.bundleQuantity);
+
+    const regular = bundled.reduce((sum, unit) => sum + unit.price, 0);
+    const discount = Math.max(regular - bundles * promotion.value, 0);
+
+    // Split the saving over the lines in proportion to their bundled value
+    const bundledValue = lines.map(() => 0);
+    bundled.forEach(unit => {
+      bundledValue[unit.index] += unit.price;
+    });
+
+    return bundledValue.map(value => regular > 0 ? discount * (value / regular) : 0);
+  }
+
+  /**
+   * Split an amount over lines in proportion to their remaining value
+   * @param {Array} lines - Evaluation lines
+   * @param {number} amount - Amount to split
+   * @returns {Array} Share per line (rounded, summing to the amount)
+   */
+  allocate(lines, amount) {
+    const Money = require('../models/Money');
+    const weights = lines.map(line => line.gross - line.discount);
+    const base = weights.reduce((sum, weight) => sum + weight, 0);
+    if (base <= 0) {
+      return lines.map(() => 0);
+    }
+
+    const total = Money.fromMinor(Math.min(this.toMinor(amount), base), this.currency);
+    return total.allocate(weights).map(share => share.toNumber());
+  }
+
+  /**
+   * Record a discount on a line
+   * @param {Object} line - Evaluation line
+   * @param {Object} promotion - Promotion
+   * @param {number} amount - Discount amount
+   * @returns {void}
+   */
+  recordDiscount(line, promotion, amount) {
+    const discount = Math.min(this.toMinor(amount || 0), line.gross - line.discount);
+    if (discount <= 0) {
+      return;
+    }
+
+    line.discount += discount;
+    line.promotions.push({
+      promotionId: promotion.id,
+      name: promotion.name,
+      type: promotion.type,
+      amount: this.toMajor(discount)
+    });
+  }
+
+  /**
+   * Get the undiscounted value left on a line
+   * @param {Object} line - Evaluation line
+   * @returns {number} Remaining value
+   */
+  getRemaining(line) {
+    return this.toMajor(Math.max(line.gross - line.discount, 0));
+  }
+
+  /**
+   * Convert an amount in major units to rounded minor units
+   * @param {number} amount - Amount in major units
+   * @returns {number} Amount in minor units
+   */
+  toMinor(amount) {
+    const Money = require('../models/Money');
+    return Money.fromMajor(amount, this.currency, this.roundingMode).minor;
+  }
+
+  /**
+   * Convert an amount in minor units to major units
+   * @param {number} minor - Amount in minor units
+   * @returns {number} Amount in major units
+   */
+  toMajor(minor) {
+    const Money = require('../models/Money');
+    return Money.fromMinor(minor, this.currency).toNumber();
+  }
+}
+
+// Export the PromotionService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromotionService;
+}
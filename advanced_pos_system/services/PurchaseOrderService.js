@@ -0,0 +1,528 @@
+/**
+ * Purchase Order Service for Advanced POS System
+ * Creates purchase orders for suppliers, tracks their status and books goods receipts
+ * into stock
+ *
+ * Receiving a delivery records a receiving movement per line in the stock ledger. Landed
+ * costs of the delivery (freight, duty, ...) are allocated to its lines in proportion to
+ * their value, and the resulting landed unit cost is averaged into Product.cost, weighted
+ * by the stock on hand. Receiving more than ordered is allowed within the
+ * purchaseOverReceiptTolerance setting (percent of the quantity ordered), and beyond it
+ * only when the receipt explicitly allows over-receipt.
+ */
+
+class PurchaseOrderService {
+  /**
+   * Create a new PurchaseOrderService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - Purchase order data ({ supplierId, lines: [{ productId, quantity, expectedCost }], expectedDate, notes })
+   * @param {string} userId - User creating the order
+   * @returns {Object} Result with success status, message and purchase order
+   */
+  createOrder(data = {}, userId = null) {
+    try {
+      const PurchaseOrder = require('../models/PurchaseOrder');
+      const order = new PurchaseOrder({
+        supplierId: data.supplierId,
+        storeId: data.storeId || this.db.getSetting('storeId', null),
+        currency: this.db.getSetting('currency', 'USD'),
+        expectedDate: data.expectedDate,
+        notes: data.notes,
+        number: this.getNextNumber(),
+        createdBy: userId
+      });
+
+      const result = this.applyDetails(order, data);
+      if (!result.success) {
+        return result;
+      }
+
+      this.db.savePurchaseOrder(order.toObject());
+
+      return {
+        success: true,
+        message: `Purchase order ${order.number} created`,
+        purchaseOrder: order.toObject()
+      };
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      return {
+        success: false,
+        message: 'Failed to create purchase order'
+      };
+    }
+  }
+
+  /**
+   * Change the supplier, lines or details of a draft purchase order
+   * @param {string} id - Purchase order ID
+   * @param {Object} data - Fields to change
+   * @returns {Object} Result with success status, message and purchase order
+   */
+  updateOrder(id, data = {}) {
+    const existing = this.db.getPurchaseOrderById(id);
+    if (!existing) {
+      return {
+        success: false,
+        status: 404,
+        message: 'Purchase order not found'
+      };
+    }
+
+    if (existing.status !== 'draft') {
+      return {
+        success: false,
+        status: 409,
+        message: `Purchase order is ${existing.status}; only drafts can be changed`
+      };
+    }
+
+    const PurchaseOrder = require('../models/PurchaseOrder');
+    const order = PurchaseOrder.fromObject(existing);
+    ['supplierId', 'storeId', 'expectedDate', 'notes'].forEach(field => {
+      if (data[field] !== undefined) {
+        order[field] = data[field];
+      }
+    });
+
+    const result = this.applyDetails(order, data);
+    if (!result.success) {
+      return result;
+    }
+
+    order.updatedAt = new Date().toISOString();
+    this.db.savePurchaseOrder(order.toObject());
+
+    return {
+      success: true,
+      message: 'Purchase order updated',
+      purchaseOrder: order.toObject()
+    };
+  }
+
+  /**
+   * Fill in the lines of an order from the catalog and validate it
+   * @param {PurchaseOrder} order - Purchase order
+   * @param {Object} data - Request data, with optional lines
+   * @returns {Object} Result with success status and message
+   */
+  applyDetails(order, data) {
+    const supplier = this.db.getSupplierById(order.supplierId);
+    if (!supplier || !supplier.active) {
+      return {
+        success: false,
+        status: 400,
+        message: supplier ? `${supplier.name} is inactive` : 'Supplier not found'
+      };
+    }
+
+    if (data.lines !== undefined) {
+      const PurchaseOrder = require('../models/PurchaseOrder');
+      const Product = require('../models/Product');
+      const lines = [];
+
+      for (const line of Array.isArray(data.lines) ? data.lines : []) {
+        const existing = this.db.getProductById(line.productId);
+        if (!existing) {
+          return {
+            success: false,
+            status: 400,
+            message: `Product ${line.productId} not found`
+          };
+        }
+
+        const product = Product.fromObject(existing);
+        if (product.isParent() || product.isBundle()) {
+          return {
+            success: false,
+            status: 400,
+            message: `${product.name} holds no stock; order its ${product.isParent() ? 'variants' : 'components'} instead`
+          };
+        }
+
+        const quantity = parseFloat(line.quantityOrdered !== undefined ? line.quantityOrdered : line.quantity);
+        const quantityError = product.getQuantityError(quantity);
+        if (quantityError) {
+          return {
+            success: false,
+            status: 400,
+            message: `${product.name}: ${quantityError}`
+          };
+        }
+
+        const current = order.getLine(line.id, line.productId);
+        lines.push(PurchaseOrder.createLine({
+          id: current ? current.id : undefined,
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          unitOfMeasure: product.unitOfMeasure,
+          quantityOrdered: quantity,
+          expectedCost: line.expectedCost !== undefined ? line.expectedCost : (product.cost || 0)
+        }));
+      }
+
+      order.lines = lines;
+    }
+
+    const validation = order.validate();
+    if (!validation.isValid) {
+      return {
+        success: false,
+        status: 400,
+        message: validation.errors.join(', ')
+      };
+    }
+
+    order.calculateTotals();
+    return {
+      success: true,
+      message: 'Purchase order is valid'
+    };
+  }
+
+  /**
+   * Mark a draft purchase order as sent to the supplier; it can no longer be changed
+   * @param {string} id - Purchase order ID
+   * @returns {Object} Result with success status, message and purchase order
+   */
+  sendOrder(id) {
+    const order = this.db.getPurchaseOrderById(id);
+    if (!order) {
+      return {
+        success: false,
+        status: 404,
+        message: 'Purchase order not found'
+      };
+    }
+
+    if (order.status !== 'draft') {
+      return {
+        success: false,
+        status: 409,
+        message: `Purchase order has already been ${order.status === 'closed' ? 'closed' : 'sent'}`
+      };
+    }
+
+    const sent = {
+      ...order,
+      status: 'sent',
+      sentAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.db.savePurchaseOrder(sent);
+
+    return {
+      success: true,
+      message: `Purchase order ${order.number} sent`,
+      purchaseOrder: sent
+    };
+  }
+
+  /**
+   * Book a delivery against a sent purchase order
+   * @param {string} id - Purchase order ID
+   * @param {Object} data - Receipt data
+   * @param {Array} data.lines - Lines delivered ({ lineId or productId, quantity, unitCost })
+   * @param {Array} data.landedCosts - Landed costs of the delivery ({ type, amount, description })
+   * @param {boolean} data.allowOverReceipt - Accept quantities beyond the over-receipt tolerance
+   * @param {string} data.notes - Receipt notes (e.g. delivery note number)
+   * @param {string} userId - User receiving the goods
+   * @returns {Object} Result with success status, message, purchase order and receipt
+   */
+  receiveOrder(id, data = {}, userId = null) {
+    try {
+      const existing = this.db.getPurchaseOrderById(id);
+      if (!existing) {
+        return {
+          success: false,
+          status: 404,
+          message: 'Purchase order not found'
+        };
+      }
+
+      if (existing.status === 'draft' || existing.status === 'closed') {
+        return {
+          success: false,
+          status: 409,
+          message: existing.status === 'draft' ? 'Send the purchase order before receiving against it' : 'Purchase order is closed'
+        };
+      }
+
+      if (!Array.isArray(data.lines) || data.lines.length === 0) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Receipt must have at least one line'
+        };
+      }
+
+      const PurchaseOrder = require('../models/PurchaseOrder');
+      const Product = require('../models/Product');
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const order = PurchaseOrder.fromObject(existing);
+      const tolerance = parseFloat(this.db.getSetting('purchaseOverReceiptTolerance', 10)) || 0;
+
+      // Check every line before anything is booked
+      const lines = [];
+      for (const received of data.lines) {
+        const line = order.getLine(received.lineId, received.productId);
+        if (!line) {
+          return {
+            success: false,
+            status: 400,
+            message: `${received.lineId || received.productId} is not on purchase order ${order.number}`
+          };
+        }
+
+        const existingProduct = this.db.getProductById(line.productId);
+        if (!existingProduct) {
+          return {
+            success: false,
+            status: 400,
+            message: `${line.name} no longer exists`
+          };
+        }
+
+        const quantity = parseFloat(received.quantity);
+        const quantityError = Product.fromObject(existingProduct).getQuantityError(quantity);
+        if (quantityError) {
+          return {
+            success: false,
+            status: 400,
+            message: `${line.name}: ${quantityError}`
+          };
+        }
+
+        const unitCost = received.unitCost !== undefined ? parseFloat(received.unitCost) : line.expectedCost;
+        if (isNaN(unitCost) || unitCost < 0) {
+          return {
+            success: false,
+            status: 400,
+            message: `${line.name}: ${isNaN(unitCost) ? 'Unit cost must be a number' : 'Unit cost cannot be negative'}`
+          };
+        }
+
+        const alreadyReceived = lines.filter(other => other.line === line).reduce((sum, other) => sum + other.quantity, 0);
+        const totalReceived = UnitOfMeasure.round(line.quantityReceived + alreadyReceived + quantity);
+        const limit = UnitOfMeasure.round(line.quantityOrdered * (1 + tolerance / 100));
+        if (totalReceived > limit && !data.allowOverReceipt) {
+          return {
+            success: false,
+            status: 400,
+            message: `${line.name}: receiving ${totalReceived} of ${line.quantityOrdered} ordered exceeds the ${tolerance}% over-receipt tolerance`
+          };
+        }
+
+        lines.push({ line, quantity: UnitOfMeasure.round(quantity), unitCost });
+      }
+
+      const landedCosts = Array.isArray(data.landedCosts) ? data.landedCosts : [];
+      for (const landedCost of landedCosts) {
+        if (!PurchaseOrder.LANDED_COST_TYPES.includes(landedCost.type)) {
+          return {
+            success: false,
+            status: 400,
+            message: `Landed cost type must be one of: ${PurchaseOrder.LANDED_COST_TYPES.join(', ')}`
+          };
+        }
+
+        const amount = parseFloat(landedCost.amount);
+        if (isNaN(amount)) {
+          return {
+            success: false,
+            status: 400,
+            message: 'Landed cost amounts must be numbers'
+          };
+        }
+
+        if (amount < 0) {
+          return {
+            success: false,
+            status: 400,
+            message: 'Landed cost amounts cannot be negative'
+          };
+        }
+      }
+
+      // Allocate the landed costs to the lines by value, or by quantity when nothing has a cost
+      const Money = require('../models/Money');
+      const landedCostTotal = Money.sum(landedCosts.map(landedCost => Money.fromMajor(parseFloat(landedCost.amount), order.currency)), order.currency);
+      let weights = lines.map(({ quantity, unitCost }) => quantity * unitCost);
+      if (weights.every(weight => weight <= 0)) {
+        weights = lines.map(({ quantity }) => quantity);
+      }
+      const allocations = landedCostTotal.allocate(weights);
+
+      // Book the stock and the costs line by line, saving the order after each line so that if
+      // a line fails the order shows exactly what was booked and only the rest is received again
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      const receipt = {
+        id: 'rcv_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9),
+        lines: [],
+        landedCosts: landedCosts.map(landedCost => ({
+          type: landedCost.type,
+          description: landedCost.description || '',
+          amount: Money.fromMajor(parseFloat(landedCost.amount), order.currency).toNumber()
+        })),
+        landedCostTotal: 0, // Landed costs allocated to the lines booked
+        notes: data.notes || '',
+        receivedBy: userId,
+        receivedAt: new Date().toISOString()
+      };
+      order.receipts = [...order.receipts, receipt]; // A new array: the stored order only changes when saved
+
+      for (const [index, { line, quantity, unitCost }] of lines.entries()) {
+        const landedUnitCost = parseFloat((unitCost + allocations[index].toNumber() / quantity).toFixed(4));
+        const product = this.db.getProductById(line.productId);
+        const stockBefore = Math.max(parseFloat(product.stock) || 0, 0);
+
+        const movement = inventory.recordMovement({
+          productId: line.productId,
+          type: 'receiving',
+          quantity,
+          userId,
+          reason: `Received on ${order.number}`,
+          referenceId: order.id
+        });
+        if (!movement.success) {
+          return {
+            success: false,
+            status: 500,
+            message: receipt.lines.length > 0
+              ? `Failed to receive ${line.name}: ${movement.message}. ${receipt.lines.map(booked => booked.name).join(', ')} received; receive the remaining lines again`
+              : `Failed to receive ${line.name}: ${movement.message}`,
+            purchaseOrder: receipt.lines.length > 0 ? order.toObject() : existing,
+            receipt: receipt.lines.length > 0 ? receipt : null
+          };
+        }
+
+        // Weighted average cost of the stock on hand and the delivery
+        const received = this.db.getProductById(line.productId);
+        received.cost = received.cost === null || received.cost === undefined || stockBefore === 0
+          ? landedUnitCost
+          : parseFloat(((stockBefore * received.cost + quantity * landedUnitCost) / (stockBefore + quantity)).toFixed(4));
+        this.db.saveProduct(received);
+
+        line.quantityReceived = UnitOfMeasure.round(line.quantityReceived + quantity);
+        receipt.lines.push({
+          lineId: line.id,
+          productId: line.productId,
+          name: line.name,
+          quantity,
+          unitCost,
+          landedCost: allocations[index].toNumber(),
+          landedUnitCost,
+          overReceived: line.quantityReceived > line.quantityOrdered
+        });
+        receipt.landedCostTotal = Money.sum(allocations.slice(0, receipt.lines.length), order.currency).toNumber();
+
+        order.updateStatus();
+        order.calculateTotals();
+        this.db.savePurchaseOrder(order.toObject());
+      }
+
+      return {
+        success: true,
+        message: order.status === 'closed' ? `Purchase order ${order.number} fully received` : `Delivery received on ${order.number}`,
+        purchaseOrder: order.toObject(),
+        receipt
+      };
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      return {
+        success: false,
+        status: 500,
+        message: 'Failed to receive purchase order'
+      };
+    }
+  }
+
+  /**
+   * Close a purchase order before it is fully received, or cancel a draft
+   * @param {string} id - Purchase order ID
+   * @param {string} reason - Reason for closing (e.g. supplier cannot deliver the rest)
+   * @returns {Object} Result with success status, message and purchase order
+   */
+  closeOrder(id, reason = '') {
+    const order = this.db.getPurchaseOrderById(id);
+    if (!order) {
+      return {
+        success: false,
+        status: 404,
+        message: 'Purchase order not found'
+      };
+    }
+
+    if (order.status === 'closed') {
+      return {
+        success: false,
+        status: 409,
+        message: 'Purchase order is already closed'
+      };
+    }
+
+    const closed = {
+      ...order,
+      status: 'closed',
+      closedAt: new Date().toISOString(),
+      closeReason: reason || (order.status === 'draft' ? 'Cancelled' : 'Closed short'),
+      updatedAt: new Date().toISOString()
+    };
+    this.db.savePurchaseOrder(closed);
+
+    return {
+      success: true,
+      message: `Purchase order ${order.number} closed`,
+      purchaseOrder: closed
+    };
+  }
+
+  /**
+   * Get purchase orders matching the filters
+   * @param {Object} filters - Filters
+   * @param {string} filters.status - Status
+   * @param {string} filters.supplierId - Supplier ID
+   * @param {string} filters.productId - Only orders with a line for this product
+   * @returns {Array} Purchase orders, newest first
+   */
+  getOrders(filters = {}) {
+    return this.db.getPurchaseOrders(filters.status || null).filter(order => {
+      if (filters.supplierId && order.supplierId !== filters.supplierId) {
+        return false;
+      }
+
+      if (filters.productId && !order.lines.some(line => line.productId === filters.productId)) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Get the next purchase order number
+   * @returns {string} Order number (e.g. PO-00012)
+   */
+  getNextNumber() {
+    const last = this.db.getPurchaseOrders().reduce((max, order) => {
+      const number = parseInt(String(order.number).replace(/\D/g, '')) || 0;
+      return Math.max(max, number);
+    }, 0);
+
+    return `PO-${String(last + 1).padStart(5, '0')}`;
+  }
+}
+
+// Export the PurchaseOrderService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PurchaseOrderService;
+}
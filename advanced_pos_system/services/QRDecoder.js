@@ -0,0 +1,1040 @@
+/**
+ * QR Code Decoder for Advanced POS System
+ * Finds a QR code in a binarized camera frame and decodes its text
+ *
+ * The three finder patterns locate the code; the alignment pattern, when there is one,
+ * corrects for perspective. Modules are sampled through a homography, unmasked, read in
+ * the standard zigzag order and corrected with Reed-Solomon. Numeric, alphanumeric and
+ * byte segments are decoded; versions up to QRDecoder.MAX_VERSION are supported, which
+ * covers the short URLs and product codes printed on packaging.
+ */
+
+class QRDecoder {
+  /**
+   * Decode the QR code in a binarized image
+   * @param {Object} binary - Binarized image ({ width, height, bits }, 1 for dark pixels)
+   * @returns {Object|null} Decoded code ({ text, version, ecLevel, boundingBox }) or null
+   */
+  decode(binary) {
+    const patterns = this.selectFinderPatterns(this.findFinderPatterns(binary));
+    if (!patterns) {
+      return null;
+    }
+    patterns.moduleSize = this.getModuleSize(binary, patterns) || patterns.moduleSize;
+
+    for (const dimension of this.getDimensions(patterns)) {
+      const version = (dimension - 17) / 4;
+      if (version < 1 || version > QRDecoder.MAX_VERSION) {
+        continue;
+      }
+
+      for (const transform of this.getTransforms(binary, patterns, dimension)) {
+        const matrix = this.sampleGrid(binary, transform, dimension);
+        if (!matrix) {
+          continue;
+        }
+
+        // Codes seen from behind (or mirrored by the camera) are read transposed
+        for (const candidate of [matrix, this.transpose(matrix, dimension)]) {
+          const result = this.decodeMatrix(candidate, dimension);
+          if (result) {
+            return {
+              ...result,
+              boundingBox: this.getBoundingBox(binary, transform, dimension)
+            };
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find candidate finder patterns: dark-light-dark-light-dark runs in a 1:1:3:1:1 ratio,
+   * confirmed vertically and horizontally
+   * @param {Object} binary - Binarized image
+   * @returns {Array} Candidates ({ x, y, moduleSize, count })
+   */
+  findFinderPatterns(binary) {
+    const { width, height, bits } = binary;
+    const candidates = [];
+
+    for (let y = 0; y < height; y++) {
+      let counts = [0, 0, 0, 0, 0];
+      let state = 0;
+
+      for (let x = 0; x <= width; x++) {
+        const dark = x < width && bits[y * width + x] === 1;
+
+        if (dark) {
+          if (state % 2 === 1) {
+            state++;
+          }
+          counts[state]++;
+        } else if (state % 2 === 1) {
+          counts[state]++;
+        } else if (state < 4) {
+          state++;
+          counts[state]++;
+        } else {
+          if (this.isFinderRatio(counts) && this.confirmFinderPattern(binary, counts, x, y, candidates)) {
+            counts = [0, 0, 0, 0, 0];
+            state = 0;
+          } else {
+            counts = [counts[2], counts[3], counts[4], 1, 0];
+            state = 3;
+          }
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Check run lengths for the 1:1:3:1:1 finder pattern ratio
+   * @param {Array} counts - Five run lengths
+   * @returns {boolean} Matches
+   */
+  isFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (counts.some(count => count === 0) || total < 7) {
+      return false;
+    }
+
+    const moduleSize = total / 7;
+    const tolerance = moduleSize / 2;
+    return Math.abs(counts[0] - moduleSize) < tolerance &&
+      Math.abs(counts[1] - moduleSize) < tolerance &&
+      Math.abs(counts[2] - 3 * moduleSize) < 3 * tolerance &&
+      Math.abs(counts[3] - moduleSize) < tolerance &&
+      Math.abs(counts[4] - moduleSize) < tolerance;
+  }
+
+  /**
+   * Cross-check a horizontal finder pattern match and record it
+   * @param {Object} binary - Binarized image
+   * @param {Array} counts - Run lengths of the match
+   * @param {number} end - X just past the match
+   * @param {number} y - Row of the match
+   * @param {Array} candidates - Candidates found so far (updated)
+   * @returns {boolean} Confirmed
+   */
+  confirmFinderPattern(binary, counts, end, y, candidates) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const centerX = end - counts[4] - counts[3] - counts[2] / 2;
+
+    const vertical = this.crossCheck(binary, Math.floor(centerX), y, 0, 1, counts[2], total);
+    if (!vertical) {
+      return false;
+    }
+
+    const horizontal = this.crossCheck(binary, Math.floor(centerX), Math.floor(vertical.center), 1, 0, counts[2], total);
+    if (!horizontal) {
+      return false;
+    }
+
+    const candidate = {
+      x: horizontal.center,
+      y: vertical.center,
+      moduleSize: (total + vertical.total + horizontal.total) / 21
+    };
+
+    const existing = candidates.find(other => {
+      return Math.abs(other.x - candidate.x) <= candidate.moduleSize &&
+        Math.abs(other.y - candidate.y) <= candidate.moduleSize &&
+        Math.abs(other.moduleSize - candidate.moduleSize) <= Math.max(1, other.moduleSize) * 0.5;
+    });
+
+    if (existing) {
+      existing.x = (existing.x * existing.count + candidate.x) / (existing.count + 1);
+      existing.y = (existing.y * existing.count + candidate.y) / (existing.count + 1);
+      existing.moduleSize = (existing.moduleSize * existing.count + candidate.moduleSize) / (existing.count + 1);
+      existing.count++;
+    } else {
+      candidates.push({ ...candidate, count: 1 });
+    }
+
+    return true;
+  }
+
+  /**
+   * Measure the finder pattern runs through a point along one axis
+   * @param {Object} binary - Binarized image
+   * @param {number} x - Column of the point
+   * @param {number} y - Row of the point
+   * @param {number} dx - Step along the axis (1, 0 for rows)
+   * @param {number} dy - Step along the axis (0, 1 for columns)
+   * @param {number} maxCount - Longest allowed outer run
+   * @param {number} originalTotal - Pattern width along the other axis
+   * @returns {Object|null} Center along the axis and pattern width, or null if no pattern
+   */
+  crossCheck(binary, x, y, dx, dy, maxCount, originalTotal) {
+    const { width, height, bits } = binary;
+    const inside = (px, py) => px >= 0 && py >= 0 && px < width && py < height;
+    const dark = (px, py) => bits[py * width + px] === 1;
+    const counts = [0, 0, 0, 0, 0];
+
+    // Walk backwards from the center
+    let px = x;
+    let py = y;
+    while (inside(px, py) && dark(px, py)) {
+      counts[2]++;
+      px -= dx;
+      py -= dy;
+    }
+    while (inside(px, py) && !dark(px, py) && counts[1] <= maxCount) {
+      counts[1]++;
+      px -= dx;
+      py -= dy;
+    }
+    if (!inside(px, py) || counts[1] > maxCount) {
+      return null;
+    }
+    while (inside(px, py) && dark(px, py) && counts[0] <= maxCount) {
+      counts[0]++;
+      px -= dx;
+      py -= dy;
+    }
+    if (counts[0] > maxCount) {
+      return null;
+    }
+
+    // Walk forwards from the center
+    px = x + dx;
+    py = y + dy;
+    while (inside(px, py) && dark(px, py)) {
+      counts[2]++;
+      px += dx;
+      py += dy;
+    }
+    while (inside(px, py) && !dark(px, py) && counts[3] <= maxCount) {
+      counts[3]++;
+      px += dx;
+      py += dy;
+    }
+    if (!inside(px, py) || counts[3] > maxCount) {
+      return null;
+    }
+    while (inside(px, py) && dark(px, py) && counts[4] <= maxCount) {
+      counts[4]++;
+      px += dx;
+      py += dy;
+    }
+    if (counts[4] > maxCount) {
+      return null;
+    }
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal || !this.isFinderRatio(counts)) {
+      return null;
+    }
+
+    const end = dx ? px : py;
+    return {
+      center: end - counts[4] - counts[3] - counts[2] / 2,
+      total
+    };
+  }
+
+  /**
+   * Pick the three finder patterns of one code and name its corners
+   * @param {Array} candidates - Finder pattern candidates
+   * @returns {Object|null} Corners ({ topLeft, topRight, bottomLeft, moduleSize })
+   */
+  selectFinderPatterns(candidates) {
+    const ranked = [...candidates].sort((a, b) => b.count - a.count).slice(0, 10);
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    let best = null;
+
+    for (let i = 0; i < ranked.length; i++) {
+      for (let j = i + 1; j < ranked.length; j++) {
+        for (let k = j + 1; k < ranked.length; k++) {
+          const triple = [ranked[i], ranked[j], ranked[k]];
+          const sizes = triple.map(pattern => pattern.moduleSize);
+          if (Math.max(...sizes) > 1.4 * Math.min(...sizes)) {
+            continue;
+          }
+
+          // The centers form a right isosceles triangle
+          const sides = [distance(triple[0], triple[1]), distance(triple[1], triple[2]), distance(triple[0], triple[2])]
+            .sort((a, b) => a - b);
+          const legError = Math.abs(sides[0] - sides[1]) / sides[1];
+          const hypotenuseError = Math.abs(sides[2] - Math.hypot(sides[0], sides[1])) / sides[2];
+          if (legError > 0.3 || hypotenuseError > 0.15 || sides[0] < 7 * Math.min(...sizes)) {
+            continue;
+          }
+
+          const score = triple.reduce((sum, pattern) => sum + pattern.count, 0) - legError - hypotenuseError;
+          if (!best || score > best.score) {
+            best = { triple, score };
+          }
+        }
+      }
+    }
+
+    return best ? this.orderFinderPatterns(best.triple) : null;
+  }
+
+  /**
+   * Name the corners of three finder patterns
+   * The top-left one is opposite the longest side; the others follow from the orientation
+   * @param {Array} patterns - Three finder patterns
+   * @returns {Object} Corners ({ topLeft, topRight, bottomLeft, moduleSize })
+   */
+  orderFinderPatterns(patterns) {
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const [p0, p1, p2] = patterns;
+    const d01 = distance(p0, p1);
+    const d12 = distance(p1, p2);
+    const d02 = distance(p0, p2);
+
+    let topLeft;
+    let a;
+    let c;
+    if (d12 >= d01 && d12 >= d02) {
+      [topLeft, a, c] = [p0, p1, p2];
+    } else if (d02 >= d12 && d02 >= d01) {
+      [topLeft, a, c] = [p1, p0, p2];
+    } else {
+      [topLeft, a, c] = [p2, p0, p1];
+    }
+
+    // Counter-clockwise from bottom-left to top-right in image coordinates
+    if ((c.x - topLeft.x) * (a.y - topLeft.y) - (c.y - topLeft.y) * (a.x - topLeft.x) < 0) {
+      [a, c] = [c, a];
+    }
+
+    return {
+      topLeft,
+      topRight: c,
+      bottomLeft: a,
+      moduleSize: (topLeft.moduleSize + a.moduleSize + c.moduleSize) / 3
+    };
+  }
+
+  /**
+   * Measure the module size along the sides of the code
+   * Finder runs are measured along rows and columns, which overstates them on rotated codes
+   * @param {Object} binary - Binarized image
+   * @param {Object} patterns - Finder pattern corners
+   * @returns {number|null} Module size in pixels, or null if no side could be measured
+   */
+  getModuleSize(binary, patterns) {
+    const { topLeft, topRight, bottomLeft } = patterns;
+    const sizes = [
+      this.measureFinderWidth(binary, topLeft, topRight),
+      this.measureFinderWidth(binary, topRight, topLeft),
+      this.measureFinderWidth(binary, topLeft, bottomLeft),
+      this.measureFinderWidth(binary, bottomLeft, topLeft)
+    ].filter(size => size !== null);
+
+    return sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length / 7 : null;
+  }
+
+  /**
+   * Measure the width of a finder pattern along the line towards another one
+   * @param {Object} binary - Binarized image
+   * @param {Object} from - Finder pattern to measure
+   * @param {Object} towards - Finder pattern giving the direction
+   * @returns {number|null} Width in pixels (7 modules)
+   */
+  measureFinderWidth(binary, from, towards) {
+    const length = Math.hypot(towards.x - from.x, towards.y - from.y);
+    const dx = (towards.x - from.x) / length;
+    const dy = (towards.y - from.y) / length;
+
+    // From the center: dark center, light ring, dark ring, then the separator
+    const toEdge = direction => {
+      let state = 0;
+      for (let t = 0; t < length; t++) {
+        const x = Math.round(from.x + direction * dx * t);
+        const y = Math.round(from.y + direction * dy * t);
+        if (x < 0 || y < 0 || x >= binary.width || y >= binary.height) {
+          return null;
+        }
+
+        const dark = binary.bits[y * binary.width + x] === 1;
+        if (dark === (state % 2 === 1)) {
+          state++;
+          if (state === 3) {
+            return t;
+          }
+        }
+      }
+      return null;
+    };
+
+    const forwards = toEdge(1);
+    const backwards = toEdge(-1);
+    if (forwards === null || backwards === null || Math.abs(forwards - backwards) > Math.max(forwards, backwards) / 2) {
+      return null;
+    }
+
+    return forwards + backwards;
+  }
+
+  /**
+   * Estimate the number of modules per side
+   * @param {Object} patterns - Finder pattern corners
+   * @returns {Array} Dimensions to try, most likely first
+   */
+  getDimensions(patterns) {
+    const { topLeft, topRight, bottomLeft, moduleSize } = patterns;
+    const across = Math.round(Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) / moduleSize);
+    const down = Math.round(Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y) / moduleSize);
+    const estimate = Math.round((across + down) / 2) + 7;
+
+    // Valid dimensions are 4 * version + 17
+    switch (estimate % 4) {
+      case 0:
+        return [estimate + 1, estimate - 3];
+      case 2:
+        return [estimate - 1, estimate + 3];
+      case 3:
+        return [estimate - 2, estimate + 2];
+      default:
+        return [estimate, estimate + 4, estimate - 4];
+    }
+  }
+
+  /**
+   * Map module coordinates to image coordinates
+   * The bottom-right alignment pattern fixes the fourth corner under perspective. Data modules
+   * can look like one, so each candidate is tried, nearest the expected position first, and
+   * then the parallelogram spanned by the finder patterns.
+   * @param {Object} binary - Binarized image
+   * @param {Object} patterns - Finder pattern corners
+   * @param {number} dimension - Modules per side
+   * @returns {Array} Transforms (x, y) in modules -> { x, y } in pixels, most likely first
+   */
+  getTransforms(binary, patterns, dimension) {
+    const { topLeft, topRight, bottomLeft, moduleSize } = patterns;
+    const bottomRight = {
+      x: topRight.x - topLeft.x + bottomLeft.x,
+      y: topRight.y - topLeft.y + bottomLeft.y
+    };
+
+    const source = [[3.5, 3.5], [dimension - 3.5, 3.5], [3.5, dimension - 3.5]];
+    const target = [[topLeft.x, topLeft.y], [topRight.x, topRight.y], [bottomLeft.x, bottomLeft.y]];
+
+    const alignments = dimension > 21 ? this.findAlignmentPatterns(binary, patterns, bottomRight, dimension) : [];
+    const transforms = alignments.map(alignment => this.getHomography(
+      [...source, [dimension - 6.5, dimension - 6.5]],
+      [...target, [alignment.x, alignment.y]]
+    ));
+    transforms.push(this.getHomography(
+      [...source, [dimension - 3.5, dimension - 3.5]],
+      [...target, [bottomRight.x, bottomRight.y]]
+    ));
+
+    return transforms;
+  }
+
+  /**
+   * Find candidates for the alignment pattern near the bottom-right corner
+   * @param {Object} binary - Binarized image
+   * @param {Object} patterns - Finder pattern corners
+   * @param {Object} bottomRight - Estimated bottom-right finder position
+   * @param {number} dimension - Modules per side
+   * @returns {Array} Centers ({ x, y }), nearest the expected position first
+   */
+  findAlignmentPatterns(binary, patterns, bottomRight, dimension) {
+    const { topLeft, moduleSize } = patterns;
+    const correction = 1 - 3 / (dimension - 7);
+    const estimateX = topLeft.x + correction * (bottomRight.x - topLeft.x);
+    const estimateY = topLeft.y + correction * (bottomRight.y - topLeft.y);
+
+    return this.searchAlignmentPatterns(binary, estimateX, estimateY, QRDecoder.ALIGNMENT_SEARCH_RADIUS * moduleSize, moduleSize)
+      .slice(0, QRDecoder.MAX_ALIGNMENT_CANDIDATES);
+  }
+
+  /**
+   * Search a window for a dark module inside a light ring inside a dark ring
+   * @param {Object} binary - Binarized image
+   * @param {number} cx - Window center X
+   * @param {number} cy - Window center Y
+   * @param {number} radius - Half the window size
+   * @param {number} moduleSize - Module size in pixels
+   * @returns {Array} Centers ({ x, y }), closest to the window center first
+   */
+  searchAlignmentPatterns(binary, cx, cy, radius, moduleSize) {
+    const { width, height, bits } = binary;
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const x1 = Math.min(width - 1, Math.ceil(cx + radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const y1 = Math.min(height - 1, Math.ceil(cy + radius));
+    const matches = size => Math.abs(size - moduleSize) <= moduleSize * 0.6 + 0.5;
+    const found = [];
+
+    for (let y = y0; y <= y1; y++) {
+      const runs = [];
+      for (let x = x0; x <= x1; x++) {
+        const dark = bits[y * width + x] === 1;
+        if (runs.length > 0 && runs[runs.length - 1].dark === dark) {
+          runs[runs.length - 1].length++;
+        } else {
+          runs.push({ dark, start: x, length: 1 });
+        }
+      }
+
+      for (let i = 2; i < runs.length - 2; i++) {
+        const run = runs[i];
+        if (!run.dark || !matches(run.length) || !matches(runs[i - 1].length) || !matches(runs[i + 1].length)) {
+          continue;
+        }
+
+        const x = run.start + run.length / 2;
+        const vertical = this.measureAlignment(binary, Math.floor(x), y, moduleSize, matches);
+        if (vertical === null) {
+          continue;
+        }
+
+        // Rows through the same pattern confirm it again
+        const existing = found.find(other => Math.abs(other.x - x) <= moduleSize && Math.abs(other.y - vertical) <= moduleSize);
+        if (!existing) {
+          found.push({ x, y: vertical, d: Math.hypot(x - cx, vertical - cy) });
+        }
+      }
+    }
+
+    return found
+      .sort((a, b) => a.d - b.d)
+      .map(({ x, y }) => ({ x, y }));
+  }
+
+  /**
+   * Confirm an alignment pattern vertically
+   * @param {Object} binary - Binarized image
+   * @param {number} x - Column through the candidate center
+   * @param {number} y - Row of the candidate
+   * @param {number} moduleSize - Module size in pixels
+   * @param {Function} matches - Checks a run is about one module long
+   * @returns {number|null} Center Y
+   */
+  measureAlignment(binary, x, y, moduleSize, matches) {
+    const { width, height, bits } = binary;
+    const dark = py => py >= 0 && py < height && bits[py * width + x] === 1;
+    const limit = Math.ceil(moduleSize * 2);
+
+    let top = y;
+    while (dark(top - 1) && y - top < limit) {
+      top--;
+    }
+    let bottom = y;
+    while (dark(bottom + 1) && bottom - y < limit) {
+      bottom++;
+    }
+    if (!matches(bottom - top + 1)) {
+      return null;
+    }
+
+    // Light ring above and below, then the dark ring
+    let above = 0;
+    while (top - above - 1 >= 0 && !dark(top - above - 1) && above <= limit) {
+      above++;
+    }
+    let below = 0;
+    while (bottom + below + 1 < height && !dark(bottom + below + 1) && below <= limit) {
+      below++;
+    }
+    if (!matches(above) || !matches(below) || !dark(top - above - 1) || !dark(bottom + below + 1)) {
+      return null;
+    }
+
+    return (top + bottom + 1) / 2;
+  }
+
+  /**
+   * Solve the homography mapping four module positions onto four image positions
+   * @param {Array} source - Four [x, y] module positions
+   * @param {Array} target - Four [x, y] image positions
+   * @returns {Function} (x, y) -> { x, y }
+   */
+  getHomography(source, target) {
+    // h0 x + h1 y + h2 - h6 x X - h7 y X = X, and the same for Y with h3..h5
+    const rows = [];
+    source.forEach(([x, y], i) => {
+      const [tx, ty] = target[i];
+      rows.push([x, y, 1, 0, 0, 0, -x * tx, -y * tx, tx]);
+      rows.push([0, 0, 0, x, y, 1, -x * ty, -y * ty, ty]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+          pivot = row;
+        }
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+      for (let row = 0; row < 8; row++) {
+        if (row !== col && rows[col][col] !== 0) {
+          const factor = rows[row][col] / rows[col][col];
+          for (let k = col; k < 9; k++) {
+            rows[row][k] -= factor * rows[col][k];
+          }
+        }
+      }
+    }
+
+    const h = rows.map((row, i) => row[8] / row[i]);
+    return (x, y) => {
+      const w = h[6] * x + h[7] * y + 1;
+      return {
+        x: (h[0] * x + h[1] * y + h[2]) / w,
+        y: (h[3] * x + h[4] * y + h[5]) / w
+      };
+    };
+  }
+
+  /**
+   * Read the module grid
+   * @param {Object} binary - Binarized image
+   * @param {Function} transform - Module to image transform
+   * @param {number} dimension - Modules per side
+   * @returns {Uint8Array|null} Modules row by row (1 for dark), or null if the grid leaves the image
+   */
+  sampleGrid(binary, transform, dimension) {
+    const { width, height, bits } = binary;
+    const matrix = new Uint8Array(dimension * dimension);
+
+    for (let y = 0; y < dimension; y++) {
+      for (let x = 0; x < dimension; x++) {
+        const point = transform(x + 0.5, y + 0.5);
+        const px = Math.floor(point.x);
+        const py = Math.floor(point.y);
+        if (!(px >= -1 && py >= -1 && px <= width && py <= height)) {
+          return null;
+        }
+
+        const cx = Math.min(Math.max(px, 0), width - 1);
+        const cy = Math.min(Math.max(py, 0), height - 1);
+        matrix[y * dimension + x] = bits[cy * width + cx];
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Swap rows and columns of a module grid
+   * @param {Uint8Array} matrix - Modules
+   * @param {number} dimension - Modules per side
+   * @returns {Uint8Array} Transposed modules
+   */
+  transpose(matrix, dimension) {
+    const transposed = new Uint8Array(matrix.length);
+    for (let y = 0; y < dimension; y++) {
+      for (let x = 0; x < dimension; x++) {
+        transposed[x * dimension + y] = matrix[y * dimension + x];
+      }
+    }
+    return transposed;
+  }
+
+  /**
+   * Decode a module grid
+   * @param {Uint8Array} matrix - Modules
+   * @param {number} dimension - Modules per side
+   * @returns {Object|null} Decoded code ({ text, version, ecLevel }) or null
+   */
+  decodeMatrix(matrix, dimension) {
+    const format = this.readFormat(matrix, dimension);
+    if (!format) {
+      return null;
+    }
+
+    const version = (dimension - 17) / 4;
+    const functionPattern = this.getFunctionPattern(version, dimension);
+    const unmasked = matrix.map((bit, index) => {
+      const y = Math.floor(index / dimension);
+      const x = index % dimension;
+      return QRDecoder.MASKS[format.mask](y, x) ? bit ^ 1 : bit;
+    });
+
+    try {
+      const data = this.correct(this.readCodewords(unmasked, dimension, functionPattern), version, format.ecLevel);
+      return {
+        text: this.decodeSegments(data, version),
+        version,
+        ecLevel: format.ecLevel
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the error correction level and mask from either copy of the format information
+   * @param {Uint8Array} matrix - Modules
+   * @param {number} dimension - Modules per side
+   * @returns {Object|null} Format ({ ecLevel, mask }), or null if unreadable
+   */
+  readFormat(matrix, dimension) {
+    const bit = (x, y) => matrix[y * dimension + x];
+    let first = 0;
+    for (let i = 0; i <= 5; i++) {
+      first = (first << 1) | bit(i, 8);
+    }
+    first = (first << 1) | bit(7, 8);
+    first = (first << 1) | bit(8, 8);
+    first = (first << 1) | bit(8, 7);
+    for (let j = 5; j >= 0; j--) {
+      first = (first << 1) | bit(8, j);
+    }
+
+    let second = 0;
+    for (let j = dimension - 1; j >= dimension - 7; j--) {
+      second = (second << 1) | bit(8, j);
+    }
+    for (let i = dimension - 8; i < dimension; i++) {
+      second = (second << 1) | bit(i, 8);
+    }
+
+    const popcount = value => value.toString(2).split('').filter(digit => digit === '1').length;
+    let best = null;
+    for (let data = 0; data < 32; data++) {
+      const code = QRDecoder.getFormatBits(data);
+      const distance = Math.min(popcount(code ^ first), popcount(code ^ second));
+      if (!best || distance < best.distance) {
+        best = { data, distance };
+      }
+    }
+
+    if (best.distance > 3) {
+      return null;
+    }
+
+    return {
+      ecLevel: QRDecoder.EC_LEVELS[best.data >> 3],
+      mask: best.data & 7
+    };
+  }
+
+  /**
+   * Mark the modules that do not carry data
+   * @param {number} version - Version
+   * @param {number} dimension - Modules per side
+   * @returns {Uint8Array} 1 for function modules
+   */
+  getFunctionPattern(version, dimension) {
+    const pattern = new Uint8Array(dimension * dimension);
+    const region = (left, top, width, height) => {
+      for (let y = top; y < top + height; y++) {
+        for (let x = left; x < left + width; x++) {
+          pattern[y * dimension + x] = 1;
+        }
+      }
+    };
+
+    // Finder patterns with separators and format information
+    region(0, 0, 9, 9);
+    region(dimension - 8, 0, 8, 9);
+    region(0, dimension - 8, 9, 8);
+
+    // Alignment patterns, except where they would overlap a finder pattern
+    const centers = QRDecoder.ALIGNMENT_CENTERS[version];
+    centers.forEach(y => {
+      centers.forEach(x => {
+        const overlapsFinder = (x === 6 && y === 6) ||
+          (x === 6 && y === centers[centers.length - 1]) ||
+          (y === 6 && x === centers[centers.length - 1]);
+        if (!overlapsFinder) {
+          region(x - 2, y - 2, 5, 5);
+        }
+      });
+    });
+
+    // Timing patterns
+    region(6, 9, 1, dimension - 17);
+    region(9, 6, dimension - 17, 1);
+
+    // Version information
+    if (version >= 7) {
+      region(dimension - 11, 0, 3, 6);
+      region(0, dimension - 11, 6, 3);
+    }
+
+    return pattern;
+  }
+
+  /**
+   * Read the codewords in the zigzag order: two-module columns from the right,
+   * alternately upwards and downwards, skipping the vertical timing pattern
+   * @param {Uint8Array} matrix - Unmasked modules
+   * @param {number} dimension - Modules per side
+   * @param {Uint8Array} functionPattern - Function modules
+   * @returns {Array} Codewords
+   */
+  readCodewords(matrix, dimension, functionPattern) {
+    const codewords = [];
+    let upwards = true;
+    let current = 0;
+    let bits = 0;
+
+    for (let right = dimension - 1; right > 0; right -= 2) {
+      if (right === 6) {
+        right--;
+      }
+
+      for (let count = 0; count < dimension; count++) {
+        const y = upwards ? dimension - 1 - count : count;
+        for (let col = 0; col < 2; col++) {
+          const index = y * dimension + right - col;
+          if (!functionPattern[index]) {
+            current = (current << 1) | matrix[index];
+            bits++;
+            if (bits === 8) {
+              codewords.push(current);
+              current = 0;
+              bits = 0;
+            }
+          }
+        }
+      }
+
+      upwards = !upwards;
+    }
+
+    return codewords;
+  }
+
+  /**
+   * Split the codewords into their interleaved blocks and correct each one
+   * @param {Array} codewords - Raw codewords
+   * @param {number} version - Version
+   * @param {string} ecLevel - Error correction level
+   * @returns {Array} Data codewords
+   */
+  correct(codewords, version, ecLevel) {
+    const ReedSolomon = require('./ReedSolomon');
+    const { ecPerBlock, groups } = QRDecoder.EC_BLOCKS[version][ecLevel];
+
+    const blocks = [];
+    groups.forEach(([count, dataCount]) => {
+      for (let i = 0; i < count; i++) {
+        blocks.push({ dataCount, codewords: [] });
+      }
+    });
+
+    // Data codewords are interleaved across blocks, then the error correction codewords
+    const maxData = Math.max(...blocks.map(block => block.dataCount));
+    let offset = 0;
+    for (let i = 0; i < maxData; i++) {
+      blocks.forEach(block => {
+        if (i < block.dataCount) {
+          block.codewords.push(codewords[offset++]);
+        }
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      blocks.forEach(block => {
+        block.codewords.push(codewords[offset++]);
+      });
+    }
+
+    if (offset > codewords.length) {
+      throw new Error('Not enough codewords');
+    }
+
+    const data = [];
+    blocks.forEach(block => {
+      const corrected = ReedSolomon.decode(block.codewords, ecPerBlock).codewords;
+      data.push(...corrected.slice(0, block.dataCount));
+    });
+
+    return data;
+  }
+
+  /**
+   * Decode the segments of the data codewords
+   * @param {Array} data - Data codewords
+   * @param {number} version - Version
+   * @returns {string} Text
+   */
+  decodeSegments(data, version) {
+    let position = 0;
+    const read = count => {
+      let value = 0;
+      for (let i = 0; i < count; i++) {
+        const byte = data[(position >> 3)];
+        if (byte === undefined) {
+          throw new Error('Segment runs past the data');
+        }
+        value = (value << 1) | ((byte >> (7 - (position & 7))) & 1);
+        position++;
+      }
+      return value;
+    };
+    const remaining = () => data.length * 8 - position;
+    const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+
+    let text = '';
+    while (remaining() >= 4) {
+      const mode = read(4);
+      if (mode === 0) {
+        break;
+      }
+
+      if (mode === QRDecoder.MODES.numeric) {
+        let count = read([10, 12, 14][sizeClass]);
+        while (count >= 3) {
+          text += read(10).toString().padStart(3, '0');
+          count -= 3;
+        }
+        if (count === 2) {
+          text += read(7).toString().padStart(2, '0');
+        } else if (count === 1) {
+          text += read(4).toString();
+        }
+      } else if (mode === QRDecoder.MODES.alphanumeric) {
+        let count = read([9, 11, 13][sizeClass]);
+        while (count >= 2) {
+          const pair = read(11);
+          text += QRDecoder.ALPHANUMERIC[Math.floor(pair / 45)] + QRDecoder.ALPHANUMERIC[pair % 45];
+          count -= 2;
+        }
+        if (count === 1) {
+          text += QRDecoder.ALPHANUMERIC[read(6)];
+        }
+      } else if (mode === QRDecoder.MODES.byte) {
+        const count = read([8, 16, 16][sizeClass]);
+        const bytes = [];
+        for (let i = 0; i < count; i++) {
+          bytes.push(read(8));
+        }
+        const utf8 = Buffer.from(bytes).toString('utf8');
+        text += utf8.includes('�') ? Buffer.from(bytes).toString('latin1') : utf8;
+      } else if (mode === QRDecoder.MODES.eci) {
+        // Character set designator; byte segments are read as UTF-8 regardless
+        const first = read(8);
+        if ((first & 0xc0) === 0x80) {
+          read(8);
+        } else if ((first & 0xe0) === 0xc0) {
+          read(16);
+        }
+      } else if (mode === QRDecoder.MODES.structuredAppend) {
+        read(16);
+      } else if (mode === QRDecoder.MODES.fnc1First || mode === QRDecoder.MODES.fnc1Second) {
+        if (mode === QRDecoder.MODES.fnc1Second) {
+          read(8);
+        }
+      } else {
+        throw new Error(`Unsupported QR segment mode ${mode}`);
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Get the region of the code in relative coordinates
+   * @param {Object} binary - Binarized image
+   * @param {Function} transform - Module to image transform
+   * @param {number} dimension - Modules per side
+   * @returns {Object} Bounding box ({ x1, y1, x2, y2 }, 0-1)
+   */
+  getBoundingBox(binary, transform, dimension) {
+    const corners = [[0, 0], [dimension, 0], [0, dimension], [dimension, dimension]].map(([x, y]) => transform(x, y));
+    const clamp = value => Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+
+    return {
+      x1: clamp(Math.min(...corners.map(corner => corner.x)) / binary.width),
+      y1: clamp(Math.min(...corners.map(corner => corner.y)) / binary.height),
+      x2: clamp(Math.max(...corners.map(corner => corner.x)) / binary.width),
+      y2: clamp(Math.max(...corners.map(corner => corner.y)) / binary.height)
+    };
+  }
+
+  /**
+   * Compute the 15 format information bits for 5 data bits (BCH code, masked)
+   * @param {number} data - Error correction level and mask bits
+   * @returns {number} Format bits
+   */
+  static getFormatBits(data) {
+    let remainder = data << 10;
+    for (let bit = 14; bit >= 10; bit--) {
+      if (remainder & (1 << bit)) {
+        remainder ^= 0x537 << (bit - 10);
+      }
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+  }
+}
+
+// Highest version the decoder reads (57 x 57 modules)
+QRDecoder.MAX_VERSION = 10;
+
+// Distance from its expected position, in modules, within which the alignment pattern is searched
+QRDecoder.ALIGNMENT_SEARCH_RADIUS = 12;
+
+// Alignment pattern candidates tried before falling back to the finder patterns alone
+QRDecoder.MAX_ALIGNMENT_CANDIDATES = 8;
+
+// Error correction levels by their two format bits
+QRDecoder.EC_LEVELS = ['M', 'L', 'H', 'Q'];
+
+// Mask conditions by row and column; masked modules are inverted
+QRDecoder.MASKS = [
+  (i, j) => (i + j) % 2 === 0,
+  (i) => i % 2 === 0,
+  (i, j) => j % 3 === 0,
+  (i, j) => (i + j) % 3 === 0,
+  (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+  (i, j) => (i * j) % 2 + (i * j) % 3 === 0,
+  (i, j) => ((i * j) % 2 + (i * j) % 3) % 2 === 0,
+  (i, j) => ((i + j) % 2 + (i * j) % 3) % 2 === 0
+];
+
+// Segment mode indicators
+QRDecoder.MODES = {
+  numeric: 1,
+  alphanumeric: 2,
+  structuredAppend: 3,
+  byte: 4,
+  fnc1First: 5,
+  eci: 7,
+  kanji: 8,
+  fnc1Second: 9
+};
+
+// Characters of alphanumeric segments
+QRDecoder.ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Alignment pattern centers (rows and columns) by version
+QRDecoder.ALIGNMENT_CENTERS = {
+  1: [],
+  2: [6, 18],
+  3: [6, 22],
+  4: [6, 26],
+  5: [6, 30],
+  6: [6, 34],
+  7: [6, 22, 38],
+  8: [6, 24, 42],
+  9: [6, 26, 46],
+  10: [6, 28, 50]
+};
+
+// Error correction blocks by version and level: codewords per block and
+// groups of [block count, data codewords per block]
+QRDecoder.EC_BLOCKS = {
+  1: { L: { ecPerBlock: 7, groups: [[1, 19]] }, M: { ecPerBlock: 10, groups: [[1, 16]] }, Q: { ecPerBlock: 13, groups: [[1, 13]] }, H: { ecPerBlock: 17, groups: [[1, 9]] } },
+  2: { L: { ecPerBlock: 10, groups: [[1, 34]] }, M: { ecPerBlock: 16, groups: [[1, 28]] }, Q: { ecPerBlock: 22, groups: [[1, 22]] }, H: { ecPerBlock: 28, groups: [[1, 16]] } },
+  3: { L: { ecPerBlock: 15, groups: [[1, 55]] }, M: { ecPerBlock: 26, groups: [[1, 44]] }, Q: { ecPerBlock: 18, groups: [[2, 17]] }, H: { ecPerBlock: 22, groups: [[2, 13]] } },
+  4: { L: { ecPerBlock: 20, groups: [[1, 80]] }, M: { ecPerBlock: 18, groups: [[2, 32]] }, Q: { ecPerBlock: 26, groups: [[2, 24]] }, H: { ecPerBlock: 16, groups: [[4, 9]] } },
+  5: { L: { ecPerBlock: 26, groups: [[1, 108]] }, M: { ecPerBlock: 24, groups: [[2, 43]] }, Q: { ecPerBlock: 18, groups: [[2, 15], [2, 16]] }, H: { ecPerBlock: 22, groups: [[2, 11], [2, 12]] } },
+  6: { L: { ecPerBlock: 18, groups: [[2, 68]] }, M: { ecPerBlock: 16, groups: [[4, 27]] }, Q: { ecPerBlock: 24, groups: [[4, 19]] }, H: { ecPerBlock: 28, groups: [[4, 15]] } },
+  7: { L: { ecPerBlock: 20, groups: [[2, 78]] }, M: { ecPerBlock: 18, groups: [[4, 31]] }, Q: { ecPerBlock: 18, groups: [[2, 14], [4, 15]] }, H: { ecPerBlock: 26, groups: [[4, 13], [1, 14]] } },
+  8: { L: { ecPerBlock: 24, groups: [[2, 97]] }, M: { ecPerBlock: 22, groups: [[2, 38], [2, 39]] }, Q: { ecPerBlock: 22, groups: [[4, 18], [2, 19]] }, H: { ecPerBlock: 26, groups: [[4, 14], [2, 15]] } },
+  9: { L: { ecPerBlock: 30, groups: [[2, 116]] }, M: { ecPerBlock: 22, groups: [[3, 36], [2, 37]] }, Q: { ecPerBlock: 20, groups: [[4, 16], [4, 17]] }, H: { ecPerBlock: 24, groups: [[4, 12], [4, 13]] } },
+  10: { L: { ecPerBlock: 18, groups: [[2, 68], [2, 69]] }, M: { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }, Q: { ecPerBlock: 24, groups: [[6, 19], [2, 20]] }, H: { ecPerBlock: 28, groups: [[6, 15], [2, 16]] } }
+};
+
+// Export the QRDecoder class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QRDecoder;
+}
@@ -0,0 +1,146 @@
+/**
+ * Receipt Service for Advanced POS System
+ * Formats completed transactions as plain-text receipts
+ */
+
+class ReceiptService {
+  /**
+   * Create a new ReceiptService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.width = 40;
+  }
+
+  /**
+   * Format a transaction as a plain-text receipt
+   * @param {Object} transaction - Transaction data
+   * @returns {string} Receipt text
+   */
+  formatReceipt(transaction) {
+    const Money = require('../models/Money');
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const currency = transaction.currency || this.db.getSetting('currency', 'USD');
+    const format = amount => Money.fromMajor(amount, currency).toString();
+    const lines = [];
+
+    const header = this.db.getSetting('receiptHeader', '');
+    if (header) {
+      header.split('\n').forEach(line => lines.push(this.center(line)));
+      lines.push('');
+    }
+
+    lines.push(transaction.type === 'refund' ? 'REFUND' : 'SALE');
+    lines.push(`Transaction: ${transaction.id}`);
+    if (transaction.originalTransactionId) {
+      lines.push(`Original: ${transaction.originalTransactionId}`);
+    }
+    lines.push(`Date: ${new Date(transaction.completedAt || transaction.createdAt).toLocaleString()}`);
+    lines.push(this.rule());
+
+    transaction.items.forEach(item => {
+      const lineAmount = item.labelPrice !== null && item.labelPrice !== undefined
+        ? Money.fromMajor(item.labelPrice, currency)
+        : Money.fromMajor(item.priceAtSale, currency).multiply(item.quantity);
+      if (UnitOfMeasure.getDimension(item.unitOfMeasure || 'ea') === 'unit') {
+        lines.push(this.columns(`${item.quantity} x ${item.name}`, lineAmount.toString()));
+      } else {
+        // Weighed and measured lines show the quantity and the price per unit of measure
+        const unitPrice = `${format(item.priceAtSale)}/${UnitOfMeasure.UNITS[item.unitOfMeasure].label}`;
+        lines.push(this.columns(item.name, lineAmount.toString()));
+        lines.push(`  ${UnitOfMeasure.format(item.quantity, item.unitOfMeasure)} @ ${unitPrice}`);
+      }
+
+      // Bundles list what they contain, per bundle
+      (item.components || []).forEach(component => {
+        const quantity = UnitOfMeasure.getDimension(component.unitOfMeasure || 'ea') === 'unit'
+          ? `${component.quantity} x`
+          : UnitOfMeasure.format(component.quantity, component.unitOfMeasure);
+        lines.push(`  ${quantity} ${component.name}`);
+      });
+
+      (item.promotions || []).forEach(promotion => {
+        lines.push(this.columns(`  ${promotion.name}`, format(-promotion.amount)));
+      });
+    });
+
+    lines.push(this.rule());
+    lines.push(this.columns(transaction.pricesIncludeTax ? 'Subtotal (excl. tax)' : 'Subtotal', format(transaction.subtotal)));
+
+    if (transaction.discountAmount) {
+      lines.push(this.columns('Discount', format(-transaction.discountAmount)));
+    }
+
+    // Tax breakdown by rate
+    const taxBreakdown = transaction.taxBreakdown || [];
+    if (taxBreakdown.length > 0) {
+      taxBreakdown.forEach(tax => {
+        lines.push(this.columns(`${tax.name} ${tax.rate}% on ${format(tax.taxableAmount)}`, format(tax.taxAmount)));
+      });
+    } else {
+      lines.push(this.columns('Tax', format(transaction.taxAmount)));
+    }
+
+    if (transaction.pricesIncludeTax) {
+      lines.push(this.columns('Total tax included', format(transaction.taxAmount)));
+    }
+
+    if (transaction.taxExemption) {
+      lines.push(`Tax exempt: certificate ${transaction.taxExemption.certificateNumber}`);
+    }
+
+    lines.push(this.columns('TOTAL', `${currency} ${format(transaction.total)}`));
+    lines.push(this.rule());
+
+    (transaction.paymentMethods || []).forEach(method => {
+      lines.push(this.columns(method.type, format(method.amount)));
+    });
+
+    if (transaction.changeAmount) {
+      lines.push(this.columns('Change', format(transaction.changeAmount)));
+    }
+
+    const footer = this.db.getSetting('receiptFooter', '');
+    if (footer) {
+      lines.push('');
+      footer.split('\n').forEach(line => lines.push(this.center(line)));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Lay out a label and an amount on one line
+   * @param {string} label - Left-aligned label
+   * @param {string} value - Right-aligned value
+   * @returns {string} Line
+   */
+  columns(label, value) {
+    const space = Math.max(this.width - label.length - value.length, 1);
+    return label + ' '.repeat(space) + value;
+  }
+
+  /**
+   * Center text on the receipt
+   * @param {string} text - Text
+   * @returns {string} Centered line
+   */
+  center(text) {
+    const padding = Math.max(Math.floor((this.width - text.length) / 2), 0);
+    return ' '.repeat(padding) + text;
+  }
+
+  /**
+   * Get a horizontal rule
+   * @returns {string} Rule line
+   */
+  rule() {
+    return '-'.repeat(this.width);
+  }
+}
+
+// Export the ReceiptService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReceiptService;
+}
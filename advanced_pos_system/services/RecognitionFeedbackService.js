@@ -0,0 +1,227 @@
+/**
+ * Recognition Feedback Service for Advanced POS System
+ * Logs how cashiers respond to camera suggestions and folds the responses into the model
+ *
+ * Accepted suggestions are approved right away. Rejections and corrections wait in a
+ * review queue for a manager unless the visionFeedbackReview setting is off. Approved
+ * feedback is applied in batches: once visionFeedbackBatchSize records are waiting or
+ * visionFeedbackIntervalHours have passed since the last batch.
+ */
+
+class RecognitionFeedbackService {
+  /**
+   * Create a new RecognitionFeedbackService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Record a cashier's response to a suggestion
+   * @param {Object} data - Feedback data (see RecognitionFeedback)
+   * @returns {Object} Result with success status, message and feedback
+   */
+  recordFeedback(data = {}) {
+    try {
+      const RecognitionFeedback = require('../models/RecognitionFeedback');
+      const feedback = new RecognitionFeedback({
+        action: data.action,
+        suggestedProductId: data.suggestedProductId,
+        productId: data.productId,
+        confidence: data.confidence,
+        imageData: data.imageData,
+        boundingBox: data.boundingBox,
+        captureId: data.captureId,
+        employeeId: data.employeeId,
+        storeId: data.storeId
+      });
+
+      const validation = feedback.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      const unknown = [feedback.suggestedProductId, feedback.productId]
+        .filter(productId => productId && !this.db.getProductById(productId));
+      if (unknown.length > 0) {
+        return {
+          success: false,
+          message: `Product not found: ${unknown.join(', ')}`
+        };
+      }
+
+      const reviewRequired = this.db.getSetting('visionFeedbackReview', true);
+      feedback.status = feedback.isCorrection() && reviewRequired ? 'pending' : 'approved';
+
+      if (!this.db.saveRecognitionFeedback(feedback.toObject())) {
+        return {
+          success: false,
+          message: 'Failed to save feedback'
+        };
+      }
+
+      return {
+        success: true,
+        message: feedback.status === 'pending' ? 'Feedback queued for review' : 'Feedback recorded',
+        feedback: feedback.toObject()
+      };
+    } catch (error) {
+      console.error('Error recording recognition feedback:', error);
+      return {
+        success: false,
+        message: 'Failed to record feedback'
+      };
+    }
+  }
+
+  /**
+   * Get the feedback waiting for a manager
+   * @returns {Array} Pending feedback, newest first
+   */
+  getReviewQueue() {
+    return this.db.getRecognitionFeedback('pending');
+  }
+
+  /**
+   * Approve or reject pending feedback
+   * @param {string} id - Feedback ID
+   * @param {boolean} approved - Apply the feedback to the model
+   * @param {string} reviewerId - Manager reviewing the feedback
+   * @param {string} notes - Review notes (optional)
+   * @returns {Object} Result with success status, message and feedback
+   */
+  reviewFeedback(id, approved, reviewerId, notes = '') {
+    const feedback = this.db.getRecognitionFeedbackById(id);
+    if (!feedback) {
+      return {
+        success: false,
+        message: 'Feedback not found'
+      };
+    }
+
+    if (feedback.status !== 'pending') {
+      return {
+        success: false,
+        message: `Feedback has already been ${feedback.status}`
+      };
+    }
+
+    const reviewed = {
+      ...feedback,
+      status: approved ? 'approved' : 'rejected',
+      reviewedBy: reviewerId || null,
+      reviewedAt: new Date().toISOString(),
+      reviewNotes: notes || ''
+    };
+    this.db.saveRecognitionFeedback(reviewed);
+
+    return {
+      success: true,
+      message: approved ? 'Feedback approved' : 'Feedback rejected',
+      feedback: reviewed
+    };
+  }
+
+  /**
+   * Check if enough approved feedback is waiting, or has waited long enough, to apply
+   * @param {Date} date - Time to check
+   * @returns {boolean} Is due
+   */
+  isApplyDue(date = new Date()) {
+    const approved = this.db.getRecognitionFeedback('approved');
+    if (approved.length === 0) {
+      return false;
+    }
+
+    const batchSize = parseInt(this.db.getSetting('visionFeedbackBatchSize', 20)) || 1;
+    if (approved.length >= batchSize) {
+      return true;
+    }
+
+    const intervalHours = parseFloat(this.db.getSetting('visionFeedbackIntervalHours', 24)) || 0;
+    const lastApplied = this.db.getSetting('visionFeedbackLastApplied', null);
+    const oldest = lastApplied || approved[approved.length - 1].createdAt;
+    return date.getTime() - new Date(oldest).getTime() >= intervalHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Apply approved feedback if a batch is due
+   * @param {Object} visionAI - VisionAIService instance
+   * @returns {Promise<Object|null>} Apply result, or null if nothing was due
+   */
+  async applyIfDue(visionAI) {
+    return this.isApplyDue() ? this.applyApproved(visionAI) : null;
+  }
+
+  /**
+   * Train the model with all approved feedback
+   * @param {Object} visionAI - VisionAIService instance
+   * @returns {Promise<Object>} Result with success status, message and counts
+   */
+  async applyApproved(visionAI) {
+    const RecognitionFeedback = require('../models/RecognitionFeedback');
+    const approved = this.db.getRecognitionFeedback('approved').reverse();
+    let positives = 0;
+    let negatives = 0;
+    const failed = [];
+
+    for (const record of approved) {
+      const feedback = RecognitionFeedback.fromObject(record);
+      const example = { imageData: feedback.imageData, boundingBox: feedback.boundingBox };
+      const signatures = [];
+      const errors = [];
+      const examples = [
+        { productId: feedback.getPositiveProductId(), negative: false },
+        { productId: feedback.getNegativeProductId(), negative: true }
+      ].filter(entry => entry.productId);
+
+      for (const entry of examples) {
+        const result = await visionAI.trainModel(entry.productId, [example], { negative: entry.negative });
+        if (!result.success) {
+          errors.push(result.message);
+          continue;
+        }
+
+        signatures.push(...result.signatures);
+        if (entry.negative) {
+          negatives++;
+        } else {
+          positives++;
+        }
+      }
+
+      if (errors.length > 0) {
+        // Leave the feedback approved so it is retried with the next batch
+        failed.push({ id: feedback.id, message: errors.join(', ') });
+        continue;
+      }
+
+      this.db.saveRecognitionFeedback({
+        ...feedback.toObject(),
+        status: 'applied',
+        appliedAt: new Date().toISOString(),
+        signatures
+      });
+    }
+
+    this.db.saveSetting('visionFeedbackLastApplied', new Date().toISOString());
+
+    return {
+      success: failed.length === 0,
+      message: `Applied ${approved.length - failed.length} of ${approved.length} feedback records`,
+      applied: approved.length - failed.length,
+      positives,
+      negatives,
+      failed
+    };
+  }
+}
+
+// Export the RecognitionFeedbackService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecognitionFeedbackService;
+}
@@ -0,0 +1,222 @@
+/**
+ * Recognizer for Advanced POS System
+ * Base interface for the product recognition backends used by VisionAIService
+ *
+ * A recognizer turns a decoded image into an embedding that can be stored as a
+ * product signature and compared with other embeddings of the same model, and
+ * finds the regions of a frame that contain objects.
+ */
+
+class Recognizer {
+  /**
+   * Create a new Recognizer
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.type = 'base';
+    this.loaded = false;
+  }
+
+  /**
+   * Load the model
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadModel() {
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Compute the embedding of an image
+   * @param {Object} image - Decoded image ({ width, height, data })
+   * @returns {Promise<Object>} Embedding, stored as-is in product signatures
+   */
+  async embed(image) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Find the regions of an image that contain objects
+   * Backends without a detector separate objects from the counter background (see
+   * RegionProposer) and treat the whole frame as one object if nothing stands out
+   * @param {Object} image - Decoded image
+   * @param {Object} options - Region proposal options
+   * @param {Object} options.background - Background model of the empty counter
+   * @returns {Promise<Array>} Regions ({ boundingBox: { x1, y1, x2, y2 }, score }) in relative coordinates
+   */
+  async detect(image, options = {}) {
+    const RegionProposer = require('./RegionProposer');
+    const regions = new RegionProposer(options).propose(image, options.background || null);
+
+    if (regions.length === 0) {
+      return [{ boundingBox: { x1: 0, y1: 0, x2: 1, y2: 1 }, score: 1 }];
+    }
+
+    return regions;
+  }
+
+  /**
+   * Compare two embeddings of this model
+   * @param {Object} a - Embedding
+   * @param {Object} b - Embedding
+   * @returns {number} Similarity (0-1)
+   */
+  compare(a, b) {
+    throw new Error(`${this.constructor.name} does not implement compare()`);
+  }
+
+  /**
+   * Get a vector for the nearest-neighbour index whose dot product with another
+   * embedding's vector approximates compare()
+   * @param {Object} embedding - Embedding
+   * @returns {Array<number>} Vector
+   */
+  toVector(embedding) {
+    return embedding.vector;
+  }
+
+  /**
+   * Check if a stored signature was produced by this model and can be compared
+   * @param {Object} signature - Stored signature
+   * @returns {boolean} Is comparable
+   */
+  accepts(signature) {
+    return !!signature && signature.model === this.getModelId();
+  }
+
+  /**
+   * Get the identifier stored with every signature of this model
+   * @returns {string} Model ID
+   */
+  getModelId() {
+    return this.options.modelId || this.type;
+  }
+
+  /**
+   * Get information about the backend
+   * @returns {Object} Backend information
+   */
+  getInfo() {
+    return {
+      backend: this.type,
+      modelId: this.getModelId(),
+      loaded: this.loaded
+    };
+  }
+
+  /**
+   * Create a recognizer from configuration
+   * @param {Object} config - Recognizer configuration
+   * @param {string} config.backend - Backend type (builtin, onnx, tfjs)
+   * @param {string} config.modelPath - Path of the model file for the onnx and tfjs backends
+   * @returns {Recognizer} Recognizer instance
+   */
+  static create(config = {}) {
+    switch (config.backend || 'builtin') {
+      case 'builtin': {
+        const FeatureRecognizer = require('./FeatureRecognizer');
+        return new FeatureRecognizer(config);
+      }
+      case 'onnx': {
+        const OnnxRecognizer = require('./OnnxRecognizer');
+        return new OnnxRecognizer(config);
+      }
+      case 'tfjs': {
+        const TensorFlowRecognizer = require('./TensorFlowRecognizer');
+        return new TensorFlowRecognizer(config);
+      }
+      default:
+        throw new Error(`Unknown recognizer backend: ${config.backend}`);
+    }
+  }
+
+  /**
+   * Create the configured recognizer from the store settings
+   * @param {Object} databaseService - Database service instance
+   * @returns {Recognizer} Recognizer instance
+   */
+  static fromSettings(databaseService) {
+    return Recognizer.create({
+      ...databaseService.getSetting('visionModelOptions', {}),
+      backend: databaseService.getSetting('visionBackend', 'builtin'),
+      modelPath: databaseService.getSetting('visionModelPath', null)
+    });
+  }
+
+  /**
+   * Convert an image to normalized float input for an embedding model
+   * @param {Object} image - Decoded image
+   * @param {Object} options - Preprocessing options
+   * @param {number} options.size - Square input size
+   * @param {string} options.layout - nchw (channels first) or nhwc (channels last)
+   * @param {Array<number>} options.mean - Per channel mean on the 0-1 scale
+   * @param {Array<number>} options.std - Per channel standard deviation on the 0-1 scale
+   * @returns {Float32Array} Input values
+   */
+  static toInputTensor(image, options) {
+    const ImageDecoder = require('./ImageDecoder');
+    const size = options.size;
+    const rgb = ImageDecoder.resize(image, size, size);
+    const pixels = size * size;
+    const input = new Float32Array(pixels * 3);
+
+    for (let i = 0; i < pixels; i++) {
+      for (let channel = 0; channel < 3; channel++) {
+        const value = (rgb[i * 3 + channel] / 255 - options.mean[channel]) / options.std[channel];
+        input[options.layout === 'nchw' ? channel * pixels + i : i * 3 + channel] = value;
+      }
+    }
+
+    return input;
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {Array<number>} Unit vector
+   */
+  static normalize(vector) {
+    let length = 0;
+    for (let i = 0; i < vector.length; i++) {
+      length += vector[i] * vector[i];
+    }
+
+    length = Math.sqrt(length);
+    return Array.from(vector, value => length > 0 ? value / length : 0);
+  }
+
+  /**
+   * Cosine similarity of two unit vectors, negative similarity counted as 0
+   * @param {Array<number>} a - Unit vector
+   * @param {Array<number>} b - Unit vector
+   * @returns {number} Similarity (0-1)
+   */
+  static cosine(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+      return 0;
+    }
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+
+    return Math.round(Math.min(Math.max(dot, 0), 1) * 10000) / 10000;
+  }
+}
+
+// Available backends
+Recognizer.BACKENDS = ['builtin', 'onnx', 'tfjs'];
+
+// Default preprocessing of embedding models (ImageNet statistics)
+Recognizer.DEFAULT_INPUT = {
+  size: 224,
+  mean: [0.485, 0.456, 0.406],
+  std: [0.229, 0.224, 0.225]
+};
+
+// Export the Recognizer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Recognizer;
+}
@@ -0,0 +1,219 @@
+/**
+ * Reed-Solomon Error Correction for Advanced POS System
+ * Encodes and corrects codewords over GF(256) with the QR code field (polynomial 0x11D,
+ * generator roots a^0 .. a^(n-1)), as used by QRDecoder
+ *
+ * Codewords are byte arrays with the highest-degree coefficient first.
+ */
+
+class ReedSolomon {
+  /**
+   * Compute the error correction codewords of a block
+   * @param {Array} data - Data codewords
+   * @param {number} ecCount - Number of error correction codewords
+   * @returns {Array} Error correction codewords
+   */
+  static encode(data, ecCount) {
+    const generator = ReedSolomon.getGenerator(ecCount);
+    const remainder = [...data, ...new Array(ecCount).fill(0)];
+
+    for (let i = 0; i < data.length; i++) {
+      const coefficient = remainder[i];
+      if (coefficient !== 0) {
+        for (let j = 1; j < generator.length; j++) {
+          remainder[i + j] ^= ReedSolomon.multiply(generator[j], coefficient);
+        }
+      }
+    }
+
+    return remainder.slice(data.length);
+  }
+
+  /**
+   * Correct the errors in a block
+   * @param {Array} codewords - Data and error correction codewords
+   * @param {number} ecCount - Number of error correction codewords
+   * @returns {Object} Corrected codewords and the number of corrected errors
+   * @throws {Error} When there are more errors than the block can correct
+   */
+  static decode(codewords, ecCount) {
+    const n = codewords.length;
+    const syndromes = [];
+    for (let i = 0; i < ecCount; i++) {
+      syndromes.push(ReedSolomon.evaluate(codewords, ReedSolomon.EXP[i]));
+    }
+
+    if (syndromes.every(syndrome => syndrome === 0)) {
+      return { codewords: [...codewords], errors: 0 };
+    }
+
+    // Berlekamp-Massey: error locator with the constant term first
+    let locator = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+
+    for (let i = 0; i < ecCount; i++) {
+      let discrepancy = syndromes[i];
+      for (let j = 1; j <= length; j++) {
+        discrepancy ^= ReedSolomon.multiply(locator[j] || 0, syndromes[i - j]);
+      }
+
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+
+      const scale = ReedSolomon.divide(discrepancy, previousDiscrepancy);
+      const updated = [...locator];
+      previous.forEach((coefficient, j) => {
+        updated[j + shift] = (updated[j + shift] || 0) ^ ReedSolomon.multiply(scale, coefficient);
+      });
+
+      if (2 * length <= i) {
+        previous = locator;
+        length = i + 1 - length;
+        previousDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = updated;
+    }
+
+    if (2 * length > ecCount) {
+      throw new Error('Too many errors to correct');
+    }
+
+    // Chien search: position p (degree n - 1 - p) is wrong when the locator vanishes at its inverse
+    const positions = [];
+    for (let p = 0; p < n; p++) {
+      const inverse = ReedSolomon.EXP[(255 - (n - 1 - p) % 255) % 255];
+      if (ReedSolomon.evaluateAscending(locator, inverse) === 0) {
+        positions.push(p);
+      }
+    }
+
+    if (positions.length !== length) {
+      throw new Error('Too many errors to correct');
+    }
+
+    // Forney: error evaluator = syndromes x locator mod x^ecCount
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+      for (let j = 0; j <= i && j < locator.length; j++) {
+        evaluator[i] ^= ReedSolomon.multiply(syndromes[i - j], locator[j]);
+      }
+    }
+
+    const derivative = locator.map((coefficient, i) => (i % 2 === 1 ? coefficient : 0)).slice(1);
+    const corrected = [...codewords];
+
+    positions.forEach(p => {
+      const degree = n - 1 - p;
+      const location = ReedSolomon.EXP[degree % 255];
+      const inverse = ReedSolomon.EXP[(255 - degree % 255) % 255];
+      const denominator = ReedSolomon.evaluateAscending(derivative, inverse);
+      if (denominator === 0) {
+        throw new Error('Too many errors to correct');
+      }
+
+      corrected[p] ^= ReedSolomon.multiply(location,
+        ReedSolomon.divide(ReedSolomon.evaluateAscending(evaluator, inverse), denominator));
+    });
+
+    for (let i = 0; i < ecCount; i++) {
+      if (ReedSolomon.evaluate(corrected, ReedSolomon.EXP[i]) !== 0) {
+        throw new Error('Too many errors to correct');
+      }
+    }
+
+    return { codewords: corrected, errors: positions.length };
+  }
+
+  /**
+   * Get the generator polynomial (x - a^0)(x - a^1)...(x - a^(n-1))
+   * @param {number} degree - Number of error correction codewords
+   * @returns {Array} Coefficients, highest degree first
+   */
+  static getGenerator(degree) {
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(generator.length + 1).fill(0);
+      generator.forEach((coefficient, j) => {
+        next[j] ^= coefficient;
+        next[j + 1] ^= ReedSolomon.multiply(coefficient, ReedSolomon.EXP[i]);
+      });
+      generator = next;
+    }
+    return generator;
+  }
+
+  /**
+   * Evaluate a polynomial with the highest degree first
+   * @param {Array} poly - Coefficients
+   * @param {number} x - Field element
+   * @returns {number} Value
+   */
+  static evaluate(poly, x) {
+    return poly.reduce((value, coefficient) => ReedSolomon.multiply(value, x) ^ coefficient, 0);
+  }
+
+  /**
+   * Evaluate a polynomial with the constant term first
+   * @param {Array} poly - Coefficients
+   * @param {number} x - Field element
+   * @returns {number} Value
+   */
+  static evaluateAscending(poly, x) {
+    let value = 0;
+    for (let i = poly.length - 1; i >= 0; i--) {
+      value = ReedSolomon.multiply(value, x) ^ (poly[i] || 0);
+    }
+    return value;
+  }
+
+  /**
+   * Multiply two field elements
+   * @param {number} a - Element
+   * @param {number} b - Element
+   * @returns {number} Product
+   */
+  static multiply(a, b) {
+    if (a === 0 || b === 0) {
+      return 0;
+    }
+    return ReedSolomon.EXP[(ReedSolomon.LOG[a] + ReedSolomon.LOG[b]) % 255];
+  }
+
+  /**
+   * Divide two field elements
+   * @param {number} a - Dividend
+   * @param {number} b - Divisor (non-zero)
+   * @returns {number} Quotient
+   */
+  static divide(a, b) {
+    if (a === 0) {
+      return 0;
+    }
+    return ReedSolomon.EXP[(ReedSolomon.LOG[a] + 255 - ReedSolomon.LOG[b]) % 255];
+  }
+}
+
+// Powers and logarithms of the generator a = 2 in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+ReedSolomon.EXP = new Array(256);
+ReedSolomon.LOG = new Array(256);
+for (let i = 0, value = 1; i < 256; i++) {
+  ReedSolomon.EXP[i] = value;
+  ReedSolomon.LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) {
+    value ^= 0x11d;
+  }
+}
+
+// Export the ReedSolomon class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReedSolomon;
+}
@@ -0,0 +1,224 @@
+/**
+ * Region Proposer for Advanced POS System
+ * Finds the objects lying on the counter by separating them from the background
+ *
+ * The frame is reduced to a coarse grid and every cell is compared with a background
+ * model: a captured frame of the empty counter when one is set (see createBackground),
+ * otherwise the median colour of the frame border. Cells that differ are foreground;
+ * connected groups of foreground cells become regions. Objects that touch each other
+ * form a single region.
+ *
+ * Options: gridSize (cells along the longer side, default 64), threshold (colour
+ * distance 0-441, default 48), minArea (fraction of the frame, default 0.01),
+ * maxRegions (default 20).
+ */
+
+class RegionProposer {
+  /**
+   * Create a new RegionProposer
+   * @param {Object} options - Proposal options
+   */
+  constructor(options = {}) {
+    this.gridSize = parseInt(options.gridSize) || 64;
+    this.threshold = parseFloat(options.threshold) || 48;
+    this.minArea = parseFloat(options.minArea) || 0.01;
+    this.maxRegions = parseInt(options.maxRegions) || 20;
+  }
+
+  /**
+   * Find the regions of an image that contain objects
+   * @param {Object} image - Decoded image
+   * @param {Object} background - Background model from createBackground (optional)
+   * @returns {Array} Regions ({ boundingBox: { x1, y1, x2, y2 }, score }), largest first
+   */
+  propose(image, background = null) {
+    const ImageDecoder = require('./ImageDecoder');
+    const { width, height } = background || this.getGridSize(image);
+    const grid = ImageDecoder.resize(image, width, height);
+    const reference = background
+      ? Buffer.from(background.data, 'base64')
+      : this.getBorderColour(grid, width, height);
+
+    const mask = this.close(this.getForegroundMask(grid, reference, !background), width, height);
+    const minCells = Math.max(Math.round(this.minArea * width * height), 1);
+
+    return this.findComponents(mask, width, height)
+      .filter(component => component.cells >= minCells)
+      .sort((a, b) => b.cells - a.cells)
+      .slice(0, this.maxRegions)
+      .map(component => ({
+        // Grow each box by one cell so the object's edges are not cut off
+        boundingBox: {
+          x1: Math.max(component.minX - 1, 0) / width,
+          y1: Math.max(component.minY - 1, 0) / height,
+          x2: Math.min(component.maxX + 2, width) / width,
+          y2: Math.min(component.maxY + 2, height) / height
+        },
+        score: Math.round(component.cells /
+          ((component.maxX - component.minX + 1) * (component.maxY - component.minY + 1)) * 10000) / 10000
+      }));
+  }
+
+  /**
+   * Build a background model from a frame of the empty counter
+   * @param {Object} image - Decoded image
+   * @returns {Object} Background model ({ width, height, data }) with base64 RGB cells
+   */
+  createBackground(image) {
+    const ImageDecoder = require('./ImageDecoder');
+    const { width, height } = this.getGridSize(image);
+    const grid = ImageDecoder.resize(image, width, height);
+
+    return {
+      width,
+      height,
+      data: Buffer.from(Uint8Array.from(grid, value => Math.round(value))).toString('base64'),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the grid dimensions for an image, keeping its aspect ratio
+   * @param {Object} image - Decoded image
+   * @returns {Object} Grid size ({ width, height })
+   */
+  getGridSize(image) {
+    const scale = this.gridSize / Math.max(image.width, image.height);
+    return {
+      width: Math.max(Math.round(image.width * scale), 1),
+      height: Math.max(Math.round(image.height * scale), 1)
+    };
+  }
+
+  /**
+   * Get the median colour of the cells along the frame border
+   * @param {Float32Array} grid - RGB cells
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {Array<number>} RGB colour
+   */
+  getBorderColour(grid, width, height) {
+    const channels = [[], [], []];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+          const offset = (y * width + x) * 3;
+          channels.forEach((values, channel) => values.push(grid[offset + channel]));
+        }
+      }
+    }
+
+    return channels.map(values => {
+      values.sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    });
+  }
+
+  /**
+   * Mark the cells that differ from the background
+   * @param {Float32Array} grid - RGB cells
+   * @param {ArrayLike<number>} reference - Background RGB cells, or one colour for every cell
+   * @param {boolean} single - Reference is a single colour
+   * @returns {Uint8Array} Mask (1 for foreground)
+   */
+  getForegroundMask(grid, reference, single) {
+    const mask = new Uint8Array(grid.length / 3);
+
+    for (let cell = 0; cell < mask.length; cell++) {
+      const offset = cell * 3;
+      const base = single ? 0 : offset;
+      const dr = grid[offset] - reference[base];
+      const dg = grid[offset + 1] - reference[base + 1];
+      const db = grid[offset + 2] - reference[base + 2];
+      mask[cell] = Math.sqrt(dr * dr + dg * dg + db * db) > this.threshold ? 1 : 0;
+    }
+
+    return mask;
+  }
+
+  /**
+   * Fill one-cell gaps in the mask (dilation followed by erosion)
+   * @param {Uint8Array} mask - Mask
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {Uint8Array} Closed mask
+   */
+  close(mask, width, height) {
+    const apply = (source, dilate) => {
+      const target = new Uint8Array(source.length);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          let value = dilate ? 0 : 1;
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+              const nx = Math.min(Math.max(x + dx, 0), width - 1);
+              const ny = Math.min(Math.max(y + dy, 0), height - 1);
+              value = dilate ? value | source[ny * width + nx] : value & source[ny * width + nx];
+            }
+          }
+          target[y * width + x] = value;
+        }
+      }
+      return target;
+    };
+
+    return apply(apply(mask, true), false);
+  }
+
+  /**
+   * Find the connected groups of foreground cells
+   * @param {Uint8Array} mask - Mask
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {Array} Components ({ cells, minX, minY, maxX, maxY })
+   */
+  findComponents(mask, width, height) {
+    const visited = new Uint8Array(mask.length);
+    const components = [];
+
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || visited[start]) {
+        continue;
+      }
+
+      const component = { cells: 0, minX: width, minY: height, maxX: 0, maxY: 0 };
+      const stack = [start];
+      visited[start] = 1;
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const x = cell % width;
+        const y = (cell - x) / width;
+
+        component.cells++;
+        component.minX = Math.min(component.minX, x);
+        component.minY = Math.min(component.minY, y);
+        component.maxX = Math.max(component.maxX, x);
+        component.maxY = Math.max(component.maxY, y);
+
+        const neighbours = [
+          x > 0 ? cell - 1 : -1,
+          x < width - 1 ? cell + 1 : -1,
+          y > 0 ? cell - width : -1,
+          y < height - 1 ? cell + width : -1
+        ];
+        neighbours.forEach(neighbour => {
+          if (neighbour >= 0 && mask[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        });
+      }
+
+      components.push(component);
+    }
+
+    return components;
+  }
+}
+
+// Export the RegionProposer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegionProposer;
+}
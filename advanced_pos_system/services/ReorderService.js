@@ -0,0 +1,241 @@
+/**
+ * Reorder Service for Advanced POS System
+ * Suggests what to reorder from each product's recent sales velocity and its supplier's
+ * lead time, and turns the suggestions into draft purchase orders per supplier
+ *
+ * Velocity is the net quantity sold per day over the last reorderVelocityDays days (or
+ * since the product was created, if later); bundles count as sales of their components.
+ * A product needs reordering when its stock plus the quantity still on open purchase
+ * orders is at or below its reorder point:
+ *
+ *   reorder point = velocity x (lead time + reorderSafetyDays)
+ *   order quantity = reorder point + velocity x reorderCoverDays - (stock + on order)
+ *
+ * A product's own reorderPoint and reorderQuantity take precedence over the computed
+ * ones; a fixed reorder quantity is ordered in as many multiples as needed to get back
+ * above the reorder point.
+ */
+
+class ReorderService {
+  /**
+   * Create a new ReorderService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Get reorder suggestions for products at or below their reorder point
+   * @param {Object} options - Options
+   * @param {number} options.days - Days of sales history (default the reorderVelocityDays setting)
+   * @param {string} options.supplierId - Only products of this supplier
+   * @param {Array} options.productIds - Only these products
+   * @param {Date} options.now - Reference time (default now)
+   * @returns {Array} Suggestions, products that will run out soonest first
+   */
+  getSuggestions(options = {}) {
+    const Product = require('../models/Product');
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const now = options.now ? new Date(options.now) : new Date();
+    const days = parseInt(options.days) || parseInt(this.db.getSetting('reorderVelocityDays', 28)) || 28;
+    const safetyDays = parseFloat(this.db.getSetting('reorderSafetyDays', 7)) || 0;
+    const coverDays = parseFloat(this.db.getSetting('reorderCoverDays', 14)) || 0;
+
+    const sold = this.getNetSales(new Date(now.getTime() - days * ReorderService.DAY_MS), now);
+    const onOrder = this.getOnOrderQuantities();
+    const suggestions = [];
+
+    this.db.getProducts().forEach(existing => {
+      const product = Product.fromObject(existing);
+      if (product.isParent() || product.isBundle()) {
+        return;
+      }
+
+      if (options.supplierId && product.supplierId !== options.supplierId) {
+        return;
+      }
+
+      if (options.productIds && !options.productIds.includes(product.id)) {
+        return;
+      }
+
+      // Products younger than the window have sold over fewer days
+      const age = (now - new Date(product.createdAt)) / ReorderService.DAY_MS;
+      const velocity = Math.max(sold[product.id] || 0, 0) / Math.max(Math.min(days, age), 1);
+
+      const supplier = product.supplierId ? this.db.getSupplierById(product.supplierId) : null;
+      const leadTimeDays = supplier ? supplier.leadTimeDays : parseInt(this.db.getSetting('reorderDefaultLeadTimeDays', 7)) || 0;
+
+      const computedPoint = this.roundUp(product, velocity * (leadTimeDays + safetyDays));
+      const reorderPoint = product.reorderPoint !== null ? product.reorderPoint : computedPoint;
+      const position = UnitOfMeasure.round(product.stock + (onOrder[product.id] || 0));
+
+      // Nothing to suggest for products that do not sell and have no reorder point of their own
+      if (position > reorderPoint || (velocity === 0 && product.reorderPoint === null)) {
+        return;
+      }
+
+      let suggestedQuantity;
+      if (product.reorderQuantity !== null) {
+        const multiples = Math.max(Math.ceil((reorderPoint - position) / product.reorderQuantity + 1e-9), 1);
+        suggestedQuantity = UnitOfMeasure.round(product.reorderQuantity * multiples);
+      } else {
+        suggestedQuantity = this.roundUp(product, reorderPoint + velocity * coverDays - position);
+      }
+
+      if (!(suggestedQuantity > 0)) {
+        return;
+      }
+
+      suggestions.push({
+        productId: product.id,
+        name: product.name,
+        sku: product.sku,
+        unitOfMeasure: product.unitOfMeasure,
+        supplierId: supplier ? supplier.id : null,
+        supplierName: supplier ? supplier.name : '',
+        stock: product.stock,
+        onOrder: onOrder[product.id] || 0,
+        velocity: parseFloat(velocity.toFixed(3)),
+        daysOfStock: velocity > 0 ? parseFloat((Math.max(product.stock, 0) / velocity).toFixed(1)) : null,
+        leadTimeDays,
+        reorderPoint,
+        reorderPointSource: product.reorderPoint !== null ? 'product' : 'computed',
+        suggestedQuantity,
+        expectedCost: product.cost !== null ? product.cost : 0
+      });
+    });
+
+    return suggestions.sort((a, b) => {
+      return (a.daysOfStock === null ? Infinity : a.daysOfStock) - (b.daysOfStock === null ? Infinity : b.daysOfStock);
+    });
+  }
+
+  /**
+   * Create a draft purchase order per supplier from the reorder suggestions
+   * Products without an active supplier cannot be ordered and are returned as unassigned
+   * @param {Object} options - Suggestion options (see getSuggestions)
+   * @param {string} userId - User generating the orders
+   * @returns {Object} Result with success status, message, purchase orders and unassigned suggestions
+   */
+  createDraftOrders(options = {}, userId = null) {
+    try {
+      const PurchaseOrderService = require('./PurchaseOrderService');
+      const purchaseOrderService = new PurchaseOrderService(this.db);
+      const bySupplier = {};
+      const unassigned = [];
+
+      this.getSuggestions(options).forEach(suggestion => {
+        const supplier = suggestion.supplierId ? this.db.getSupplierById(suggestion.supplierId) : null;
+        if (!supplier || !supplier.active) {
+          unassigned.push(suggestion);
+          return;
+        }
+
+        bySupplier[supplier.id] = bySupplier[supplier.id] || [];
+        bySupplier[supplier.id].push(suggestion);
+      });
+
+      const purchaseOrders = [];
+      for (const [supplierId, suggestions] of Object.entries(bySupplier)) {
+        const result = purchaseOrderService.createOrder({
+          supplierId,
+          notes: 'Generated from reorder suggestions',
+          lines: suggestions.map(suggestion => ({
+            productId: suggestion.productId,
+            quantity: suggestion.suggestedQuantity,
+            expectedCost: suggestion.expectedCost
+          }))
+        }, userId);
+
+        if (!result.success) {
+          return result;
+        }
+        purchaseOrders.push(result.purchaseOrder);
+      }
+
+      return {
+        success: true,
+        message: purchaseOrders.length > 0
+          ? `${purchaseOrders.length} draft purchase orders created`
+          : 'Nothing needs reordering',
+        purchaseOrders,
+        unassigned
+      };
+    } catch (error) {
+      console.error('Error creating reorder purchase orders:', error);
+      return {
+        success: false,
+        message: 'Failed to create purchase orders'
+      };
+    }
+  }
+
+  /**
+   * Get the net quantity sold per product in a period, with bundles counted as their components
+   * @param {Date} startDate - Start of the period
+   * @param {Date} endDate - End of the period
+   * @returns {Object} Net quantity by product ID
+   */
+  getNetSales(startDate, endDate) {
+    const SalesReportService = require('./SalesReportService');
+    const InventoryService = require('./InventoryService');
+    const inventory = new InventoryService(this.db);
+    const sold = {};
+
+    new SalesReportService(this.db).getCompletedTransactions({
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString()
+    }).forEach(transaction => {
+      // Refund lines have negative quantities and reduce the net
+      transaction.items.flatMap(item => inventory.getStockLines(item)).forEach(line => {
+        sold[line.productId] = (sold[line.productId] || 0) + line.quantity;
+      });
+    });
+
+    return sold;
+  }
+
+  /**
+   * Get the quantities still to be delivered on purchase orders that are not closed
+   * Drafts count too, so that generating orders twice does not order twice
+   * @returns {Object} Outstanding quantity by product ID
+   */
+  getOnOrderQuantities() {
+    const PurchaseOrder = require('../models/PurchaseOrder');
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const onOrder = {};
+
+    this.db.getPurchaseOrders()
+      .filter(order => order.status !== 'closed')
+      .forEach(existing => {
+        const order = PurchaseOrder.fromObject(existing);
+        order.lines.forEach(line => {
+          onOrder[line.productId] = UnitOfMeasure.round((onOrder[line.productId] || 0) + order.getOutstandingQuantity(line));
+        });
+      });
+
+    return onOrder;
+  }
+
+  /**
+   * Round a quantity up to what the product can be ordered in
+   * @param {Product} product - Product
+   * @param {number} quantity - Quantity
+   * @returns {number} Whole units for products sold by unit, otherwise rounded up to UnitOfMeasure.QUANTITY_DECIMALS
+   */
+  roundUp(product, quantity) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const scale = product.isMeasured() ? Math.pow(10, UnitOfMeasure.QUANTITY_DECIMALS) : 1;
+    return Math.ceil(UnitOfMeasure.round(quantity) * scale - 1e-9) / scale;
+  }
+}
+
+// Milliseconds in a day
+ReorderService.DAY_MS = 24 * 60 * 60 * 1000;
+
+// Export the ReorderService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReorderService;
+}
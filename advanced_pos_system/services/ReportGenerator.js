@@ -31,15 +31,7 @@ function generateValidationReport(validationResults) {
   fs.writeFileSync(htmlPath, htmlReport);
 
   // Generate PDF report (if wkhtmltopdf is available)
-  let pdfPath = null;
-  try {
-    pdfPath = path.join(reportsDir, `validation_report_${timestamp}.pdf`);
-    const command = `wkhtmltopdf ${htmlPath} ${pdfPath}`;
-    execSync(command);
-  } catch (error) {
-    console.warn('Could not generate PDF report:', error.message);
-    pdfPath = null;
-  }
+  const pdfPath = generatePdfReport(htmlPath);
 
   // Generate text summary
   const textSummary = generateTextSummary(validationResults);
@@ -53,6 +45,386 @@ function generateValidationReport(validationResults) {
   };
 }
 
+/**
+ * Generate a vision evaluation report
+ * @param {Object} evaluation - Evaluation from VisionEvaluator
+ * @param {string} reportsDir - Output directory (defaults to ./reports)
+ * @returns {Object} Report paths
+ */
+function generateVisionEvaluationReport(evaluation, reportsDir = path.join(process.cwd(), 'reports')) {
+  if (!evaluation || !evaluation.summary || !evaluation.confusionMatrix) {
+    throw new Error('Invalid vision evaluation provided');
+  }
+
+  const timestamp = Date.now();
+
+  // Ensure reports directory exists
+  if (!fs.existsSync(reportsDir)) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+  }
+
+  // Generate HTML report
+  const htmlPath = path.join(reportsDir, `vision_evaluation_${timestamp}.html`);
+  fs.writeFileSync(htmlPath, generateVisionEvaluationHtml(evaluation));
+
+  // Generate PDF report (if wkhtmltopdf is available)
+  const pdfPath = generatePdfReport(htmlPath);
+
+  // Keep the raw metrics for comparing models over time
+  const jsonPath = path.join(reportsDir, `vision_evaluation_${timestamp}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify(evaluation, null, 2));
+
+  // Generate text summary
+  const summaryPath = path.join(reportsDir, `vision_evaluation_summary_${timestamp}.txt`);
+  fs.writeFileSync(summaryPath, generateVisionEvaluationSummary(evaluation));
+
+  return {
+    html: htmlPath,
+    pdf: pdfPath,
+    json: jsonPath,
+    summary: summaryPath
+  };
+}
+
+/**
+ * Convert an HTML report to PDF
+ * @param {string} htmlPath - HTML report path
+ * @returns {string|null} PDF path, or null if wkhtmltopdf is not available
+ */
+function generatePdfReport(htmlPath) {
+  const pdfPath = htmlPath.replace(/\.html$/, '.pdf');
+  try {
+    const command = `wkhtmltopdf ${htmlPath} ${pdfPath}`;
+    execSync(command, { stdio: 'ignore' });
+    return pdfPath;
+  } catch (error) {
+    console.warn('Could not generate PDF report:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio (0-1)
+ * @returns {string} Percentage
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Generate HTML vision evaluation report
+ * @param {Object} evaluation - Evaluation from VisionEvaluator
+ * @returns {string} HTML report content
+ */
+function generateVisionEvaluationHtml(evaluation) {
+  const { summary, confusionMatrix, products, topK, latency, thresholdSweep, bestThreshold } = evaluation;
+  
+  let html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Advanced POS System with Vision AI - Vision Evaluation Report</title>
+  <style>
+    body {
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h1, h2, h3 {
+      color: #2c3e50;
+    }
+    .header {
+      text-align: center;
+      margin-bottom: 30px;
+      padding-bottom: 20px;
+      border-bottom: 1px solid #eee;
+    }
+    .summary {
+      background-color: #f8f9fa;
+      padding: 20px;
+      border-radius: 5px;
+      margin-bottom: 30px;
+    }
+    .category {
+      margin-bottom: 30px;
+      padding: 20px;
+      border: 1px solid #eee;
+      border-radius: 5px;
+      overflow-x: auto;
+    }
+    .warning {
+      color: #856404;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 20px;
+    }
+    th, td {
+      padding: 8px 12px;
+      text-align: left;
+      border-bottom: 1px solid #ddd;
+    }
+    th {
+      background-color: #f8f9fa;
+    }
+    td.diagonal {
+      background-color: #d4edda;
+    }
+    td.error {
+      background-color: #f8d7da;
+    }
+    tr.best {
+      font-weight: bold;
+    }
+    .footer {
+      margin-top: 40px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+      text-align: center;
+      font-size: 0.9em;
+      color: #6c757d;
+    }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Advanced POS System with Vision AI</h1>
+    <h2>Vision Evaluation Report</h2>
+    <p>Generated on ${new Date().toLocaleString()}</p>
+  </div>
+  
+  <div class="summary">
+    <h2>Summary</h2>
+    <p>Dataset: ${escapeHtml(evaluation.dataset)} (${evaluation.imageCount} images)</p>
+    <p>Model: ${escapeHtml(evaluation.model)}${evaluation.calibrated ? ' (calibrated)' : ''}</p>
+    <table>
+      <tbody>
+        <tr><th>Confidence Threshold</th><td>${summary.threshold}${Object.keys(evaluation.productThresholds || {}).length > 0 ? ` (${Object.keys(evaluation.productThresholds).length} products with their own)` : ''}</td></tr>
+        <tr><th>Precision</th><td>${formatPercent(summary.precision)}</td></tr>
+        <tr><th>Recall</th><td>${formatPercent(summary.recall)}</td></tr>
+        <tr><th>F1 Score</th><td>${formatPercent(summary.f1Score)}</td></tr>
+        <tr><th>Best Threshold (F1)</th><td>${bestThreshold ? `${bestThreshold.threshold} (${formatPercent(bestThreshold.f1Score)})` : 'n/a'}</td></tr>
+  `;
+  
+  for (const [k, accuracy] of Object.entries(topK.accuracy)) {
+    html += `
+        <tr><th>Top-${k} Accuracy</th><td>${formatPercent(accuracy)} of ${topK.images} single-product images</td></tr>
+    `;
+  }
+  
+  html += `
+        <tr><th>Latency</th><td>p50 ${latency.p50} ms, p90 ${latency.p90} ms, p95 ${latency.p95} ms, p99 ${latency.p99} ms, max ${latency.max} ms</td></tr>
+      </tbody>
+    </table>
+  `;
+  
+  // Add dataset problems
+  const problems = [...evaluation.warnings, ...evaluation.errors.map(error => `${error.image}: ${error.message}`)];
+  if (problems.length > 0) {
+    html += `
+    <h3 class="warning">Warnings</h3>
+    <ul>
+      ${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+    </ul>
+    `;
+  }
+  
+  html += `
+  </div>
+  
+  <div class="category">
+    <h2>Per-Product Results</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Product</th>
+          <th>Objects</th>
+          <th>Predictions</th>
+          <th>Precision</th>
+          <th>Recall</th>
+          <th>F1 Score</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  
+  for (const product of products) {
+    html += `
+        <tr>
+          <td>${escapeHtml(product.name)}</td>
+          <td>${product.support}</td>
+          <td>${product.predictions}</td>
+          <td>${formatPercent(product.precision)}</td>
+          <td>${formatPercent(product.recall)}</td>
+          <td>${formatPercent(product.f1Score)}</td>
+        </tr>
+    `;
+  }
+  
+  html += `
+      </tbody>
+    </table>
+  </div>
+  
+  <div class="category">
+    <h2>Confusion Matrix</h2>
+    <p>Rows are the labelled products, columns the recognized ones, at threshold ${summary.threshold}.</p>
+    <table>
+      <thead>
+        <tr>
+          <th>Expected / Recognized</th>
+          ${confusionMatrix.names.map(name => `<th>${escapeHtml(name)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  
+  confusionMatrix.labels.forEach((expected, row) => {
+    const cells = confusionMatrix.labels.map(predicted => {
+      const count = (confusionMatrix.matrix[expected] && confusionMatrix.matrix[expected][predicted]) || 0;
+      const type = expected === predicted ? 'diagonal' : count > 0 ? 'error' : '';
+      return `<td class="${type}">${count || ''}</td>`;
+    });
+    
+    html += `
+        <tr>
+          <th>${escapeHtml(confusionMatrix.names[row])}</th>
+          ${cells.join('')}
+        </tr>
+    `;
+  });
+  
+  html += `
+      </tbody>
+    </table>
+  </div>
+  
+  <div class="category">
+    <h2>Threshold Sweep</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Threshold</th>
+          <th>Precision</th>
+          <th>Recall</th>
+          <th>F1 Score</th>
+          <th>False Positives</th>
+          <th>False Negatives</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  
+  for (const row of thresholdSweep) {
+    html += `
+        <tr class="${row === bestThreshold ? 'best' : ''}">
+          <td>${row.threshold}</td>
+          <td>${formatPercent(row.precision)}</td>
+          <td>${formatPercent(row.recall)}</td>
+          <td>${formatPercent(row.f1Score)}</td>
+          <td>${row.falsePositives}</td>
+          <td>${row.falseNegatives}</td>
+        </tr>
+    `;
+  }
+  
+  html += `
+      </tbody>
+    </table>
+  </div>
+  
+  <div class="footer">
+    <p>Advanced POS System with Vision AI - Vision Evaluation Report</p>
+    <p>© ${new Date().getFullYear()} - All Rights Reserved</p>
+  </div>
+</body>
+</html>
+  `;
+  
+  return html;
+}
+
+/**
+ * Generate text summary of a vision evaluation
+ * @param {Object} evaluation - Evaluation from VisionEvaluator
+ * @returns {string} Text summary
+ */
+function generateVisionEvaluationSummary(evaluation) {
+  const { summary, products, topK, latency, bestThreshold } = evaluation;
+  
+  let text = `
+=======================================================================
+                ADVANCED POS SYSTEM WITH VISION AI
+                   VISION EVALUATION SUMMARY
+=======================================================================
+Date: ${new Date().toLocaleString()}
+Dataset: ${evaluation.dataset} (${evaluation.imageCount} images)
+Model: ${evaluation.model}${evaluation.calibrated ? ' (calibrated)' : ''}
+
+AT THRESHOLD ${summary.threshold}:
+Precision: ${formatPercent(summary.precision)}
+Recall: ${formatPercent(summary.recall)}
+F1 Score: ${formatPercent(summary.f1Score)}
+Best Threshold (F1): ${bestThreshold ? `${bestThreshold.threshold} (${formatPercent(bestThreshold.f1Score)})` : 'n/a'}
+
+TOP-K ACCURACY (${topK.images} single-product images):
+`;
+
+  for (const [k, accuracy] of Object.entries(topK.accuracy)) {
+    text += `Top-${k}: ${formatPercent(accuracy)}
+`;
+  }
+
+  text += `
+LATENCY (ms):
+p50 ${latency.p50} / p90 ${latency.p90} / p95 ${latency.p95} / p99 ${latency.p99} / max ${latency.max}
+
+=======================================================================
+PER-PRODUCT RESULTS (lowest F1 first):
+`;
+
+  for (const product of products) {
+    text += `
+${product.name}: precision ${formatPercent(product.precision)}, recall ${formatPercent(product.recall)} (${product.support} objects)`;
+  }
+
+  const problems = [...evaluation.warnings, ...evaluation.errors.map(error => `${error.image}: ${error.message}`)];
+  if (problems.length > 0) {
+    text += `
+
+=======================================================================
+WARNINGS:
+${problems.map(problem => `- ${problem}`).join('\n')}`;
+  }
+
+  text += `
+
+=======================================================================
+`;
+
+  return text;
+}
+
 /**
  * Generate HTML validation report
  * @param {Object} validationResults - Results from system validation
@@ -455,5 +827,6 @@ Future Enhancements:
 }
 
 module.exports = {
-  generateValidationReport
+  generateValidationReport,
+  generateVisionEvaluationReport
 };
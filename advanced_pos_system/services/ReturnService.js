@@ -0,0 +1,487 @@
+/**
+ * Return Service for Advanced POS System
+ * Processes full and partial returns against completed sales and issues
+ * linked refund transactions with negative totals
+ */
+
+class ReturnService {
+  /**
+   * Create a new ReturnService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Get the items of a sale that can still be returned
+   * @param {string} transactionId - Original transaction ID
+   * @returns {Object} Result with success status, message, and returnable items
+   */
+  getReturnableItems(transactionId) {
+    const original = this.getOriginalTransaction(transactionId);
+    if (!original.success) {
+      return original;
+    }
+
+    const refunded = original.transaction.getRefundedQuantities(this.db.getRefundsForTransaction(transactionId));
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+
+    const items = original.transaction.items.map(item => {
+      const returnedQuantity = refunded[item.productId] || 0;
+      return {
+        productId: item.productId,
+        name: item.name,
+        priceAtSale: item.priceAtSale,
+        unitOfMeasure: item.unitOfMeasure || 'ea',
+        soldQuantity: item.quantity,
+        returnedQuantity,
+        returnableQuantity: Math.max(UnitOfMeasure.round(item.quantity - returnedQuantity), 0)
+      };
+    });
+
+    return {
+      success: true,
+      items,
+      refundableAmount: this.getRefundableAmount(original.transaction)
+    };
+  }
+
+  /**
+   * Process a return against a completed sale
+   * @param {string} transactionId - Original transaction ID
+   * @param {Object} data - Return data
+   * @param {Array} data.items - Lines to return ({ productId, quantity, disposition })
+   * @param {string} data.refundMethod - Refund method (original or store_credit)
+   * @param {string} data.reason - Reason for the return
+   * @param {string} userId - User processing the return
+   * @returns {Object} Result with success status, message, refund transaction and store credit
+   */
+  processReturn(transactionId, data = {}, userId = null) {
+    try {
+      const original = this.getOriginalTransaction(transactionId);
+      if (!original.success) {
+        return original;
+      }
+
+      const sale = original.transaction;
+      const refundMethod = data.refundMethod || 'original';
+
+      if (!ReturnService.REFUND_METHODS.includes(refundMethod)) {
+        return {
+          success: false,
+          message: `Refund method must be one of: ${ReturnService.REFUND_METHODS.join(', ')}`
+        };
+      }
+
+      const lines = this.buildReturnLines(sale, data.items);
+      if (!lines.success) {
+        return lines;
+      }
+
+      // Build the refund transaction with negative quantities and totals
+      const Transaction = require('../models/Transaction');
+      const refund = new Transaction({
+        type: 'refund',
+        originalTransactionId: sale.id,
+        items: lines.items,
+        currency: sale.currency,
+        roundingMode: sale.roundingMode,
+        taxRounding: sale.taxRounding,
+        pricesIncludeTax: sale.pricesIncludeTax,
+        taxExemption: sale.taxExemption,
+        customerId: sale.customerId,
+        employeeId: userId || sale.employeeId,
+        storeId: sale.storeId,
+        notes: data.reason || ''
+      });
+
+      // Give back the discount that applied to the returned lines; sales recorded
+      // before per-line promotions get a share of the order discount instead
+      const hasLineDiscounts = sale.items.some(item => item.discountAmount !== undefined);
+      if (!hasLineDiscounts && sale.subtotal > 0) {
+        const returnedSubtotal = lines.items.reduce((sum, item) => sum + item.priceAtSale * Math.abs(item.quantity), 0);
+        refund.discountAmount = -sale.discountAmount * (returnedSubtotal / sale.subtotal);
+      }
+
+      refund.calculateTotals();
+
+      // Never refund more than what is left of the sale; any rounding excess is
+      // taken off the discount so the refund still adds up
+      const refundable = this.getRefundableAmount(sale);
+      if (Math.abs(refund.total) > refundable) {
+        const excess = Math.abs(refund.total) - refundable;
+        const lastItem = refund.items[refund.items.length - 1];
+        if (lastItem.discountAmount !== undefined) {
+          lastItem.discountAmount -= excess;
+        } else {
+          refund.discountAmount -= excess;
+        }
+        refund.calculateTotals();
+      }
+
+      const refundAmount = Math.abs(refund.total);
+
+      // Allocate the refund to tenders
+      let storeCredit = null;
+      if (refundMethod === 'store_credit') {
+        storeCredit = this.issueStoreCredit(refundAmount, sale, refund.id, userId);
+        refund.paymentMethods = [this.createRefundTender('store_credit', refundAmount, storeCredit.code)];
+      } else {
+        refund.paymentMethods = this.allocateToOriginalTenders(sale, refundAmount);
+      }
+
+      const validation = refund.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      refund.status = 'completed';
+      refund.completedAt = new Date().toISOString();
+
+      if (storeCredit && !this.db.saveStoreCredit(storeCredit.toObject())) {
+        return {
+          success: false,
+          message: 'Failed to save store credit'
+        };
+      }
+
+      const saved = this.db.saveTransaction(refund.toObject());
+      if (!saved) {
+        return {
+          success: false,
+          message: 'Failed to save refund transaction'
+        };
+      }
+
+      // Link the refund to the original sale
+      sale.refundTransactionIds.push(refund.id);
+      this.db.saveTransaction(sale.toObject());
+
+      // Put resellable items back on the shelf; damaged items stay out of stock
+      const InventoryService = require('./InventoryService');
+      const inventory = new InventoryService(this.db);
+      refund.items
+        .filter(item => item.disposition === 'restock')
+        .flatMap(item => inventory.getStockLines({ ...item, quantity: Math.abs(item.quantity) }))
+        .forEach(line => {
+          inventory.recordMovement({
+            productId: line.productId,
+            type: 'return_restock',
+            quantity: line.quantity,
+            userId,
+            reason: data.reason || 'Customer return',
+            referenceId: refund.id
+          });
+        });
+
+      return {
+        success: true,
+        message: 'Return processed',
+        transaction: refund.toObject(),
+        storeCredit: storeCredit ? storeCredit.toObject() : null
+      };
+    } catch (error) {
+      console.error('Error processing return:', error);
+      return {
+        success: false,
+        message: 'Failed to process return'
+      };
+    }
+  }
+
+  /**
+   * Load a sale and check that it can be returned against
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} Result with success status, message, and Transaction instance
+   */
+  getOriginalTransaction(transactionId) {
+    const existingTransaction = this.db.getTransactionById(transactionId);
+    if (!existingTransaction) {
+      return {
+        success: false,
+        status: 404,
+        message: 'Transaction not found'
+      };
+    }
+
+    const Transaction = require('../models/Transaction');
+    const transaction = Transaction.fromObject(existingTransaction);
+
+    if (transaction.type !== 'sale') {
+      return {
+        success: false,
+        message: 'Returns can only be made against sales'
+      };
+    }
+
+    if (transaction.status !== 'completed') {
+      return {
+        success: false,
+        message: 'Returns can only be made against completed transactions'
+      };
+    }
+
+    return {
+      success: true,
+      transaction
+    };
+  }
+
+  /**
+   * Validate requested return lines against what is still returnable
+   * @param {Transaction} sale - Original sale
+   * @param {Array} requestedItems - Requested lines ({ productId, quantity, disposition })
+   * @returns {Object} Result with success status, message, and refund items
+   */
+  buildReturnLines(sale, requestedItems) {
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      return {
+        success: false,
+        message: 'At least one item is required'
+      };
+    }
+
+    const refunded = sale.getRefundedQuantities(this.db.getRefundsForTransaction(sale.id));
+    const requested = {};
+    const items = [];
+
+    for (const requestedItem of requestedItems) {
+      const saleItem = sale.items.find(item => item.productId === requestedItem.productId);
+      if (!saleItem) {
+        return {
+          success: false,
+          message: `Product ${requestedItem.productId} is not part of this transaction`
+        };
+      }
+
+      const UnitOfMeasure = require('../models/UnitOfMeasure');
+      const quantity = UnitOfMeasure.round(requestedItem.quantity);
+      if (!quantity || quantity <= 0) {
+        return {
+          success: false,
+          message: `Return quantity for ${saleItem.name} must be greater than zero`
+        };
+      }
+
+      // Weighed and measured lines can be returned in part, others only in whole units
+      const measured = UnitOfMeasure.getDimension(saleItem.unitOfMeasure || 'ea') !== 'unit';
+      if (!measured && !Number.isInteger(quantity)) {
+        return {
+          success: false,
+          message: `Return quantity for ${saleItem.name} must be a whole number`
+        };
+      }
+
+      const disposition = requestedItem.disposition || 'restock';
+      if (!ReturnService.DISPOSITIONS.includes(disposition)) {
+        return {
+          success: false,
+          message: `Disposition must be one of: ${ReturnService.DISPOSITIONS.join(', ')}`
+        };
+      }
+
+      requested[saleItem.productId] = UnitOfMeasure.round((requested[saleItem.productId] || 0) + quantity);
+      const returnable = UnitOfMeasure.round(saleItem.quantity - (refunded[saleItem.productId] || 0));
+      if (requested[saleItem.productId] > returnable) {
+        return {
+          success: false,
+          message: `Only ${returnable} of ${saleItem.name} can be returned`
+        };
+      }
+
+      const item = {
+        productId: saleItem.productId,
+        name: saleItem.name,
+        priceAtSale: saleItem.priceAtSale,
+        taxRateAtSale: saleItem.taxRateAtSale,
+        quantity: -quantity,
+        disposition
+      };
+
+      if (saleItem.unitOfMeasure) {
+        item.unitOfMeasure = saleItem.unitOfMeasure;
+      }
+
+      if (saleItem.parentId) {
+        item.parentId = saleItem.parentId;
+      }
+
+      if (saleItem.costAtSale !== undefined) {
+        item.costAtSale = saleItem.costAtSale;
+      }
+
+      // Scale-labelled packages are refunded their share of the price on the label
+      if (saleItem.labelPrice !== null && saleItem.labelPrice !== undefined) {
+        const Money = require('../models/Money');
+        item.labelPrice = Money.fromMajor(saleItem.labelPrice * (quantity / saleItem.quantity), sale.currency).negate().toNumber();
+      }
+
+      // A returned bundle gives back its components
+      if (saleItem.components) {
+        item.components = saleItem.components;
+      }
+
+      // Refund tax exactly as it was charged
+      if (saleItem.taxes !== undefined) {
+        item.taxes = saleItem.taxes;
+      }
+
+      // Reverse the returned units' share of the line's discount and of each promotion on it
+      if (saleItem.discountAmount !== undefined) {
+        const Money = require('../models/Money');
+        const ratio = quantity / saleItem.quantity;
+
+        item.discountAmount = Money.fromMajor(saleItem.discountAmount * ratio, sale.currency).negate().toNumber();
+        item.promotions = (saleItem.promotions || []).map(promotion => ({
+          ...promotion,
+          amount: Money.fromMajor(promotion.amount * ratio, sale.currency).negate().toNumber()
+        }));
+      }
+
+      items.push(item);
+    }
+
+    return {
+      success: true,
+      items
+    };
+  }
+
+  /**
+   * Get the amount of a sale that has not been refunded yet
+   * @param {Transaction} sale - Original sale
+   * @returns {number} Refundable amount
+   */
+  getRefundableAmount(sale) {
+    const Money = require('../models/Money');
+    const refunded = this.db.getRefundsForTransaction(sale.id)
+      .filter(refund => refund.status !== 'voided')
+      .map(refund => Money.fromMajor(Math.abs(refund.total), sale.currency));
+
+    const refundable = Money.fromMajor(sale.total, sale.currency).subtract(Money.sum(refunded, sale.currency));
+    return refundable.isNegative() ? 0 : refundable.toNumber();
+  }
+
+  /**
+   * Split a refund across the tenders of the original sale
+   * Cash is only refundable net of the change given, and amounts already
+   * refunded to a tender by earlier returns are deducted first
+   * @param {Transaction} sale - Original sale
+   * @param {number} amount - Amount to refund
+   * @returns {Array} Refund payment methods (negative amounts)
+   */
+  allocateToOriginalTenders(sale, amount) {
+    // Work in integer minor units so the allocations add up exactly
+    const Money = require('../models/Money');
+    const toMinor = value => Money.fromMajor(value, sale.currency).minor;
+    const toMajor = minor => Money.fromMinor(minor, sale.currency).toNumber();
+
+    const totalPaid = sale.paymentMethods.reduce((sum, method) => sum + toMinor(method.amount), 0);
+    let change = Math.max(totalPaid - toMinor(sale.total), 0);
+
+    // Tender capacity keyed by type and reference
+    const tenders = sale.paymentMethods.map(method => {
+      let available = toMinor(method.amount);
+      if (method.type === 'cash' && change > 0) {
+        const deducted = Math.min(change, available);
+        available -= deducted;
+        change -= deducted;
+      }
+
+      return {
+        type: method.type,
+        reference: method.reference || null,
+        available
+      };
+    });
+
+    // Change may have been given against non-cash overpayment
+    if (change > 0) {
+      for (let i = tenders.length - 1; i >= 0 && change > 0; i--) {
+        const deducted = Math.min(change, tenders[i].available);
+        tenders[i].available -= deducted;
+        change -= deducted;
+      }
+    }
+
+    this.db.getRefundsForTransaction(sale.id)
+      .filter(refund => refund.status !== 'voided')
+      .forEach(refund => {
+        refund.paymentMethods.forEach(method => {
+          const tender = tenders.find(t => t.type === method.type && t.reference === (method.reference || null) && t.available > 0);
+          if (tender) {
+            tender.available -= Math.min(Math.abs(toMinor(method.amount)), tender.available);
+          }
+        });
+      });
+
+    const allocations = [];
+    let remaining = toMinor(amount);
+
+    tenders.forEach(tender => {
+      if (remaining <= 0 || tender.available <= 0) {
+        return;
+      }
+
+      const allocated = Math.min(remaining, tender.available);
+      allocations.push(this.createRefundTender(tender.type, toMajor(allocated), tender.reference));
+      remaining -= allocated;
+    });
+
+    // Anything that cannot go back to a tender is refunded in cash
+    if (remaining > 0) {
+      allocations.push(this.createRefundTender('cash', toMajor(remaining), null));
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Issue store credit for a refund
+   * @param {number} amount - Credit amount
+   * @param {Transaction} sale - Original sale
+   * @param {string} refundId - Refund transaction ID
+   * @param {string} userId - User issuing the credit
+   * @returns {StoreCredit} Store credit
+   */
+  issueStoreCredit(amount, sale, refundId, userId) {
+    const StoreCredit = require('../models/StoreCredit');
+    return new StoreCredit({
+      customerId: sale.customerId,
+      amount,
+      sourceTransactionId: refundId,
+      issuedBy: userId
+    });
+  }
+
+  /**
+   * Create a refund payment method entry
+   * @param {string} type - Payment type
+   * @param {number} amount - Amount refunded (positive)
+   * @param {string} reference - Payment reference
+   * @returns {Object} Payment method with a negative amount
+   */
+  createRefundTender(type, amount, reference) {
+    return {
+      type,
+      amount: -amount,
+      reference: reference || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Supported refund methods
+ReturnService.REFUND_METHODS = ['original', 'store_credit'];
+
+// What happens to returned items
+ReturnService.DISPOSITIONS = ['restock', 'damaged'];
+
+// Export the ReturnService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReturnService;
+}
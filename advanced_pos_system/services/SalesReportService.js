@@ -0,0 +1,237 @@
+/**
+ * Sales Report Service for Advanced POS System
+ * Summarizes completed sales and refunds so that returns report net against sales
+ */
+
+class SalesReportService {
+  /**
+   * Create a new SalesReportService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Get a sales summary for a period
+   * @param {Object} filters - Filters
+   * @param {string} filters.startDate - Start date (ISO string)
+   * @param {string} filters.endDate - End date (ISO string)
+   * @param {string} filters.storeId - Store ID
+   * @returns {Object} Gross sales, refunds and net totals, overall, per product, per parent product, per promotion and margins
+   */
+  getSalesSummary(filters = {}) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const BundleService = require('./BundleService');
+    const bundleService = new BundleService(this.db);
+    const summary = {
+      startDate: filters.startDate || null,
+      endDate: filters.endDate || null,
+      gross: this.createTotals(),
+      refunds: this.createTotals(),
+      net: this.createTotals(),
+      products: {},
+      parents: {},
+      promotions: {},
+      margins: {}
+    };
+
+    this.getCompletedTransactions(filters).forEach(transaction => {
+      const bucket = transaction.type === 'refund' ? summary.refunds : summary.gross;
+
+      // Refund amounts are negative, so adding them to net subtracts them from sales
+      [bucket, summary.net].forEach(totals => {
+        totals.transactionCount += 1;
+        totals.subtotal += transaction.subtotal;
+        totals.taxAmount += transaction.taxAmount;
+        totals.discountAmount += transaction.discountAmount;
+        totals.total += transaction.total;
+      });
+
+      transaction.items.forEach(item => {
+        const product = summary.products[item.productId] || {
+          productId: item.productId,
+          name: item.name,
+          unitOfMeasure: item.unitOfMeasure || 'ea',
+          quantitySold: 0,
+          quantityReturned: 0,
+          netQuantity: 0,
+          netSales: 0
+        };
+
+        // Weighed and measured products sell in fractions of their unit of measure
+        if (item.quantity < 0) {
+          product.quantityReturned = UnitOfMeasure.round(product.quantityReturned + Math.abs(item.quantity));
+        } else {
+          product.quantitySold = UnitOfMeasure.round(product.quantitySold + item.quantity);
+        }
+
+        product.netQuantity = UnitOfMeasure.round(product.netQuantity + item.quantity);
+        product.netSales = parseFloat((product.netSales + item.priceAtSale * item.quantity).toFixed(2));
+        summary.products[item.productId] = product;
+
+        // Roll variants up into their parent product
+        if (item.parentId) {
+          const parent = summary.parents[item.parentId] || {
+            productId: item.parentId,
+            name: (this.db.getProductById(item.parentId) || {}).name || item.name,
+            variants: [],
+            quantitySold: 0,
+            quantityReturned: 0,
+            netQuantity: 0,
+            netSales: 0
+          };
+
+          if (!parent.variants.includes(item.productId)) {
+            parent.variants.push(item.productId);
+          }
+
+          if (item.quantity < 0) {
+            parent.quantityReturned = UnitOfMeasure.round(parent.quantityReturned + Math.abs(item.quantity));
+          } else {
+            parent.quantitySold = UnitOfMeasure.round(parent.quantitySold + item.quantity);
+          }
+
+          parent.netQuantity = UnitOfMeasure.round(parent.netQuantity + item.quantity);
+          parent.netSales = parseFloat((parent.netSales + item.priceAtSale * item.quantity).toFixed(2));
+          summary.parents[item.parentId] = parent;
+        }
+
+        // Margins are per stocked product; bundle revenue is allocated to the components
+        const revenue = parseFloat((item.priceAtSale * item.quantity - (item.discountAmount || 0)).toFixed(2));
+        const lines = Array.isArray(item.components) && item.components.length > 0
+          ? bundleService.allocateRevenue(item, revenue, transaction.currency)
+          : [{
+            productId: item.productId,
+            name: item.name,
+            unitOfMeasure: item.unitOfMeasure || 'ea',
+            quantity: item.quantity,
+            revenue,
+            cost: item.costAtSale !== null && item.costAtSale !== undefined ? parseFloat((item.costAtSale * item.quantity).toFixed(2)) : null
+          }];
+        lines.forEach(line => this.addMargin(summary.margins, line, !!item.components));
+
+        // Attribute discount cost to the promotions recorded on each line
+        (item.promotions || []).forEach(applied => {
+          const key = applied.promotionId || applied.type;
+          const promotion = summary.promotions[key] || {
+            promotionId: applied.promotionId,
+            name: applied.name,
+            type: applied.type,
+            lineCount: 0,
+            discountAmount: 0
+          };
+
+          promotion.lineCount += item.quantity < 0 ? 0 : 1;
+          promotion.discountAmount = parseFloat((promotion.discountAmount + applied.amount).toFixed(2));
+          summary.promotions[key] = promotion;
+        });
+      });
+    });
+
+    [summary.gross, summary.refunds, summary.net].forEach(totals => this.roundTotals(totals));
+    summary.products = Object.values(summary.products);
+    summary.parents = Object.values(summary.parents);
+    summary.margins = Object.values(summary.margins).map(margin => ({
+      ...margin,
+      margin: margin.uncosted ? null : parseFloat((margin.revenue - margin.cost).toFixed(2)),
+      marginPercent: margin.uncosted || margin.revenue === 0 ? null : parseFloat(((margin.revenue - margin.cost) / margin.revenue * 100).toFixed(2))
+    }));
+    summary.promotions = Object.values(summary.promotions);
+
+    return summary;
+  }
+
+  /**
+   * Add a line's quantity, revenue and cost to the margin of its product
+   * @param {Object} margins - Margins by product ID
+   * @param {Object} line - Line ({ productId, name, unitOfMeasure, quantity, revenue, cost })
+   * @param {boolean} inBundle - Whether the line is a component of a bundle
+   * @returns {void}
+   */
+  addMargin(margins, line, inBundle) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const margin = margins[line.productId] || {
+      productId: line.productId,
+      name: line.name,
+      unitOfMeasure: line.unitOfMeasure,
+      netQuantity: 0,
+      bundleQuantity: 0,
+      revenue: 0,
+      bundleRevenue: 0,
+      cost: 0,
+      uncosted: false
+    };
+
+    margin.netQuantity = UnitOfMeasure.round(margin.netQuantity + line.quantity);
+    margin.revenue = parseFloat((margin.revenue + line.revenue).toFixed(2));
+    if (inBundle) {
+      margin.bundleQuantity = UnitOfMeasure.round(margin.bundleQuantity + line.quantity);
+      margin.bundleRevenue = parseFloat((margin.bundleRevenue + line.revenue).toFixed(2));
+    }
+
+    // Margin is unknown while any of the product's lines has no cost
+    if (line.cost === null) {
+      margin.uncosted = true;
+    } else {
+      margin.cost = parseFloat((margin.cost + line.cost).toFixed(2));
+    }
+
+    margins[line.productId] = margin;
+  }
+
+  /**
+   * Get completed sales and refunds matching the filters
+   * @param {Object} filters - Filters
+   * @returns {Array} Array of transactions
+   */
+  getCompletedTransactions(filters = {}) {
+    return this.db.getTransactionsByStatus('completed').filter(transaction => {
+      const completedAt = new Date(transaction.completedAt || transaction.createdAt);
+
+      if (filters.startDate && completedAt < new Date(filters.startDate)) {
+        return false;
+      }
+
+      if (filters.endDate && completedAt > new Date(filters.endDate)) {
+        return false;
+      }
+
+      if (filters.storeId && transaction.storeId !== filters.storeId) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Create an empty totals object
+   * @returns {Object} Totals
+   */
+  createTotals() {
+    return {
+      transactionCount: 0,
+      subtotal: 0,
+      taxAmount: 0,
+      discountAmount: 0,
+      total: 0
+    };
+  }
+
+  /**
+   * Round monetary totals to 2 decimal places
+   * @param {Object} totals - Totals
+   * @returns {void}
+   */
+  roundTotals(totals) {
+    ['subtotal', 'taxAmount', 'discountAmount', 'total'].forEach(key => {
+      totals[key] = parseFloat(totals[key].toFixed(2));
+    });
+  }
+}
+
+// Export the SalesReportService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SalesReportService;
+}
@@ -0,0 +1,173 @@
+/**
+ * Scale Driver for Advanced POS System
+ * Base interface for the checkout scales used to weigh products sold by weight
+ *
+ * A driver reads the current weight from a scale as a reading:
+ * { weight, unit, status, stable }, where unit is a UnitOfMeasure weight unit and
+ * status one of ScaleDriver.STATUSES. Drivers are picked with the scaleDriver setting
+ * and configured with scaleOptions.
+ */
+
+class ScaleDriver {
+  /**
+   * Create a new ScaleDriver
+   * @param {Object} options - Driver options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.type = 'base';
+    this.connected = false;
+  }
+
+  /**
+   * Open the connection to the scale
+   * @returns {Promise<boolean>} Success status
+   */
+  async connect() {
+    this.connected = true;
+    return true;
+  }
+
+  /**
+   * Close the connection to the scale
+   * @returns {Promise<boolean>} Success status
+   */
+  async disconnect() {
+    this.connected = false;
+    return true;
+  }
+
+  /**
+   * Read the current weight
+   * @returns {Promise<Object>} Reading ({ weight, unit, status, stable })
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Wait until the scale settles and read the weight
+   * @param {Object} options - Options
+   * @param {number} options.timeout - Milliseconds to wait for a stable weight (default 3000)
+   * @param {number} options.interval - Milliseconds between readings (default 100)
+   * @returns {Promise<Object>} Stable reading
+   * @throws {Error} When the scale reports a fault or does not settle in time
+   */
+  async readStable(options = {}) {
+    const timeout = options.timeout !== undefined ? options.timeout : ScaleDriver.STABLE_TIMEOUT;
+    const interval = options.interval !== undefined ? options.interval : ScaleDriver.STABLE_INTERVAL;
+    const deadline = Date.now() + timeout;
+
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    for (;;) {
+      const reading = await this.read();
+
+      if (ScaleDriver.FAULT_STATUSES.includes(reading.status)) {
+        throw new Error(`Scale reports ${reading.status.replace(/_/g, ' ')}`);
+      }
+
+      if (reading.stable) {
+        return reading;
+      }
+
+      if (Date.now() + interval > deadline) {
+        throw new Error('Scale did not settle');
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  /**
+   * Get information about the driver
+   * @returns {Object} Driver information
+   */
+  getInfo() {
+    return {
+      driver: this.type,
+      connected: this.connected
+    };
+  }
+
+  /**
+   * Build a reading and derive its stability from the status
+   * @param {number} weight - Weight in the unit
+   * @param {string} unit - Weight unit
+   * @param {string} status - Scale status
+   * @returns {Object} Reading
+   */
+  static createReading(weight, unit, status) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    return {
+      weight: UnitOfMeasure.round(weight),
+      unit,
+      status,
+      stable: status === 'stable' || status === 'zero'
+    };
+  }
+
+  /**
+   * Create a scale driver from configuration
+   * @param {Object} config - Driver configuration
+   * @param {string} config.driver - Driver type (simulated, serial, hid)
+   * @returns {ScaleDriver} Scale driver instance
+   */
+  static create(config = {}) {
+    switch (config.driver) {
+      case 'simulated': {
+        const SimulatedScaleDriver = require('./SimulatedScaleDriver');
+        return new SimulatedScaleDriver(config);
+      }
+      case 'serial': {
+        const SerialScaleDriver = require('./SerialScaleDriver');
+        return new SerialScaleDriver(config);
+      }
+      case 'hid': {
+        const HidScaleDriver = require('./HidScaleDriver');
+        return new HidScaleDriver(config);
+      }
+      default:
+        throw new Error(`Unknown scale driver: ${config.driver}`);
+    }
+  }
+
+  /**
+   * Create the configured scale driver from the store settings
+   * @param {Object} databaseService - Database service instance
+   * @returns {ScaleDriver|null} Scale driver instance, or null if no scale is configured
+   */
+  static fromSettings(databaseService) {
+    const driver = databaseService.getSetting('scaleDriver', null);
+    if (!driver) {
+      return null;
+    }
+
+    return ScaleDriver.create({
+      ...databaseService.getSetting('scaleOptions', {}),
+      driver
+    });
+  }
+}
+
+// Drivers that can be configured in the scaleDriver setting
+ScaleDriver.DRIVERS = ['simulated', 'serial', 'hid'];
+
+// Scale states; stable and zero readings can be used
+ScaleDriver.STATUSES = ['stable', 'zero', 'in_motion', 'under_zero', 'over_capacity', 'fault'];
+
+// States that waiting will not resolve
+ScaleDriver.FAULT_STATUSES = ['under_zero', 'over_capacity', 'fault'];
+
+// Default time to wait for the scale to settle, in milliseconds
+ScaleDriver.STABLE_TIMEOUT = 3000;
+
+// Default time between readings while waiting, in milliseconds
+ScaleDriver.STABLE_INTERVAL = 100;
+
+// Export the ScaleDriver class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScaleDriver;
+}
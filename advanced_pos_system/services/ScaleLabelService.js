@@ -0,0 +1,158 @@
+/**
+ * Scale Label Service for Advanced POS System
+ * Reads the price-embedded EAN-13 labels printed by deli and produce scales
+ *
+ * EAN-13 codes starting with 2 are reserved for in-store use. A scale label carries
+ * the item code (the product's PLU) followed by either the price of the package in
+ * minor currency units or its weight, then the check digit. The layouts are set in
+ * the scaleLabelFormats setting, each with:
+ * - prefix: leading digits that identify the layout (the longest matching prefix wins)
+ * - itemDigits: number of digits of the item code after the prefix
+ * - value: price or weight; the value fills the digits up to the check digit
+ * - unit: unit of a weight value (default g)
+ */
+
+class ScaleLabelService {
+  /**
+   * Create a new ScaleLabelService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.formats = databaseService.getSetting('scaleLabelFormats', ScaleLabelService.DEFAULT_FORMATS) || [];
+    this.currency = databaseService.getSetting('currency', 'USD');
+  }
+
+  /**
+   * Split a scale label into item code and embedded value
+   * @param {string} code - Scanned code
+   * @returns {Object|null} Parsed label ({ itemCode, value, price, weight, unit }) or null if the code is not a scale label
+   */
+  parse(code) {
+    const BarcodeDecoder = require('./BarcodeDecoder');
+    if (!/^2\d{12}$/.test(code || '') || !BarcodeDecoder.isValidEan13(code)) {
+      return null;
+    }
+
+    const format = [...this.formats]
+      .sort((a, b) => b.prefix.length - a.prefix.length)
+      .find(candidate => code.startsWith(candidate.prefix));
+    if (!format) {
+      return null;
+    }
+
+    const itemStart = format.prefix.length;
+    const valueStart = itemStart + format.itemDigits;
+    const value = parseInt(code.slice(valueStart, 12), 10);
+
+    const label = {
+      code,
+      itemCode: code.slice(itemStart, valueStart),
+      value: format.value,
+      price: null,
+      weight: null,
+      unit: null
+    };
+
+    if (format.value === 'weight') {
+      label.weight = value;
+      label.unit = format.unit || 'g';
+    } else {
+      const Money = require('../models/Money');
+      label.price = Money.fromMinor(value, this.currency).toNumber();
+    }
+
+    return label;
+  }
+
+  /**
+   * Find the product of a scale label and the quantity it was weighed or priced at
+   * The price printed on a price-embedded label is what the package costs; the quantity
+   * derived from it is only used for stock and reporting
+   * @param {string} code - Scanned code
+   * @returns {Object} Result with success status, message, product, quantity, label price (null for weight labels) and parsed label
+   */
+  resolve(code) {
+    const label = this.parse(code);
+    if (!label) {
+      return {
+        success: false,
+        message: 'Not a scale label'
+      };
+    }
+
+    const product = this.db.getProductByPlu(label.itemCode);
+    if (!product) {
+      return {
+        success: false,
+        message: `No product with PLU ${label.itemCode}`,
+        label
+      };
+    }
+
+    const Product = require('../models/Product');
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const measured = Product.fromObject(product).isMeasured();
+    let quantity;
+
+    if (label.weight !== null) {
+      if (product.soldBy !== 'weight') {
+        return {
+          success: false,
+          message: `${product.name} is not sold by weight`,
+          label
+        };
+      }
+
+      quantity = UnitOfMeasure.convert(label.weight, label.unit, product.unitOfMeasure);
+    } else {
+      if (!(product.price > 0)) {
+        return {
+          success: false,
+          message: `${product.name} has no price to derive the quantity from`,
+          label
+        };
+      }
+
+      // The label price was rounded from quantity x price at the time of weighing, so dividing it back approximates the quantity
+      quantity = label.price / product.price;
+      quantity = measured ? UnitOfMeasure.round(quantity) : Math.round(quantity * 1000) / 1000;
+
+      if (!measured && !Number.isInteger(quantity)) {
+        return {
+          success: false,
+          message: `Label price ${label.price} is not a multiple of the price of ${product.name}`,
+          label
+        };
+      }
+    }
+
+    if (!(quantity > 0)) {
+      return {
+        success: false,
+        message: 'Label quantity must be greater than zero',
+        label
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Scale label read',
+      product,
+      quantity,
+      price: label.price,
+      label
+    };
+  }
+}
+
+// Price-embedded labels with a 6-digit item code (including the digit after the 2) and a 5-digit price
+ScaleLabelService.DEFAULT_FORMATS = [{ prefix: '2', itemDigits: 6, value: 'price' }];
+
+// Kinds of value embedded in a label
+ScaleLabelService.VALUES = ['price', 'weight'];
+
+// Export the ScaleLabelService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScaleLabelService;
+}
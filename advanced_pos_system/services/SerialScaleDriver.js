@@ -0,0 +1,152 @@
+/**
+ * Serial Scale Driver for Advanced POS System
+ * Reads checkout scales that answer a weight request over an RS-232 or USB serial port
+ * with the serialport package
+ *
+ * Responses are parsed as text: the first number is the weight, followed by an optional
+ * unit (kg, g, lb, oz). Status flags of the common protocols are recognized: US (unstable),
+ * OL (overload) and ST (stable) in A&D-style frames, and ? for motion in NCI-style frames.
+ *
+ * Options (scaleOptions setting):
+ * - path: serial device (e.g. /dev/ttyUSB0 or COM3)
+ * - baudRate, dataBits, parity, stopBits: line settings (default 9600 8N1)
+ * - requestCommand: command that asks for the weight (default W followed by a carriage return)
+ * - unit: unit of responses without one (default kg)
+ * - responseTimeout: milliseconds to wait for a response (default 1000)
+ */
+
+const ScaleDriver = require('./ScaleDriver');
+
+class SerialScaleDriver extends ScaleDriver {
+  /**
+   * Create a new SerialScaleDriver
+   * @param {Object} options - Driver options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'serial';
+    this.path = options.path || null;
+    this.unit = options.unit || 'kg';
+    this.requestCommand = options.requestCommand !== undefined ? options.requestCommand : 'W\r';
+    this.responseTimeout = parseInt(options.responseTimeout) || 1000;
+    this.port = null;
+  }
+
+  /**
+   * Open the serial port
+   * @returns {Promise<boolean>} Success status
+   */
+  async connect() {
+    if (!this.path) {
+      throw new Error('The serial scale driver needs a path in the scaleOptions setting');
+    }
+
+    let SerialPort;
+    try {
+      ({ SerialPort } = require('serialport'));
+    } catch (error) {
+      throw new Error('The serial scale driver needs the serialport package (npm install serialport)');
+    }
+
+    this.port = new SerialPort({
+      path: this.path,
+      baudRate: parseInt(this.options.baudRate) || 9600,
+      dataBits: parseInt(this.options.dataBits) || 8,
+      parity: this.options.parity || 'none',
+      stopBits: parseInt(this.options.stopBits) || 1,
+      autoOpen: false
+    });
+
+    await new Promise((resolve, reject) => this.port.open(error => (error ? reject(error) : resolve())));
+    this.connected = true;
+    return true;
+  }
+
+  /**
+   * Close the serial port
+   * @returns {Promise<boolean>} Success status
+   */
+  async disconnect() {
+    if (this.port && this.port.isOpen) {
+      await new Promise(resolve => this.port.close(() => resolve()));
+    }
+
+    this.port = null;
+    this.connected = false;
+    return true;
+  }
+
+  /**
+   * Request and read the current weight
+   * @returns {Promise<Object>} Reading
+   */
+  async read() {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    const response = await new Promise((resolve, reject) => {
+      let buffer = '';
+
+      const onData = data => {
+        buffer += data.toString('latin1');
+        if (/\d/.test(buffer) && /[\r\n\x03]/.test(buffer.slice(buffer.search(/\d/)))) {
+          finish(null, buffer);
+        }
+      };
+
+      const timer = setTimeout(() => finish(new Error('Scale did not respond')), this.responseTimeout);
+
+      const finish = (error, text) => {
+        clearTimeout(timer);
+        this.port.removeListener('data', onData);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(text);
+        }
+      };
+
+      this.port.on('data', onData);
+      if (this.requestCommand) {
+        this.port.write(this.requestCommand);
+      }
+    });
+
+    return SerialScaleDriver.parseResponse(response, this.unit);
+  }
+
+  /**
+   * Parse a weight response
+   * @param {string} text - Response text
+   * @param {string} defaultUnit - Unit of responses without one
+   * @returns {Object} Reading
+   */
+  static parseResponse(text, defaultUnit = 'kg') {
+    const match = /([-+])?\s*(\d+(?:\.\d+)?)\s*(kg|g|lb|oz)?/i.exec(text || '');
+    if (!match) {
+      return ScaleDriver.createReading(0, defaultUnit, 'fault');
+    }
+
+    const weight = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+    const unit = match[3] ? match[3].toLowerCase() : defaultUnit;
+    let status;
+
+    if (/\bOL\b/.test(text)) {
+      status = 'over_capacity';
+    } else if (/\bUS\b|\?/.test(text)) {
+      status = 'in_motion';
+    } else if (weight < 0) {
+      status = 'under_zero';
+    } else {
+      status = weight === 0 ? 'zero' : 'stable';
+    }
+
+    return ScaleDriver.createReading(weight, unit, status);
+  }
+}
+
+// Export the SerialScaleDriver class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SerialScaleDriver;
+}
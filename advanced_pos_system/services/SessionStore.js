@@ -0,0 +1,124 @@
+/**
+ * Session Store for Advanced POS System
+ * Keeps authenticated sessions keyed by bearer token so each terminal has its own identity
+ */
+
+class SessionStore {
+  /**
+   * Create a new SessionStore
+   * @param {number} ttlHours - Session lifetime in hours
+   */
+  constructor(ttlHours = 24) {
+    this.ttlHours = ttlHours;
+    this.sessions = new Map(); // A Map, so tokens like __proto__ cannot reach Object.prototype
+  }
+
+  /**
+   * Create a session for a user
+   * @param {string} token - Authentication token
+   * @param {string} userId - User ID
+   * @param {Object} metadata - Additional session data (e.g. terminal, ip)
+   * @returns {Object} Created session
+   */
+  create(token, userId, metadata = {}) {
+    this.purgeExpired();
+
+    const createdAt = new Date();
+    const expiry = new Date(createdAt.getTime() + this.ttlHours * 60 * 60 * 1000);
+
+    const session = {
+      ...metadata,
+      token,
+      userId,
+      createdAt: createdAt.toISOString(),
+      lastSeenAt: createdAt.toISOString(),
+      expiry: expiry.toISOString()
+    };
+
+    this.sessions.set(token, session);
+    return { ...session };
+  }
+
+  /**
+   * Get a valid session by token
+   * @param {string} token - Authentication token
+   * @returns {Object|null} Session or null if missing or expired
+   */
+  get(token) {
+    const session = this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+
+    if (new Date(session.expiry) <= new Date()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    session.lastSeenAt = new Date().toISOString();
+    return { ...session };
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} token - Authentication token
+   * @returns {boolean} Success status
+   */
+  revoke(token) {
+    return this.sessions.delete(token);
+  }
+
+  /**
+   * Revoke all sessions belonging to a user
+   * @param {string} userId - User ID
+   * @returns {number} Number of revoked sessions
+   */
+  revokeUser(userId) {
+    let revoked = 0;
+
+    this.sessions.forEach((session, token) => {
+      if (session.userId === userId) {
+        this.sessions.delete(token);
+        revoked++;
+      }
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Get active sessions, optionally for a single user
+   * @param {string} userId - User ID (optional)
+   * @returns {Array} Array of sessions
+   */
+  list(userId = null) {
+    this.purgeExpired();
+
+    return Array.from(this.sessions.values())
+      .filter(session => !userId || session.userId === userId)
+      .map(session => ({ ...session }));
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {number} Number of removed sessions
+   */
+  purgeExpired() {
+    const now = new Date();
+    let removed = 0;
+
+    this.sessions.forEach((session, token) => {
+      if (new Date(session.expiry) <= now) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    });
+
+    return removed;
+  }
+}
+
+// Export the SessionStore class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStore;
+}
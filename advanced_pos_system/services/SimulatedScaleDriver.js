@@ -0,0 +1,80 @@
+/**
+ * Simulated Scale Driver for Advanced POS System
+ * Scale without hardware for development and testing
+ *
+ * Options (scaleOptions setting):
+ * - weight: weight on the scale when connected (default 0)
+ * - unit: weight unit the scale reports in (default kg)
+ * - settleReadings: readings in motion after the weight changes (default 2)
+ */
+
+const ScaleDriver = require('./ScaleDriver');
+
+class SimulatedScaleDriver extends ScaleDriver {
+  /**
+   * Create a new SimulatedScaleDriver
+   * @param {Object} options - Driver options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'simulated';
+    this.unit = options.unit || 'kg';
+    this.weight = parseFloat(options.weight) || 0;
+    this.settleReadings = options.settleReadings !== undefined ? parseInt(options.settleReadings) || 0 : 2;
+    this.readingsUntilStable = 0;
+    this.status = null; // Forced status, e.g. over_capacity
+  }
+
+  /**
+   * Put a weight on the scale; the next readings are in motion until it settles
+   * @param {number} weight - Weight in the scale's unit
+   * @returns {void}
+   */
+  place(weight) {
+    this.weight = parseFloat(weight) || 0;
+    this.readingsUntilStable = this.settleReadings;
+  }
+
+  /**
+   * Empty the scale
+   * @returns {void}
+   */
+  remove() {
+    this.place(0);
+  }
+
+  /**
+   * Force the status of the next readings, e.g. to simulate a fault
+   * @param {string|null} status - Scale status, or null to derive it from the weight
+   * @returns {void}
+   */
+  setStatus(status) {
+    this.status = status;
+  }
+
+  /**
+   * Read the current weight
+   * @returns {Promise<Object>} Reading
+   */
+  async read() {
+    let status = this.status;
+
+    if (!status) {
+      if (this.readingsUntilStable > 0) {
+        this.readingsUntilStable--;
+        status = 'in_motion';
+      } else if (this.weight < 0) {
+        status = 'under_zero';
+      } else {
+        status = this.weight === 0 ? 'zero' : 'stable';
+      }
+    }
+
+    return ScaleDriver.createReading(this.weight, this.unit, status);
+  }
+}
+
+// Export the SimulatedScaleDriver class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimulatedScaleDriver;
+}
@@ -0,0 +1,80 @@
+/**
+ * Storage Adapter for Advanced POS System
+ * Base interface for the persistence backends used by DatabaseService
+ */
+
+class StorageAdapter {
+  /**
+   * Create a new StorageAdapter
+   * @param {Object} options - Adapter options
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.type = 'base';
+  }
+
+  /**
+   * Open the storage backend
+   * @returns {boolean} Success status
+   */
+  open() {
+    return true;
+  }
+
+  /**
+   * Read a collection
+   * @param {string} name - Collection name (e.g. products, transactions)
+   * @returns {Object|null} Collection data or null if not stored yet
+   */
+  read(name) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  /**
+   * Write a collection
+   * @param {string} name - Collection name
+   * @param {Object} data - Collection data
+   * @returns {boolean} Success status
+   */
+  write(name, data) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  /**
+   * Create a storage adapter from configuration
+   * @param {Object} config - Storage configuration
+   * @param {string} config.type - Adapter type (auto, localStorage, file, memory)
+   * @param {string} config.dataDir - Data directory for the file adapter
+   * @returns {StorageAdapter} Storage adapter instance
+   */
+  static create(config = {}) {
+    let type = config.type || 'auto';
+
+    if (type === 'auto') {
+      // Browsers persist to localStorage, Node persists to disk
+      type = typeof localStorage !== 'undefined' ? 'localStorage' : 'file';
+    }
+
+    switch (type) {
+      case 'localStorage': {
+        const LocalStorageAdapter = require('./LocalStorageAdapter');
+        return new LocalStorageAdapter(config);
+      }
+      case 'file': {
+        const FileStorageAdapter = require('./FileStorageAdapter');
+        return new FileStorageAdapter(config);
+      }
+      case 'memory': {
+        const MemoryStorageAdapter = require('./MemoryStorageAdapter');
+        return new MemoryStorageAdapter(config);
+      }
+      default:
+        throw new Error(`Unknown storage adapter type: ${type}`);
+    }
+  }
+}
+
+// Export the StorageAdapter class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageAdapter;
+}
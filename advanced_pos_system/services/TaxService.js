@@ -0,0 +1,136 @@
+/**
+ * Tax Service for Advanced POS System
+ * Resolves the tax components that apply to a product from its tax class,
+ * the store's tax settings and the customer's exemption certificates
+ */
+
+class TaxService {
+  /**
+   * Create a new TaxService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Get the configured tax classes
+   * Without a taxClasses setting the global taxRate becomes the standard class
+   * @returns {Object} Tax classes keyed by ID ({ name, taxes: [{ id, name, rate, compound }] })
+   */
+  getTaxClasses() {
+    const taxClasses = this.db.getSetting('taxClasses', null);
+    if (taxClasses && Object.keys(taxClasses).length > 0) {
+      return taxClasses;
+    }
+
+    return TaxService.getDefaultTaxClasses(this.db.getSetting('taxRate', 0));
+  }
+
+  /**
+   * Get the tax components for a product
+   * Products without a tax class keep their own taxRate if they have one,
+   * otherwise the standard class applies
+   * @param {Object} product - Product
+   * @param {Object} exemption - Customer's tax exemption (optional)
+   * @returns {Array} Tax components ({ id, name, rate, compound })
+   */
+  getProductTaxes(product, exemption = null) {
+    const taxClasses = this.getTaxClasses();
+    let taxes;
+
+    if (product.taxClass && taxClasses[product.taxClass]) {
+      taxes = taxClasses[product.taxClass].taxes || [];
+    } else if (parseFloat(product.taxRate) > 0) {
+      taxes = [{ id: 'tax', name: 'Tax', rate: parseFloat(product.taxRate), compound: false }];
+    } else {
+      taxes = (taxClasses.standard && taxClasses.standard.taxes) || [];
+    }
+
+    return taxes
+      .filter(tax => !exemption || !exemption.exempts(tax.id))
+      .map(tax => ({
+        id: tax.id,
+        name: tax.name || tax.id,
+        rate: parseFloat(tax.rate) || 0,
+        compound: !!tax.compound
+      }));
+  }
+
+  /**
+   * Get the valid tax exemption of a customer
+   * @param {string} customerId - Customer ID
+   * @param {Date} date - Time to check
+   * @returns {TaxExemption|null} Exemption or null if the customer is not exempt
+   */
+  getCustomerExemption(customerId, date = new Date()) {
+    if (!customerId) {
+      return null;
+    }
+
+    const TaxExemption = require('../models/TaxExemption');
+    const exemption = this.db.getTaxExemptionsByCustomer(customerId)
+      .map(data => TaxExemption.fromObject(data))
+      .find(certificate => certificate.isValidAt(date));
+
+    return exemption || null;
+  }
+
+  /**
+   * Validate a tax classes setting
+   * @param {Object} taxClasses - Tax classes
+   * @returns {Object} Validation result
+   */
+  validateTaxClasses(taxClasses) {
+    const errors = [];
+
+    if (!taxClasses || typeof taxClasses !== 'object' || Array.isArray(taxClasses)) {
+      errors.push('Tax classes must be an object keyed by class ID');
+    } else {
+      Object.entries(taxClasses).forEach(([classId, taxClass]) => {
+        if (!taxClass || !Array.isArray(taxClass.taxes)) {
+          errors.push(`Tax class ${classId} must have a taxes array`);
+          return;
+        }
+
+        taxClass.taxes.forEach(tax => {
+          if (!tax.id) {
+            errors.push(`Every tax in class ${classId} needs an ID`);
+          }
+
+          if (isNaN(parseFloat(tax.rate)) || parseFloat(tax.rate) < 0) {
+            errors.push(`Tax ${tax.id || ''} in class ${classId} must have a non-negative rate`);
+          }
+        });
+      });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Build the default tax classes from a single rate
+   * @param {number} rate - Standard tax rate
+   * @returns {Object} Tax classes
+   */
+  static getDefaultTaxClasses(rate) {
+    return {
+      standard: {
+        name: 'Standard',
+        taxes: [{ id: 'sales_tax', name: 'Sales Tax', rate: parseFloat(rate) || 0, compound: false }]
+      },
+      zero: {
+        name: 'Zero rated',
+        taxes: [{ id: 'zero_rate', name: 'Zero Rate', rate: 0, compound: false }]
+      }
+    };
+  }
+}
+
+// Export the TaxService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaxService;
+}
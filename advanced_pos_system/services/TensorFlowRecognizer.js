@@ -0,0 +1,109 @@
+/**
+ * TensorFlow.js Recognizer for Advanced POS System
+ * Runs a locally stored TensorFlow.js image embedding model (model.json plus weight
+ * shards) with @tensorflow/tfjs-node
+ *
+ * Options (visionModelOptions setting):
+ * - format: graph (default, converted SavedModel) or layers (Keras)
+ * - inputSize: square input size (default 224)
+ * - mean, std: per channel normalization on the 0-1 scale (default ImageNet)
+ * - modelId: identifier stored with signatures (default tfjs:<directory name>)
+ */
+
+const Recognizer = require('./Recognizer');
+
+class TensorFlowRecognizer extends Recognizer {
+  /**
+   * Create a new TensorFlowRecognizer
+   * @param {Object} options - Backend options
+   */
+  constructor(options = {}) {
+    super(options);
+    this.type = 'tfjs';
+    this.modelPath = options.modelPath || null;
+    this.model = null;
+    this.tf = null;
+  }
+
+  /**
+   * Load the model from disk
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadModel() {
+    if (!this.modelPath) {
+      throw new Error('The tfjs vision backend needs a visionModelPath setting');
+    }
+
+    try {
+      this.tf = require('@tensorflow/tfjs-node');
+    } catch (error) {
+      throw new Error('The tfjs vision backend needs the @tensorflow/tfjs-node package (npm install @tensorflow/tfjs-node)');
+    }
+
+    const path = require('path');
+    const modelFile = this.modelPath.endsWith('.json') ? this.modelPath : path.join(this.modelPath, 'model.json');
+    const url = 'file://' + path.resolve(modelFile);
+
+    this.model = this.options.format === 'layers'
+      ? await this.tf.loadLayersModel(url)
+      : await this.tf.loadGraphModel(url);
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Compute the embedding of an image
+   * @param {Object} image - Decoded image
+   * @returns {Promise<Object>} Embedding ({ model, vector })
+   */
+  async embed(image) {
+    if (!this.loaded) {
+      await this.loadModel();
+    }
+
+    const input = {
+      size: parseInt(this.options.inputSize) || Recognizer.DEFAULT_INPUT.size,
+      layout: 'nhwc',
+      mean: this.options.mean || Recognizer.DEFAULT_INPUT.mean,
+      std: this.options.std || Recognizer.DEFAULT_INPUT.std
+    };
+
+    const tensor = this.tf.tensor4d(Recognizer.toInputTensor(image, input), [1, input.size, input.size, 3]);
+    const output = this.model.predict(tensor);
+
+    try {
+      return {
+        model: this.getModelId(),
+        vector: Recognizer.normalize(await output.data()).map(value => Math.round(value * 100000) / 100000)
+      };
+    } finally {
+      tensor.dispose();
+      output.dispose();
+    }
+  }
+
+  /**
+   * Compare two embeddings by cosine similarity
+   * @param {Object} a - Embedding
+   * @param {Object} b - Embedding
+   * @returns {number} Similarity (0-1)
+   */
+  compare(a, b) {
+    return Recognizer.cosine(a.vector, b.vector);
+  }
+
+  /**
+   * Get the identifier stored with every signature of this model
+   * @returns {string} Model ID
+   */
+  getModelId() {
+    const path = require('path');
+    const name = this.modelPath && this.modelPath.endsWith('.json') ? path.dirname(this.modelPath) : this.modelPath || '';
+    return this.options.modelId || `tfjs:${path.basename(name)}`;
+  }
+}
+
+// Export the TensorFlowRecognizer class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TensorFlowRecognizer;
+}
@@ -0,0 +1,279 @@
+/**
+ * Vector Index for Advanced POS System
+ * Base class for the nearest-neighbour indexes used to find candidate products for an
+ * image embedding without comparing it with every signature in the catalogue
+ *
+ * Vectors are scaled to unit length and kept row by row in one Float32Array, so the
+ * similarity of two vectors is their dot product. Each row belongs to one signature
+ * and remembers the product it was trained for.
+ */
+
+const fs = require('fs');
+
+class VectorIndex {
+  /**
+   * Create a new VectorIndex
+   * @param {Object} options - Index options
+   * @param {string} options.modelId - Model the vectors were produced by
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.type = 'base';
+    this.modelId = options.modelId || null;
+    this.dimensions = options.dimensions || 0;
+    this.ids = []; // Signature ID per row
+    this.productIds = []; // Product ID per row
+    this.rows = new Map(); // Signature ID -> row
+    this.vectors = new Float32Array(0);
+  }
+
+  /**
+   * Add a vector
+   * @param {string} id - Signature ID
+   * @param {string} productId - Product ID
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {boolean} False if the ID is already indexed
+   */
+  add(id, productId, vector) {
+    throw new Error(`${this.constructor.name} does not implement add()`);
+  }
+
+  /**
+   * Remove a vector
+   * @param {string} id - Signature ID
+   * @returns {boolean} False if the ID is not indexed
+   */
+  remove(id) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  /**
+   * Find the vectors most similar to a query
+   * @param {ArrayLike<number>} query - Query vector
+   * @param {number} k - Number of results
+   * @returns {Array} Matches ({ id, productId, score }), most similar first
+   */
+  search(query, k = 10) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+
+  /**
+   * Get the index state beyond ids and vectors, for saving
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return {};
+  }
+
+  /**
+   * Restore the state returned by getState
+   * @param {Object} state - Saved state
+   * @returns {void}
+   */
+  setState(state) {}
+
+  /**
+   * Remove every vector of a product
+   * @param {string} productId - Product ID
+   * @returns {number} Number of vectors removed
+   */
+  removeProduct(productId) {
+    const ids = this.getIds().filter(id => this.productIds[this.rows.get(id)] === productId);
+    ids.forEach(id => this.remove(id));
+    return ids.length;
+  }
+
+  /**
+   * Check if a signature is indexed
+   * @param {string} id - Signature ID
+   * @returns {boolean} Is indexed
+   */
+  has(id) {
+    return this.rows.has(id);
+  }
+
+  /**
+   * Get the indexed signature IDs
+   * @returns {Array<string>} Signature IDs
+   */
+  getIds() {
+    return Array.from(this.rows.keys());
+  }
+
+  /**
+   * Get the number of indexed vectors
+   * @returns {number} Size
+   */
+  size() {
+    return this.rows.size;
+  }
+
+  /**
+   * Store a vector in a new row
+   * @param {string} id - Signature ID
+   * @param {string} productId - Product ID
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {number} Row
+   */
+  appendRow(id, productId, vector) {
+    if (!this.dimensions) {
+      this.dimensions = vector.length;
+    }
+
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, the index has ${this.dimensions}`);
+    }
+
+    const row = this.ids.length;
+    if ((row + 1) * this.dimensions > this.vectors.length) {
+      // Grow geometrically so incremental training stays cheap
+      const grown = new Float32Array(Math.max(16, row * 2) * this.dimensions);
+      grown.set(this.vectors);
+      this.vectors = grown;
+    }
+
+    this.vectors.set(VectorIndex.normalize(vector), row * this.dimensions);
+    this.ids.push(id);
+    this.productIds.push(productId);
+    this.rows.set(id, row);
+    return row;
+  }
+
+  /**
+   * Dot product of a stored row with a query
+   * @param {number} row - Row
+   * @param {Float32Array} query - Unit query vector
+   * @returns {number} Similarity (-1 to 1)
+   */
+  dot(row, query) {
+    const vectors = this.vectors;
+    const offset = row * this.dimensions;
+    let sum = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      sum += vectors[offset + i] * query[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Save the index to a file
+   * Layout: magic, header length, JSON header, padding to 4 bytes, float32 vectors
+   * @param {string} filePath - File path
+   * @returns {boolean} Success status
+   */
+  save(filePath) {
+    const header = Buffer.from(JSON.stringify({
+      type: this.type,
+      options: this.options,
+      modelId: this.modelId,
+      dimensions: this.dimensions,
+      ids: this.ids,
+      productIds: this.productIds,
+      state: this.getState()
+    }));
+
+    const padding = (4 - ((8 + header.length) % 4)) % 4;
+    const prefix = Buffer.alloc(8);
+    VectorIndex.MAGIC.copy(prefix, 0);
+    prefix.writeUInt32LE(header.length, 4);
+
+    const rows = this.ids.length * this.dimensions;
+    const vectors = Buffer.from(this.vectors.buffer, this.vectors.byteOffset, rows * 4);
+
+    // Write to a temporary file and rename so a crash never leaves a truncated index
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.concat([prefix, header, Buffer.alloc(padding), vectors]));
+    fs.renameSync(tempPath, filePath);
+    return true;
+  }
+
+  /**
+   * Load an index saved with save()
+   * @param {string} filePath - File path
+   * @returns {VectorIndex|null} Index or null if the file does not exist
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.length < 8 || !buffer.subarray(0, 4).equals(VectorIndex.MAGIC)) {
+      throw new Error(`${filePath} is not a vector index`);
+    }
+
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.subarray(8, 8 + headerLength).toString());
+    const start = 8 + headerLength + (4 - ((8 + headerLength) % 4)) % 4;
+
+    const index = VectorIndex.create(header.type, { ...header.options, modelId: header.modelId });
+    index.dimensions = header.dimensions;
+    index.ids = header.ids;
+    index.productIds = header.productIds;
+    index.vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + buffer.length));
+    index.setState(header.state || {});
+
+    index.rows = new Map();
+    index.ids.forEach((id, row) => {
+      if (id !== null) {
+        index.rows.set(id, row);
+      }
+    });
+
+    return index;
+  }
+
+  /**
+   * Create an index
+   * @param {string} type - Index type (flat for exact search, hnsw for approximate search)
+   * @param {Object} options - Index options
+   * @returns {VectorIndex} Index instance
+   */
+  static create(type = 'flat', options = {}) {
+    switch (type) {
+      case 'flat': {
+        const FlatVectorIndex = require('./FlatVectorIndex');
+        return new FlatVectorIndex(options);
+      }
+      case 'hnsw': {
+        const HnswVectorIndex = require('./HnswVectorIndex');
+        return new HnswVectorIndex(options);
+      }
+      default:
+        throw new Error(`Unknown vector index type: ${type}`);
+    }
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {ArrayLike<number>} vector - Vector
+   * @returns {Float32Array} Unit vector
+   */
+  static normalize(vector) {
+    const result = Float32Array.from(vector);
+    let length = 0;
+    for (let i = 0; i < result.length; i++) {
+      length += result[i] * result[i];
+    }
+
+    length = Math.sqrt(length);
+    if (length > 0) {
+      for (let i = 0; i < result.length; i++) {
+        result[i] /= length;
+      }
+    }
+
+    return result;
+  }
+}
+
+// First bytes of a saved index file
+VectorIndex.MAGIC = Buffer.from('PVIX');
+
+// Available index types
+VectorIndex.TYPES = ['flat', 'hnsw'];
+
+// Export the VectorIndex class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VectorIndex;
+}
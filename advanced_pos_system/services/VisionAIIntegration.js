@@ -21,6 +21,9 @@ class VisionAIIntegration {
     this.autoCapture = false;
     this.autoCaptureInterval = null;
     this.lastResults = [];
+    this.lastImageData = null; // Frame the last results were recognized in
+    this.candidateModalId = null; // Open prompt to choose between ambiguous candidates
+    this.variantModalId = null; // Open prompt to choose the variant of a parent product
     this.initialized = false;
   }
 
@@ -159,6 +162,8 @@ class VisionAIIntegration {
       // Process image
       const results = await this.visionAI.processImage(imageData);
       this.lastResults = results;
+      this.lastImageData = imageData;
+      this.cart.recordCameraObservation(results, imageData);
       
       // Draw bounding boxes
       this.drawBoundingBoxes(results);
@@ -204,9 +209,16 @@ class VisionAIIntegration {
     // Draw video frame
     context.drawImage(this.videoElement, 0, 0, width, height);
     
-    // Draw bounding boxes
+    // Draw bounding boxes, numbering the objects of each product
+    const counts = {};
+    const totals = {};
     results.forEach(result => {
-      const { boundingBox, confidence, name } = result;
+      totals[result.productId] = (totals[result.productId] || 0) + 1;
+    });
+    
+    results.forEach(result => {
+      const { boundingBox, confidence, name, productId } = result;
+      counts[productId] = (counts[productId] || 0) + 1;
       const { x1, y1, x2, y2 } = boundingBox;
       
       // Calculate pixel coordinates
@@ -222,6 +234,11 @@ class VisionAIIntegration {
       } else if (confidence >= 0.7) {
         color = '#FFFF00'; // Yellow for medium confidence
       }
+      if (result.status === 'ambiguous') {
+        color = '#FFA500'; // Orange when the cashier has to choose
+      } else if (result.method === 'barcode') {
+        color = '#00BFFF'; // Blue for scanned codes
+      }
       
       // Draw rectangle
       context.lineWidth = 3;
@@ -230,7 +247,9 @@ class VisionAIIntegration {
       
       // Draw label background
       context.fillStyle = color;
-      const label = `${name} (${Math.floor(confidence * 100)}%)`;
+      const instance = totals[productId] > 1 ? ` ${counts[productId]}/${totals[productId]}` : '';
+      const certainty = result.method === 'barcode' ? 'barcode' : `${Math.floor(confidence * 100)}%`;
+      const label = `${name}${instance}${result.status === 'ambiguous' ? '?' : ''} (${certainty})`;
       const labelWidth = context.measureText(label).width + 10;
       const labelHeight = 20;
       context.fillRect(boxX, boxY - labelHeight, labelWidth, labelHeight);
@@ -242,19 +261,42 @@ class VisionAIIntegration {
     });
   }
 
+  /**
+   * Capture the empty counter as the background for object detection
+   * @returns {Promise<boolean>} Success status
+   */
+  async captureBackground() {
+    try {
+      const imageData = await this.captureImage();
+      this.visionAI.setBackground(imageData);
+      this.ui.showToast('Counter background captured', 'success');
+      return true;
+    } catch (error) {
+      console.error('Error capturing background:', error);
+      this.ui.showToast('Failed to capture counter background', 'error');
+      return false;
+    }
+  }
+
   /**
    * Add recognized product to cart
    * @param {string} productId - Product ID
    * @param {number} confidence - Recognition confidence
+   * @param {number} quantity - Number of recognized objects, or the weighed quantity of a scale label
+   * @param {string} method - Recognition method (vision or barcode)
    * @returns {Promise<Object>} Result
    */
-  async addRecognizedProductToCart(productId, confidence) {
+  async addRecognizedProductToCart(productId, confidence, quantity = 1, method = 'vision') {
     try {
       // Add product to cart
-      const result = this.cart.addItem(productId, 1, 'vision', confidence);
+      const result = this.cart.addItem(productId, quantity, method, confidence);
       
       if (result.success) {
-        this.ui.showToast(`Added ${result.item.name} to cart`, 'success');
+        const UnitOfMeasure = require('../models/UnitOfMeasure');
+        const label = quantity !== 1 ? `${UnitOfMeasure.format(quantity, result.item.unitOfMeasure)} x ${result.item.name}` : result.item.name;
+        this.ui.showToast(`Added ${label} to cart`, 'success');
+      } else if (result.variants) {
+        this.promptVariant(result.variants, confidence, quantity, method);
       } else {
         this.ui.showToast(result.message, 'error');
       }
@@ -271,6 +313,196 @@ class VisionAIIntegration {
     }
   }
 
+  /**
+   * Accept a suggestion: add it to the cart and log it as a positive example
+   * @param {Object} result - One of lastResults
+   * @returns {Promise<Object>} Result
+   */
+  async acceptSuggestion(result) {
+    const addResult = await this.addRecognizedProductToCart(result.productId, result.confidence, result.quantity || 1, result.method);
+    if (addResult.success) {
+      await this.recordFeedback('accept', result);
+    }
+    return addResult;
+  }
+
+  /**
+   * Reject a suggestion and log it as a hard negative for the suggested product
+   * @param {Object} result - One of lastResults
+   * @returns {Promise<Object>} Feedback result
+   */
+  async rejectSuggestion(result) {
+    this.lastResults = this.lastResults.filter(other => other !== result);
+    return this.recordFeedback('reject', result);
+  }
+
+  /**
+   * Replace a suggestion with the product the object really is, add that to the cart
+   * and log the correction
+   * @param {Object} result - One of lastResults
+   * @param {string} productId - Correct product ID
+   * @returns {Promise<Object>} Result
+   */
+  async correctSuggestion(result, productId) {
+    const addResult = await this.addRecognizedProductToCart(productId, 1);
+    if (addResult.success) {
+      this.lastResults = this.lastResults.filter(other => other !== result);
+      await this.recordFeedback('correct', result, productId);
+    }
+    return addResult;
+  }
+
+  /**
+   * Ask the cashier which of the nearly equally likely products an object is
+   * Only one prompt is shown at a time, so auto-capture does not stack them
+   * @param {Object} result - Ambiguous result from lastResults
+   * @returns {string|null} Modal ID, or null if a prompt is already open
+   */
+  promptCandidates(result) {
+    if (this.candidateModalId) {
+      return null;
+    }
+    
+    const candidates = [
+      result,
+      ...result.alternatives.filter(alternative => result.confidence - alternative.confidence <= this.visionAI.ambiguityMargin)
+    ];
+    
+    this.candidateModalId = this.ui.showModal({
+      title: 'Which product is this?',
+      content: 'The camera could not tell these products apart.',
+      buttons: [
+        ...candidates.map(candidate => ({
+          text: `${candidate.name} (${Math.floor(candidate.confidence * 100)}%)`,
+          type: 'primary',
+          onClick: (modal) => {
+            this.ui.hideModal(modal.id, candidate.productId);
+            this.chooseCandidate(result, candidate.productId);
+          }
+        })),
+        {
+          text: 'None of these',
+          type: 'secondary',
+          onClick: (modal) => {
+            this.ui.hideModal(modal.id, null);
+            this.rejectSuggestion(result);
+          }
+        }
+      ],
+      onClose: () => {
+        this.candidateModalId = null;
+      }
+    });
+    
+    return this.candidateModalId;
+  }
+
+  /**
+   * Ask the cashier which variant of a recognized parent product is being sold, since
+   * variants such as sizes often look the same to the camera
+   * @param {Array} variants - Variants of the parent
+   * @param {number} confidence - Recognition confidence
+   * @param {number} quantity - Quantity to add
+   * @param {string} method - Recognition method
+   * @returns {string|null} Modal ID, or null if a prompt is already open
+   */
+  promptVariant(variants, confidence, quantity = 1, method = 'vision') {
+    if (this.variantModalId) {
+      return null;
+    }
+    
+    const Product = require('../models/Product');
+    
+    this.variantModalId = this.ui.showModal({
+      title: 'Which variant is this?',
+      content: 'Choose the option values of the product.',
+      buttons: [
+        ...variants.map(variant => ({
+          text: `${Product.fromObject(variant).getOptionLabel()} (${variant.stock} in stock)`,
+          type: 'primary',
+          onClick: (modal) => {
+            this.ui.hideModal(modal.id, variant.id);
+            this.addRecognizedProductToCart(variant.id, confidence, quantity, method);
+          }
+        })),
+        {
+          text: 'Cancel',
+          type: 'secondary',
+          onClick: (modal) => {
+            this.ui.hideModal(modal.id, null);
+          }
+        }
+      ],
+      onClose: () => {
+        this.variantModalId = null;
+      }
+    });
+    
+    return this.variantModalId;
+  }
+
+  /**
+   * Add the candidate the cashier chose for an ambiguous object and log the choice
+   * @param {Object} result - Ambiguous result from lastResults
+   * @param {string} productId - Chosen product ID
+   * @returns {Promise<Object>} Result
+   */
+  async chooseCandidate(result, productId) {
+    const addResult = productId === result.productId
+      ? await this.acceptSuggestion(result)
+      : await this.correctSuggestion(result, productId);
+    
+    if (addResult.success) {
+      this.lastResults = this.lastResults.filter(other => other !== result);
+    }
+    return addResult;
+  }
+
+  /**
+   * Log a cashier's response to a suggestion with the frame it was made in
+   * Failures are logged but never get in the way of the sale
+   * @param {string} action - accept, reject or correct
+   * @param {Object} result - Suggestion
+   * @param {string} productId - Correct product ID (for corrections)
+   * @returns {Promise<Object>} Feedback result
+   */
+  async recordFeedback(action, result, productId = null) {
+    // A scanned code says nothing about what the product looks like
+    if (result.method === 'barcode') {
+      return {
+        success: false,
+        message: 'Scanned codes are not recorded as recognition feedback'
+      };
+    }
+
+    try {
+      const RecognitionFeedbackService = require('./RecognitionFeedbackService');
+      const feedbackService = new RecognitionFeedbackService(this.visionAI.db);
+
+      const feedback = feedbackService.recordFeedback({
+        action,
+        suggestedProductId: result.productId,
+        productId,
+        confidence: result.confidence,
+        imageData: this.lastImageData,
+        boundingBox: result.boundingBox,
+        captureId: result.captureId
+      });
+
+      if (feedback.success) {
+        await feedbackService.applyIfDue(this.visionAI);
+      }
+
+      return feedback;
+    } catch (error) {
+      console.error('Error recording recognition feedback:', error);
+      return {
+        success: false,
+        message: 'Failed to record recognition feedback'
+      };
+    }
+  }
+
   /**
    * Add all recognized products to cart
    * @returns {Promise<Object>} Result
@@ -285,8 +517,22 @@ class VisionAIIntegration {
         };
       }
       
-      const threshold = this.visionAI.getConfidenceThreshold();
-      const highConfidenceResults = this.lastResults.filter(result => result.confidence >= threshold);
+      // Ambiguous objects wait for the cashier to choose between the top candidates
+      const ambiguous = this.lastResults.filter(result => result.status === 'ambiguous');
+      const highConfidenceResults = this.lastResults.filter(result => result.status !== 'ambiguous' &&
+        result.confidence >= this.visionAI.getThresholdFor(result.productId));
+      
+      if (ambiguous.length > 0) {
+        this.promptCandidates(ambiguous[0]);
+      }
+      
+      if (highConfidenceResults.length === 0 && ambiguous.length > 0) {
+        return {
+          success: false,
+          message: `Choose the product for ${ambiguous.length} ambiguous objects`,
+          ambiguous: ambiguous.length
+        };
+      }
       
       if (highConfidenceResults.length === 0) {
         this.ui.showToast('No products with high confidence', 'warning');
@@ -296,24 +542,27 @@ class VisionAIIntegration {
         };
       }
       
-      // Add each product to cart
+      // Add each product to cart once, with one unit per recognized object
+      const items = this.visionAI.countDetections(highConfidenceResults);
       const results = [];
-      for (const result of highConfidenceResults) {
-        const addResult = await this.addRecognizedProductToCart(result.productId, result.confidence);
+      for (const item of items) {
+        const addResult = await this.addRecognizedProductToCart(item.productId, item.confidence, item.quantity, item.method);
         results.push({
-          productId: result.productId,
-          name: result.name,
+          productId: item.productId,
+          name: item.name,
+          quantity: item.quantity,
           success: addResult.success
         });
       }
       
       const successCount = results.filter(r => r.success).length;
-      this.ui.showToast(`Added ${successCount} of ${highConfidenceResults.length} products to cart`, 'info');
+      this.ui.showToast(`Added ${successCount} of ${items.length} products to cart`, 'info');
       
       return {
         success: successCount > 0,
-        message: `Added ${successCount} of ${highConfidenceResults.length} products to cart`,
-        results
+        message: `Added ${successCount} of ${items.length} products to cart`,
+        results,
+        ambiguous: ambiguous.length
       };
     } catch (error) {
       console.error('Error adding products to cart:', error);
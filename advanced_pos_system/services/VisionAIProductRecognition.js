@@ -195,20 +195,35 @@ class VisionAIProductRecognition {
 
   /**
    * Evaluate recognition quality
+   * Products are counted per object, so three cans in the ground truth need three detections
    * @param {Array} recognitionResults - Recognition results
-   * @param {Array} groundTruth - Ground truth product IDs
+   * @param {Array} groundTruth - Ground truth product IDs, once per object
+   * @param {number} threshold - Confidence threshold (optional, defaults to the service's)
    * @returns {Object} Evaluation metrics
    */
-  evaluateRecognition(recognitionResults, groundTruth) {
+  evaluateRecognition(recognitionResults, groundTruth, threshold = null) {
     // Filter results by confidence threshold
-    const confidenceThreshold = this.visionAI.getConfidenceThreshold();
+    const confidenceThreshold = threshold !== null ? threshold : this.visionAI.getConfidenceThreshold();
     const predictions = this.getConfidentProducts(recognitionResults, confidenceThreshold)
       .map(result => result.productId);
     
+    // Match predictions with ground truth objects one to one
+    const expected = {};
+    groundTruth.forEach(id => {
+      expected[id] = (expected[id] || 0) + 1;
+    });
+    
+    let truePositives = 0;
+    predictions.forEach(id => {
+      if (expected[id] > 0) {
+        expected[id]--;
+        truePositives++;
+      }
+    });
+    
     // Calculate true positives, false positives, false negatives
-    const truePositives = predictions.filter(id => groundTruth.includes(id)).length;
-    const falsePositives = predictions.filter(id => !groundTruth.includes(id)).length;
-    const falseNegatives = groundTruth.filter(id => !predictions.includes(id)).length;
+    const falsePositives = predictions.length - truePositives;
+    const falseNegatives = groundTruth.length - truePositives;
     
     // Calculate precision, recall, F1 score
     const precision = truePositives / (truePositives + falsePositives) || 0;
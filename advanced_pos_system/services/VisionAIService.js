@@ -1,14 +1,28 @@
 /**
  * Vision AI Service for Advanced POS System
- * Processes images and recognizes products using computer vision techniques
+ * Recognizes products by comparing image embeddings with the embeddings of their training images
+ *
+ * Embeddings come from the recognizer backend selected by the visionBackend setting
+ * (see Recognizer). Signatures are only compared with signatures of the same model,
+ * so products need to be retrained after switching backends.
+ *
+ * Signatures are also kept in a nearest-neighbour index (see VectorIndex, type from the
+ * visionIndexType setting) that is saved next to the data files. A frame is only compared
+ * exactly with the products of the closest indexed signatures.
+ *
+ * Training changes the draft signatures stored on products. Once a model version has
+ * been promoted (see VisionModelService), live captures are answered from that frozen
+ * version instead, and a candidate version can score the same captures in shadow mode.
  */
 
 class VisionAIService {
   /**
    * Create a new VisionAIService
    * @param {Object} databaseService - Database service instance
+   * @param {Object} recognizer - Recognizer instance (overrides the visionBackend setting)
+   * @param {string} versionId - Model version to load instead of the active one (optional)
    */
-  constructor(databaseService) {
+  constructor(databaseService, recognizer = null, versionId = null) {
     this.db = databaseService;
     this.confidenceThreshold = 0.7;
     this.modelInfo = {
@@ -17,8 +31,22 @@ class VisionAIService {
       lastTraining: null
     };
     this.isInitialized = false;
-    this.imageSignatures = {};
-    this.productSignatures = {};
+    this.imageSignatures = {}; // Signature ID -> product ID
+    this.productSignatures = {}; // Product ID -> embeddings of the current model
+    this.negativeSignatures = {}; // Product ID -> embeddings of objects mistaken for the product
+    this.recognizer = recognizer;
+    this.index = null;
+    this.background = null; // Background model of the empty counter (see RegionProposer)
+    this.overlapThreshold = 0.5;
+    this.versionId = versionId;
+    this.version = null; // Model version answering captures, null for the draft signatures
+    this.shadow = null; // VisionAIService of the shadow version
+    this.shadowEnabled = true; // Off for offline evaluation, whose images are not live captures
+    this.calibrator = null; // ConfidenceCalibrator fitted on the current model
+    this.productThresholds = {}; // Product ID -> threshold overriding the global one
+    this.ambiguityMargin = 0.1;
+    this.barcodeEnabled = true; // Off for offline evaluation, which measures the visual model
+    this.barcodeFormats = null; // Formats to read, null for all
   }
 
   /**
@@ -29,19 +57,57 @@ class VisionAIService {
     try {
       // Load configuration from database
       this.confidenceThreshold = this.db.getSetting('visionAIConfidenceThreshold', 0.7);
+      this.overlapThreshold = this.db.getSetting('visionOverlapThreshold', 0.5);
+      this.background = this.db.getSetting('visionBackground', null);
+      this.ambiguityMargin = this.db.getSetting('visionAmbiguityMargin', 0.1);
+      this.barcodeEnabled = this.db.getSetting('visionBarcodeEnabled', true);
+      this.barcodeFormats = this.db.getSetting('visionBarcodeFormats', null);
+      this.loadProductThresholds();
       
-      // Load product signatures
-      const products = this.db.getProducts();
-      products.forEach(product => {
-        if (product.imageSignatures && product.imageSignatures.length > 0) {
-          product.imageSignatures.forEach(signature => {
-            this.imageSignatures[signature] = product.id;
+      const versionId = this.versionId || this.db.getSetting('visionActiveModelVersion', null);
+      this.version = versionId ? this.db.getVisionModelById(versionId) : null;
+      if (versionId && !this.version) {
+        throw new Error(`Model version ${versionId} not found`);
+      }
+      
+      await this.loadRecognizer();
+      
+      // Load the signatures the current model can compare, from the version or the draft on products
+      const entries = this.version
+        ? Object.entries(this.version.signatures).map(([productId, entry]) => ({
+          productId,
+          positive: entry.positive || [],
+          negative: entry.negative || []
+        }))
+        : this.db.getProducts().map(product => ({
+          productId: product.id,
+          positive: product.imageSignatures || [],
+          negative: product.negativeSignatures || []
+        }));
+      
+      entries.forEach(entry => {
+        const descriptors = entry.positive.filter(signature => this.recognizer.accepts(signature));
+        if (descriptors.length > 0) {
+          descriptors.forEach(signature => {
+            this.imageSignatures[signature.id] = entry.productId;
           });
-          this.productSignatures[product.id] = product.imageSignatures;
+          this.productSignatures[entry.productId] = descriptors;
+        }
+        
+        const negatives = entry.negative.filter(signature => this.recognizer.accepts(signature));
+        if (negatives.length > 0) {
+          this.negativeSignatures[entry.productId] = negatives;
         }
       });
       
-      this.modelInfo.lastTraining = this.db.getSetting('visionAILastTraining', null);
+      this.loadIndex();
+      
+      this.modelInfo.version = this.version ? `v${this.version.number}` : 'draft';
+      this.modelInfo.versionId = this.version ? this.version.id : null;
+      this.modelInfo.lastTraining = this.version
+        ? this.version.metadata.lastTraining
+        : this.db.getSetting('visionAILastTraining', null);
+      this.loadCalibration();
       this.isInitialized = true;
       
       return true;
@@ -51,12 +117,161 @@ class VisionAIService {
     }
   }
 
+  /**
+   * Create and load the configured recognizer
+   * A model that fails to load falls back to the built-in features so scanning keeps working
+   * @returns {Promise<void>}
+   */
+  async loadRecognizer() {
+    const Recognizer = require('./Recognizer');
+
+    if (!this.recognizer) {
+      this.recognizer = this.version
+        ? Recognizer.create({
+          ...(this.version.recognizer.options || {}),
+          backend: this.version.recognizer.backend,
+          modelPath: this.version.recognizer.modelPath
+        })
+        : Recognizer.fromSettings(this.db);
+    }
+
+    try {
+      await this.recognizer.loadModel();
+    } catch (error) {
+      console.error('Error loading vision model, falling back to built-in features:', error);
+      this.recognizer = Recognizer.create({ backend: 'builtin' });
+      await this.recognizer.loadModel();
+    }
+  }
+
+  /**
+   * Load the saved signature index and bring it up to date with the loaded signatures
+   * The index is rebuilt if it was saved for another model or index type
+   * @returns {void}
+   */
+  loadIndex() {
+    const VectorIndex = require('./VectorIndex');
+    const type = this.db.getSetting('visionIndexType', 'flat');
+    const modelId = this.recognizer.getModelId();
+    const indexPath = this.getIndexPath();
+
+    let index = null;
+    if (indexPath) {
+      try {
+        index = VectorIndex.load(indexPath);
+      } catch (error) {
+        console.error('Error loading vision index, rebuilding:', error);
+      }
+    }
+
+    let changed = false;
+    if (!index || index.type !== type || index.modelId !== modelId) {
+      index = VectorIndex.create(type, { ...this.db.getSetting('visionIndexOptions', {}), modelId });
+      changed = true;
+    }
+
+    // Drop signatures that were removed since the index was saved
+    index.getIds().forEach(id => {
+      if (!this.imageSignatures[id]) {
+        index.remove(id);
+        changed = true;
+      }
+    });
+
+    Object.entries(this.productSignatures).forEach(([productId, signatures]) => {
+      signatures.forEach(signature => {
+        if (!index.has(signature.id)) {
+          index.add(signature.id, productId, this.recognizer.toVector(signature));
+          changed = true;
+        }
+      });
+    });
+
+    this.index = index;
+    if (changed) {
+      this.saveIndex();
+    }
+  }
+
+  /**
+   * Save the signature index
+   * @returns {boolean} Success status
+   */
+  saveIndex() {
+    const indexPath = this.getIndexPath();
+    if (!indexPath || !this.index) {
+      return false;
+    }
+
+    try {
+      return this.index.save(indexPath);
+    } catch (error) {
+      console.error('Error saving vision index:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the file the signature index is saved to
+   * Defaults to the data directory of file storage; other storage, and services loaded
+   * for a specific version, keep the index in memory only
+   * @returns {string|null} File path
+   */
+  getIndexPath() {
+    if (this.versionId) {
+      return null;
+    }
+    
+    const configured = this.db.getSetting('visionIndexPath', null);
+    if (configured) {
+      return configured;
+    }
+
+    const dataDir = this.db.storage && this.db.storage.dataDir;
+    if (!dataDir) {
+      return null;
+    }
+
+    const path = require('path');
+    return path.join(dataDir, 'vision-index.bin');
+  }
+
+  /**
+   * Find the products whose signatures are closest to an embedding
+   * @param {Object} imageFeatures - Embedding of the image
+   * @param {number} k - Number of signatures to look up
+   * @returns {Array} Candidates ({ productId, score }), most similar first, one per product
+   */
+  findCandidates(imageFeatures, k = null) {
+    if (!this.index || this.index.size() === 0) {
+      return [];
+    }
+
+    const limit = k || this.db.getSetting('visionIndexCandidates', 20);
+    const candidates = [];
+    const seen = new Set();
+
+    this.index.search(this.recognizer.toVector(imageFeatures), limit).forEach(match => {
+      if (!seen.has(match.productId)) {
+        seen.add(match.productId);
+        candidates.push({ productId: match.productId, score: match.score });
+      }
+    });
+
+    return candidates;
+  }
+
   /**
    * Get model information
    * @returns {Object} Model information
    */
   getModelInfo() {
-    return { ...this.modelInfo };
+    return {
+      ...this.modelInfo,
+      recognizer: this.recognizer ? this.recognizer.getInfo() : null,
+      index: this.index ? { type: this.index.type, size: this.index.size() } : null,
+      shadowVersionId: this.db.getSetting('visionShadowModelVersion', null)
+    };
   }
 
   /**
@@ -82,10 +297,128 @@ class VisionAIService {
     return this.confidenceThreshold;
   }
 
+  /**
+   * Load the per-product thresholds: the product's own, else its category's
+   * @returns {void}
+   */
+  loadProductThresholds() {
+    const categoryThresholds = this.db.getSetting('visionCategoryThresholds', {});
+    this.productThresholds = {};
+    
+    this.db.getProducts().forEach(product => {
+      if (typeof product.visionThreshold === 'number') {
+        this.productThresholds[product.id] = product.visionThreshold;
+      } else if (product.category && typeof categoryThresholds[product.category] === 'number') {
+        this.productThresholds[product.id] = categoryThresholds[product.category];
+      }
+    });
+  }
+
+  /**
+   * Get the confidence a product must reach to be recognized
+   * @param {string} productId - Product ID
+   * @returns {number} Threshold (0-1)
+   */
+  getThresholdFor(productId) {
+    return productId in this.productThresholds ? this.productThresholds[productId] : this.confidenceThreshold;
+  }
+
+  /**
+   * Load the calibration, if it was fitted on the current model
+   * Scores of another model version mean something else, so a stale calibration is ignored
+   * @returns {void}
+   */
+  loadCalibration() {
+    const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+    const calibration = this.db.getSetting('visionCalibration', null);
+    
+    if (calibration && calibration.modelVersion !== this.modelInfo.version) {
+      console.warn(`Vision calibration was fitted on model ${calibration.modelVersion}, not ${this.modelInfo.version}; using raw scores`);
+    }
+    
+    this.calibrator = new ConfidenceCalibrator(
+      calibration && calibration.modelVersion === this.modelInfo.version ? calibration : null
+    );
+  }
+
+  /**
+   * Save a calibration fitted on the current model
+   * @param {Object} calibration - Calibration from ConfidenceCalibrator.fit
+   * @returns {Object} Saved calibration
+   */
+  setCalibration(calibration) {
+    const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+    const saved = { ...calibration, modelVersion: this.modelInfo.version };
+    
+    this.db.saveSetting('visionCalibration', saved);
+    this.calibrator = new ConfidenceCalibrator(saved);
+    return saved;
+  }
+
+  /**
+   * Go back to raw similarity scores
+   * @returns {void}
+   */
+  clearCalibration() {
+    const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+    this.db.saveSetting('visionCalibration', null);
+    this.calibrator = new ConfidenceCalibrator();
+  }
+
+  /**
+   * Capture the background model of the empty counter
+   * Objects are found by how much they differ from it, so it should be set again
+   * when the camera moves or the lighting changes
+   * @param {string} imageData - Base64 encoded image of the empty counter
+   * @returns {Object} Background model ({ width, height, createdAt })
+   */
+  setBackground(imageData) {
+    const ImageDecoder = require('./ImageDecoder');
+    const RegionProposer = require('./RegionProposer');
+    const proposer = new RegionProposer(this.db.getSetting('visionRegionOptions', {}));
+
+    this.background = proposer.createBackground(ImageDecoder.decode(imageData));
+    this.db.saveSetting('visionBackground', this.background);
+
+    return {
+      width: this.background.width,
+      height: this.background.height,
+      createdAt: this.background.createdAt
+    };
+  }
+
+  /**
+   * Forget the background model and fall back to the frame border colour
+   * @returns {boolean} Success status
+   */
+  clearBackground() {
+    this.background = null;
+    this.db.saveSetting('visionBackground', null);
+    return true;
+  }
+
+  /**
+   * Find the regions of a decoded image that contain objects
+   * @param {Object} image - Decoded image
+   * @returns {Promise<Array>} Regions ({ boundingBox, score }), largest first
+   */
+  async detectRegions(image) {
+    return this.recognizer.detect(image, {
+      ...this.db.getSetting('visionRegionOptions', {}),
+      background: this.background
+    });
+  }
+
   /**
    * Process image for product recognition
-   * @param {string} imageData - Base64 encoded image data
-   * @returns {Promise<Array>} Recognition results
+   * Barcodes and QR codes in the frame are read first and identify their products
+   * outright; every other region of the frame is classified on its own, so each result
+   * is one object. Results carry a capture ID that cashier feedback can refer back to and
+   * the method that recognized them (barcode or vision). Confidence is the calibrated
+   * probability (score is the raw similarity); a result is 'ambiguous' when an
+   * alternative is within visionAmbiguityMargin of it.
+   * @param {string|Object} imageData - Base64 encoded image data or a decoded image
+   * @returns {Promise<Array>} Recognition results, one per object
    */
   async processImage(imageData) {
     if (!this.isInitialized) {
@@ -93,37 +426,70 @@ class VisionAIService {
     }
     
     try {
-      // In a real implementation, this would use a computer vision model
-      // For this implementation, we'll simulate recognition with random confidence scores
+      const ImageDecoder = require('./ImageDecoder');
+      const image = imageData && imageData.data && imageData.width ? imageData : ImageDecoder.decode(imageData);
+      const captureId = 'cap_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
       
-      // Extract image features (simulated)
-      const imageFeatures = await this.extractImageFeatures(imageData);
+      // Objects with a readable code are not classified visually
+      const scanned = this.decodeBarcodes(image, captureId);
+      const regions = (await this.detectRegions(image)).filter(region => {
+        return !scanned.some(detection => this.containsCenter(region.boundingBox, detection.boundingBox));
+      });
       
-      // Compare with known product signatures
-      const results = [];
-      const products = this.db.getProducts();
+      const detections = [...scanned];
       
-      for (const product of products) {
-        // Skip products without image signatures
-        if (!product.imageSignatures || product.imageSignatures.length === 0) {
-          continue;
-        }
-        
-        // Calculate similarity score (simulated)
-        const confidence = this.calculateSimilarity(imageFeatures, product.imageSignatures);
+      for (const region of regions) {
+        // Extract features of the region
+        const imageFeatures = await this.extractImageFeatures(ImageDecoder.crop(image, region.boundingBox));
         
-        if (confidence >= this.confidenceThreshold) {
-          results.push({
+        // Score the products of the closest indexed signatures
+        const scored = [];
+        for (const candidate of this.findCandidates(imageFeatures)) {
+          const product = this.db.getProductById(candidate.productId);
+          if (!product || !this.productSignatures[product.id]) {
+            continue;
+          }
+          
+          // Calculate similarity score against the closest training image
+          const confidence = this.calculateSimilarity(imageFeatures, this.productSignatures[product.id]);
+          
+          // Skip products the object looks even more like a known mistake for
+          const negatives = this.negativeSignatures[product.id];
+          if (negatives && this.calculateSimilarity(imageFeatures, negatives) >= confidence) {
+            continue;
+          }
+          
+          scored.push({
             productId: product.id,
             name: product.name,
-            confidence,
-            boundingBox: this.generateBoundingBox()
+            confidence: this.calibrator.calibrate(confidence),
+            score: confidence
+          });
+        }
+        
+        // Keep the best match that reaches its product's threshold, with the runners-up as alternatives
+        scored.sort((a, b) => b.confidence - a.confidence);
+        const best = scored.find(candidate => candidate.confidence >= this.getThresholdFor(candidate.productId));
+        if (best) {
+          const alternatives = scored.filter(candidate => candidate !== best).slice(0, VisionAIService.MAX_ALTERNATIVES);
+          
+          // Let the cashier choose when another product is nearly as likely
+          const ambiguous = this.ambiguityMargin > 0 &&
+            alternatives.some(candidate => best.confidence - candidate.confidence <= this.ambiguityMargin);
+          
+          detections.push({
+            ...best,
+            boundingBox: region.boundingBox,
+            captureId,
+            status: ambiguous ? 'ambiguous' : 'confident',
+            method: 'vision',
+            alternatives: alternatives.map(({ productId, name, confidence, score }) => ({ productId, name, confidence, score }))
           });
         }
       }
       
-      // Sort by confidence (highest first)
-      results.sort((a, b) => b.confidence - a.confidence);
+      const results = this.suppressOverlaps(detections);
+      await this.runShadow(image, results, captureId);
       
       return results;
     } catch (error) {
@@ -133,61 +499,224 @@ class VisionAIService {
   }
 
   /**
-   * Extract features from image (simulated)
-   * @param {string} imageData - Base64 encoded image data
-   * @returns {Promise<Array>} Image features
+   * Read the barcodes and QR codes of a frame and look up their products
+   * Scale labels resolve to their product with the weighed quantity. Codes that no
+   * product carries are logged and left to visual recognition
+   * @param {Object} image - Decoded image
+   * @param {string} captureId - Capture ID
+   * @returns {Array} Recognition results of the scanned products
    */
-  async extractImageFeatures(imageData) {
-    // In a real implementation, this would use computer vision techniques
-    // For this implementation, we'll generate random features
-    
-    // Generate a deterministic "signature" based on the image data
-    // This is just for simulation purposes
-    const signature = imageData.substring(0, 100);
-    const features = [];
-    
-    for (let i = 0; i < 10; i++) {
-      features.push(this.hashCode(signature + i) / 1000000);
+  decodeBarcodes(image, captureId) {
+    if (!this.barcodeEnabled) {
+      return [];
     }
     
-    return features;
+    try {
+      const BarcodeDecoder = require('./BarcodeDecoder');
+      const codes = new BarcodeDecoder({ formats: this.barcodeFormats }).decode(image);
+      const detections = [];
+      
+      const ScaleLabelService = require('./ScaleLabelService');
+      const scaleLabels = new ScaleLabelService(this.db);
+      
+      codes.forEach(code => {
+        let product = this.db.getProductByBarcode(code.text);
+        let quantity = 1;
+        if (!product && code.format === 'ean_13') {
+          const label = scaleLabels.resolve(code.text);
+          if (label.success) {
+            product = label.product;
+            quantity = label.quantity;
+          }
+        }
+        
+        if (!product) {
+          // Captures repeat every few seconds while a code stays in view; warn about it once
+          const unknown = `${code.format}:${code.text}`;
+          if (!VisionAIService.unknownCodes.has(unknown)) {
+            if (VisionAIService.unknownCodes.size >= VisionAIService.MAX_UNKNOWN_CODES) {
+              VisionAIService.unknownCodes.clear();
+            }
+            VisionAIService.unknownCodes.add(unknown);
+            console.warn(`No product with ${code.format} code ${code.text}`);
+          }
+          return;
+        }
+        
+        detections.push({
+          productId: product.id,
+          name: product.name,
+          confidence: 1,
+          score: 1,
+          boundingBox: code.boundingBox,
+          captureId,
+          status: 'confident',
+          method: 'barcode',
+          barcode: { format: code.format, text: code.text },
+          quantity,
+          alternatives: []
+        });
+      });
+      
+      return detections;
+    } catch (error) {
+      console.error('Error decoding barcodes:', error);
+      return [];
+    }
   }
 
   /**
-   * Calculate similarity between image features and product signatures (simulated)
-   * @param {Array} imageFeatures - Image features
-   * @param {Array} productSignatures - Product signatures
-   * @returns {number} Similarity score (0-1)
+   * Check whether the center of a bounding box lies inside another
+   * @param {Object} box - Bounding box ({ x1, y1, x2, y2 })
+   * @param {Object} inner - Bounding box whose center is tested
+   * @returns {boolean} Contained
    */
-  calculateSimilarity(imageFeatures, productSignatures) {
-    // In a real implementation, this would use similarity metrics
-    // For this implementation, we'll generate a random score
-    
-    // Generate a score between 0.5 and 1.0
-    return 0.5 + (Math.random() * 0.5);
+  containsCenter(box, inner) {
+    const x = (inner.x1 + inner.x2) / 2;
+    const y = (inner.y1 + inner.y2) / 2;
+    return x >= box.x1 && x <= box.x2 && y >= box.y1 && y <= box.y2;
   }
 
   /**
-   * Generate bounding box (simulated)
-   * @returns {Object} Bounding box coordinates
+   * Let the shadow version score a live capture and record how it compares
+   * Shadow failures are logged and never affect the live results
+   * @param {Object} image - Decoded image
+   * @param {Array} results - Live recognition results
+   * @param {string} captureId - Capture ID
+   * @returns {Promise<Object|null>} Shadow result or null if no shadow is running
    */
-  generateBoundingBox() {
-    // Generate random coordinates between 0.1 and 0.9
-    const x1 = 0.1 + (Math.random() * 0.4);
-    const y1 = 0.1 + (Math.random() * 0.4);
-    const x2 = x1 + 0.2 + (Math.random() * 0.3);
-    const y2 = y1 + 0.2 + (Math.random() * 0.3);
+  async runShadow(image, results, captureId) {
+    const shadowId = this.db.getSetting('visionShadowModelVersion', null);
+    if (!this.shadowEnabled || this.versionId || !shadowId || (this.version && this.version.id === shadowId)) {
+      return null;
+    }
     
-    return { x1, y1, x2, y2 };
+    try {
+      if (!this.shadow || this.shadow.versionId !== shadowId) {
+        this.shadow = new VisionAIService(this.db, null, shadowId);
+        if (!await this.shadow.initialize()) {
+          throw new Error(`Model version ${shadowId} could not be loaded`);
+        }
+      }
+      
+      const shadowResults = await this.shadow.processImage(image);
+      const VisionModelService = require('./VisionModelService');
+      return new VisionModelService(this.db).recordShadowResult(captureId, results, shadowResults, shadowId);
+    } catch (error) {
+      console.error('Error running shadow model:', error);
+      this.shadow = null;
+      return null;
+    }
+  }
+
+  /**
+   * Non-maximum suppression: drop detections that overlap a more confident one
+   * @param {Array} detections - Recognition results
+   * @returns {Array} Remaining results, highest confidence first
+   */
+  suppressOverlaps(detections) {
+    const kept = [];
+
+    [...detections]
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(detection => {
+        const overlapping = kept.some(other => {
+          return this.getOverlap(detection.boundingBox, other.boundingBox) > this.overlapThreshold;
+        });
+        if (!overlapping) {
+          kept.push(detection);
+        }
+      });
+
+    return kept;
+  }
+
+  /**
+   * Intersection over union of two bounding boxes
+   * @param {Object} a - Bounding box ({ x1, y1, x2, y2 })
+   * @param {Object} b - Bounding box
+   * @returns {number} Overlap (0-1)
+   */
+  getOverlap(a, b) {
+    const width = Math.max(Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1), 0);
+    const height = Math.max(Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1), 0);
+    const intersection = width * height;
+    const union = (a.x2 - a.x1) * (a.y2 - a.y1) + (b.x2 - b.x1) * (b.y2 - b.y1) - intersection;
+
+    return union > 0 ? intersection / union : 0;
+  }
+
+  /**
+   * Count the recognized objects per product
+   * @param {Array} detections - Recognition results
+   * @returns {Array} Items ({ productId, name, quantity, confidence, method, boundingBoxes }), where
+   * confidence is that of the least certain object and method is barcode only when every
+   * object was scanned
+   */
+  countDetections(detections) {
+    const UnitOfMeasure = require('../models/UnitOfMeasure');
+    const items = {};
+
+    detections.forEach(detection => {
+      if (!items[detection.productId]) {
+        items[detection.productId] = {
+          productId: detection.productId,
+          name: detection.name,
+          quantity: 0,
+          confidence: detection.confidence,
+          method: 'barcode',
+          boundingBoxes: []
+        };
+      }
+
+      // Scale labels carry their weighed quantity
+      const item = items[detection.productId];
+      item.quantity = UnitOfMeasure.round(item.quantity + (detection.quantity || 1));
+      item.confidence = Math.min(item.confidence, detection.confidence);
+      if (detection.method !== 'barcode') {
+        item.method = 'vision';
+      }
+      item.boundingBoxes.push(detection.boundingBox);
+    });
+
+    return Object.values(items);
+  }
+
+  /**
+   * Extract features from image
+   * @param {string|Object} imageData - Base64 encoded image data (JPEG or PNG) or a decoded image
+   * @returns {Promise<Object>} Embedding of the current model
+   */
+  async extractImageFeatures(imageData) {
+    const ImageDecoder = require('./ImageDecoder');
+    const image = imageData && imageData.data && imageData.width ? imageData : ImageDecoder.decode(imageData);
+    return this.recognizer.embed(image);
+  }
+
+  /**
+   * Calculate similarity between image features and product signatures
+   * @param {Object} imageFeatures - Embedding of the image
+   * @param {Array} productSignatures - Embeddings of the product's training images
+   * @returns {number} Similarity score of the closest signature (0-1)
+   */
+  calculateSimilarity(imageFeatures, productSignatures) {
+    return productSignatures.reduce((best, signature) => {
+      return Math.max(best, this.recognizer.compare(imageFeatures, signature));
+    }, 0);
   }
 
   /**
    * Train model with new product images
+   * Hard negatives are images of other objects the product was mistaken for; they are
+   * not indexed but stop the product from being suggested for similar objects
    * @param {string} productId - Product ID
-   * @param {Array} images - Array of base64 encoded image data
+   * @param {Array} images - Base64 encoded image data, or examples ({ imageData, boundingBox })
+   * whose object is at a known region of the frame
+   * @param {Object} options - Training options
+   * @param {boolean} options.negative - Images are hard negatives for the product
    * @returns {Promise<Object>} Training result
    */
-  async trainModel(productId, images) {
+  async trainModel(productId, images, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -207,37 +736,92 @@ class VisionAIService {
       // Process each image and extract features
       const signatures = [];
       
-      for (const imageData of images) {
-        // Extract features (simulated)
-        const features = await this.extractImageFeatures(imageData);
+      const ImageDecoder = require('./ImageDecoder');
+      const RegionProposer = require('./RegionProposer');
+      const proposer = new RegionProposer(this.db.getSetting('visionRegionOptions', {}));
+      
+      for (const [index, example] of images.entries()) {
+        const imageData = example && example.imageData ? example.imageData : example;
+        const image = ImageDecoder.decode(imageData);
+        
+        // A blank or empty-counter frame would teach the product to match the background
+        if (proposer.propose(image, this.background).length === 0) {
+          return {
+            success: false,
+            message: `Training image ${index + 1} shows no product: nothing in it stands out from the counter`
+          };
+        }
+        
+        // Extract features of the given region, or of the largest object as processImage sees it on the counter
+        let boundingBox = example && example.boundingBox;
+        if (!boundingBox) {
+          const regions = await this.detectRegions(image);
+          boundingBox = regions.reduce((best, region) => {
+            const area = box => (box.x2 - box.x1) * (box.y2 - box.y1);
+            return area(region.boundingBox) > area(best.boundingBox) ? region : best;
+          }).boundingBox;
+        }
+        const features = await this.extractImageFeatures(ImageDecoder.crop(image, boundingBox));
         
-        // Generate signature
-        const signature = 'sig_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9);
+        // Store the features as a signature
+        const signature = {
+          id: 'sig_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9),
+          ...features,
+          createdAt: new Date().toISOString()
+        };
         
-        // Store signature
-        this.imageSignatures[signature] = productId;
         signatures.push(signature);
       }
       
+      // A frozen version keeps answering captures; the draft only goes live in a new version
+      const live = !this.version;
+      
+      if (options.negative) {
+        product.negativeSignatures = [...(product.negativeSignatures || []), ...signatures];
+        if (live) {
+          this.negativeSignatures[productId] = [...(this.negativeSignatures[productId] || []), ...signatures];
+        }
+        this.db.saveProduct(product);
+        
+        return {
+          success: true,
+          message: 'Hard negatives added successfully',
+          signatures: signatures.map(signature => signature.id),
+          productId: productId
+        };
+      }
+      
+      if (live) {
+        // Index the new signatures
+        signatures.forEach(signature => {
+          this.imageSignatures[signature.id] = productId;
+          this.index.add(signature.id, productId, this.recognizer.toVector(signature));
+        });
+        this.saveIndex();
+        this.productSignatures[productId] = [...(this.productSignatures[productId] || []), ...signatures];
+      }
+      
       // Update product signatures
       if (!product.imageSignatures) {
         product.imageSignatures = [];
       }
       
       product.imageSignatures = [...product.imageSignatures, ...signatures];
-      this.productSignatures[productId] = product.imageSignatures;
       
       // Save product
       this.db.saveProduct(product);
       
       // Update model info
-      this.modelInfo.lastTraining = new Date().toISOString();
-      this.db.saveSetting('visionAILastTraining', this.modelInfo.lastTraining);
+      const lastTraining = new Date().toISOString();
+      if (live) {
+        this.modelInfo.lastTraining = lastTraining;
+      }
+      this.db.saveSetting('visionAILastTraining', lastTraining);
       
       return {
         success: true,
-        message: 'Model trained successfully',
-        signatures: signatures,
+        message: live ? 'Model trained successfully' : 'Draft trained successfully; create and promote a model version to use it',
+        signatures: signatures.map(signature => signature.id),
         productId: productId
       };
     } catch (error) {
@@ -262,18 +846,26 @@ class VisionAIService {
         return false;
       }
       
-      // Remove signatures
-      if (product.imageSignatures && product.imageSignatures.length > 0) {
-        product.imageSignatures.forEach(signature => {
-          delete this.imageSignatures[signature];
-        });
+      // Remove signatures, unless a frozen version is answering captures
+      if (!this.version) {
+        if (product.imageSignatures && product.imageSignatures.length > 0) {
+          product.imageSignatures.forEach(signature => {
+            delete this.imageSignatures[signature.id || signature];
+          });
+        }
+        
+        // Remove product signatures
+        delete this.productSignatures[productId];
+        delete this.negativeSignatures[productId];
+        if (this.index) {
+          this.index.removeProduct(productId);
+          this.saveIndex();
+        }
       }
       
-      // Remove product signatures
-      delete this.productSignatures[productId];
-      
       // Update product
       product.imageSignatures = [];
+      product.negativeSignatures = [];
       this.db.saveProduct(product);
       
       return true;
@@ -282,23 +874,17 @@ class VisionAIService {
       return false;
     }
   }
-
-  /**
-   * Generate hash code for string
-   * @param {string} str - Input string
-   * @returns {number} Hash code
-   */
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
-  }
 }
 
+// Runner-up products reported with each detection
+VisionAIService.MAX_ALTERNATIVES = 4;
+
+// Codes without a product that have already been warned about, shared by all instances
+VisionAIService.unknownCodes = new Set();
+
+// Unknown codes remembered before the list starts over
+VisionAIService.MAX_UNKNOWN_CODES = 1000;
+
 // Export the VisionAIService class
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VisionAIService;
@@ -0,0 +1,185 @@
+/**
+ * Vision Dataset for Advanced POS System
+ * Loads a local directory of labelled product images for offline evaluation
+ *
+ * Two layouts are supported:
+ *   manifest.json: [{ "file": "shelf/001.jpg", "products": ["SKU-1", "SKU-1", "SKU-2"] }, ...]
+ *                  (or { "images": [...] }; "product" may name a single product)
+ *   folder per SKU: <dir>/<product ID or SKU>/*.jpg, with <dir>/_empty/ for frames
+ *                   that contain no products
+ *
+ * Labels are product IDs or SKUs. A product listed twice means two objects in the image.
+ */
+
+class VisionDataset {
+  /**
+   * Create a new VisionDataset
+   * @param {Object} databaseService - Database service instance
+   * @param {string} dir - Dataset directory
+   */
+  constructor(databaseService, dir) {
+    this.db = databaseService;
+    this.dir = dir;
+    this.cases = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Load the dataset
+   * @returns {Object} Result with success status, message, cases and warnings
+   */
+  load() {
+    const fs = require('fs');
+    const path = require('path');
+
+    try {
+      if (!fs.existsSync(this.dir) || !fs.statSync(this.dir).isDirectory()) {
+        return {
+          success: false,
+          message: `Dataset directory not found: ${this.dir}`
+        };
+      }
+
+      this.warnings = [];
+      const manifestPath = path.join(this.dir, VisionDataset.MANIFEST);
+      const entries = fs.existsSync(manifestPath) ? this.readManifest(manifestPath) : this.readFolders();
+
+      this.cases = entries.map((entry, index) => ({
+        id: `image_${index + 1}`,
+        name: path.relative(this.dir, entry.file),
+        file: entry.file,
+        labels: entry.labels,
+        expectedProducts: this.resolveLabels(entry.labels, entry.file)
+      }));
+
+      if (this.cases.length === 0) {
+        return {
+          success: false,
+          message: `No images found in ${this.dir}`
+        };
+      }
+
+      return {
+        success: true,
+        message: `Loaded ${this.cases.length} images`,
+        cases: this.cases,
+        warnings: this.warnings
+      };
+    } catch (error) {
+      console.error('Error loading vision dataset:', error);
+      return {
+        success: false,
+        message: `Failed to load dataset: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Read the images listed in a manifest
+   * @param {string} manifestPath - Manifest path
+   * @returns {Array} Entries ({ file, labels })
+   */
+  readManifest(manifestPath) {
+    const fs = require('fs');
+    const path = require('path');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const images = Array.isArray(manifest) ? manifest : manifest.images || [];
+
+    return images
+      .filter(image => {
+        const file = image.file && path.resolve(this.dir, image.file);
+        if (!file || !fs.existsSync(file)) {
+          this.warnings.push(`Image not found: ${image.file}`);
+          return false;
+        }
+        return true;
+      })
+      .map(image => ({
+        file: path.resolve(this.dir, image.file),
+        labels: image.products || (image.product ? [image.product] : [])
+      }));
+  }
+
+  /**
+   * Read a folder-per-SKU layout
+   * @returns {Array} Entries ({ file, labels })
+   */
+  readFolders() {
+    const fs = require('fs');
+    const path = require('path');
+    const entries = [];
+
+    fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(folder => {
+        const labels = VisionDataset.EMPTY_FOLDERS.includes(folder.name) ? [] : [folder.name];
+
+        fs.readdirSync(path.join(this.dir, folder.name))
+          .filter(name => this.isImage(name))
+          .sort()
+          .forEach(name => entries.push({ file: path.join(this.dir, folder.name, name), labels }));
+      });
+
+    return entries;
+  }
+
+  /**
+   * Check if a file name has a supported image extension
+   * @param {string} name - File name
+   * @returns {boolean} Is an image
+   */
+  isImage(name) {
+    const path = require('path');
+    return VisionDataset.EXTENSIONS.includes(path.extname(name).toLowerCase());
+  }
+
+  /**
+   * Resolve labels to product IDs
+   * Unknown labels are kept, so the objects they name count as missed
+   * @param {Array} labels - Product IDs or SKUs
+   * @param {string} file - Image the labels belong to, for warnings
+   * @returns {Array} Product IDs
+   */
+  resolveLabels(labels, file) {
+    return labels.map(label => {
+      const product = this.db.getProductById(label) ||
+        this.db.getProducts().find(candidate => candidate.sku && candidate.sku === label);
+
+      if (!product) {
+        this.warnings.push(`Unknown product "${label}" in ${file}`);
+        return label;
+      }
+
+      return product.id;
+    });
+  }
+
+  /**
+   * Read a case's image as a data URL
+   * Images are read one at a time so large datasets are not held in memory
+   * @param {Object} testCase - Dataset case
+   * @returns {string} Base64 encoded image data
+   */
+  readImage(testCase) {
+    const fs = require('fs');
+    const path = require('path');
+    const type = path.extname(testCase.file).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
+
+    return `data:${type};base64,${fs.readFileSync(testCase.file).toString('base64')}`;
+  }
+}
+
+// Manifest file name; folders are used when it is absent
+VisionDataset.MANIFEST = 'manifest.json';
+
+// Folders of images that contain no products
+VisionDataset.EMPTY_FOLDERS = ['_empty', 'empty'];
+
+// Image extensions the decoder reads
+VisionDataset.EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Export the VisionDataset class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VisionDataset;
+}
@@ -0,0 +1,152 @@
+/**
+ * Vision Evaluation Runner for Advanced POS System
+ * Evaluates product recognition on a labelled image dataset and generates reports
+ *
+ * Usage: node services/VisionEvaluationRunner.js <dataset-dir> [--version <id>]
+ *          [--top-k 1,3,5] [--threshold-step 0.05] [--output <dir>] [--calibrate platt|isotonic]
+ *
+ * With --calibrate, the raw scores of the evaluation are used to fit the confidence
+ * calibration of the evaluated model.
+ */
+
+const app = require('../app');
+const VisionDataset = require('./VisionDataset');
+const VisionEvaluator = require('./VisionEvaluator');
+const { generateVisionEvaluationReport } = require('./ReportGenerator');
+
+/**
+ * Run the evaluation and generate reports
+ * @param {Object} options - Evaluation options
+ * @param {string} options.dataset - Dataset directory
+ * @param {string} options.version - Model version to evaluate (optional)
+ * @param {Array} options.topK - Ranks to report top-k accuracy for (optional)
+ * @param {number} options.thresholdStep - Step of the threshold sweep (optional)
+ * @param {string} options.output - Reports directory (optional)
+ * @param {string} options.calibrate - Calibration method to fit (optional)
+ * @returns {Promise<Object>} Result with success status, report paths and evaluation
+ */
+async function runVisionEvaluation(options) {
+  console.log('Starting vision evaluation...');
+
+  if (!app.isInitialized) {
+    await app.initialize();
+  }
+  const db = app.getService('database');
+
+  // Load dataset
+  const dataset = new VisionDataset(db, options.dataset);
+  const loadResult = dataset.load();
+  if (!loadResult.success) {
+    console.error('Could not load dataset:', loadResult.message);
+    return loadResult;
+  }
+
+  console.log(`${loadResult.message} from ${options.dataset}`);
+  loadResult.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+  // Recognize every image
+  console.log('Recognizing images...');
+  const evaluator = new VisionEvaluator(db, {
+    versionId: options.version,
+    topK: options.topK,
+    thresholdStep: options.thresholdStep
+  });
+  const result = await evaluator.evaluate(dataset);
+  if (!result.success) {
+    console.error('Evaluation failed:', result.message);
+    return result;
+  }
+
+  // Generate reports
+  console.log('Generating vision evaluation report...');
+  const reports = generateVisionEvaluationReport(result.evaluation, options.output);
+
+  // Fit the calibration
+  let calibration = null;
+  if (options.calibrate) {
+    const calibrateResult = await evaluator.calibrate(result.evaluation, options.calibrate);
+    if (!calibrateResult.success) {
+      console.error(calibrateResult.message);
+    } else {
+      console.log(calibrateResult.message);
+      calibration = calibrateResult.calibration;
+    }
+  }
+
+  const { summary, bestThreshold } = result.evaluation;
+  console.log(`Precision ${summary.precision}, recall ${summary.recall}, F1 ${summary.f1Score} at threshold ${summary.threshold}`);
+  if (bestThreshold) {
+    console.log(`Best F1 ${bestThreshold.f1Score} at threshold ${bestThreshold.threshold}`);
+  }
+  console.log(`Vision evaluation report saved to: ${reports.html}`);
+
+  return {
+    success: true,
+    reports,
+    evaluation: result.evaluation,
+    calibration
+  };
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Evaluation options
+ */
+function parseArguments(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--version':
+        options.version = args[++i];
+        break;
+      case '--top-k':
+        options.topK = args[++i].split(',').map(k => parseInt(k)).filter(k => k > 0);
+        break;
+      case '--threshold-step':
+        options.thresholdStep = parseFloat(args[++i]);
+        break;
+      case '--output':
+        options.output = args[++i];
+        break;
+      case '--calibrate':
+        options.calibrate = args[++i];
+        break;
+      default:
+        options.dataset = args[i];
+    }
+  }
+
+  return options;
+}
+
+// Export functions
+module.exports = {
+  runVisionEvaluation,
+  parseArguments
+};
+
+// Run evaluation if executed directly
+if (require.main === module) {
+  const options = parseArguments(process.argv.slice(2));
+
+  if (!options.dataset) {
+    console.error('Usage: node services/VisionEvaluationRunner.js <dataset-dir> [--version <id>] [--top-k 1,3,5] [--threshold-step 0.05] [--output <dir>] [--calibrate platt|isotonic]');
+    process.exitCode = 1;
+  } else {
+    runVisionEvaluation(options)
+      .then(result => {
+        if (result && result.success) {
+          console.log('Vision evaluation completed successfully');
+        } else {
+          console.error('Vision evaluation failed');
+          process.exitCode = 1;
+        }
+      })
+      .catch(error => {
+        console.error('Error running vision evaluation:', error);
+        process.exitCode = 1;
+      });
+  }
+}
@@ -0,0 +1,422 @@
+/**
+ * Vision Evaluator for Advanced POS System
+ * Measures product recognition on a labelled image dataset (see VisionDataset)
+ *
+ * Every image is recognized once with the confidence thresholds at zero, so the same
+ * scores give the metrics at the configured thresholds, the threshold sweep and the
+ * top-k accuracy. Shadow evaluation is turned off; dataset images are not live captures.
+ * The raw scores and whether they were right are kept as calibration samples (see
+ * ConfidenceCalibrator).
+ */
+
+class VisionEvaluator {
+  /**
+   * Create a new VisionEvaluator
+   * @param {Object} databaseService - Database service instance
+   * @param {Object} options - Evaluation options
+   * @param {string} options.versionId - Model version to evaluate (defaults to the live model)
+   * @param {Array} options.topK - Ranks to report top-k accuracy for
+   * @param {number} options.thresholdStep - Step of the threshold sweep
+   */
+  constructor(databaseService, options = {}) {
+    this.db = databaseService;
+    this.versionId = options.versionId || null;
+    this.topK = options.topK || VisionEvaluator.TOP_K;
+    this.thresholdStep = options.thresholdStep || VisionEvaluator.THRESHOLD_STEP;
+  }
+
+  /**
+   * Recognize every image of a dataset and compute the evaluation metrics
+   * @param {Object} dataset - Loaded VisionDataset
+   * @returns {Promise<Object>} Result with success status, message and evaluation
+   */
+  async evaluate(dataset) {
+    const VisionAIService = require('./VisionAIService');
+    const VisionAIProductRecognition = require('./VisionAIProductRecognition');
+
+    try {
+      const visionAI = new VisionAIService(this.db, null, this.versionId);
+      if (!await visionAI.initialize()) {
+        return {
+          success: false,
+          message: 'Vision AI model could not be loaded'
+        };
+      }
+
+      const recognition = new VisionAIProductRecognition(visionAI);
+      await recognition.initialize();
+
+      const threshold = visionAI.getConfidenceThreshold();
+      const productThresholds = visionAI.productThresholds;
+      visionAI.shadowEnabled = false;
+      visionAI.barcodeEnabled = false;
+      visionAI.confidenceThreshold = 0;
+      visionAI.productThresholds = {};
+
+      const cases = [];
+      const errors = [];
+      for (const testCase of dataset.cases) {
+        const result = await recognition.recognizeProducts(dataset.readImage(testCase));
+        if (!result.success) {
+          errors.push({ image: testCase.name, message: result.error });
+          continue;
+        }
+
+        cases.push({
+          id: testCase.id,
+          name: testCase.name,
+          expectedProducts: testCase.expectedProducts,
+          results: result.results.map(detection => ({
+            productId: detection.productId,
+            confidence: detection.confidence,
+            score: detection.score,
+            alternatives: (detection.alternatives || [])
+              .map(({ productId, confidence }) => ({ productId, confidence }))
+          })),
+          processingTime: result.processingTime
+        });
+      }
+
+      const evaluation = {
+        dataset: dataset.dir,
+        model: visionAI.getModelInfo().version,
+        versionId: this.versionId,
+        calibrated: visionAI.calibrator.calibration !== null,
+        threshold,
+        productThresholds,
+        imageCount: cases.length,
+        summary: this.getSummary(recognition, cases, threshold, productThresholds),
+        confusionMatrix: this.getConfusionMatrix(cases, threshold, productThresholds),
+        topK: this.getTopKAccuracy(cases),
+        latency: this.getLatency(cases),
+        thresholdSweep: this.getThresholdSweep(recognition, cases),
+        calibrationSamples: this.getCalibrationSamples(cases),
+        warnings: dataset.warnings,
+        errors,
+        cases,
+        timestamp: new Date().toISOString()
+      };
+      evaluation.products = this.getProductMetrics(evaluation.confusionMatrix);
+      evaluation.bestThreshold = evaluation.thresholdSweep
+        .reduce((best, row) => !best || row.f1Score >= best.f1Score ? row : best, null);
+
+      return {
+        success: true,
+        message: `Evaluated ${cases.length} images`,
+        evaluation
+      };
+    } catch (error) {
+      console.error('Error evaluating vision model:', error);
+      return {
+        success: false,
+        message: `Evaluation failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Fit a calibration on an evaluation and save it for the evaluated model
+   * @param {Object} evaluation - Evaluation from evaluate
+   * @param {string} method - platt or isotonic (see ConfidenceCalibrator)
+   * @returns {Promise<Object>} Result with success status, message and calibration
+   */
+  async calibrate(evaluation, method = 'platt') {
+    const VisionAIService = require('./VisionAIService');
+    const ConfidenceCalibrator = require('./ConfidenceCalibrator');
+
+    try {
+      const visionAI = new VisionAIService(this.db, null, this.versionId);
+      if (!await visionAI.initialize()) {
+        return {
+          success: false,
+          message: 'Vision AI model could not be loaded'
+        };
+      }
+
+      const calibration = visionAI.setCalibration(ConfidenceCalibrator.fit(evaluation.calibrationSamples, method));
+      return {
+        success: true,
+        message: `Calibrated model ${calibration.modelVersion} on ${calibration.samples} recognitions`,
+        calibration
+      };
+    } catch (error) {
+      console.error('Error calibrating vision model:', error);
+      return {
+        success: false,
+        message: `Calibration failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Get the results that reach their product's threshold
+   * @param {Array} results - Results of one image
+   * @param {number} threshold - Confidence threshold
+   * @param {Object} productThresholds - Product ID -> threshold overriding the global one
+   * @returns {Array} Confident results
+   */
+  getConfidentResults(results, threshold, productThresholds = {}) {
+    return results.filter(result => {
+      return result.confidence >= (result.productId in productThresholds ? productThresholds[result.productId] : threshold);
+    });
+  }
+
+  /**
+   * Sum evaluateRecognition over all images
+   * @param {Object} recognition - VisionAIProductRecognition instance
+   * @param {Array} cases - Evaluated cases
+   * @param {number} threshold - Confidence threshold
+   * @param {Object} productThresholds - Product ID -> threshold overriding the global one
+   * @returns {Object} Micro-averaged precision, recall and F1 with their counts
+   */
+  getSummary(recognition, cases, threshold, productThresholds = {}) {
+    const totals = { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+    cases.forEach(testCase => {
+      const evaluation = recognition.evaluateRecognition(
+        this.getConfidentResults(testCase.results, threshold, productThresholds),
+        testCase.expectedProducts,
+        0
+      );
+      totals.truePositives += evaluation.truePositives;
+      totals.falsePositives += evaluation.falsePositives;
+      totals.falseNegatives += evaluation.falseNegatives;
+    });
+
+    const precision = this.rate(totals.truePositives, totals.truePositives + totals.falsePositives);
+    const recall = this.rate(totals.truePositives, totals.truePositives + totals.falseNegatives);
+
+    return {
+      threshold,
+      precision,
+      recall,
+      f1Score: precision + recall > 0 ? this.round(2 * precision * recall / (precision + recall)) : 0,
+      ...totals
+    };
+  }
+
+  /**
+   * Count which product was predicted for each expected object
+   * Matching products are paired first; the remaining expected objects are paired with the
+   * remaining predictions, most confident first. Unpaired objects are counted against 'none'.
+   * @param {Array} cases - Evaluated cases
+   * @param {number} threshold - Confidence threshold
+   * @param {Object} productThresholds - Product ID -> threshold overriding the global one
+   * @returns {Object} Labels and matrix (matrix[expected][predicted] = count)
+   */
+  getConfusionMatrix(cases, threshold, productThresholds = {}) {
+    const none = VisionEvaluator.NONE;
+    const matrix = {};
+    const count = (expected, predicted) => {
+      matrix[expected] = matrix[expected] || {};
+      matrix[expected][predicted] = (matrix[expected][predicted] || 0) + 1;
+    };
+
+    cases.forEach(testCase => {
+      const expected = [...testCase.expectedProducts];
+      const predicted = [];
+
+      this.getConfidentResults(testCase.results, threshold, productThresholds)
+        .sort((a, b) => b.confidence - a.confidence)
+        .forEach(result => {
+          const index = expected.indexOf(result.productId);
+          if (index >= 0) {
+            expected.splice(index, 1);
+            count(result.productId, result.productId);
+          } else {
+            predicted.push(result.productId);
+          }
+        });
+
+      expected.forEach((productId, index) => count(productId, index < predicted.length ? predicted[index] : none));
+      predicted.slice(expected.length).forEach(productId => count(none, productId));
+    });
+
+    const labels = new Set();
+    Object.keys(matrix).forEach(expected => {
+      labels.add(expected);
+      Object.keys(matrix[expected]).forEach(predicted => labels.add(predicted));
+    });
+    labels.delete(none);
+
+    const sorted = [...labels].sort();
+    return {
+      labels: [...sorted, none],
+      names: [...sorted.map(productId => this.getProductName(productId)), none],
+      matrix
+    };
+  }
+
+  /**
+   * Get precision and recall of each product from the confusion matrix
+   * @param {Object} confusionMatrix - Confusion matrix
+   * @returns {Array} Product metrics, lowest F1 first
+   */
+  getProductMetrics(confusionMatrix) {
+    const { labels, matrix } = confusionMatrix;
+    const cell = (expected, predicted) => (matrix[expected] && matrix[expected][predicted]) || 0;
+
+    return labels
+      .filter(productId => productId !== VisionEvaluator.NONE)
+      .map(productId => {
+        const truePositives = cell(productId, productId);
+        const support = labels.reduce((sum, predicted) => sum + cell(productId, predicted), 0);
+        const predictions = labels.reduce((sum, expected) => sum + cell(expected, productId), 0);
+        const precision = this.rate(truePositives, predictions);
+        const recall = this.rate(truePositives, support);
+
+        return {
+          productId,
+          name: this.getProductName(productId),
+          support,
+          predictions,
+          truePositives,
+          precision,
+          recall,
+          f1Score: precision + recall > 0 ? this.round(2 * precision * recall / (precision + recall)) : 0
+        };
+      })
+      .sort((a, b) => a.f1Score - b.f1Score || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Top-k accuracy on images of a single object
+   * Candidates are ranked by their best score across detections and their alternatives
+   * @param {Array} cases - Evaluated cases
+   * @returns {Object} Image count and accuracy per k
+   */
+  getTopKAccuracy(cases) {
+    const single = cases.filter(testCase => testCase.expectedProducts.length === 1);
+    const hits = {};
+    this.topK.forEach(k => {
+      hits[k] = 0;
+    });
+
+    single.forEach(testCase => {
+      const scores = {};
+      testCase.results.forEach(result => {
+        [{ productId: result.productId, confidence: result.confidence }, ...result.alternatives].forEach(candidate => {
+          scores[candidate.productId] = Math.max(scores[candidate.productId] || 0, candidate.confidence);
+        });
+      });
+
+      const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+      const rank = ranked.indexOf(testCase.expectedProducts[0]);
+      this.topK.forEach(k => {
+        hits[k] += rank >= 0 && rank < k ? 1 : 0;
+      });
+    });
+
+    const accuracy = {};
+    this.topK.forEach(k => {
+      accuracy[k] = this.rate(hits[k], single.length);
+    });
+
+    return {
+      images: single.length,
+      accuracy
+    };
+  }
+
+  /**
+   * Latency percentiles of recognizeProducts
+   * @param {Array} cases - Evaluated cases
+   * @returns {Object} Latency in milliseconds
+   */
+  getLatency(cases) {
+    const times = cases.map(testCase => testCase.processingTime).sort((a, b) => a - b);
+    const percentile = p => times.length > 0 ? this.round(times[Math.min(times.length - 1, Math.ceil(p / 100 * times.length) - 1)], 2) : 0;
+
+    return {
+      mean: times.length > 0 ? this.round(times.reduce((sum, time) => sum + time, 0) / times.length, 2) : 0,
+      p50: percentile(50),
+      p90: percentile(90),
+      p95: percentile(95),
+      p99: percentile(99),
+      max: times.length > 0 ? this.round(times[times.length - 1], 2) : 0
+    };
+  }
+
+  /**
+   * Precision, recall and F1 across confidence thresholds
+   * @param {Object} recognition - VisionAIProductRecognition instance
+   * @param {Array} cases - Evaluated cases
+   * @returns {Array} One row per threshold
+   */
+  getThresholdSweep(recognition, cases) {
+    const rows = [];
+    for (let step = 1; step * this.thresholdStep < 1; step++) {
+      rows.push(this.getSummary(recognition, cases, this.round(step * this.thresholdStep)));
+    }
+    return rows;
+  }
+
+  /**
+   * Pair every raw score with whether the recognition was right
+   * Each expected object makes one recognition of its product right, most confident first
+   * @param {Array} cases - Evaluated cases
+   * @returns {Array} Samples ({ score, correct })
+   */
+  getCalibrationSamples(cases) {
+    const samples = [];
+
+    cases.forEach(testCase => {
+      const expected = [...testCase.expectedProducts];
+      [...testCase.results]
+        .sort((a, b) => b.score - a.score)
+        .forEach(result => {
+          const index = expected.indexOf(result.productId);
+          if (index >= 0) {
+            expected.splice(index, 1);
+          }
+          samples.push({ score: result.score, correct: index >= 0 });
+        });
+    });
+
+    return samples;
+  }
+
+  /**
+   * Get the name of a product for reports
+   * @param {string} productId - Product ID
+   * @returns {string} Product name, or the ID for unknown products
+   */
+  getProductName(productId) {
+    const product = this.db.getProductById(productId);
+    return product ? product.name : productId;
+  }
+
+  /**
+   * Divide two counts
+   * @param {number} count - Numerator
+   * @param {number} total - Denominator
+   * @returns {number} Rounded ratio, 0 when the total is 0
+   */
+  rate(count, total) {
+    return total > 0 ? this.round(count / total) : 0;
+  }
+
+  /**
+   * Round a metric for reports
+   * @param {number} value - Value
+   * @param {number} digits - Decimal places
+   * @returns {number} Rounded value
+   */
+  round(value, digits = 4) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Ranks top-k accuracy is reported for
+VisionEvaluator.TOP_K = [1, 3, 5];
+
+// Step of the confidence threshold sweep
+VisionEvaluator.THRESHOLD_STEP = 0.05;
+
+// Confusion matrix label of a missed object or an unexpected detection
+VisionEvaluator.NONE = 'none';
+
+// Export the VisionEvaluator class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VisionEvaluator;
+}
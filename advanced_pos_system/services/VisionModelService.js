@@ -0,0 +1,357 @@
+/**
+ * Vision Model Service for Advanced POS System
+ * Creates immutable model versions from the draft signatures, promotes and rolls them
+ * back, and evaluates a candidate version in shadow mode
+ *
+ * The active version (visionActiveModelVersion setting) answers live captures. Until a
+ * version is promoted, captures are answered from the draft signatures on products.
+ * A shadow version (visionShadowModelVersion setting) scores the same captures without
+ * affecting them; its agreement with the active model, and the accuracy of both against
+ * cashier feedback, is reported by getShadowReport.
+ */
+
+class VisionModelService {
+  /**
+   * Create a new VisionModelService
+   * @param {Object} databaseService - Database service instance
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+  }
+
+  /**
+   * Freeze the current draft signatures into a new version
+   * @param {Object} options - Version options
+   * @param {string} options.createdBy - User creating the version
+   * @param {string} options.notes - Release notes (optional)
+   * @returns {Object} Result with success status, message and version summary
+   */
+  createVersion(options = {}) {
+    try {
+      const VisionModelVersion = require('../models/VisionModelVersion');
+      const Recognizer = require('./Recognizer');
+      const recognizer = Recognizer.fromSettings(this.db);
+
+      // Snapshot the signatures the configured backend can compare
+      const signatures = {};
+      let negativeCount = 0;
+      this.db.getProducts().forEach(product => {
+        const positive = (product.imageSignatures || []).filter(signature => recognizer.accepts(signature));
+        const negative = (product.negativeSignatures || []).filter(signature => recognizer.accepts(signature));
+        if (positive.length > 0 || negative.length > 0) {
+          signatures[product.id] = { positive, negative };
+          negativeCount += negative.length;
+        }
+      });
+
+      const versions = this.db.getVisionModels();
+      const version = new VisionModelVersion({
+        number: versions.length > 0 ? versions[versions.length - 1].number + 1 : 1,
+        notes: options.notes || '',
+        recognizer: {
+          backend: this.db.getSetting('visionBackend', 'builtin'),
+          modelPath: this.db.getSetting('visionModelPath', null),
+          options: this.db.getSetting('visionModelOptions', {}),
+          modelId: recognizer.getModelId()
+        },
+        signatures,
+        createdBy: options.createdBy || null
+      });
+
+      version.metadata = {
+        productCount: Object.values(signatures).filter(entry => entry.positive.length > 0).length,
+        signatureCount: version.getSignatureCount(),
+        negativeCount,
+        confidenceThreshold: this.db.getSetting('visionAIConfidenceThreshold', 0.7),
+        lastTraining: this.db.getSetting('visionAILastTraining', null),
+        feedbackApplied: this.db.getRecognitionFeedback('applied').length,
+        parentId: this.getActiveVersionId()
+      };
+
+      const validation = version.validate();
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.errors.join(', ')
+        };
+      }
+
+      if (!this.db.saveVisionModel(version.toObject())) {
+        return {
+          success: false,
+          message: 'Failed to save model version'
+        };
+      }
+
+      return {
+        success: true,
+        message: `Model version ${version.getLabel()} created`,
+        version: version.getSummary()
+      };
+    } catch (error) {
+      console.error('Error creating model version:', error);
+      return {
+        success: false,
+        message: 'Failed to create model version'
+      };
+    }
+  }
+
+  /**
+   * Get all versions without their signatures
+   * @returns {Array} Version summaries, oldest first, flagged active or shadow
+   */
+  getVersions() {
+    const VisionModelVersion = require('../models/VisionModelVersion');
+    const activeId = this.getActiveVersionId();
+    const shadowId = this.getShadowVersionId();
+
+    return this.db.getVisionModels().map(version => ({
+      ...VisionModelVersion.fromObject(version).getSummary(),
+      active: version.id === activeId,
+      shadow: version.id === shadowId
+    }));
+  }
+
+  /**
+   * Get the ID of the version answering live captures
+   * @returns {string|null} Version ID, or null while the draft is live
+   */
+  getActiveVersionId() {
+    return this.db.getSetting('visionActiveModelVersion', null);
+  }
+
+  /**
+   * Get the ID of the version evaluated in shadow mode
+   * @returns {string|null} Version ID
+   */
+  getShadowVersionId() {
+    return this.db.getSetting('visionShadowModelVersion', null);
+  }
+
+  /**
+   * Make a version answer live captures
+   * The previously active version is remembered for rollback
+   * @param {string} id - Version ID
+   * @returns {Object} Result with success status and message
+   */
+  promoteVersion(id) {
+    const version = this.db.getVisionModelById(id);
+    if (!version) {
+      return {
+        success: false,
+        message: 'Model version not found'
+      };
+    }
+
+    const activeId = this.getActiveVersionId();
+    if (activeId === id) {
+      return {
+        success: false,
+        message: 'Model version is already active'
+      };
+    }
+
+    const history = this.db.getSetting('visionModelHistory', []);
+    this.db.saveSetting('visionModelHistory', activeId ? [...history, activeId] : history);
+    this.activate(version);
+
+    return {
+      success: true,
+      message: `Model version v${version.number} promoted`,
+      activeVersionId: id,
+      previousVersionId: activeId
+    };
+  }
+
+  /**
+   * Return to the version that was active before the last promotion
+   * @returns {Object} Result with success status and message
+   */
+  rollback() {
+    const history = [...this.db.getSetting('visionModelHistory', [])];
+    let previous = null;
+    while (history.length > 0 && !previous) {
+      previous = this.db.getVisionModelById(history.pop());
+    }
+
+    if (!previous) {
+      return {
+        success: false,
+        message: 'No earlier model version to roll back to'
+      };
+    }
+
+    const activeId = this.getActiveVersionId();
+    this.db.saveSetting('visionModelHistory', history);
+    this.activate(previous);
+
+    return {
+      success: true,
+      message: `Rolled back to model version v${previous.number}`,
+      activeVersionId: previous.id,
+      previousVersionId: activeId
+    };
+  }
+
+  /**
+   * Set the active version and the backend it was built with
+   * @param {Object} version - Version
+   * @returns {void}
+   */
+  activate(version) {
+    this.db.saveSetting('visionActiveModelVersion', version.id);
+    this.db.saveSetting('visionBackend', version.recognizer.backend);
+    this.db.saveSetting('visionModelPath', version.recognizer.modelPath || null);
+    this.db.saveSetting('visionModelOptions', version.recognizer.options || {});
+
+    // A candidate that went live is no longer in the shadows
+    if (this.getShadowVersionId() === version.id) {
+      this.db.saveSetting('visionShadowModelVersion', null);
+    }
+  }
+
+  /**
+   * Start evaluating a version in shadow mode
+   * @param {string} id - Version ID
+   * @returns {Object} Result with success status and message
+   */
+  startShadow(id) {
+    const version = this.db.getVisionModelById(id);
+    if (!version) {
+      return {
+        success: false,
+        message: 'Model version not found'
+      };
+    }
+
+    if (this.getActiveVersionId() === id) {
+      return {
+        success: false,
+        message: 'The active model version cannot be its own shadow'
+      };
+    }
+
+    this.db.saveSetting('visionShadowModelVersion', id);
+    return {
+      success: true,
+      message: `Model version v${version.number} is running in shadow mode`
+    };
+  }
+
+  /**
+   * Stop shadow evaluation
+   * @returns {Object} Result with success status and message
+   */
+  stopShadow() {
+    this.db.saveSetting('visionShadowModelVersion', null);
+    return {
+      success: true,
+      message: 'Shadow evaluation stopped'
+    };
+  }
+
+  /**
+   * Store how the active and shadow versions answered one capture
+   * @param {string} captureId - Capture ID
+   * @param {Array} active - Detections of the live model
+   * @param {Array} shadow - Detections of the shadow version
+   * @param {string} shadowVersionId - Shadow version ID
+   * @returns {Object} Stored result
+   */
+  recordShadowResult(captureId, active, shadow, shadowVersionId) {
+    const summarize = detections => detections.map(detection => ({
+      productId: detection.productId,
+      confidence: detection.confidence,
+      boundingBox: detection.boundingBox
+    }));
+
+    const result = {
+      id: 'shr_' + Date.now() + '_' + Math.random().toString(36).substring(2, 9),
+      captureId,
+      activeVersionId: this.getActiveVersionId(),
+      shadowVersionId,
+      active: summarize(active),
+      shadow: summarize(shadow),
+      agreed: this.getCounts(active) === this.getCounts(shadow),
+      createdAt: new Date().toISOString()
+    };
+
+    this.db.saveVisionShadowResult(result);
+    return result;
+  }
+
+  /**
+   * Report how a shadow version compares with the live model
+   * Agreement counts captures where both found the same products in the same quantities.
+   * Accuracy is measured on captures the cashier gave feedback on: a model is right when
+   * its detection at the feedback's region is the product the cashier confirmed (or, for
+   * a rejection, anything but the rejected product).
+   * @param {string} id - Shadow version ID
+   * @returns {Object} Report
+   */
+  getShadowReport(id) {
+    const VisionAIService = require('./VisionAIService');
+    const results = this.db.getVisionShadowResults(id);
+    const byCapture = {};
+    results.forEach(result => {
+      byCapture[result.captureId] = result;
+    });
+
+    const visionAI = new VisionAIService(this.db);
+    const predict = (detections, box) => {
+      const match = detections.find(detection => box && visionAI.getOverlap(detection.boundingBox, box) > 0.5);
+      return match ? match.productId : null;
+    };
+
+    let labelled = 0;
+    let activeCorrect = 0;
+    let shadowCorrect = 0;
+
+    this.db.getRecognitionFeedback()
+      .filter(feedback => feedback.captureId && byCapture[feedback.captureId] && feedback.status !== 'rejected')
+      .forEach(feedback => {
+        const result = byCapture[feedback.captureId];
+        const isRight = productId => {
+          if (feedback.action === 'reject') {
+            return productId !== feedback.suggestedProductId;
+          }
+          return productId === (feedback.action === 'accept' ? feedback.suggestedProductId : feedback.productId);
+        };
+
+        labelled++;
+        activeCorrect += isRight(predict(result.active, feedback.boundingBox)) ? 1 : 0;
+        shadowCorrect += isRight(predict(result.shadow, feedback.boundingBox)) ? 1 : 0;
+      });
+
+    const rate = (count, total) => total > 0 ? Math.round(count / total * 10000) / 10000 : null;
+
+    return {
+      shadowVersionId: id,
+      captures: results.length,
+      agreement: rate(results.filter(result => result.agreed).length, results.length),
+      labelled,
+      activeAccuracy: rate(activeCorrect, labelled),
+      shadowAccuracy: rate(shadowCorrect, labelled)
+    };
+  }
+
+  /**
+   * Get a comparable key of the products and quantities in a list of detections
+   * @param {Array} detections - Detections
+   * @returns {string} Key
+   */
+  getCounts(detections) {
+    const counts = {};
+    detections.forEach(detection => {
+      counts[detection.productId] = (counts[detection.productId] || 0) + 1;
+    });
+
+    return Object.keys(counts).sort().map(productId => `${productId}:${counts[productId]}`).join(',');
+  }
+}
+
+// Export the VisionModelService class
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VisionModelService;
+}